@@ -0,0 +1,63 @@
+// Writes Draco and Meshopt compressed variants of the sample monster next to
+// the original, for comparing load size and time in the viewer. They are
+// build output, not checked in: dev and build make them first, and variants
+// newer than the source are left alone unless --force is given. The monster
+// has no textures, so there is no KTX2 variant.
+//   npm run models:compress [-- --force]
+import { statSync } from 'node:fs';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS, EXTMeshoptCompression } from '@gltf-transform/extensions';
+import { draco, quantize, reorder } from '@gltf-transform/functions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+
+const SOURCE = 'public/models/Monster.gltf';
+// The glTF and the buffer it points to
+const SOURCE_FILES = [SOURCE, 'public/models/Monster.bin'];
+const force = process.argv.includes('--force');
+
+function isUpToDate(target) {
+  try {
+    const built = statSync(target).mtimeMs;
+    return SOURCE_FILES.every(file => statSync(file).mtimeMs <= built);
+  } catch {
+    return false;
+  }
+}
+
+async function main() {
+  const variants = {
+    'public/models/Monster.glb': () => [],
+    'public/models/Monster-draco.glb': () => [draco()],
+    'public/models/Monster-meshopt.glb': () => [reorder({ encoder: MeshoptEncoder }), quantize()]
+  };
+  const targets = Object.keys(variants).filter(target => force || !isUpToDate(target));
+  if (targets.length === 0) return;
+
+  await MeshoptEncoder.ready;
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder
+    });
+
+  for (const target of targets) {
+    const document = await io.read(SOURCE);
+    await document.transform(...variants[target]());
+    if (target.endsWith('-meshopt.glb')) {
+      document.createExtension(EXTMeshoptCompression)
+        .setRequired(true)
+        .setEncoderOptions({ method: EXTMeshoptCompression.EncoderMethod.FILTER });
+    }
+    await io.write(target, document);
+    console.log('Wrote', target);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+import { useEffect, useState } from 'react';
+import { LOOP_MODES, DEFAULT_FPS } from './useAnimationPlayback';
+import { activateOnKey } from './shortcuts';
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 1.5, 2];
+const TIME_POLL_MS = 100;
+
+const buttonStyle = (active) => ({
+  padding: '6px 10px',
+  background: active ? '#4ecdc4' : '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '11px',
+  fontWeight: 'bold'
+});
+
+const selectStyle = {
+  flex: 1,
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '15px 0 8px'
+};
+
+function formatTime(seconds) {
+  return `${seconds.toFixed(2)}s / f${Math.round(seconds * DEFAULT_FPS)}`;
+}
+
+// Poll the mixer time while the panel is mounted. Ten updates a second
+// keep the scrubber moving without re-rendering the panel every frame, and
+// a paused clip's unchanged time doesn't re-render it at all.
+function usePlaybackTime(playbackRef) {
+  const [time, setTime] = useState(0);
+
+  useEffect(() => {
+    const poll = () => {
+      const playback = playbackRef.current;
+      setTime(playback ? playback.getTime() : 0);
+    };
+    poll();
+    const interval = setInterval(poll, TIME_POLL_MS);
+    return () => clearInterval(interval);
+  }, [playbackRef]);
+
+  return time;
+}
+
+// Crossfade tuning, "from → to" preview and two-clip blending. The preview
+// needs single view, where it splits the canvas between the two clips.
+function TransitionControls({ clips, activeName, crossfade, onCrossfadeChange, blend, onBlendChange, onPreviewTransition, previewing, onEndPreview }) {
+  const [from, setFrom] = useState(clips[0].name);
+  const [to, setTo] = useState(clips[Math.min(1, clips.length - 1)].name);
+  const [hold, setHold] = useState(1.5);
+
+  const fromName = clips.some(clip => clip.name === from) ? from : clips[0].name;
+  const toName = clips.some(clip => clip.name === to) ? to : clips[0].name;
+  const blendOptions = clips.filter(clip => clip.name !== activeName);
+  const blendName = blendOptions.some(clip => clip.name === blend.clipName) ? blend.clipName : '';
+
+  return (
+    <>
+      <div style={sectionTitleStyle}>🔀 Crossfade</div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ color: '#ccc', width: '60px' }}>Duration:</span>
+        <input
+          type="range"
+          min={0}
+          max={3}
+          step={0.05}
+          value={crossfade.duration}
+          onChange={(e) => onCrossfadeChange({ ...crossfade, duration: parseFloat(e.target.value) })}
+          style={{ flex: 1 }}
+        />
+        <span style={{ width: '40px', textAlign: 'right' }}>{crossfade.duration.toFixed(2)}s</span>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#ccc', marginBottom: '8px' }}>
+        <input
+          type="checkbox"
+          checked={crossfade.warp}
+          onChange={(e) => onCrossfadeChange({ ...crossfade, warp: e.target.checked })}
+        />
+        Warp time scales during the fade
+      </label>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '5px', marginBottom: '6px' }}>
+        <select value={fromName} onChange={(e) => setFrom(e.target.value)} style={selectStyle}>
+          {clips.map(clip => <option key={clip.name} value={clip.name}>{clip.name}</option>)}
+        </select>
+        <span>→</span>
+        <select value={toName} onChange={(e) => setTo(e.target.value)} style={selectStyle}>
+          {clips.map(clip => <option key={clip.name} value={clip.name}>{clip.name}</option>)}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ color: '#ccc' }}>Hold:</span>
+        <input
+          type="number"
+          min={0}
+          step={0.1}
+          value={hold}
+          onChange={(e) => setHold(Math.max(0, parseFloat(e.target.value) || 0))}
+          style={{ ...selectStyle, width: '50px', flex: 'none' }}
+        />
+        <button
+          style={{ ...buttonStyle(false), flex: 1 }}
+          onClick={() => onPreviewTransition(fromName, toName, hold)}
+          disabled={!onPreviewTransition}
+          title={onPreviewTransition ? undefined : 'Transitions preview in single view'}
+        >
+          {previewing ? '🔁 Replay Transition' : '▶️ Preview Transition'}
+        </button>
+        {previewing && (
+          <button style={buttonStyle(false)} onClick={onEndPreview} aria-label="End preview" title="End preview">⏹️</button>
+        )}
+      </div>
+
+      <div style={sectionTitleStyle}>🎚️ Blend</div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ color: '#ccc', width: '60px' }}>Layer:</span>
+        <select
+          value={blendName}
+          onChange={(e) => onBlendChange({ ...blend, clipName: e.target.value || null })}
+          style={selectStyle}
+          disabled={blendOptions.length === 0}
+        >
+          <option value="">None</option>
+          {blendOptions.map(clip => <option key={clip.name} value={clip.name}>{clip.name}</option>)}
+        </select>
+      </div>
+
+      {blendName && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+            <span style={{ color: '#ccc', width: '60px', overflow: 'hidden', textOverflow: 'ellipsis' }}>{activeName}</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={blend.primaryWeight}
+              onChange={(e) => onBlendChange({ ...blend, primaryWeight: parseFloat(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ width: '40px', textAlign: 'right' }}>{blend.primaryWeight.toFixed(2)}</span>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <span style={{ color: '#ccc', width: '60px', overflow: 'hidden', textOverflow: 'ellipsis' }}>{blendName}</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={blend.weight}
+              onChange={(e) => onBlendChange({ ...blend, weight: parseFloat(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ width: '40px', textAlign: 'right' }}>{blend.weight.toFixed(2)}</span>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+// Clip browser and playback timeline for the animated model
+export default function AnimationPanel({
+  clips,
+  clipName,
+  onClipChange,
+  playing,
+  onPlayingChange,
+  speed,
+  onSpeedChange,
+  loopMode,
+  onLoopModeChange,
+  crossfade,
+  onCrossfadeChange,
+  blend,
+  onBlendChange,
+  onPreviewTransition,
+  previewing = false,
+  onEndPreview,
+  playbackRef
+}) {
+  const time = usePlaybackTime(playbackRef);
+
+  if (!clips || clips.length === 0) return null;
+
+  const activeName = clips.some(clip => clip.name === clipName) ? clipName : clips[0].name;
+  const activeClip = clips.find(clip => clip.name === activeName);
+  const duration = activeClip.duration;
+
+  const handlePlayToggle = () => {
+    const playback = playbackRef.current;
+    // A finished "once" clip restarts from the beginning
+    if (!playing && playback && loopMode === 'once' && playback.getTime() >= duration) {
+      playback.seek(0);
+    }
+    onPlayingChange(!playing);
+  };
+
+  const handleStep = (frames) => {
+    onPlayingChange(false);
+    if (playbackRef.current) {
+      playbackRef.current.step(frames);
+    }
+  };
+
+  const handleScrub = (e) => {
+    onPlayingChange(false);
+    if (playbackRef.current) {
+      playbackRef.current.seek(parseFloat(e.target.value));
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ fontSize: '14px', marginBottom: '10px', color: '#4ecdc4' }}>
+        🎞️ Animation Clips ({clips.length})
+      </div>
+
+      <div style={{ maxHeight: '160px', overflowY: 'auto', marginBottom: '10px' }}>
+        {clips.map(clip => (
+          <div
+            key={clip.name}
+            role="button"
+            tabIndex={0}
+            aria-pressed={clip.name === activeName}
+            onClick={() => onClipChange(clip.name)}
+            onKeyDown={activateOnKey(() => onClipChange(clip.name))}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              padding: '4px 6px',
+              marginBottom: '2px',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              background: clip.name === activeName ? 'rgba(78, 205, 196, 0.25)' : 'transparent',
+              color: clip.name === activeName ? '#4ecdc4' : '#ccc'
+            }}
+          >
+            <span>{clip.name || '(unnamed)'}</span>
+            <span>{clip.duration.toFixed(2)}s</span>
+          </div>
+        ))}
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={1 / DEFAULT_FPS}
+        value={Math.min(time, duration)}
+        onChange={handleScrub}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#ccc', marginBottom: '10px' }}>
+        <span>{formatTime(Math.min(time, duration))}</span>
+        <span>{formatTime(duration)}</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+        <button style={buttonStyle(false)} onClick={() => handleStep(-1)} title="Previous frame" aria-label="Previous frame">⏮️</button>
+        <button style={{ ...buttonStyle(playing), flex: 1 }} onClick={handlePlayToggle} aria-label={playing ? 'Pause' : 'Play'}>
+          {playing ? '⏸️ Pause' : '▶️ Play'}
+        </button>
+        <button style={buttonStyle(false)} onClick={() => handleStep(1)} title="Next frame" aria-label="Next frame">⏭️</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+        {Object.entries(LOOP_MODES).map(([mode, { label }]) => (
+          <button
+            key={mode}
+            style={{ ...buttonStyle(loopMode === mode), flex: 1 }}
+            onClick={() => onLoopModeChange(mode)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ color: '#ccc' }}>Speed:</span>
+        <select
+          value={speed}
+          onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+          style={selectStyle}
+        >
+          {SPEEDS.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+      </div>
+
+      <TransitionControls
+        clips={clips}
+        activeName={activeName}
+        crossfade={crossfade}
+        onCrossfadeChange={onCrossfadeChange}
+        blend={blend}
+        onBlendChange={onBlendChange}
+        onPreviewTransition={onPreviewTransition}
+        previewing={previewing}
+        onEndPreview={onEndPreview}
+      />
+    </div>
+  );
+}
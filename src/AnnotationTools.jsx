@@ -0,0 +1,354 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import { annotationFileName, annotationsToJson, localPosition, parseAnnotations, resolveNode } from './annotations';
+import { downloadFile } from './report';
+
+const PIN_COLOR = '#ff6b6b';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '4px 6px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+};
+
+function formatTime(seconds) {
+  return `${seconds.toFixed(2)}s`;
+}
+
+// One numbered pin, kept on its bone or node as the model animates
+function Pin({ scene, annotation, number, selected, onSelect }) {
+  const groupRef = useRef();
+  const node = useMemo(() => resolveNode(scene, annotation.node), [scene, annotation.node]);
+  const local = useMemo(() => localPosition(annotation), [annotation]);
+
+  useFrame(() => {
+    if (groupRef.current && node) groupRef.current.position.copy(node.localToWorld(local.clone()));
+  });
+
+  if (!node) return null;
+
+  return (
+    <group ref={groupRef}>
+      <Html center>
+        <button
+          onClick={() => onSelect(annotation)}
+          aria-label={`Annotation ${number}: ${annotation.comment}`}
+          title={annotation.author ? `${annotation.comment} (${annotation.author})` : annotation.comment}
+          style={{
+            width: '22px',
+            height: '22px',
+            padding: 0,
+            borderRadius: '50%',
+            border: '2px solid white',
+            background: selected ? '#4ecdc4' : PIN_COLOR,
+            color: 'white',
+            cursor: 'pointer',
+            fontSize: '11px',
+            fontWeight: 'bold',
+            fontFamily: 'monospace',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.6)'
+          }}
+        >
+          {number}
+        </button>
+      </Html>
+    </group>
+  );
+}
+
+// The pins of one model, numbered in list order
+export function AnnotationPins({ scene, annotations, selectedId, onSelect }) {
+  return (
+    <group userData={{ hideInCapture: true }}>
+      {annotations.map((annotation, index) => (
+        <Pin
+          key={annotation.id}
+          scene={scene}
+          annotation={annotation}
+          number={index + 1}
+          selected={annotation.id === selectedId}
+          onSelect={onSelect}
+        />
+      ))}
+    </group>
+  );
+}
+
+// Writing or editing a comment in place. Enter saves and Escape cancels.
+function CommentForm({ label, initialComment = '', submitLabel, onSubmit, onCancel }) {
+  const [comment, setComment] = useState(initialComment);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(comment);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={rowStyle}>
+      <input
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+        }}
+        aria-label={label}
+        placeholder="Comment"
+        autoFocus
+        style={inputStyle}
+      />
+      <button type="submit" style={smallButtonStyle}>{submitLabel}</button>
+      <button type="button" onClick={onCancel} aria-label="Cancel" style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}>
+        ✕
+      </button>
+    </form>
+  );
+}
+
+function ModelAnnotations({ model, annotations, onAnnotationsChange, draft, onDraftSubmit, onDraftCancel, selectedId, onSelect, onMessage, onError }) {
+  const importInputRef = useRef(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const handleEdit = (annotation, comment) => {
+    setEditingId(null);
+    onAnnotationsChange(annotations.map(item => (item.id === annotation.id ? { ...item, comment: comment.trim() } : item)));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseAnnotations(await file.text());
+      const ids = new Set(imported.map(item => item.id));
+      onAnnotationsChange([...annotations.filter(item => !ids.has(item.id)), ...imported]);
+      onMessage(`Imported ${imported.length} annotation${imported.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Failed to import annotations:', err);
+      onError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div style={sectionTitleStyle}>📍 {model.name} ({annotations.length})</div>
+      {annotations.length === 0 && (
+        <div style={{ color: '#999', marginBottom: '6px' }}>No annotations yet</div>
+      )}
+      {annotations.map((annotation, index) => {
+        const selected = annotation.id === selectedId;
+        if (annotation.id === editingId) {
+          return (
+            <CommentForm
+              key={annotation.id}
+              label={`Comment for annotation ${index + 1}`}
+              initialComment={annotation.comment}
+              submitLabel="Save"
+              onSubmit={(comment) => handleEdit(annotation, comment)}
+              onCancel={() => setEditingId(null)}
+            />
+          );
+        }
+        return (
+          <div
+            key={annotation.id}
+            style={{
+              marginBottom: '6px',
+              padding: '6px',
+              borderRadius: '4px',
+              background: selected ? 'rgba(78, 205, 196, 0.25)' : 'rgba(255,255,255,0.05)'
+            }}
+          >
+            <div style={rowStyle}>
+              <button
+                onClick={() => onSelect(annotation)}
+                aria-pressed={selected}
+                title="Fly to this annotation"
+                style={{ ...smallButtonStyle, flex: 1, minWidth: 0, textAlign: 'left', background: 'none', padding: 0, whiteSpace: 'normal' }}
+              >
+                <span style={{ color: selected ? '#4ecdc4' : PIN_COLOR, fontWeight: 'bold' }}>#{index + 1}</span> {annotation.comment || '(no comment)'}
+              </button>
+              <button onClick={() => setEditingId(annotation.id)} aria-label={`Edit annotation ${index + 1}`} style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}>
+                ✏️
+              </button>
+              <button
+                onClick={() => onAnnotationsChange(annotations.filter(item => item.id !== annotation.id))}
+                aria-label={`Delete annotation ${index + 1}`}
+                style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ color: '#999', fontSize: '10px' }}>
+              {[
+                annotation.author || 'Anonymous',
+                annotation.clip !== null && annotation.clip !== undefined && `${annotation.clip || '(unnamed)'} @ ${formatTime(annotation.time)}`,
+                annotation.createdAt && new Date(annotation.createdAt).toLocaleString()
+              ].filter(Boolean).join(' · ')}
+            </div>
+          </div>
+        );
+      })}
+      {draft && (
+        <div style={{ marginBottom: '6px', padding: '6px', borderRadius: '4px', background: 'rgba(78, 205, 196, 0.25)' }}>
+          <div style={{ color: '#4ecdc4', marginBottom: '4px' }}>#{annotations.length + 1} New pin</div>
+          <CommentForm
+            key={draft.id}
+            label="Comment for the new pin"
+            submitLabel="📍 Pin"
+            onSubmit={onDraftSubmit}
+            onCancel={onDraftCancel}
+          />
+        </div>
+      )}
+      <div style={rowStyle}>
+        <button
+          onClick={() => downloadFile(annotationFileName(model.path), annotationsToJson(model.path, annotations), 'application/json')}
+          disabled={annotations.length === 0}
+          title={`Save as ${annotationFileName(model.path)} next to the model to share it`}
+          style={smallButtonStyle}
+        >
+          ⬇️ Export
+        </button>
+        <button onClick={() => importInputRef.current.click()} style={smallButtonStyle}>📥 Import</button>
+        <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+    </>
+  );
+}
+
+// Review comments pinned to the loaded models: dropping pins, the list with
+// fly-to, and JSON files that travel next to the model
+export default function AnnotationPanel({
+  models,
+  annotations,
+  onAnnotationsChange,
+  annotating,
+  onAnnotatingChange,
+  draft,
+  onDraftSubmit,
+  onDraftCancel,
+  selectedId,
+  onSelect,
+  author,
+  onAuthorChange,
+  onClose
+}) {
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const messageTimeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(messageTimeoutRef.current), []);
+
+  const showMessage = (text) => {
+    clearTimeout(messageTimeoutRef.current);
+    setError(null);
+    setMessage(text);
+    messageTimeoutRef.current = setTimeout(() => setMessage(null), 2000);
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>💬 Annotations</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <label style={{ ...rowStyle, color: '#ccc' }}>
+        Author
+        <input
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+          placeholder="Your name"
+          style={inputStyle}
+        />
+      </label>
+
+      <button
+        onClick={() => onAnnotatingChange(!annotating)}
+        aria-pressed={annotating}
+        disabled={models.length === 0}
+        style={{ ...smallButtonStyle, width: '100%', padding: '8px', marginTop: '4px', background: annotating ? '#4ecdc4' : '#555', fontWeight: 'bold', fontSize: '12px' }}
+      >
+        {annotating ? '📍 Click the model to drop a pin' : '📍 Add Pins'}
+      </button>
+      <div style={{ color: '#999', fontSize: '10px', marginTop: '4px' }}>
+        Pins follow the bone under the click and remember the camera and clip time. Write the comment below to keep a pin.
+      </div>
+
+      {models.length === 0 && (
+        <div style={{ color: '#999', marginTop: '10px' }}>Waiting for a model to load…</div>
+      )}
+      {models.map(model => (
+        <ModelAnnotations
+          key={model.id}
+          model={model}
+          annotations={annotations[model.path] || []}
+          onAnnotationsChange={(list) => onAnnotationsChange(model.path, list)}
+          draft={draft && draft.path === model.path ? draft.annotation : null}
+          onDraftSubmit={onDraftSubmit}
+          onDraftCancel={onDraftCancel}
+          selectedId={selectedId}
+          onSelect={onSelect}
+          onMessage={showMessage}
+          onError={setError}
+        />
+      ))}
+
+      {message && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(78, 205, 196, 0.3)', borderRadius: '4px' }}>
+          ✅ {message}
+        </div>
+      )}
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
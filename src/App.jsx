@@ -2,7 +2,7 @@
 import MonsterViewer from './MonsterViewer'
 
 function App() {
-  return <MonsterViewer />
+  return <MonsterViewer syncUrl style={{ width: '100vw', height: '100vh' }} />
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,248 @@
+import { useEffect, useRef, useState } from 'react';
+import { PHASES, PHASE_LABELS, runBenchmark } from './benchmark';
+
+const MAX_ITERATIONS = 50;
+
+const inputStyle = {
+  width: '50px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '2px 4px'
+};
+
+const cellStyle = {
+  padding: '3px 6px',
+  textAlign: 'right',
+  borderBottom: '1px solid #333'
+};
+
+function formatMs(value) {
+  return value === undefined || value === null ? '—' : `${value.toFixed(1)}`;
+}
+
+function clampIterations(value) {
+  return Math.max(0, Math.min(MAX_ITERATIONS, parseInt(value, 10) || 0));
+}
+
+function ResultsTable({ result, isFastest }) {
+  const runs = ['cold', 'warm'].filter(run => result[run].length > 0);
+
+  return (
+    <div style={{ marginBottom: '12px' }}>
+      <div style={{ fontSize: '12px', color: isFastest ? '#4ecdc4' : 'white', marginBottom: '4px', textAlign: 'left' }}>
+        {isFastest && '🏆 '}{result.name}
+        <span style={{ color: '#999', fontSize: '10px' }}> · {(result.cold[0] || result.warm[0]).bytes.toLocaleString()} bytes</span>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px' }}>
+        <thead>
+          <tr style={{ color: '#4ecdc4' }}>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>Phase (ms)</th>
+            {runs.map(run => (
+              <th key={run} colSpan={3} style={cellStyle}>
+                {run === 'cold' ? '🧊 Cold' : '🔥 Warm'} (n={result[run].length})
+              </th>
+            ))}
+          </tr>
+          <tr style={{ color: '#999' }}>
+            <th style={cellStyle} />
+            {runs.map(run => ['median', 'p95', 'σ'].map(stat => (
+              <th key={`${run}-${stat}`} style={cellStyle}>{stat}</th>
+            )))}
+          </tr>
+        </thead>
+        <tbody>
+          {PHASES.map(phase => (
+            <tr key={phase} style={{ fontWeight: phase === 'total' ? 'bold' : 'normal' }}>
+              <td style={{ ...cellStyle, textAlign: 'left', color: '#ccc' }}>{PHASE_LABELS[phase]}</td>
+              {runs.map(run => {
+                const stats = result.summary[run][phase];
+                return [
+                  <td key={`${run}-median`} style={cellStyle}>{formatMs(stats.median)}</td>,
+                  <td key={`${run}-p95`} style={cellStyle}>{formatMs(stats.p95)}</td>,
+                  <td key={`${run}-sd`} style={{ ...cellStyle, color: '#999' }}>{formatMs(stats.stdDev)}</td>
+                ];
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Repeated cold/warm load measurements with per-phase statistics
+export default function BenchmarkPanel({ models, rendererRef, results, onResultsChange, onClose }) {
+  const [coldIterations, setColdIterations] = useState(5);
+  const [warmIterations, setWarmIterations] = useState(5);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop a running benchmark when the panel closes
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const isRunning = progress !== null && progress.phase !== 'done';
+
+  const handleRun = async () => {
+    const renderer = rendererRef.current;
+    if (!renderer) {
+      setError('Renderer is not ready yet');
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ completed: 0, total: 1, model: null, phase: 'starting' });
+
+    try {
+      const benchmark = await runBenchmark({
+        models,
+        renderer,
+        coldIterations,
+        warmIterations,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      onResultsChange({
+        runAt: new Date().toISOString(),
+        coldIterations,
+        warmIterations,
+        models: benchmark
+      });
+    } catch (err) {
+      // Cancelling is not an error
+      if (err.name !== 'AbortError') {
+        console.error('Benchmark failed:', err);
+        setError(err.message);
+      }
+      setProgress(null);
+    } finally {
+      abortRef.current = null;
+    }
+  };
+
+  const resultList = results ? Object.values(results.models) : [];
+  const totals = resultList.map(result => {
+    const summary = result.summary.cold.total || result.summary.warm.total;
+    return summary ? summary.median : Infinity;
+  });
+  const fastestIndex = totals.indexOf(Math.min(...totals));
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: '560px',
+      maxWidth: 'calc(100% - 20px)',
+      boxSizing: 'border-box',
+      maxHeight: '60vh',
+      overflowY: 'auto',
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '20px',
+      borderRadius: '12px',
+      fontSize: '12px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '2px solid #4ecdc4',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.5)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '12px' }}>
+        <div style={{ flex: 1, fontSize: '16px', color: '#4ecdc4' }}>🧪 Loading Benchmark</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ color: '#ccc', fontSize: '10px', marginBottom: '10px' }}>
+        Models: {models.map(model => model.name).join(', ') || 'none loaded'}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+        <label>
+          Cold runs{' '}
+          <input
+            type="number"
+            min={0}
+            max={MAX_ITERATIONS}
+            value={coldIterations}
+            disabled={isRunning}
+            onChange={(e) => setColdIterations(clampIterations(e.target.value))}
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          Warm runs{' '}
+          <input
+            type="number"
+            min={0}
+            max={MAX_ITERATIONS}
+            value={warmIterations}
+            disabled={isRunning}
+            onChange={(e) => setWarmIterations(clampIterations(e.target.value))}
+            style={inputStyle}
+          />
+        </label>
+        <div style={{ flex: 1 }} />
+        {isRunning ? (
+          <button
+            onClick={() => abortRef.current && abortRef.current.abort()}
+            style={{ padding: '8px 16px', background: '#ff6b6b', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: 'bold' }}
+          >
+            ⏹️ Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={models.length === 0 || coldIterations + warmIterations === 0}
+            style={{ padding: '8px 16px', background: '#4ecdc4', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: 'bold' }}
+          >
+            ▶️ Run Benchmark
+          </button>
+        )}
+      </div>
+
+      {isRunning && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ color: '#ccc', marginBottom: '4px' }}>
+            {progress.model ? `${progress.model} · ${progress.phase} run` : 'Preparing…'} ({progress.completed}/{progress.total})
+          </div>
+          <div style={{ height: '4px', background: '#333', borderRadius: '2px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${(progress.completed / progress.total) * 100}%`,
+              height: '100%',
+              background: 'linear-gradient(90deg, #ff6b6b, #4ecdc4)'
+            }} />
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div style={{ marginBottom: '12px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {resultList.map((result, index) => (
+        <ResultsTable key={result.id} result={result} isFastest={resultList.length > 1 && index === fastestIndex} />
+      ))}
+
+      {results && (
+        <div style={{ color: '#999', fontSize: '10px' }}>
+          Run at {new Date(results.runAt).toLocaleString()} · cold runs bypass the loader, HTTP and offline caches
+        </div>
+      )}
+    </div>
+  );
+}
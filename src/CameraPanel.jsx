@@ -0,0 +1,369 @@
+import { useEffect, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import {
+  BUILTIN_BOOKMARKS,
+  TRANSITION_SECONDS,
+  bookmarksToJson,
+  easeInOut,
+  loadSavedBookmarks,
+  parseBookmarks,
+  storeSavedBookmarks
+} from './cameraBookmarks';
+import { downloadFile } from './report';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '4px 6px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+// Leaves some space around framed models
+const FRAME_MARGIN = 1.1;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Reads the orbit pose, flies the camera to bookmarks and moves it for
+// keyboard controls. The handle is exposed through cameraRef for panels,
+// shortcuts and URL syncing outside the Canvas.
+export function CameraRig({ cameraRef }) {
+  const get = useThree(state => state.get);
+  const transitionRef = useRef(null);
+
+  useEffect(() => {
+    cameraRef.current = {
+      getPose: () => {
+        const { camera, controls } = get();
+        return {
+          position: camera.position.toArray().map(round),
+          target: controls ? controls.target.toArray().map(round) : [0, 0, 0]
+        };
+      },
+      flyTo: (pose, duration = TRANSITION_SECONDS) => {
+        const { camera, controls } = get();
+        transitionRef.current = {
+          duration,
+          elapsed: 0,
+          fromPosition: camera.position.clone(),
+          fromTarget: controls ? controls.target.clone() : new THREE.Vector3(),
+          toPosition: new THREE.Vector3(...pose.position),
+          toTarget: new THREE.Vector3(...pose.target)
+        };
+      },
+      // Turns the camera around the orbit target, within the controls' limits
+      orbit: (azimuth, polar) => {
+        const { camera, controls } = get();
+        if (!controls) return;
+        transitionRef.current = null;
+        const offset = camera.position.clone().sub(controls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta += azimuth;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar, controls.minPolarAngle, controls.maxPolarAngle);
+        camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+        controls.update();
+      },
+      // Moves the camera towards (factor < 1) or away from the orbit target
+      dolly: (factor) => {
+        const { camera, controls } = get();
+        if (!controls) return;
+        transitionRef.current = null;
+        const offset = camera.position.clone().sub(controls.target);
+        offset.setLength(THREE.MathUtils.clamp(offset.length() * factor, controls.minDistance, controls.maxDistance));
+        camera.position.copy(controls.target).add(offset);
+        controls.update();
+      },
+      // Flies to fit the objects' bounds, keeping the current view direction
+      frame: (objects) => {
+        const { camera, controls } = get();
+        const box = new THREE.Box3();
+        objects.forEach(object => box.expandByObject(object));
+        if (box.isEmpty()) return;
+
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const fov = THREE.MathUtils.degToRad(camera.fov);
+        const fit = Math.min(fov, 2 * Math.atan(Math.tan(fov / 2) * camera.aspect));
+        const distance = (sphere.radius / Math.sin(fit / 2)) * FRAME_MARGIN;
+        const target = controls ? controls.target : new THREE.Vector3();
+        const direction = camera.position.clone().sub(target).normalize();
+        cameraRef.current.flyTo({
+          position: sphere.center.clone().addScaledVector(direction, distance).toArray(),
+          target: sphere.center.toArray()
+        });
+      }
+    };
+    return () => {
+      cameraRef.current = null;
+    };
+  }, [get, cameraRef]);
+
+  useFrame(({ camera, controls }, delta) => {
+    const transition = transitionRef.current;
+    if (!transition) return;
+
+    transition.elapsed += delta;
+    const progress = transition.duration > 0 ? Math.min(transition.elapsed / transition.duration, 1) : 1;
+    const t = easeInOut(progress);
+    camera.position.lerpVectors(transition.fromPosition, transition.toPosition, t);
+    if (controls) {
+      controls.target.lerpVectors(transition.fromTarget, transition.toTarget, t);
+      controls.update();
+    } else {
+      camera.lookAt(transition.toTarget);
+    }
+
+    if (progress === 1) {
+      transitionRef.current = null;
+    }
+  });
+
+  return null;
+}
+
+// Names the view saved by "Save Current"; an empty name saves nothing
+function NameForm({ initialName, onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(name);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ ...rowStyle, marginTop: '6px' }}>
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+        }}
+        onFocus={(e) => e.target.select()}
+        aria-label="Name of the new view"
+        autoFocus
+        style={inputStyle}
+      />
+      <button type="submit" style={{ ...smallButtonStyle, background: '#4ecdc4' }}>Save</button>
+      <button type="button" onClick={onCancel} aria-label="Cancel" style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}>
+        ✕
+      </button>
+    </form>
+  );
+}
+
+// Named camera views, plus shareable links when the viewer syncs the URL
+export default function CameraPanel({ cameraRef, getShareUrl, onClose }) {
+  const [savedBookmarks, setSavedBookmarks] = useState(loadSavedBookmarks);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  // The pose "Save Current" captured, waiting for its name
+  const [draftPose, setDraftPose] = useState(null);
+  // A link the clipboard refused, shown for copying by hand
+  const [manualLink, setManualLink] = useState(null);
+  const importInputRef = useRef(null);
+  const messageTimeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(messageTimeoutRef.current), []);
+
+  const showMessage = (text) => {
+    clearTimeout(messageTimeoutRef.current);
+    setMessage(text);
+    messageTimeoutRef.current = setTimeout(() => setMessage(null), 2000);
+  };
+
+  const updateSavedBookmarks = (bookmarks) => {
+    setSavedBookmarks(bookmarks);
+    storeSavedBookmarks(bookmarks);
+  };
+
+  const handleFlyTo = (bookmark) => {
+    if (cameraRef.current) cameraRef.current.flyTo(bookmark);
+  };
+
+  const handleSave = () => {
+    if (cameraRef.current) setDraftPose(cameraRef.current.getPose());
+  };
+
+  const handleSaveName = (value) => {
+    const name = value.trim();
+    setDraftPose(null);
+    if (!name) return;
+    const bookmark = { name, ...draftPose };
+    const existing = savedBookmarks.findIndex(item => item.name === name);
+    updateSavedBookmarks(existing >= 0
+      ? savedBookmarks.map((item, index) => (index === existing ? bookmark : item))
+      : [...savedBookmarks, bookmark]);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseBookmarks(await file.text());
+      const names = new Set(imported.map(item => item.name));
+      updateSavedBookmarks([...savedBookmarks.filter(item => !names.has(item.name)), ...imported]);
+      setError(null);
+      showMessage(`Imported ${imported.length} view${imported.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Failed to import camera bookmarks:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const url = getShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setError(null);
+      setManualLink(null);
+      showMessage('Link copied to clipboard');
+    } catch (err) {
+      // Clipboard access needs a secure context; fall back to a manual copy
+      console.warn('Clipboard unavailable:', err);
+      setManualLink(url);
+    }
+  };
+
+  const bookmarkButton = (bookmark) => (
+    <button
+      onClick={() => handleFlyTo(bookmark)}
+      title={`Camera ${bookmark.position.join(', ')} → ${bookmark.target.join(', ')}`}
+      style={{ ...smallButtonStyle, flex: 1, textAlign: 'left', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+    >
+      🎯 {bookmark.name}
+    </button>
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>🔖 Views</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {getShareUrl && (
+        <>
+          <button
+            onClick={handleCopyLink}
+            style={{ ...smallButtonStyle, width: '100%', padding: '8px', background: '#4ecdc4', fontWeight: 'bold', fontSize: '12px' }}
+          >
+            🔗 Copy Link to This View
+          </button>
+          {manualLink && (
+            <div style={{ ...rowStyle, marginTop: '6px' }}>
+              <input
+                readOnly
+                value={manualLink}
+                onFocus={(e) => e.target.select()}
+                aria-label="Link to this view, copy it by hand"
+                autoFocus
+                style={inputStyle}
+              />
+              <button onClick={() => setManualLink(null)} aria-label="Close link" style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}>
+                ✕
+              </button>
+            </div>
+          )}
+          <div style={{ color: '#999', fontSize: '10px', marginTop: '4px' }}>
+            The address bar always holds the current view. Clip time is kept while paused; opened local files can&apos;t be shared.
+          </div>
+        </>
+      )}
+
+      <div style={sectionTitleStyle}>📷 Built-in</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+        {BUILTIN_BOOKMARKS.map(bookmark => (
+          <div key={bookmark.name} style={{ display: 'flex', flex: '1 1 40%' }}>{bookmarkButton(bookmark)}</div>
+        ))}
+      </div>
+
+      <div style={sectionTitleStyle}>💾 Saved ({savedBookmarks.length})</div>
+      {savedBookmarks.length === 0 && (
+        <div style={{ color: '#999', marginBottom: '6px' }}>Orbit to a view you like, then save it</div>
+      )}
+      {savedBookmarks.map(bookmark => (
+        <div key={bookmark.name} style={rowStyle}>
+          {bookmarkButton(bookmark)}
+          <button
+            onClick={() => updateSavedBookmarks(savedBookmarks.filter(item => item.name !== bookmark.name))}
+            aria-label={`Delete ${bookmark.name}`}
+            style={{ ...smallButtonStyle, background: 'none', color: '#ccc' }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ ...rowStyle, marginTop: '6px' }}>
+        <button onClick={handleSave} style={{ ...smallButtonStyle, background: '#4ecdc4' }}>➕ Save Current</button>
+        <button
+          onClick={() => downloadFile('camera-bookmarks.json', bookmarksToJson(savedBookmarks), 'application/json')}
+          disabled={savedBookmarks.length === 0}
+          style={smallButtonStyle}
+        >
+          ⬇️ Export
+        </button>
+        <button onClick={() => importInputRef.current.click()} style={smallButtonStyle}>📥 Import</button>
+        <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+      {draftPose && (
+        <NameForm initialName={`View ${savedBookmarks.length + 1}`} onSubmit={handleSaveName} onCancel={() => setDraftPose(null)} />
+      )}
+
+      {message && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(78, 205, 196, 0.3)', borderRadius: '4px' }}>
+          ✅ {message}
+        </div>
+      )}
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import { useEffect, useRef, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { CAPTURE_PRESETS, canvasToBlob, recordTurntable, renderFrame, webmMimeType } from './capture';
+import { downloadFile } from './report';
+
+const MAX_SIZE = 8192;
+
+const inputStyle = {
+  width: '56px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '2px 4px'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '6px',
+  color: '#ccc'
+};
+
+const buttonStyle = {
+  width: '100%',
+  padding: '8px 16px',
+  background: '#4ecdc4',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: 'bold'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 8px'
+};
+
+function clampSize(value) {
+  return Math.max(16, Math.min(MAX_SIZE, parseInt(value, 10) || 16));
+}
+
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+function captureFilename(extension) {
+  return `monster-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+}
+
+// Exposes the renderer, scene, camera and orbit controls to the capture panel
+export function CaptureBridge({ captureRef }) {
+  const get = useThree(state => state.get);
+
+  useEffect(() => {
+    captureRef.current = get;
+    return () => {
+      captureRef.current = null;
+    };
+  }, [get, captureRef]);
+
+  return null;
+}
+
+// PNG screenshots and turntable recordings of the viewport
+export default function CapturePanel({ captureRef, background, clips, clipName, onClipChange, playing, onPlayingChange, playbackRef, draw, onClose }) {
+  const [width, setWidth] = useState(1920);
+  const [height, setHeight] = useState(1080);
+  const [transparent, setTransparent] = useState(false);
+  const [showLabels, setShowLabels] = useState(true);
+  const [showGrid, setShowGrid] = useState(true);
+
+  const [duration, setDuration] = useState(6);
+  const [fps, setFps] = useState(30);
+  const [format, setFormat] = useState(webmMimeType() ? 'webm' : 'png');
+  const [syncClip, setSyncClip] = useState(true);
+  const [cycles, setCycles] = useState(1);
+
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop a running recording when the panel closes
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const frameOptions = { width, height, transparent, showLabels, showGrid, background, draw };
+  const hasClips = clips && clips.length > 0;
+  const activeClipName = hasClips && clips.some(clip => clip.name === clipName) ? clipName : hasClips ? clips[0].name : null;
+  const isRecording = progress !== null;
+
+  const handleScreenshot = async () => {
+    const get = captureRef.current;
+    if (!get) return;
+    setError(null);
+
+    try {
+      const { gl, scene, camera } = get();
+      const canvas = renderFrame({ gl, scene, camera, ...frameOptions });
+      downloadFile(captureFilename('png'), await canvasToBlob(canvas), 'image/png');
+    } catch (err) {
+      console.error('Screenshot failed:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleTurntable = async () => {
+    const get = captureRef.current;
+    if (!get) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress(0);
+
+    // Pause so the clip only moves when a frame is posed
+    const sync = syncClip && hasClips;
+    const wasPlaying = playing;
+    if (sync) {
+      onPlayingChange(false);
+      await nextFrame();
+      await nextFrame();
+    }
+
+    try {
+      const { gl, scene, camera, controls } = get();
+      const target = controls && controls.target ? controls.target.clone() : new THREE.Vector3();
+
+      const blob = await recordTurntable({
+        gl,
+        scene,
+        camera,
+        target,
+        duration,
+        fps,
+        format,
+        signal: controller.signal,
+        onProgress: setProgress,
+        onFrame: sync ? (fraction) => {
+          const playback = playbackRef.current;
+          if (playback) playback.seek(((fraction * cycles) % 1) * playback.duration);
+        } : undefined,
+        ...frameOptions
+      });
+
+      downloadFile(captureFilename(format === 'png' ? 'zip' : 'webm'), blob, blob.type);
+    } catch (err) {
+      // Cancelling is not an error
+      if (err.name !== 'AbortError') {
+        console.error('Turntable failed:', err);
+        setError(err.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      if (sync) onPlayingChange(wasPlaying);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>📸 Capture</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        <span>Size</span>
+        <input type="number" min={16} max={MAX_SIZE} value={width} disabled={isRecording} onChange={(e) => setWidth(clampSize(e.target.value))} style={inputStyle} />
+        ×
+        <input type="number" min={16} max={MAX_SIZE} value={height} disabled={isRecording} onChange={(e) => setHeight(clampSize(e.target.value))} style={inputStyle} />
+        <select
+          value=""
+          disabled={isRecording}
+          onChange={(e) => {
+            const preset = CAPTURE_PRESETS[parseInt(e.target.value, 10)];
+            if (!preset) return;
+            setWidth(preset.width);
+            setHeight(preset.height);
+          }}
+          style={{ ...inputStyle, width: 'auto', flex: 1 }}
+        >
+          <option value="">Presets…</option>
+          {CAPTURE_PRESETS.map((preset, index) => <option key={preset.label} value={index}>{preset.label}</option>)}
+        </select>
+      </div>
+
+      <div style={{ ...rowStyle, flexWrap: 'wrap', gap: '4px 12px' }}>
+        <label><input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} /> Transparent</label>
+        <label><input type="checkbox" checked={showLabels} onChange={(e) => setShowLabels(e.target.checked)} /> Labels</label>
+        <label><input type="checkbox" checked={showGrid} onChange={(e) => setShowGrid(e.target.checked)} /> Grid</label>
+      </div>
+
+      <button onClick={handleScreenshot} disabled={isRecording} style={buttonStyle}>
+        📸 Save PNG
+      </button>
+
+      <div style={sectionTitleStyle}>🔄 Turntable</div>
+
+      <div style={rowStyle}>
+        <label>
+          Length{' '}
+          <input type="number" min={1} max={60} value={duration} disabled={isRecording} onChange={(e) => setDuration(Math.max(1, Math.min(60, parseFloat(e.target.value) || 1)))} style={inputStyle} />s
+        </label>
+        <label>
+          FPS{' '}
+          <select value={fps} disabled={isRecording} onChange={(e) => setFps(parseInt(e.target.value, 10))} style={{ ...inputStyle, width: 'auto' }}>
+            {[24, 30, 60].map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <select value={format} disabled={isRecording} onChange={(e) => setFormat(e.target.value)} style={{ ...inputStyle, width: 'auto', flex: 1 }}>
+          <option value="webm" disabled={!webmMimeType()}>WebM</option>
+          <option value="png">PNG sequence</option>
+        </select>
+      </div>
+
+      {hasClips && (
+        <>
+          <div style={rowStyle}>
+            <label style={{ whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={syncClip} disabled={isRecording} onChange={(e) => setSyncClip(e.target.checked)} /> Sync clip
+            </label>
+            <select
+              value={activeClipName}
+              disabled={isRecording || !syncClip}
+              onChange={(e) => onClipChange(e.target.value)}
+              style={{ ...inputStyle, width: 'auto', flex: 1, minWidth: 0 }}
+            >
+              {clips.map(clip => <option key={clip.name} value={clip.name}>{clip.name}</option>)}
+            </select>
+          </div>
+          {syncClip && (
+            <div style={rowStyle}>
+              <label>
+                Loops per turn{' '}
+                <input type="number" min={1} max={20} value={cycles} disabled={isRecording} onChange={(e) => setCycles(Math.max(1, Math.min(20, parseInt(e.target.value, 10) || 1)))} style={inputStyle} />
+              </label>
+            </div>
+          )}
+        </>
+      )}
+
+      {isRecording ? (
+        <>
+          <div style={{ height: '4px', background: '#333', borderRadius: '2px', overflow: 'hidden', margin: '4px 0 8px' }}>
+            <div style={{ width: `${progress * 100}%`, height: '100%', background: 'linear-gradient(90deg, #ff6b6b, #4ecdc4)' }} />
+          </div>
+          <button onClick={() => abortRef.current && abortRef.current.abort()} style={{ ...buttonStyle, background: '#ff6b6b' }}>
+            ⏹️ Cancel
+          </button>
+        </>
+      ) : (
+        <button onClick={handleTurntable} style={buttonStyle}>
+          🎥 Record Turntable
+        </button>
+      )}
+
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import { useEffect, useId, useRef, useState } from 'react';
+import { filterCommands, formatShortcut } from './shortcuts';
+
+const backdropStyle = {
+  position: 'absolute',
+  inset: 0,
+  zIndex: 30,
+  display: 'flex',
+  justifyContent: 'center',
+  alignItems: 'flex-start',
+  paddingTop: '90px',
+  background: 'rgba(0,0,0,0.5)'
+};
+
+const dialogStyle = {
+  width: '460px',
+  maxWidth: 'calc(100% - 40px)',
+  maxHeight: 'calc(100% - 130px)',
+  display: 'flex',
+  flexDirection: 'column',
+  background: 'rgba(0,0,0,0.95)',
+  color: 'white',
+  padding: '15px',
+  borderRadius: '10px',
+  fontSize: '11px',
+  fontFamily: 'monospace',
+  backdropFilter: 'blur(10px)',
+  border: '1px solid #4ecdc4',
+  boxShadow: '0 4px 20px rgba(0,0,0,0.5)'
+};
+
+const keyStyle = {
+  padding: '1px 5px',
+  marginLeft: '4px',
+  border: '1px solid #666',
+  borderRadius: '3px',
+  background: '#333',
+  color: '#ccc',
+  fontSize: '10px',
+  whiteSpace: 'nowrap'
+};
+
+// Focuses the dialog on open and hands focus back to whatever had it on close
+function useDialogFocus(initialRef) {
+  useEffect(() => {
+    const previous = document.activeElement;
+    if (initialRef.current) initialRef.current.focus();
+    return () => {
+      if (previous && previous.isConnected && previous.focus) previous.focus();
+    };
+  }, [initialRef]);
+}
+
+function Keys({ keys }) {
+  return keys.map(item => <kbd key={item} style={keyStyle}>{formatShortcut(item)}</kbd>);
+}
+
+// Searchable list of every viewer action; arrows pick, Enter runs
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const listId = useId();
+  useDialogFocus(inputRef);
+
+  const results = filterCommands(commands, query);
+  const active = Math.min(activeIndex, results.length - 1);
+
+  useEffect(() => {
+    const option = listRef.current && listRef.current.children[active];
+    if (option) option.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) run(results[active]);
+    } else if (e.key === 'Tab') {
+      // The search field is the only stop; the list is driven by the arrows
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div style={backdropStyle} onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-label="Command palette" style={dialogStyle} onClick={(e) => e.stopPropagation()}>
+        <input
+          ref={inputRef}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls={listId}
+          aria-activedescendant={results[active] ? `${listId}-${results[active].id}` : undefined}
+          aria-label="Search commands"
+          placeholder="Type a command…"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          style={{
+            padding: '8px',
+            marginBottom: '8px',
+            background: '#333',
+            color: 'white',
+            border: '1px solid #555',
+            borderRadius: '6px',
+            fontSize: '13px',
+            fontFamily: 'monospace'
+          }}
+        />
+        <div ref={listRef} id={listId} role="listbox" aria-label="Commands" style={{ overflowY: 'auto', minHeight: 0 }}>
+          {results.map((command, index) => (
+            <div
+              key={command.id}
+              id={`${listId}-${command.id}`}
+              role="option"
+              aria-selected={index === active}
+              onClick={() => run(command)}
+              onMouseMove={() => setActiveIndex(index)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                padding: '5px 6px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                background: index === active ? 'rgba(78, 205, 196, 0.25)' : 'transparent',
+                color: index === active ? '#4ecdc4' : 'white'
+              }}
+            >
+              <span style={{ color: '#999', marginRight: '6px' }}>{command.group}:</span>
+              <span style={{ flex: 1 }}>{command.label}</span>
+              {command.keys && <Keys keys={command.keys} />}
+            </div>
+          ))}
+          {results.length === 0 && <div style={{ color: '#999', padding: '5px 6px' }}>No matching commands</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// The ? overlay: every command that has a key, by group
+export function ShortcutHelp({ commands, onClose }) {
+  const closeRef = useRef(null);
+  const titleId = useId();
+  useDialogFocus(closeRef);
+
+  const withKeys = commands.filter(command => command.keys);
+  const groups = [...new Set(withKeys.map(command => command.group))];
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' || e.key === '?') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div style={backdropStyle} onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        style={dialogStyle}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+          <div id={titleId} style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>⌨️ Keyboard Shortcuts</div>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label="Close keyboard shortcuts"
+            style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+          >
+            ✕
+          </button>
+        </div>
+        <div style={{ overflowY: 'auto', minHeight: 0 }}>
+          {groups.map(group => (
+            <div key={group} style={{ marginBottom: '10px' }}>
+              <div style={{ fontSize: '12px', color: '#4ecdc4', marginBottom: '4px' }}>{group}</div>
+              {withKeys.filter(command => command.group === group).map(command => (
+                <div key={command.id} style={{ display: 'flex', alignItems: 'center', padding: '2px 0', color: '#ccc' }}>
+                  <span style={{ flex: 1 }}>{command.label}</span>
+                  <Keys keys={command.keys} />
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
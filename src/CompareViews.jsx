@@ -0,0 +1,179 @@
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { GHOST_COLOR } from './renderPipeline';
+
+const LAYOUTS = [
+  { id: 'row', label: '↔️ Row', title: 'All models side by side in one scene' },
+  { id: 'split', label: '◫ Split', title: 'One viewport per model with a shared camera' },
+  { id: 'wipe', label: '⧉ Wipe', title: 'Drag the divider to wipe between A and B' },
+  { id: 'onion', label: '👻 Onion', title: 'B drawn as a ghost over A' }
+];
+
+const buttonStyle = (active) => ({
+  padding: '6px 10px',
+  background: active ? '#4ecdc4' : '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '11px',
+  fontWeight: 'bold'
+});
+
+// Keeps followers on the same clip time as the leader. Seeking every frame
+// means scrubbing, stepping and pausing the leader carry over too. Followers
+// only follow the leader's clip unless anyClip is set; warp stretches their
+// clip to the leader's length, as a warped crossfade does.
+export function AnimationSync({ leaderRef, followerRefs, anyClip = false, warp = false }) {
+  useFrame(() => {
+    const leader = leaderRef.current;
+    if (!leader) return;
+    const time = leader.getTime();
+    followerRefs.forEach(ref => {
+      const follower = ref.current;
+      if (!follower || (!anyClip && follower.clipName !== leader.clipName)) return;
+      const followerTime = warp && leader.duration > 0 ? (time / leader.duration) * follower.duration : time;
+      follower.seek(follower.duration > 0 ? followerTime % follower.duration : 0);
+    });
+  });
+
+  return null;
+}
+
+// Layout switcher shown under the toolbar in compare mode
+export function CompareLayoutBar({ layout, onLayoutChange, syncAnimation, onSyncAnimationChange, canSync, onSwap }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '80px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 10,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      maxWidth: 'calc(100% - 20px)',
+      boxSizing: 'border-box',
+      overflowX: 'auto',
+      whiteSpace: 'nowrap',
+      background: 'rgba(0,0,0,0.9)',
+      padding: '6px 10px',
+      borderRadius: '8px',
+      border: '1px solid #4ecdc4',
+      color: 'white',
+      fontSize: '11px',
+      fontFamily: 'monospace'
+    }}>
+      {LAYOUTS.map(item => (
+        <button key={item.id} title={item.title} aria-pressed={layout === item.id} onClick={() => onLayoutChange(item.id)} style={buttonStyle(layout === item.id)}>
+          {item.label}
+        </button>
+      ))}
+      {(layout === 'wipe' || layout === 'onion') && (
+        <button onClick={onSwap} title="Swap A and B" style={buttonStyle(false)}>⇄ A/B</button>
+      )}
+      {canSync && (
+        <label style={{ marginLeft: '6px', color: '#ccc' }}>
+          <input type="checkbox" checked={syncAnimation} onChange={(e) => onSyncAnimationChange(e.target.checked)} /> 🔗 Sync animation
+        </label>
+      )}
+    </div>
+  );
+}
+
+function ViewportLabel({ children, style }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '130px',
+      background: 'rgba(0,0,0,0.8)',
+      color: 'white',
+      padding: '6px 10px',
+      borderRadius: '6px',
+      fontSize: '12px',
+      fontWeight: 'bold',
+      whiteSpace: 'nowrap',
+      ...style
+    }}>
+      {children}
+    </div>
+  );
+}
+
+// DOM overlay for the overlaid layouts: per-viewport labels and the wipe handle
+export function CompareOverlay({ layout, labels, wipePosition, onWipePositionChange }) {
+  if (layout === 'row') return null;
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const bounds = e.currentTarget.parentElement.getBoundingClientRect();
+    onWipePositionChange(THREE.MathUtils.clamp((e.clientX - bounds.left) / bounds.width, 0.02, 0.98));
+  };
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none' }}>
+      {layout === 'split' && labels.map((label, index) => (
+        <div key={index}>
+          <ViewportLabel style={{ left: `${((index + 0.5) / labels.length) * 100}%`, transform: 'translateX(-50%)' }}>
+            {label}
+          </ViewportLabel>
+          {index > 0 && (
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: `${(index / labels.length) * 100}%`,
+              width: '2px',
+              background: '#4ecdc4'
+            }} />
+          )}
+        </div>
+      ))}
+
+      {layout === 'wipe' && (
+        <>
+          <ViewportLabel style={{ right: `${(1 - wipePosition) * 100 + 1}%` }}>A · {labels[0]}</ViewportLabel>
+          <ViewportLabel style={{ left: `${wipePosition * 100 + 1}%` }}>B · {labels[1]}</ViewportLabel>
+          <div
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: `${wipePosition * 100}%`,
+              width: '16px',
+              marginLeft: '-8px',
+              cursor: 'ew-resize',
+              pointerEvents: 'auto',
+              touchAction: 'none',
+              display: 'flex',
+              justifyContent: 'center'
+            }}
+          >
+            <div style={{ width: '2px', height: '100%', background: '#4ecdc4' }} />
+            <div style={{
+              position: 'absolute',
+              top: '50%',
+              width: '16px',
+              height: '32px',
+              marginTop: '-16px',
+              borderRadius: '8px',
+              background: '#4ecdc4'
+            }} />
+          </div>
+        </>
+      )}
+
+      {layout === 'onion' && (
+        <ViewportLabel style={{ left: '50%', transform: 'translateX(-50%)' }}>
+          A · {labels[0]} <span style={{ color: GHOST_COLOR }}>+ ghost B · {labels[1]}</span>
+        </ViewportLabel>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Html } from '@react-three/drei';
+import { describeLoadError } from './validation';
+
+// Error boundary for GLTF loading. Reports the specific load issues to the
+// viewer and retries by remounting through the caller's key, not a page reload.
+export default class GLTFErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.error('GLTF Error Boundary caught an error:', error, errorInfo);
+    if (this.props.onError) {
+      this.props.onError(error);
+    }
+  }
+
+  render() {
+    if (this.state.hasError) {
+      const issues = describeLoadError(this.state.error, this.props.modelPath);
+      const canRetry = this.props.onRetry && issues.some(item => item.fixable);
+
+      return (
+        <Html center position={this.props.position}>
+          <div style={{ 
+            color: 'white', 
+            textAlign: 'center', 
+            background: 'rgba(255,0,0,0.8)',
+            padding: '20px',
+            borderRadius: '10px',
+            width: '320px'
+          }}>
+            <div style={{ fontSize: '18px', marginBottom: '10px' }}>❌ {this.props.name || 'Model'} failed to load</div>
+            <div style={{ fontSize: '11px', textAlign: 'left', marginBottom: '15px', wordBreak: 'break-all' }}>
+              {issues.map((item, index) => (
+                <div key={index} style={{ marginBottom: '4px' }}>• {item.message}</div>
+              ))}
+            </div>
+            {canRetry && (
+              <button
+                style={{
+                  padding: '8px 16px',
+                  background: '#4ecdc4',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: 'pointer'
+                }}
+                onClick={this.props.onRetry}
+              >
+                Retry Loading
+              </button>
+            )}
+          </div>
+        </Html>
+      );
+    }
+
+    return this.props.children;
+  }
+}
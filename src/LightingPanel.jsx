@@ -0,0 +1,317 @@
+import { useRef, useState } from 'react';
+import {
+  BUILTIN_RIGS,
+  ENVIRONMENT_FILE_TYPES,
+  ENVIRONMENT_PRESETS,
+  LIGHT_TYPES,
+  createLight,
+  instantiateRig,
+  loadSavedRigs,
+  parseRig,
+  rigToJson,
+  storeSavedRigs
+} from './lighting';
+import { downloadFile } from './report';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const labelStyle = {
+  color: '#ccc',
+  width: '70px',
+  flexShrink: 0
+};
+
+const selectStyle = {
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+function SliderRow({ label, value, min, max, step, format = v => v.toFixed(2), onChange }) {
+  return (
+    <div style={rowStyle}>
+      <span style={labelStyle}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ flex: 1, minWidth: 0 }}
+      />
+      <span style={{ width: '36px', textAlign: 'right' }}>{format(value)}</span>
+    </div>
+  );
+}
+
+// Intensities follow three's physical units, so point and spot lights need
+// much larger values than directional ones
+function intensityRange(type) {
+  return type === 'point' || type === 'spot' ? { max: 100, step: 0.5 } : { max: 5, step: 0.05 };
+}
+
+function LightRow({ light, isSelected, onSelect, onChange, onRemove }) {
+  const info = LIGHT_TYPES[light.type];
+  const range = intensityRange(light.type);
+
+  return (
+    <div style={{
+      marginBottom: '6px',
+      padding: '6px',
+      borderRadius: '6px',
+      background: isSelected ? 'rgba(78, 205, 196, 0.2)' : 'rgba(255,255,255,0.05)'
+    }}>
+      <div style={rowStyle}>
+        <span
+          onClick={info.positional ? onSelect : undefined}
+          style={{ flex: 1, cursor: info.positional ? 'pointer' : 'default', color: isSelected ? '#4ecdc4' : 'white' }}
+          title={info.positional ? 'Select to move with the gizmo' : undefined}
+        >
+          {info.icon} {info.label}
+        </span>
+        <input type="color" value={light.color} onChange={(e) => onChange({ color: e.target.value })} />
+        {light.type === 'hemisphere' && (
+          <input type="color" value={light.groundColor} title="Ground color" onChange={(e) => onChange({ groundColor: e.target.value })} />
+        )}
+        <button onClick={onRemove} aria-label="Remove light" style={{ ...smallButtonStyle, background: 'none', color: '#ccc' }}>✕</button>
+      </div>
+      <SliderRow label="Intensity" value={light.intensity} min={0} max={range.max} step={range.step} onChange={(intensity) => onChange({ intensity })} />
+      {light.type === 'spot' && (
+        <>
+          <SliderRow label="Angle" value={light.angle} min={0.05} max={Math.PI / 2} step={0.01} onChange={(angle) => onChange({ angle })} />
+          <SliderRow label="Penumbra" value={light.penumbra} min={0} max={1} step={0.01} onChange={(penumbra) => onChange({ penumbra })} />
+        </>
+      )}
+      {info.positional && (
+        <div style={{ ...rowStyle, color: '#999' }}>
+          <span style={{ flex: 1 }}>@ {light.position.map(value => value.toFixed(1)).join(', ')}</span>
+          {info.shadows && (
+            <label style={{ color: '#ccc' }}>
+              <input type="checkbox" checked={light.castShadow} onChange={(e) => onChange({ castShadow: e.target.checked })} /> Shadows
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Environment, lights and reusable lighting rigs
+export default function LightingPanel({
+  rig,
+  onRigChange,
+  environmentFile,
+  onEnvironmentFileChange,
+  environmentError,
+  selectedLightId,
+  onSelectLight,
+  onClose
+}) {
+  const [savedRigs, setSavedRigs] = useState(loadSavedRigs);
+  const [newLightType, setNewLightType] = useState('point');
+  const [error, setError] = useState(null);
+  const environmentInputRef = useRef(null);
+  const rigInputRef = useRef(null);
+
+  const { environment } = rig;
+  const updateEnvironment = (changes) => onRigChange({ ...rig, environment: { ...environment, ...changes } });
+  const updateLight = (id, changes) => onRigChange({
+    ...rig,
+    lights: rig.lights.map(light => (light.id === id ? { ...light, ...changes } : light))
+  });
+
+  const rigOptions = [
+    ...BUILTIN_RIGS.map((item, index) => ({ key: `builtin-${index}`, label: item.name, rig: item })),
+    ...savedRigs.map((item, index) => ({ key: `saved-${index}`, label: `💾 ${item.name}`, rig: item, savedIndex: index }))
+  ];
+
+  const updateSavedRigs = (rigs) => {
+    setSavedRigs(rigs);
+    storeSavedRigs(rigs);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt('Save lighting rig as:', rig.name);
+    if (!name) return;
+    const saved = { ...rig, name };
+    const existing = savedRigs.findIndex(item => item.name === name);
+    updateSavedRigs(existing >= 0
+      ? savedRigs.map((item, index) => (index === existing ? saved : item))
+      : [...savedRigs, saved]);
+    onRigChange(saved);
+  };
+
+  const handleEnvironmentFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension !== 'hdr' && extension !== 'exr') {
+      setError(`${file.name} is not an .hdr or .exr file`);
+      return;
+    }
+    setError(null);
+    onEnvironmentFileChange({ name: file.name, extension, url: URL.createObjectURL(file) });
+  };
+
+  const handleRigImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseRig(await file.text());
+      updateSavedRigs([...savedRigs, imported]);
+      onRigChange(instantiateRig(imported));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to import lighting rig:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>💡 Lighting</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        <span style={labelStyle}>Rig</span>
+        <select
+          value=""
+          onChange={(e) => {
+            const option = rigOptions.find(item => item.key === e.target.value);
+            if (option) onRigChange(instantiateRig(option.rig));
+          }}
+          style={{ ...selectStyle, flex: 1, minWidth: 0 }}
+        >
+          <option value="">{rig.name}</option>
+          {rigOptions.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+        </select>
+      </div>
+      <div style={{ ...rowStyle, marginBottom: '8px' }}>
+        <button onClick={handleSave} style={smallButtonStyle}>💾 Save</button>
+        <button onClick={() => downloadFile(`${rig.name.replace(/\W+/g, '-').toLowerCase()}-lighting.json`, rigToJson(rig), 'application/json')} style={smallButtonStyle}>
+          ⬇️ Export
+        </button>
+        <button onClick={() => rigInputRef.current.click()} style={smallButtonStyle}>📥 Import</button>
+        {savedRigs.some(item => item.name === rig.name) && (
+          <button
+            onClick={() => updateSavedRigs(savedRigs.filter(item => item.name !== rig.name))}
+            style={{ ...smallButtonStyle, background: '#ff6b6b' }}
+          >
+            🗑️
+          </button>
+        )}
+        <input ref={rigInputRef} type="file" accept=".json,application/json" onChange={handleRigImport} style={{ display: 'none' }} />
+      </div>
+
+      <div style={sectionTitleStyle}>🌅 Environment</div>
+      <div style={rowStyle}>
+        <span style={labelStyle}>Map</span>
+        {environmentFile ? (
+          <>
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={environmentFile.name}>
+              📂 {environmentFile.name}
+            </span>
+            <button onClick={() => onEnvironmentFileChange(null)} aria-label="Remove environment map" style={{ ...smallButtonStyle, background: 'none', color: '#ccc' }}>✕</button>
+          </>
+        ) : (
+          <select value={environment.preset} onChange={(e) => updateEnvironment({ preset: e.target.value })} style={{ ...selectStyle, flex: 1 }}>
+            {ENVIRONMENT_PRESETS.map(preset => <option key={preset} value={preset}>{preset}</option>)}
+          </select>
+        )}
+        <button onClick={() => environmentInputRef.current.click()} style={smallButtonStyle} title="Load a local .hdr or .exr">📂</button>
+        <input ref={environmentInputRef} type="file" accept={ENVIRONMENT_FILE_TYPES} onChange={handleEnvironmentFile} style={{ display: 'none' }} />
+      </div>
+      {environmentFile && (
+        <div style={{ color: '#999', fontSize: '10px', marginBottom: '4px' }}>
+          Local maps aren&apos;t saved with rigs; the preset ({environment.preset}) is used instead
+        </div>
+      )}
+      <SliderRow label="Rotation" value={environment.rotation} min={0} max={360} step={1} format={v => `${v}°`} onChange={(value) => updateEnvironment({ rotation: value })} />
+      <SliderRow label="Intensity" value={environment.intensity} min={0} max={3} step={0.05} onChange={(value) => updateEnvironment({ intensity: value })} />
+      <div style={rowStyle}>
+        <label style={{ color: '#ccc' }}>
+          <input type="checkbox" checked={environment.background} onChange={(e) => updateEnvironment({ background: e.target.checked })} /> Show as background
+        </label>
+      </div>
+      {environment.background && (
+        <SliderRow label="Blur" value={environment.blur} min={0} max={1} step={0.01} onChange={(value) => updateEnvironment({ blur: value })} />
+      )}
+
+      <div style={sectionTitleStyle}>💡 Lights ({rig.lights.length})</div>
+      {rig.lights.map(light => (
+        <LightRow
+          key={light.id}
+          light={light}
+          isSelected={light.id === selectedLightId}
+          onSelect={() => onSelectLight(light.id === selectedLightId ? null : light.id)}
+          onChange={(changes) => updateLight(light.id, changes)}
+          onRemove={() => onRigChange({ ...rig, lights: rig.lights.filter(item => item.id !== light.id) })}
+        />
+      ))}
+      <div style={rowStyle}>
+        <select value={newLightType} onChange={(e) => setNewLightType(e.target.value)} style={{ ...selectStyle, flex: 1 }}>
+          {Object.entries(LIGHT_TYPES).map(([type, info]) => <option key={type} value={type}>{info.icon} {info.label}</option>)}
+        </select>
+        <button
+          onClick={() => {
+            const light = createLight(newLightType);
+            onRigChange({ ...rig, lights: [...rig.lights, light] });
+            if (LIGHT_TYPES[newLightType].positional) onSelectLight(light.id);
+          }}
+          style={{ ...smallButtonStyle, background: '#4ecdc4' }}
+        >
+          ➕ Add
+        </button>
+      </div>
+      <div style={{ color: '#999', fontSize: '10px' }}>Click a light marker in the scene, then drag its gizmo to move it</div>
+
+      {(error || environmentError) && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error || environmentError}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { Suspense, use, useState } from 'react';
+import { Environment, TransformControls } from '@react-three/drei';
+import { LIGHT_TYPES } from './lighting';
+import { environmentMapUrl } from './environmentMaps';
+
+const SHADOW_MAP_SIZE = 2048;
+const SHADOW_EXTENT = 10;
+const GIZMO_RADIUS = 0.2;
+
+// Keeps a broken environment file from taking the whole scene down
+class EnvironmentErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error) {
+    console.error('Environment failed to load:', error);
+    if (this.props.onError) {
+      this.props.onError(error);
+    }
+  }
+
+  render() {
+    return this.state.hasError ? null : this.props.children;
+  }
+}
+
+// Presets use the maps bundled with the app rather than drei's CDN copies
+function PresetEnvironment({ preset, ...props }) {
+  const files = use(environmentMapUrl(preset));
+  return <Environment files={files} {...props} />;
+}
+
+function Light({ light }) {
+  const shadowProps = light.castShadow ? {
+    castShadow: true,
+    'shadow-mapSize': [SHADOW_MAP_SIZE, SHADOW_MAP_SIZE],
+    'shadow-bias': -0.0005
+  } : {};
+
+  switch (light.type) {
+    case 'ambient':
+      return <ambientLight color={light.color} intensity={light.intensity} />;
+    case 'hemisphere':
+      return <hemisphereLight color={light.color} groundColor={light.groundColor} intensity={light.intensity} />;
+    case 'directional':
+      return (
+        <directionalLight
+          color={light.color}
+          intensity={light.intensity}
+          {...shadowProps}
+          shadow-camera-left={-SHADOW_EXTENT}
+          shadow-camera-right={SHADOW_EXTENT}
+          shadow-camera-top={SHADOW_EXTENT}
+          shadow-camera-bottom={-SHADOW_EXTENT}
+          shadow-camera-far={50}
+        />
+      );
+    case 'point':
+      return <pointLight color={light.color} intensity={light.intensity} {...shadowProps} />;
+    case 'spot':
+      return <spotLight color={light.color} intensity={light.intensity} angle={light.angle} penumbra={light.penumbra} {...shadowProps} />;
+    default:
+      return null;
+  }
+}
+
+// Lights and environment of the current rig, with clickable markers and a
+// translate gizmo for the selected light while editing
+export default function LightingRig({ rig, environmentFile, showGizmos, selectedLightId, onSelectLight, onLightMove, onEnvironmentError }) {
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const { environment } = rig;
+  const rotation = [0, (environment.rotation * Math.PI) / 180, 0];
+  const environmentProps = {
+    background: environment.background,
+    backgroundBlurriness: environment.blur,
+    backgroundRotation: rotation,
+    environmentRotation: rotation,
+    environmentIntensity: environment.intensity
+  };
+  const selectedLight = rig.lights.find(light => light.id === selectedLightId);
+
+  return (
+    <>
+      {rig.lights.map(light => {
+        const positional = LIGHT_TYPES[light.type].positional;
+        const isSelected = light.id === selectedLightId;
+        return (
+          <group
+            key={light.id}
+            position={positional ? light.position : [0, 0, 0]}
+            ref={isSelected && positional ? setSelectedGroup : undefined}
+          >
+            <Light light={light} />
+            {showGizmos && positional && (
+              <mesh
+                userData={{ hideInCapture: true }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onSelectLight(light.id);
+                }}
+              >
+                <sphereGeometry args={[GIZMO_RADIUS, 16, 16]} />
+                <meshBasicMaterial color={isSelected ? '#4ecdc4' : light.color} wireframe={!isSelected} />
+              </mesh>
+            )}
+          </group>
+        );
+      })}
+
+      {showGizmos && selectedLight && selectedGroup && (
+        <TransformControls
+          object={selectedGroup}
+          mode="translate"
+          size={0.7}
+          onMouseUp={() => onLightMove(selectedLight.id, selectedGroup.position.toArray())}
+        />
+      )}
+
+      <EnvironmentErrorBoundary key={environmentFile ? environmentFile.url : environment.preset} onError={onEnvironmentError}>
+        <Suspense fallback={null}>
+          {environmentFile ? (
+            <Environment
+              // Object URLs carry no extension, so the loader type is passed in the fragment
+              files={`${environmentFile.url}#.${environmentFile.extension}`}
+              {...environmentProps}
+            />
+          ) : (
+            <PresetEnvironment preset={environment.preset} {...environmentProps} />
+          )}
+        </Suspense>
+      </EnvironmentErrorBoundary>
+    </>
+  );
+}
@@ -0,0 +1,113 @@
+import { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { DEBUG_VIEW_MODES } from './materialUtils';
+
+const CHECKER_SIZE = 512;
+const CHECKER_CELLS = 8;
+
+// Numbered checkerboard so stretched or flipped UVs are easy to spot
+function createCheckerTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = CHECKER_SIZE;
+  canvas.height = CHECKER_SIZE;
+  const context = canvas.getContext('2d');
+  const cell = CHECKER_SIZE / CHECKER_CELLS;
+
+  for (let y = 0; y < CHECKER_CELLS; y++) {
+    for (let x = 0; x < CHECKER_CELLS; x++) {
+      context.fillStyle = (x + y) % 2 === 0 ? '#4ecdc4' : '#2a2a2a';
+      context.fillRect(x * cell, y * cell, cell, cell);
+      context.fillStyle = (x + y) % 2 === 0 ? '#1a1a1a' : '#ffffff';
+      context.font = `${cell / 3}px monospace`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(`${String.fromCharCode(65 + x)}${CHECKER_CELLS - y}`, x * cell + cell / 2, y * cell + cell / 2);
+    }
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  // glTF UVs have their origin at the top left
+  texture.flipY = false;
+  return texture;
+}
+
+function createDebugMaterial(mode, original, checker) {
+  const side = original.side;
+
+  switch (mode) {
+    case 'albedo':
+      return new THREE.MeshBasicMaterial({
+        color: original.color ? original.color.clone() : new THREE.Color('#ffffff'),
+        map: original.map || null,
+        side
+      });
+    case 'normals':
+      return new THREE.MeshNormalMaterial({ side });
+    case 'roughness': {
+      const roughness = original.roughness !== undefined ? original.roughness : 1;
+      const material = new THREE.MeshBasicMaterial({
+        color: new THREE.Color(roughness, roughness, roughness),
+        map: original.roughnessMap || null,
+        side
+      });
+      // glTF packs roughness into the green channel of the metallic-roughness map
+      material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace(
+          '#include <map_fragment>',
+          '#ifdef USE_MAP\n\tdiffuseColor.rgb *= vec3( texture2D( map, vMapUv ).g );\n#endif'
+        );
+      };
+      return material;
+    }
+    case 'uv':
+      return new THREE.MeshBasicMaterial({ map: checker, side });
+    case 'wireframe':
+      return new THREE.MeshBasicMaterial({ color: '#4ecdc4', wireframe: true });
+    default:
+      return null;
+  }
+}
+
+// Swaps every mesh material in the given scenes for a debug material, and
+// restores the originals when the mode changes or the view unmounts
+export default function MaterialDebugView({ scenes, mode }) {
+  const checker = useMemo(() => (mode === 'uv' ? createCheckerTexture() : null), [mode]);
+
+  useEffect(() => () => {
+    if (checker) checker.dispose();
+  }, [checker]);
+
+  useEffect(() => {
+    if (!DEBUG_VIEW_MODES[mode] || mode === 'none') return;
+
+    const replacements = new Map();
+    const restore = [];
+
+    const replace = (material) => {
+      if (!replacements.has(material)) {
+        replacements.set(material, createDebugMaterial(mode, material, checker));
+      }
+      return replacements.get(material);
+    };
+
+    scenes.forEach(scene => scene.traverse(object => {
+      if (!object.isMesh) return;
+      restore.push({ object, material: object.material });
+      object.material = Array.isArray(object.material)
+        ? object.material.map(replace)
+        : replace(object.material);
+    }));
+
+    return () => {
+      restore.forEach(({ object, material }) => {
+        object.material = material;
+      });
+      replacements.forEach(material => material.dispose());
+    };
+  }, [scenes, mode, checker]);
+
+  return null;
+}
@@ -0,0 +1,224 @@
+import { useMemo, useState } from 'react';
+import * as THREE from 'three';
+import { DEBUG_VIEW_MODES, collectMaterials, textureSlots, textureThumbnail } from './materialUtils';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const labelStyle = {
+  color: '#ccc',
+  width: '90px',
+  flexShrink: 0
+};
+
+const selectStyle = {
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px'
+};
+
+function SliderRow({ label, value, min = 0, max = 1, step = 0.01, onChange }) {
+  return (
+    <div style={rowStyle}>
+      <span style={labelStyle}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ flex: 1, minWidth: 0 }}
+      />
+      <span style={{ width: '36px', textAlign: 'right' }}>{value.toFixed(2)}</span>
+    </div>
+  );
+}
+
+function ColorRow({ label, color, onChange }) {
+  const hex = `#${color.getHexString()}`;
+  return (
+    <div style={rowStyle}>
+      <span style={labelStyle}>{label}</span>
+      <input type="color" value={hex} onChange={(e) => onChange(e.target.value)} />
+      <span style={{ color: '#999' }}>{hex}</span>
+    </div>
+  );
+}
+
+// Editable PBR parameters, extension values and texture maps of one material
+function MaterialDetails({ item, onEdit }) {
+  const { material, meshes, extensions } = item;
+  const maps = textureSlots(material);
+
+  const edit = (apply) => {
+    apply(material);
+    onEdit();
+  };
+
+  return (
+    <div style={{ padding: '8px', background: 'rgba(255,255,255,0.08)', borderRadius: '6px', fontSize: '10px' }}>
+      <div style={{ color: '#999', marginBottom: '6px' }}>
+        {material.type} · {material.side === THREE.DoubleSide ? 'double sided' : 'single sided'} · used by {meshes.join(', ')}
+      </div>
+
+      {material.color && (
+        <ColorRow label="Base color" color={material.color} onChange={(value) => edit(m => m.color.set(value))} />
+      )}
+      {material.roughness !== undefined && (
+        <SliderRow label="Roughness" value={material.roughness} onChange={(value) => edit(m => { m.roughness = value; })} />
+      )}
+      {material.metalness !== undefined && (
+        <SliderRow label="Metalness" value={material.metalness} onChange={(value) => edit(m => { m.metalness = value; })} />
+      )}
+      {material.specularIntensity !== undefined && (
+        <SliderRow
+          label="Specular"
+          value={material.specularIntensity}
+          onChange={(value) => edit(m => { m.specularIntensity = value; })}
+        />
+      )}
+      {material.specularColor && (
+        <ColorRow label="Specular color" color={material.specularColor} onChange={(value) => edit(m => m.specularColor.set(value))} />
+      )}
+      {material.emissive && (
+        <ColorRow label="Emissive" color={material.emissive} onChange={(value) => edit(m => m.emissive.set(value))} />
+      )}
+      <SliderRow label="Opacity" value={material.opacity} onChange={(value) => edit(m => {
+        m.opacity = value;
+        m.transparent = value < 1;
+        m.needsUpdate = true;
+      })} />
+
+      <div style={{ color: '#4ecdc4', margin: '8px 0 4px' }}>🧩 Extensions</div>
+      {Object.keys(extensions).length === 0 ? (
+        <div style={{ color: '#999' }}>None</div>
+      ) : Object.entries(extensions).map(([name, values]) => (
+        <div key={name} style={{ marginBottom: '4px' }}>
+          <div>{name}</div>
+          {Object.entries(values).map(([key, value]) => (
+            <div key={key} style={{ color: '#999', marginLeft: '10px' }}>
+              {key}: {JSON.stringify(value)}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div style={{ color: '#4ecdc4', margin: '8px 0 4px' }}>🖼️ Texture Maps</div>
+      {maps.length === 0 ? (
+        <div style={{ color: '#999' }}>No texture maps</div>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+          {maps.map(({ slot, texture }) => {
+            const thumbnail = textureThumbnail(texture);
+            const image = texture.image || {};
+            return (
+              <div key={slot} style={{ width: '64px', textAlign: 'center' }} title={texture.name || slot}>
+                {thumbnail ? (
+                  <img src={thumbnail} alt={slot} style={{ width: '64px', height: '64px', borderRadius: '4px' }} />
+                ) : (
+                  <div style={{ width: '64px', height: '64px', background: '#333', borderRadius: '4px' }} />
+                )}
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{slot}</div>
+                {image.width && <div style={{ color: '#999' }}>{image.width}×{image.height}</div>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Lists every material of the inspected model with live editing and debug views
+export default function MaterialInspector({ models, inspectedId, onInspectedChange, debugMode, onDebugModeChange }) {
+  const [expanded, setExpanded] = useState(null);
+  const [, setVersion] = useState(0);
+
+  const model = models.find(item => item.id === inspectedId) || models[0];
+  const scene = model ? model.scene : null;
+  const parser = model ? model.parser : null;
+
+  // Collected once per scene so debug view materials never show up in the list
+  const materials = useMemo(() => (scene ? collectMaterials(scene, parser) : []), [scene, parser]);
+
+  if (!model) return null;
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ fontSize: '14px', marginBottom: '8px', color: '#4ecdc4' }}>
+        🎨 Materials ({materials.length})
+      </div>
+
+      {models.length > 1 && (
+        <select
+          value={model.id}
+          onChange={(e) => onInspectedChange(e.target.value)}
+          style={{ ...selectStyle, width: '100%', marginBottom: '8px' }}
+        >
+          {models.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+        </select>
+      )}
+
+      <div style={{ ...rowStyle, marginBottom: '10px' }}>
+        <span style={{ color: '#ccc' }}>View:</span>
+        <select value={debugMode} onChange={(e) => onDebugModeChange(e.target.value)} style={{ ...selectStyle, flex: 1 }}>
+          {Object.entries(DEBUG_VIEW_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {materials.map(item => {
+        const isExpanded = expanded === item.material.uuid;
+        return (
+          <div key={item.material.uuid} style={{ marginBottom: '6px' }}>
+            <div
+              onClick={() => setExpanded(isExpanded ? null : item.material.uuid)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '4px 6px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                background: isExpanded ? 'rgba(78, 205, 196, 0.25)' : 'transparent',
+                color: isExpanded ? '#4ecdc4' : '#ccc'
+              }}
+            >
+              <span style={{ width: '10px' }}>{isExpanded ? '▾' : '▸'}</span>
+              {item.material.color && (
+                <span style={{
+                  width: '12px',
+                  height: '12px',
+                  borderRadius: '3px',
+                  border: '1px solid #666',
+                  background: `#${item.material.color.getHexString()}`
+                }} />
+              )}
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {item.material.name || '(unnamed)'}
+              </span>
+              {Object.keys(item.extensions).length > 0 && <span title="Uses glTF extensions">🧩</span>}
+            </div>
+            {isExpanded && <MaterialDetails item={item} onEdit={() => setVersion(version => version + 1)} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
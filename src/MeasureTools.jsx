@@ -0,0 +1,262 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { UNITS, formatDimensions, formatLength } from './measure';
+
+const BOX_COLOR = '#ffd93d';
+const MEASURE_COLOR = '#ff6b6b';
+const POINT_SIZE = 0.04;
+
+const tagStyle = {
+  background: 'rgba(0,0,0,0.8)',
+  padding: '2px 6px',
+  borderRadius: '4px',
+  fontSize: '10px',
+  fontFamily: 'monospace',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '6px',
+  color: '#ccc'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+function DimensionTag({ tagRef, text }) {
+  return (
+    <group ref={tagRef}>
+      <Html center style={{ pointerEvents: 'none' }}>
+        <div style={{ ...tagStyle, color: BOX_COLOR }}>{text}</div>
+      </Html>
+    </group>
+  );
+}
+
+// The model's bounds with its authored width, height and depth on the edges.
+// The box follows the model on screen; the dimensions are the loaded size in
+// model units, whatever scale it is displayed at.
+export function BoundingBoxOverlay({ scene, size, unit }) {
+  const widthRef = useRef();
+  const heightRef = useRef();
+  const depthRef = useRef();
+
+  const helper = useMemo(() => {
+    const boxHelper = new THREE.Box3Helper(new THREE.Box3(), BOX_COLOR);
+    boxHelper.material.depthTest = false;
+    boxHelper.renderOrder = 997;
+    return boxHelper;
+  }, []);
+
+  useEffect(() => () => {
+    helper.geometry.dispose();
+    helper.material.dispose();
+  }, [helper]);
+
+  useFrame(() => {
+    const { min, max } = helper.box.setFromObject(scene);
+    if (widthRef.current) widthRef.current.position.set((min.x + max.x) / 2, min.y, max.z);
+    if (heightRef.current) heightRef.current.position.set(max.x, (min.y + max.y) / 2, max.z);
+    if (depthRef.current) depthRef.current.position.set(max.x, min.y, (min.z + max.z) / 2);
+  });
+
+  return (
+    <group userData={{ hideInCapture: true }}>
+      <primitive object={helper} />
+      <DimensionTag tagRef={widthRef} text={`W ${formatLength(size.x, unit)}`} />
+      <DimensionTag tagRef={heightRef} text={`H ${formatLength(size.y, unit)}`} />
+      <DimensionTag tagRef={depthRef} text={`D ${formatLength(size.z, unit)}`} />
+    </group>
+  );
+}
+
+// The picked points and the line between them. Points are kept in the
+// model's own space, so they stay on the model when its scale is toggled.
+export function MeasureOverlay({ measurement, unit }) {
+  const markerRefs = [useRef(), useRef()];
+  const labelRef = useRef();
+  const { scene, points } = measurement;
+
+  const line = useMemo(() => {
+    const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(6, 3));
+    const material = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+    const object = new THREE.Line(geometry, material);
+    object.renderOrder = 999;
+    object.frustumCulled = false;
+    return object;
+  }, []);
+
+  useEffect(() => () => {
+    line.geometry.dispose();
+    line.material.dispose();
+  }, [line]);
+
+  useFrame(() => {
+    const world = points.map(point => scene.localToWorld(point.clone()));
+    world.forEach((point, index) => {
+      if (markerRefs[index].current) markerRefs[index].current.position.copy(point);
+    });
+
+    line.visible = world.length === 2;
+    if (world.length === 2) {
+      const position = line.geometry.getAttribute('position');
+      position.setXYZ(0, world[0].x, world[0].y, world[0].z);
+      position.setXYZ(1, world[1].x, world[1].y, world[1].z);
+      position.needsUpdate = true;
+      if (labelRef.current) labelRef.current.position.lerpVectors(world[0], world[1], 0.5);
+    }
+  });
+
+  return (
+    <group userData={{ hideInCapture: true }}>
+      {points.map((point, index) => (
+        <mesh key={index} ref={markerRefs[index]} renderOrder={999}>
+          <sphereGeometry args={[POINT_SIZE, 12, 12]} />
+          <meshBasicMaterial color={MEASURE_COLOR} depthTest={false} />
+        </mesh>
+      ))}
+      <primitive object={line} />
+      {points.length === 2 && (
+        <group ref={labelRef}>
+          <Html center style={{ pointerEvents: 'none' }}>
+            <div style={{ ...tagStyle, color: MEASURE_COLOR, fontSize: '12px' }}>
+              📏 {formatLength(points[0].distanceTo(points[1]), unit)}
+            </div>
+          </Html>
+        </group>
+      )}
+    </group>
+  );
+}
+
+// Units, scale mode, model dimensions and the two-point measuring tool
+export default function MeasurePanel({
+  models,
+  unit,
+  onUnitChange,
+  authoredScale,
+  onAuthoredScaleChange,
+  showBounds,
+  onShowBoundsChange,
+  measuring,
+  onMeasuringChange,
+  measurement,
+  onClearMeasurement,
+  onClose
+}) {
+  const distance = measurement && measurement.points.length === 2
+    ? measurement.points[0].distanceTo(measurement.points[1])
+    : null;
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>📏 Measure</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        Units
+        {Object.keys(UNITS).map(key => (
+          <button
+            key={key}
+            onClick={() => onUnitChange(key)}
+            aria-pressed={unit === key}
+            style={{ ...smallButtonStyle, background: unit === key ? '#4ecdc4' : '#555' }}
+          >
+            {UNITS[key].label}
+          </button>
+        ))}
+      </div>
+      <div style={rowStyle}>
+        Scale
+        <button
+          onClick={() => onAuthoredScaleChange(false)}
+          aria-pressed={!authoredScale}
+          style={{ ...smallButtonStyle, background: !authoredScale ? '#4ecdc4' : '#555' }}
+        >
+          Normalized
+        </button>
+        <button
+          onClick={() => onAuthoredScaleChange(true)}
+          aria-pressed={authoredScale}
+          style={{ ...smallButtonStyle, background: authoredScale ? '#4ecdc4' : '#555' }}
+        >
+          Authored
+        </button>
+      </div>
+      <label style={rowStyle}>
+        <input type="checkbox" checked={showBounds} onChange={(e) => onShowBoundsChange(e.target.checked)} />
+        Show bounding boxes
+      </label>
+
+      <div style={sectionTitleStyle}>📦 Dimensions (W × H × D)</div>
+      {models.length === 0 && <div style={{ color: '#999' }}>No model loaded</div>}
+      {models.map(model => (
+        <div key={model.id} style={{ marginBottom: '6px' }}>
+          <div style={{ color: '#4ecdc4' }}>{model.name}</div>
+          <div>{formatDimensions(model.size, unit)}</div>
+          <div style={{ color: '#999' }}>
+            Shown at {authoredScale ? '1' : model.scale.toFixed(4)}× ({authoredScale ? 'authored' : 'normalized to 3 units'})
+          </div>
+        </div>
+      ))}
+
+      <div style={sectionTitleStyle}>📐 Distance</div>
+      <button
+        onClick={() => onMeasuringChange(!measuring)}
+        aria-pressed={measuring}
+        style={{ ...smallButtonStyle, width: '100%', padding: '6px', background: measuring ? '#4ecdc4' : '#555' }}
+      >
+        {measuring ? '🎯 Click two points on a model' : '📐 Start Measuring'}
+      </button>
+      {measurement && (
+        <div style={{ ...rowStyle, marginTop: '6px' }}>
+          <div style={{ flex: 1 }}>
+            {distance !== null
+              ? <>{measurement.modelName}: <span style={{ color: MEASURE_COLOR, fontSize: '13px' }}>{formatLength(distance, unit)}</span></>
+              : 'Pick the second point'}
+          </div>
+          <button onClick={onClearMeasurement} style={smallButtonStyle}>Clear</button>
+        </div>
+      )}
+      <div style={{ color: '#999', fontSize: '10px', marginTop: '6px' }}>
+        Lengths are in the model&apos;s own units, which glTF defines as meters.
+      </div>
+    </div>
+  );
+}
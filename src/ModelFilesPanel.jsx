@@ -0,0 +1,119 @@
+import { useRef } from 'react';
+import { ACCEPTED_FILE_TYPES, collectPickedFiles } from './modelFiles';
+import { activateOnKey } from './shortcuts';
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// File picker plus the list of recently opened model files
+export default function ModelFilesPanel({ recent, activeId, error, onOpenFiles, onSelect, onRemove }) {
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    const entries = collectPickedFiles(e.target.files);
+    if (entries.length > 0) {
+      onOpenFiles(entries);
+    }
+    // Allow picking the same files again
+    e.target.value = '';
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        onChange={handleChange}
+        style={{ display: 'none' }}
+      />
+      <button
+        onClick={() => inputRef.current.click()}
+        style={{
+          width: '100%',
+          padding: '8px 16px',
+          background: '#4ecdc4',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          fontSize: '12px',
+          fontWeight: 'bold'
+        }}
+      >
+        📂 Open glTF / GLB
+      </button>
+      <div style={{ fontSize: '10px', color: '#ccc', marginTop: '6px' }}>
+        …or drop a .glb, or a .gltf with its .bin and textures, onto the viewer
+      </div>
+
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <>
+          <div style={{ fontSize: '12px', color: '#4ecdc4', margin: '12px 0 6px' }}>🕘 Recent Files</div>
+          {recent.map(item => {
+            const totalSize = item.files.reduce((sum, file) => sum + file.size, 0);
+            return (
+              <div
+                key={item.id}
+                role="button"
+                tabIndex={0}
+                aria-pressed={item.id === activeId}
+                onClick={() => onSelect(item.id)}
+                onKeyDown={activateOnKey(() => onSelect(item.id))}
+                title={item.files.map(file => file.path).join('\n')}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '4px 6px',
+                  marginBottom: '2px',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  background: item.id === activeId ? 'rgba(78, 205, 196, 0.25)' : 'transparent',
+                  color: item.id === activeId ? '#4ecdc4' : '#ccc'
+                }}
+              >
+                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {item.name}
+                </span>
+                <span style={{ fontSize: '10px' }}>
+                  {item.files.length} · {formatBytes(totalSize)}
+                </span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemove(item.id);
+                  }}
+                  title="Remove from list"
+                  aria-label={`Remove ${item.name} from list`}
+                  style={{ background: 'none', border: 'none', color: '#ff6b6b', cursor: 'pointer', padding: '0 2px' }}
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
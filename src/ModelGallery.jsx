@@ -0,0 +1,246 @@
+import { useMemo, useState } from 'react';
+import { activateOnKey } from './shortcuts';
+
+const tagStyle = (active) => ({
+  padding: '2px 8px',
+  background: active ? '#4ecdc4' : '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '10px',
+  cursor: 'pointer',
+  fontSize: '10px'
+});
+
+function Thumbnail({ src, name }) {
+  const [failed, setFailed] = useState(false);
+
+  if (!src || failed) {
+    return (
+      <div style={{
+        width: '40px',
+        height: '40px',
+        flexShrink: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: '#333',
+        borderRadius: '6px',
+        fontSize: '20px'
+      }}>
+        🧌
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={src}
+      alt={name}
+      onError={() => setFailed(true)}
+      style={{ width: '40px', height: '40px', flexShrink: 0, objectFit: 'cover', borderRadius: '6px' }}
+    />
+  );
+}
+
+// Searchable, tag-filterable list of catalog entries. In compare mode each
+// click adds or removes an entry from the comparison instead of selecting it,
+// and the manifest's presets pick a whole comparison at once.
+export default function ModelGallery({
+  entries,
+  isLoading,
+  error,
+  notice,
+  onDismissNotice,
+  viewMode,
+  selectedId,
+  compareIds,
+  maxCompare,
+  comparePresets = [],
+  onSelect,
+  onToggleCompare,
+  onApplyPreset
+}) {
+  const [query, setQuery] = useState('');
+  const [activeTags, setActiveTags] = useState([]);
+
+  const allTags = useMemo(
+    () => Array.from(new Set(entries.flatMap(entry => entry.tags))).sort(),
+    [entries]
+  );
+
+  const visibleEntries = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return entries.filter(entry => {
+      const matchesQuery = !needle
+        || entry.name.toLowerCase().includes(needle)
+        || entry.path.toLowerCase().includes(needle)
+        || entry.tags.some(tag => tag.toLowerCase().includes(needle));
+      const matchesTags = activeTags.every(tag => entry.tags.includes(tag));
+      return matchesQuery && matchesTags;
+    });
+  }, [entries, query, activeTags]);
+
+  const toggleTag = (tag) => {
+    setActiveTags(prev => (prev.includes(tag) ? prev.filter(item => item !== tag) : [...prev, tag]));
+  };
+
+  const isCompare = viewMode === 'compare';
+
+  const handleActivate = (id, isFull) => {
+    if (isFull) return;
+    if (isCompare) {
+      onToggleCompare(id);
+    } else {
+      onSelect(id);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4',
+      display: 'flex',
+      flexDirection: 'column',
+      minHeight: 0
+    }}>
+      <div style={{ fontSize: '14px', marginBottom: '10px', color: '#4ecdc4' }}>
+        📚 Model Catalog
+      </div>
+
+      {isCompare && (
+        <div style={{ fontSize: '10px', color: '#ccc', marginBottom: '8px' }}>
+          Pick up to {maxCompare} models to compare ({compareIds.length} selected)
+        </div>
+      )}
+
+      {isCompare && comparePresets.length > 0 && (
+        <div role="group" aria-label="Compare presets" style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px', marginBottom: '8px' }}>
+          <span style={{ color: '#ccc', fontSize: '10px' }}>Presets:</span>
+          {comparePresets.map(preset => {
+            const isApplied = preset.models.length === compareIds.length && preset.models.every((id, index) => compareIds[index] === id);
+            return (
+              <button
+                key={preset.id}
+                aria-pressed={isApplied}
+                title={`Compare ${preset.models.length} models`}
+                style={tagStyle(isApplied)}
+                onClick={() => onApplyPreset(preset)}
+              >
+                {preset.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <input
+        type="search"
+        placeholder="Search models…"
+        aria-label="Search models"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        style={{
+          padding: '6px 8px',
+          marginBottom: '8px',
+          background: '#333',
+          color: 'white',
+          border: '1px solid #555',
+          borderRadius: '4px',
+          fontFamily: 'inherit',
+          fontSize: '11px'
+        }}
+      />
+
+      {allTags.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '10px' }}>
+          {allTags.map(tag => (
+            <button key={tag} aria-pressed={activeTags.includes(tag)} style={tagStyle(activeTags.includes(tag))} onClick={() => toggleTag(tag)}>
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ overflowY: 'auto', minHeight: 0 }}>
+        {isLoading && <div style={{ color: '#ccc' }}>Loading catalog…</div>}
+        {error && <div style={{ color: '#ff6b6b' }}>❌ {error}</div>}
+        {notice && (
+          <div role="status" style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', color: '#ffd93d', marginBottom: '6px' }}>
+            <span style={{ flex: 1 }}>⚠️ {notice}</span>
+            <button aria-label="Dismiss notice" style={tagStyle(false)} onClick={onDismissNotice}>✕</button>
+          </div>
+        )}
+        {!isLoading && !error && visibleEntries.length === 0 && (
+          <div style={{ color: '#ccc' }}>No models match the current filter</div>
+        )}
+
+        {visibleEntries.map(entry => {
+          const compareIndex = compareIds.indexOf(entry.id);
+          const isActive = isCompare ? compareIndex !== -1 : entry.id === selectedId;
+          const isFull = isCompare && compareIndex === -1 && compareIds.length >= maxCompare;
+
+          return (
+            <div
+              key={entry.id}
+              role="button"
+              tabIndex={0}
+              aria-pressed={isActive}
+              aria-disabled={isFull}
+              onClick={() => handleActivate(entry.id, isFull)}
+              onKeyDown={activateOnKey(() => handleActivate(entry.id, isFull))}
+              title={entry.path}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px',
+                marginBottom: '4px',
+                borderRadius: '6px',
+                cursor: isFull ? 'not-allowed' : 'pointer',
+                opacity: isFull ? 0.5 : 1,
+                background: isActive ? 'rgba(78, 205, 196, 0.25)' : 'transparent',
+                border: `1px solid ${isActive ? '#4ecdc4' : 'transparent'}`
+              }}
+            >
+              <Thumbnail src={entry.thumbnail} name={entry.name} />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{
+                  color: isActive ? '#4ecdc4' : 'white',
+                  fontWeight: 'bold',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
+                }}>
+                  {entry.name}
+                </div>
+                <div style={{ fontSize: '10px', color: '#999' }}>
+                  {entry.tags.map(tag => `#${tag}`).join(' ')}
+                </div>
+              </div>
+              {isCompare && compareIndex !== -1 && (
+                <div style={{
+                  width: '20px',
+                  height: '20px',
+                  borderRadius: '50%',
+                  background: '#4ecdc4',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontWeight: 'bold'
+                }}>
+                  {compareIndex + 1}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import { Suspense } from 'react';
+import { Html } from '@react-three/drei';
+import { useModelPrefetch } from './useModelPrefetch';
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatProgress({ loaded, total }) {
+  return total ? `${formatBytes(loaded)} / ${formatBytes(total)}` : formatBytes(loaded);
+}
+
+const buttonStyle = {
+  marginTop: '10px',
+  padding: '4px 12px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// A determinate bar when the total is known, otherwise a sweeping one
+function ProgressBar({ fraction, height = 4 }) {
+  return (
+    <div style={{ width: '100%', height: `${height}px`, background: '#333', borderRadius: '2px', overflow: 'hidden' }}>
+      <div style={{
+        width: fraction === null ? '100%' : `${Math.round(fraction * 100)}%`,
+        height: '100%',
+        background: 'linear-gradient(90deg, #ff6b6b, #4ecdc4)',
+        animation: fraction === null ? 'loading 2s infinite' : 'none'
+      }} />
+    </div>
+  );
+}
+
+/**
+ * Loading state of one model, shown where the model will appear.
+ * - status 'loading': bytes downloaded, overall and per buffer/texture,
+ *   with a cancel button when onCancel is set
+ * - status 'processing': downloaded and being parsed, decoded and uploaded
+ * - status 'cancelled': a button to start the download again
+ */
+export function LoadingIndicator({ label, status, progress, onCancel, onLoad }) {
+  const fraction = progress && progress.total ? Math.min(progress.loaded / progress.total, 1) : null;
+
+  return (
+    <Html center>
+      <div style={{
+        color: 'white',
+        fontSize: '14px',
+        fontFamily: 'Arial, sans-serif',
+        textAlign: 'center',
+        background: 'rgba(0,0,0,0.9)',
+        padding: '15px',
+        borderRadius: '8px',
+        minWidth: '180px',
+        border: '2px solid #4ecdc4'
+      }}>
+        {status === 'loading' && (
+          <>
+            <div style={{ marginBottom: '10px' }}>
+              Loading {label}{fraction !== null ? ` ${Math.round(fraction * 100)}%` : '…'}
+            </div>
+            <ProgressBar fraction={fraction} />
+            {progress && (
+              <>
+                <div style={{ marginTop: '6px', fontSize: '11px', color: '#ccc' }}>{formatProgress(progress)}</div>
+                {progress.resources.length > 1 && (
+                  <div style={{ marginTop: '8px', fontSize: '10px', fontFamily: 'monospace', textAlign: 'left' }}>
+                    {progress.resources.map(resource => (
+                      <div key={resource.url} style={{ marginBottom: '4px' }}>
+                        <div style={{ display: 'flex', gap: '8px', color: '#ccc' }}>
+                          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{resource.name}</span>
+                          <span>{formatProgress(resource)}</span>
+                        </div>
+                        <ProgressBar fraction={resource.total ? Math.min(resource.loaded / resource.total, 1) : null} height={2} />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+            {onCancel && <button onClick={onCancel} style={buttonStyle}>✕ Cancel</button>}
+          </>
+        )}
+
+        {status === 'processing' && (
+          <>
+            <div style={{ marginBottom: '10px' }}>Processing {label}…</div>
+            <ProgressBar fraction={null} />
+          </>
+        )}
+
+        {status === 'cancelled' && (
+          <>
+            <div style={{ color: '#ccc' }}>{label} not loaded</div>
+            <button onClick={onLoad} style={{ ...buttonStyle, background: '#4ecdc4' }}>▶ Load</button>
+          </>
+        )}
+
+        <style>{`
+          @keyframes loading {
+            0% { transform: translateX(-100%); }
+            100% { transform: translateX(100%); }
+          }
+        `}</style>
+      </div>
+    </Html>
+  );
+}
+
+// Downloads the model with visible progress, then mounts it. Models opened
+// from disk are already in memory, so they pass prefetch={false}.
+export function ProgressiveModel({ path, label, prefetch = true, onRestart, children }) {
+  const { status, progress, cancel, restart } = useModelPrefetch(path, prefetch);
+
+  if (status === 'loading') {
+    return <LoadingIndicator label={label} status="loading" progress={progress} onCancel={cancel} />;
+  }
+
+  if (status === 'cancelled') {
+    return (
+      <LoadingIndicator
+        label={label}
+        status="cancelled"
+        onLoad={() => {
+          restart();
+          if (onRestart) onRestart();
+        }}
+      />
+    );
+  }
+
+  return (
+    <Suspense fallback={<LoadingIndicator label={label} status="processing" />}>
+      {children}
+    </Suspense>
+  );
+}
@@ -0,0 +1,161 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useAnimations, Html } from '@react-three/drei';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { useAnimationPlayback } from './useAnimationPlayback';
+import { useModelGLTF } from './modelLoader';
+import { measureModel } from './measure';
+import { collectMorphTargets } from './morphTargets';
+import { useMorphWeights } from './useMorphWeights';
+
+/**
+ * A glTF model normalized to a 3 unit size around its position, with
+ * animation playback, shape key weights and a floating label. Must be rendered inside a
+ * <Canvas> and a <Suspense> boundary; load failures throw to the nearest
+ * error boundary.
+ *
+ * Loading callbacks, part of the public contract:
+ * - onLoadingStart(): the model has resolved and is mounting. Loading
+ *   suspends first, so time loads from before mounting instead.
+ * - onModelLoaded({ size, center, scale, maxDimension, scene, parser, animations, morphTargets }):
+ *   the scene is in place; size and center are in model units and
+ *   morphTargets lists the [{ name, meshCount }] shape keys.
+ * - onLoadingComplete(): fired right after onModelLoaded.
+ * - onClipsChange(clips): the [{ name, duration }] playable clips.
+ * - onObjectClick(object, point, face): the clicked mesh, the world space hit
+ *   point and the hit triangle, when set.
+ *
+ * With normalize={false} the model keeps its authored scale, still centered
+ * on its position. morphWeights ({ [targetName]: weight }) holds shape keys
+ * on every mesh that has them, on top of the playing clip. With clone the
+ * model mounts a copy of the loaded scene, so one file can be shown twice;
+ * onModelLoaded then reports the copy.
+ */
+export default function Monster({ 
+  modelPath, 
+  manager,
+  position = [0, 0, 0], 
+  onModelLoaded, 
+  onLoadingStart,
+  onLoadingComplete,
+  enableAnimation = true,
+  clipName,
+  playing = true,
+  playbackSpeed = 1,
+  loopMode = 'repeat',
+  crossfade,
+  blend,
+  playbackRef,
+  onClipsChange,
+  onObjectClick,
+  morphWeights,
+  normalize = true,
+  clone = false,
+  label = "Model"
+}) {
+  const group = useRef();
+  const [normalizedScale, setNormalizedScale] = useState(1);
+  const [modelCenter, setModelCenter] = useState([0, 0, 0]);
+  const [hasStartedLoading, setHasStartedLoading] = useState(false);
+  const [hasCompletedLoading, setHasCompletedLoading] = useState(false);
+
+  // Call loading start callback when component mounts. Loading suspends during
+  // render, so this only fires once the model has resolved; callers that need
+  // accurate load times start their timer before mounting Monster.
+  useEffect(() => {
+    if (!hasStartedLoading) {
+      if (onLoadingStart) {
+        onLoadingStart();
+      }
+      setHasStartedLoading(true);
+    }
+  }, [modelPath, onLoadingStart, hasStartedLoading]);
+
+  const { scene: loadedScene, animations, parser } = useModelGLTF(modelPath, manager);
+  // Skinned meshes need their skeletons rebound, which a plain clone() skips
+  const scene = useMemo(() => (clone ? cloneSkinned(loadedScene) : loadedScene), [clone, loadedScene]);
+  const { actions, mixer } = useAnimations(animations, group);
+
+  // Handle model loading completion
+  useEffect(() => {
+    if (scene && hasStartedLoading && !hasCompletedLoading) {
+      // Auto-scale and center the model
+      const { size, center, maxDimension, scale } = measureModel(scene);
+      setNormalizedScale(scale);
+      setModelCenter(center.toArray());
+
+      // Shadows need to be opted into per mesh
+      scene.traverse(object => {
+        if (object.isMesh) {
+          object.castShadow = true;
+          object.receiveShadow = true;
+        }
+      });
+      
+      // Call completion callbacks
+      if (onModelLoaded) {
+        onModelLoaded({ size, center, scale, maxDimension, scene, parser, animations, morphTargets: collectMorphTargets(scene) });
+      }
+      
+      if (onLoadingComplete) {
+        onLoadingComplete();
+      }
+      
+      setHasCompletedLoading(true);
+    }
+  }, [scene, parser, animations, hasStartedLoading, hasCompletedLoading, modelPath, onModelLoaded, onLoadingComplete]);
+
+  // Handle animations
+  useAnimationPlayback({
+    actions,
+    mixer,
+    clips: animations,
+    enabled: enableAnimation,
+    clipName,
+    playing,
+    speed: playbackSpeed,
+    loopMode,
+    crossfade,
+    blend,
+    playbackRef,
+    onClipsChange
+  });
+
+  // Shape keys, applied after the mixer so they preview on top of clips
+  useMorphWeights(scene, morphWeights);
+
+  const modelScale = normalize ? normalizedScale : 1;
+
+  return (
+    <group ref={group} position={position}>
+      <primitive 
+        object={scene} 
+        scale={[modelScale, modelScale, modelScale]} 
+        position={modelCenter.map(value => -value * modelScale)}
+        onClick={onObjectClick && ((e) => {
+          e.stopPropagation();
+          onObjectClick(e.object, e.point, e.face);
+        })}
+      />
+      
+      {/* Model label, tagged so captures can redraw it */}
+      {label && (
+        <group position={[0, 3, 0]} userData={{ captureLabel: label }}>
+          <Html center>
+            <div style={{
+              background: 'rgba(0,0,0,0.8)',
+              color: 'white',
+              padding: '8px 12px',
+              borderRadius: '6px',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              textAlign: 'center',
+              whiteSpace: 'nowrap'
+            }}>
+              {label}
+            </div>
+          </Html>
+        </group>
+      )}
+    </group>
+  );
+}
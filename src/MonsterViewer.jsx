@@ -1,659 +1,1925 @@
-import React, { useEffect, useRef, Suspense, useState, useCallback } from 'react';
-import { Canvas, useThree } from '@react-three/fiber';
-import { OrbitControls, useGLTF, useAnimations, Environment, Html } from '@react-three/drei';
-import * as THREE from 'three';
-
-// Error boundary for GLTF loading
-class GLTFErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
-  }
-
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
-  }
-
-  componentDidCatch(error, errorInfo) {
-    console.error('GLTF Error Boundary caught an error:', error, errorInfo);
-  }
-
-  render() {
-    if (this.state.hasError) {
-      return (
-        <Html center>
-          <div style={{ 
-            color: 'white', 
-            textAlign: 'center', 
-            background: 'rgba(255,0,0,0.8)',
-            padding: '20px',
-            borderRadius: '10px',
-            maxWidth: '400px'
-          }}>
-            <div style={{ fontSize: '18px', marginBottom: '10px' }}>❌ 3D Model Loading Failed</div>
-            <div style={{ fontSize: '12px', marginBottom: '15px' }}>
-              Could not load the 3D model files. Please check:
-            </div>
-            <div style={{ fontSize: '11px', textAlign: 'left', marginBottom: '15px' }}>
-              <div>• Files are in <code>public/models/</code> folder</div>
-              <div>• File names match exactly:</div>
-              <div style={{ marginLeft: '20px' }}>
-                <div>- Monster.gltf</div>
-                <div>- monstergltfAnimation.gltf</div>
-                <div>- Monster.bin</div>
-              </div>
-            </div>
-            <button
-              style={{
-                padding: '8px 16px',
-                background: '#4ecdc4',
-                color: 'white',
-                border: 'none',
-                borderRadius: '5px',
-                cursor: 'pointer'
-              }}
-              onClick={() => window.location.reload()}
-            >
-              Retry Loading
-            </button>
-          </div>
-        </Html>
-      );
-    }
-
-    return this.props.children;
-  }
-}
-
-// Fixed loading timer hook
-function useLoadingTimer() {
-  const [loadTime, setLoadTime] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const startTimeRef = useRef(null);
-
-  const startTimer = useCallback(() => {
-    startTimeRef.current = Date.now();
-    setIsLoading(true);
-    setLoadTime(null);
-    console.log('Loading timer started');
-  }, []);
-
-  const stopTimer = useCallback(() => {
-    if (startTimeRef.current) {
-      const endTime = Date.now();
-      const duration = endTime - startTimeRef.current;
-      setLoadTime(duration);
-      setIsLoading(false);
-      console.log('Loading timer stopped:', duration + 'ms');
-    }
-  }, []);
-
-  const reset = useCallback(() => {
-    startTimeRef.current = null;
-    setIsLoading(false);
-    setLoadTime(null);
-    console.log('Loading timer reset');
-  }, []);
-
-  return { startTimer, stopTimer, reset, loadTime, isLoading };
-}
-
-// Fixed Monster component with proper loading callbacks
-function Monster({ 
-  modelPath, 
-  position = [0, 0, 0], 
-  onModelLoaded, 
-  onLoadingStart,
-  onLoadingComplete,
-  enableAnimation = true,
-  label = "Model"
-}) {
-  const group = useRef();
-  const [modelScale, setModelScale] = useState(1);
-  const [modelCenter, setModelCenter] = useState([0, 0, 0]);
-  const [hasStartedLoading, setHasStartedLoading] = useState(false);
-  const [hasCompletedLoading, setHasCompletedLoading] = useState(false);
-
-  // Call loading start callback when component mounts
-  useEffect(() => {
-    if (!hasStartedLoading && onLoadingStart) {
-      console.log('Starting to load model:', modelPath);
-      onLoadingStart();
-      setHasStartedLoading(true);
-    }
-  }, [modelPath, onLoadingStart, hasStartedLoading]);
-
-  const { scene, animations } = useGLTF(modelPath);
-  const { actions, mixer } = useAnimations(animations, group);
-
-  // Handle model loading completion
-  useEffect(() => {
-    if (scene && hasStartedLoading && !hasCompletedLoading) {
-      console.log('Model loaded successfully:', modelPath);
-      
-      // Auto-scale and center the model
-      const box = new THREE.Box3().setFromObject(scene);
-      const size = box.getSize(new THREE.Vector3());
-      const center = box.getCenter(new THREE.Vector3());
-      
-      const maxDimension = Math.max(size.x, size.y, size.z);
-      const targetSize = 3;
-      const scale = maxDimension > 0 ? targetSize / maxDimension : 1;
-      
-      setModelScale(scale);
-      setModelCenter([-center.x * scale, -center.y * scale, -center.z * scale]);
-      
-      // Call completion callbacks
-      if (onModelLoaded) {
-        onModelLoaded({ size, center, scale, maxDimension });
-      }
-      
-      if (onLoadingComplete) {
-        onLoadingComplete();
-      }
-      
-      setHasCompletedLoading(true);
-    }
-  }, [scene, hasStartedLoading, hasCompletedLoading, modelPath, onModelLoaded, onLoadingComplete]);
-
-  // Handle animations
-  useEffect(() => {
-    if (enableAnimation && actions && Object.keys(actions).length > 0) {
-      const actionNames = Object.keys(actions);
-      const firstActionName = actionNames[0];
-      const firstAction = actions[firstActionName];
-      
-      firstAction.reset();
-      firstAction.setLoop(THREE.LoopRepeat, Infinity);
-      firstAction.fadeIn(0.5);
-      firstAction.play();
-    }
-
-    return () => {
-      if (mixer) {
-        mixer.stopAllAction();
-      }
-    };
-  }, [actions, mixer, enableAnimation]);
-
-  return (
-    <group ref={group} position={position}>
-      <primitive 
-        object={scene} 
-        scale={[modelScale, modelScale, modelScale]} 
-        position={modelCenter}
-      />
-      
-      {/* Model label */}
-      <Html position={[0, 3, 0]} center>
-        <div style={{
-          background: 'rgba(0,0,0,0.8)',
-          color: 'white',
-          padding: '8px 12px',
-          borderRadius: '6px',
-          fontSize: '12px',
-          fontWeight: 'bold',
-          textAlign: 'center',
-          whiteSpace: 'nowrap'
-        }}>
-          {label}
-        </div>
-      </Html>
-    </group>
-  );
-}
-
-// Fixed loading component
-function LoadingIndicator({ label, loadTime, isLoading }) {
-  const [dots, setDots] = useState('');
-
-  useEffect(() => {
-    if (isLoading) {
-      const interval = setInterval(() => {
-        setDots(prev => prev.length >= 3 ? '' : prev + '.');
-      }, 500);
-      return () => clearInterval(interval);
-    } else {
-      setDots('');
-    }
-  }, [isLoading]);
-
-  if (!isLoading && !loadTime) return null;
-
-  return (
-    <Html center>
-      <div style={{ 
-        color: 'white', 
-        fontSize: '14px',
-        fontFamily: 'Arial, sans-serif',
-        textAlign: 'center',
-        background: 'rgba(0,0,0,0.9)',
-        padding: '15px',
-        borderRadius: '8px',
-        minWidth: '150px',
-        border: '2px solid #4ecdc4'
-      }}>
-        {isLoading ? (
-          <>
-            <div>Loading {label}{dots}</div>
-            <div style={{ 
-              marginTop: '10px',
-              width: '100px',
-              height: '4px',
-              background: '#333',
-              borderRadius: '2px',
-              overflow: 'hidden',
-              margin: '10px auto 0'
-            }}>
-              <div style={{
-                width: '100%',
-                height: '100%',
-                background: 'linear-gradient(90deg, #ff6b6b, #4ecdc4)',
-                animation: 'loading 2s infinite'
-              }} />
-            </div>
-          </>
-        ) : loadTime ? (
-          <div style={{ color: '#4ecdc4' }}>
-            {label} loaded in {loadTime}ms
-          </div>
-        ) : null}
-        
-        <style>{`
-          @keyframes loading {
-            0% { transform: translateX(-100%); }
-            100% { transform: translateX(100%); }
-          }
-        `}</style>
-      </div>
-    </Html>
-  );
-}
-
-// Fixed performance comparison component
-function PerformanceComparison({ staticTime, animationTime, onReset }) {
-  if (!staticTime || !animationTime) return null;
-
-  const faster = staticTime < animationTime ? 'static' : 'animation';
-  const slower = staticTime < animationTime ? 'animation' : 'static';
-  const difference = Math.abs(staticTime - animationTime);
-  const percentDiff = ((difference / Math.max(staticTime, animationTime)) * 100).toFixed(1);
-
-  return (
-    <div style={{
-      position: 'absolute',
-      bottom: '20px',
-      left: '50%',
-      transform: 'translateX(-50%)',
-      background: 'rgba(0,0,0,0.95)',
-      color: 'white',
-      padding: '20px',
-      borderRadius: '12px',
-      fontSize: '14px',
-      fontFamily: 'Arial, sans-serif',
-      textAlign: 'center',
-      backdropFilter: 'blur(10px)',
-      border: '2px solid #4ecdc4',
-      boxShadow: '0 4px 20px rgba(0,0,0,0.5)'
-    }}>
-      <div style={{ fontSize: '16px', marginBottom: '15px', color: '#4ecdc4' }}>
-        📊 Loading Performance Comparison
-      </div>
-      
-      <div style={{ display: 'flex', gap: '30px', marginBottom: '15px', justifyContent: 'center' }}>
-        <div style={{ textAlign: 'center' }}>
-          <div style={{ fontSize: '12px', color: '#ccc', marginBottom: '5px' }}>Static Model</div>
-          <div style={{ 
-            fontSize: '18px', 
-            fontWeight: 'bold', 
-            color: faster === 'static' ? '#4ecdc4' : '#ff6b6b',
-            padding: '5px 10px',
-            border: `2px solid ${faster === 'static' ? '#4ecdc4' : '#ff6b6b'}`,
-            borderRadius: '8px',
-            background: faster === 'static' ? 'rgba(78, 205, 196, 0.1)' : 'rgba(255, 107, 107, 0.1)'
-          }}>
-            {staticTime}ms
-          </div>
-          {faster === 'static' && <div style={{ fontSize: '12px', color: '#4ecdc4', marginTop: '5px' }}>🏆 Winner</div>}
-        </div>
-        
-        <div style={{ textAlign: 'center' }}>
-          <div style={{ fontSize: '12px', color: '#ccc', marginBottom: '5px' }}>Animation Model</div>
-          <div style={{ 
-            fontSize: '18px', 
-            fontWeight: 'bold', 
-            color: faster === 'animation' ? '#4ecdc4' : '#ff6b6b',
-            padding: '5px 10px',
-            border: `2px solid ${faster === 'animation' ? '#4ecdc4' : '#ff6b6b'}`,
-            borderRadius: '8px',
-            background: faster === 'animation' ? 'rgba(78, 205, 196, 0.1)' : 'rgba(255, 107, 107, 0.1)'
-          }}>
-            {animationTime}ms
-          </div>
-          {faster === 'animation' && <div style={{ fontSize: '12px', color: '#4ecdc4', marginTop: '5px' }}>🏆 Winner</div>}
-        </div>
-      </div>
-      
-      <div style={{ marginBottom: '15px', padding: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '6px' }}>
-        <div style={{ fontSize: '12px', color: '#4ecdc4', marginBottom: '5px' }}>
-          ⚡ Performance Difference
-        </div>
-        <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
-          {faster === 'static' ? 'Static' : 'Animation'} model was {difference}ms faster
-        </div>
-        <div style={{ fontSize: '11px', color: '#ccc' }}>
-          ({percentDiff}% performance difference)
-        </div>
-      </div>
-      
-      <button
-        onClick={onReset}
-        style={{
-          padding: '10px 20px',
-          background: '#4ecdc4',
-          color: 'white',
-          border: 'none',
-          borderRadius: '6px',
-          cursor: 'pointer',
-          fontSize: '12px',
-          fontWeight: 'bold',
-          transition: 'all 0.3s ease'
-        }}
-        onMouseOver={(e) => e.target.style.background = '#3ba99c'}
-        onMouseOut={(e) => e.target.style.background = '#4ecdc4'}
-      >
-        🔄 Test Again
-      </button>
-    </div>
-  );
-}
-
-// Main viewer component
-export default function MonsterCompareViewer() {
-  const [viewMode, setViewMode] = useState('single');
-  const [singleModelType, setSingleModelType] = useState('animation');
-  
-  // Fixed loading timers
-  const staticTimer = useLoadingTimer();
-  const animationTimer = useLoadingTimer();
-  
-  const [modelInfo, setModelInfo] = useState({});
-
-  const handleModelLoaded = useCallback((info, type) => {
-    setModelInfo(prev => ({ ...prev, [type]: info }));
-  }, []);
-
-  const handleCompareReset = useCallback(() => {
-    console.log('Resetting comparison');
-    staticTimer.reset();
-    animationTimer.reset();
-    setModelInfo({});
-  }, [staticTimer, animationTimer]);
-
-  const handleViewModeChange = useCallback((mode) => {
-    console.log('Changing view mode to:', mode);
-    setViewMode(mode);
-    // Reset timers when switching modes
-    staticTimer.reset();
-    animationTimer.reset();
-    setModelInfo({});
-  }, [staticTimer, animationTimer]);
-
-  const singleModelPath = singleModelType === 'animation' 
-    ? '/models/monstergltfAnimation.gltf' 
-    : '/models/Monster.gltf';
-
-  return (
-    <div style={{ width: '100vw', height: '100vh', background: '#1a1a1a' }}>
-      {/* Mode selector */}
-      <div style={{
-        position: 'absolute',
-        top: '20px',
-        left: '50%',
-        transform: 'translateX(-50%)',
-        zIndex: 10,
-        display: 'flex',
-        gap: '10px',
-        background: 'rgba(0,0,0,0.9)',
-        padding: '10px',
-        borderRadius: '8px',
-        backdropFilter: 'blur(10px)',
-        border: '1px solid #4ecdc4'
-      }}>
-        <button
-          onClick={() => handleViewModeChange('single')}
-          style={{
-            padding: '8px 16px',
-            background: viewMode === 'single' ? '#4ecdc4' : '#666',
-            color: 'white',
-            border: 'none',
-            borderRadius: '6px',
-            cursor: 'pointer',
-            fontSize: '12px',
-            fontWeight: 'bold'
-          }}
-        >
-          👁️ Single View
-        </button>
-        <button
-          onClick={() => handleViewModeChange('compare')}
-          style={{
-            padding: '8px 16px',
-            background: viewMode === 'compare' ? '#4ecdc4' : '#666',
-            color: 'white',
-            border: 'none',
-            borderRadius: '6px',
-            cursor: 'pointer',
-            fontSize: '12px',
-            fontWeight: 'bold'
-          }}
-        >
-          ⚖️ Compare Mode
-        </button>
-        
-        {viewMode === 'single' && (
-          <>
-            <div style={{ width: '1px', background: '#666', margin: '0 5px' }} />
-            <button
-              onClick={() => setSingleModelType('animation')}
-              style={{
-                padding: '8px 16px',
-                background: singleModelType === 'animation' ? '#4ecdc4' : '#555',
-                color: 'white',
-                border: 'none',
-                borderRadius: '6px',
-                cursor: 'pointer',
-                fontSize: '12px',
-                fontWeight: 'bold'
-              }}
-            >
-              🎬 Animation
-            </button>
-            <button
-              onClick={() => setSingleModelType('static')}
-              style={{
-                padding: '8px 16px',
-                background: singleModelType === 'static' ? '#4ecdc4' : '#555',
-                color: 'white',
-                border: 'none',
-                borderRadius: '6px',
-                cursor: 'pointer',
-                fontSize: '12px',
-                fontWeight: 'bold'
-              }}
-            >
-              🗿 Static
-            </button>
-          </>
-        )}
-      </div>
-
-      <Canvas 
-        camera={{ 
-          position: viewMode === 'compare' ? [0, 3, 10] : [5, 3, 8], 
-          fov: 50,
-          near: 0.1,
-          far: 1000
-        }}
-        style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' }}
-      >
-        {/* Lighting setup */}
-        <ambientLight intensity={0.6} />
-        <directionalLight 
-          position={[5, 5, 5]} 
-          intensity={1.2}
-          castShadow
-        />
-        <pointLight position={[-5, 5, 5]} intensity={0.4} />
-        <spotLight position={[0, 10, 0]} intensity={0.3} />
-
-        <Environment preset="sunset" />
-
-        {/* Ground plane */}
-        <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -2, 0]} receiveShadow>
-          <planeGeometry args={[20, 20]} />
-          <meshStandardMaterial 
-            color="#2a2a2a" 
-            opacity={0.8} 
-            transparent 
-            roughness={0.8}
-            metalness={0.2}
-          />
-        </mesh>
-
-        <gridHelper args={[20, 20, '#444', '#222']} position={[0, -2, 0]} />
-
-        {/* Render based on view mode */}
-        {viewMode === 'single' ? (
-          <GLTFErrorBoundary key={`single-${singleModelPath}`}>
-            <Suspense fallback={<LoadingIndicator label="Model" isLoading={true} />}>
-              <Monster 
-                modelPath={singleModelPath}
-                onModelLoaded={(info) => handleModelLoaded(info, singleModelType)}
-                enableAnimation={singleModelType === 'animation'}
-                label={singleModelType === 'animation' ? '🎬 Animation Model' : '🗿 Static Model'}
-              />
-            </Suspense>
-          </GLTFErrorBoundary>
-        ) : (
-          <>
-            {/* Static model on the left */}
-            <GLTFErrorBoundary key="static-compare">
-              <Suspense fallback={
-                <LoadingIndicator 
-                  label="Static" 
-                  loadTime={staticTimer.loadTime}
-                  isLoading={staticTimer.isLoading}
-                />
-              }>
-                <Monster 
-                  modelPath="/models/Monster.gltf"
-                  position={[-4, 0, 0]}
-                  onModelLoaded={(info) => handleModelLoaded(info, 'static')}
-                  onLoadingStart={staticTimer.startTimer}
-                  onLoadingComplete={staticTimer.stopTimer}
-                  enableAnimation={false}
-                  label="🗿 Static Model"
-                />
-              </Suspense>
-            </GLTFErrorBoundary>
-
-            {/* Animation model on the right */}
-            <GLTFErrorBoundary key="animation-compare">
-              <Suspense fallback={
-                <LoadingIndicator 
-                  label="Animation" 
-                  loadTime={animationTimer.loadTime}
-                  isLoading={animationTimer.isLoading}
-                />
-              }>
-                <Monster 
-                  modelPath="/models/monstergltfAnimation.gltf"
-                  position={[4, 0, 0]}
-                  onModelLoaded={(info) => handleModelLoaded(info, 'animation')}
-                  onLoadingStart={animationTimer.startTimer}
-                  onLoadingComplete={animationTimer.stopTimer}
-                  enableAnimation={true}
-                  label="🎬 Animation Model"
-                />
-              </Suspense>
-            </GLTFErrorBoundary>
-          </>
-        )}
-
-        <OrbitControls 
-          enablePan={true}
-          enableZoom={true}
-          enableRotate={true}
-          minDistance={1}
-          maxDistance={50}
-          maxPolarAngle={Math.PI - 0.1}
-          minPolarAngle={0.1}
-          enableDamping={true}
-          dampingFactor={0.05}
-        />
-      </Canvas>
-
-      {/* Performance comparison overlay */}
-      {viewMode === 'compare' && (
-        <PerformanceComparison
-          staticTime={staticTimer.loadTime}
-          animationTime={animationTimer.loadTime}
-          onReset={handleCompareReset}
-        />
-      )}
-
-      {/* Debug info overlay */}
-      <div style={{
-        position: 'absolute',
-        top: '80px',
-        left: '20px',
-        background: 'rgba(0,0,0,0.95)',
-        color: 'white',
-        padding: '15px',
-        borderRadius: '10px',
-        fontSize: '11px',
-        fontFamily: 'monospace',
-        maxWidth: '300px',
-        backdropFilter: 'blur(10px)',
-        border: '1px solid #4ecdc4'
-      }}>
-        <div style={{ fontSize: '14px', marginBottom: '10px', color: '#4ecdc4' }}>
-          🎮 Monster 3D Viewer
-        </div>
-        
-        <div style={{ marginBottom: '10px' }}>
-          <div style={{ fontSize: '12px', marginBottom: '5px', color: '#4ecdc4' }}>
-            📊 Current Mode: {viewMode === 'single' ? 'Single View' : 'Compare Mode'}
-          </div>
-          {viewMode === 'single' && (
-            <div style={{ fontSize: '10px', color: '#ccc' }}>
-              Showing: {singleModelType === 'animation' ? 'Animation' : 'Static'} model
-            </div>
-          )}
-        </div>
-        
-        {viewMode === 'compare' && (
-          <div style={{ marginBottom: '10px', fontSize: '10px' }}>
-            <div style={{ color: '#4ecdc4', marginBottom: '5px' }}>⏱️ Loading Status:</div>
-            <div style={{ marginLeft: '10px' }}>
-              <div style={{ marginBottom: '2px' }}>
-                Static: {staticTimer.isLoading ? '🔄 Loading...' : staticTimer.loadTime ? `✅ ${staticTimer.loadTime}ms` : '⏳ Pending'}
-              </div>
-              <div>
-                Animation: {animationTimer.isLoading ? '🔄 Loading...' : animationTimer.loadTime ? `✅ ${animationTimer.loadTime}ms` : '⏳ Pending'}
-              </div>
-            </div>
-          </div>
-        )}
-        
-        <div style={{ fontSize: '10px', lineHeight: '1.4', color: '#ccc' }}>
-          <div>🖱️ Controls:</div>
-          <div>• Left Click + Drag: Rotate</div>
-          <div>• Right Click + Drag: Pan</div>
-          <div>• Mouse Wheel: Zoom</div>
-        </div>
-      </div>
-    </div>
-  );
-}
\ No newline at end of file
+import React, { useEffect, useRef, Suspense, useState, useCallback, useMemo, useImperativeHandle, useId } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
+import { OrbitControls, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { DEFAULT_CROSSFADE, DEFAULT_BLEND } from './useAnimationPlayback';
+import Monster from './Monster';
+import { ProgressiveModel } from './ModelLoading';
+import GLTFErrorBoundary from './GLTFErrorBoundary';
+import { forgetModel, markModelLoaded } from './modelPrefetch';
+import { clearModel } from './modelLoader';
+import AnimationPanel from './AnimationPanel';
+import ModelFilesPanel from './ModelFilesPanel';
+import { useModelFiles } from './useModelFiles';
+import { useModelCatalog, normalizeEntry, DEFAULT_CAMERA, MANIFEST_URL } from './useModelCatalog';
+import ModelGallery from './ModelGallery';
+import SceneInspector from './SceneInspector';
+import { SkeletonOverlay, SelectionHighlight, BoneWeightView } from './SceneOverlays';
+import MaterialInspector from './MaterialInspector';
+import MaterialDebugView from './MaterialDebugView';
+import MorphPanel from './MorphPanel';
+import BenchmarkPanel from './BenchmarkPanel';
+import ReportPanel from './ReportPanel';
+import PerformanceComparison from './PerformanceComparison';
+import RenderStatsHUD, { AdaptiveResolution, RenderStatsProbe } from './RenderStatsHUD';
+import { buildReport, geometryStats, measureFileSize } from './report';
+import ValidationPanel from './ValidationPanel';
+import OfflinePanel from './OfflinePanel';
+import CapturePanel, { CaptureBridge } from './CapturePanel';
+import { RESOLUTION_OPTIONS } from './renderStats';
+import { DEFAULT_BACKGROUND, backgroundCss, canvasToBlob, renderFrame } from './capture';
+import LightingRig from './LightingRig';
+import LightingPanel from './LightingPanel';
+import { DEFAULT_RIG } from './lighting';
+import { AnimationSync, CompareLayoutBar, CompareOverlay } from './CompareViews';
+import ViewRenderer from './ViewRenderer';
+import RenderPanel from './RenderPanel';
+import { DEFAULT_RENDER_SETTINGS, RENDER_MODES, resolveSideSettings } from './renderModes';
+import { createRenderPipeline } from './renderPipeline';
+import CameraPanel, { CameraRig } from './CameraPanel';
+import OptimizePanel from './OptimizePanel';
+import MeasurePanel, { BoundingBoxOverlay, MeasureOverlay } from './MeasureTools';
+import AnnotationPanel, { AnnotationPins } from './AnnotationTools';
+import { createAnnotation, loadAuthor, storeAuthor } from './annotations';
+import { useAnnotations } from './useAnnotations';
+import CommandPalette, { ShortcutHelp } from './CommandPalette';
+import { formatShortcut } from './shortcuts';
+import { useKeyboardShortcuts } from './useKeyboardShortcuts';
+import { useLoadingTimers } from './useLoadingTimers';
+import { useElementSize } from './useElementSize';
+import { useDoubleTap } from './useDoubleTap';
+import { COMPARE_LAYOUTS, readViewerState, viewerStateUrl, writeViewerState } from './viewerState';
+import { DEFAULT_VALIDATION_OPTIONS, clearLoadFailures, countIssues, describeLoadError, sortIssues, validateAsset } from './validation';
+import { collectDroppedFiles } from './modelFiles';
+import { ALL_PANELS } from './panels';
+
+// Exposes the renderer to code running outside the Canvas
+function RendererBridge({ rendererRef }) {
+  const gl = useThree(state => state.gl);
+
+  useEffect(() => {
+    rendererRef.current = gl;
+    return () => {
+      rendererRef.current = null;
+    };
+  }, [gl, rendererRef]);
+
+  return null;
+}
+
+const ORIGIN = [0, 0, 0];
+
+// Moves the camera and orbit target whenever the framing defaults change
+function CameraDefaults({ position, target = ORIGIN, fov }) {
+  const camera = useThree(state => state.camera);
+  const controls = useThree(state => state.controls);
+
+  useEffect(() => {
+    camera.position.set(...position);
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+    if (controls) {
+      controls.target.set(...target);
+      controls.update();
+    }
+  }, [camera, controls, position, target, fov]);
+
+  return null;
+}
+
+const MAX_COMPARE = 4;
+const TOOLBAR_PANELS = ['modes', 'inspector', 'materials', 'morphs', 'benchmark', 'optimize', 'measure', 'annotations', 'report', 'stats', 'lighting', 'render', 'views', 'capture', 'validation', 'offline'];
+const URL_SYNC_MS = 1000;
+const LINK_RESTORE_TIMEOUT_MS = 15000;
+// How long a jump to an annotation waits for its clip to start
+const CLIP_SEEK_TIMEOUT_MS = 2000;
+const COMPARE_SPACING = 8;
+
+// Keyboard camera steps: an orbit step in radians and a zoom factor
+const ORBIT_STEP = Math.PI / 24;
+const ZOOM_STEP = 1.25;
+
+// Single-key toggles for the toolbar panels
+const PANEL_KEYS = {
+  inspector: 'i',
+  materials: 'm',
+  morphs: 'k',
+  benchmark: 'b',
+  optimize: 'o',
+  measure: 'd',
+  annotations: 'a',
+  report: 'e',
+  stats: 's',
+  lighting: 'l',
+  render: 'g',
+  views: 'c',
+  capture: 'p',
+  validation: 'v',
+  offline: 'w'
+};
+
+// Below this viewer width the sidebars turn into drawers
+const COMPACT_WIDTH = 820;
+
+// Inline styles can't target focus, so the viewer carries this one rule
+const FOCUS_STYLE = '.monster-viewer :focus-visible { outline: 2px solid #4ecdc4; outline-offset: 2px; }';
+
+// Toolbar buttons light up while their mode or panel is showing
+const toolbarButtonStyle = (active, idleBackground = '#555') => ({
+  padding: '8px 16px',
+  background: active ? '#4ecdc4' : idleBackground,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: 'bold'
+});
+
+function isDescendantOf(object, root) {
+  for (let current = object; current; current = current.parent) {
+    if (current === root) return true;
+  }
+  return false;
+}
+
+function entryLabel(entry) {
+  return `${entry.animation.enabled ? '🎬' : '🗿'} ${entry.name}`;
+}
+
+/**
+ * The full viewer. With no props it is the standalone app: models come from
+ * the manifest and every panel is available. Embedders pass `models` (URLs or
+ * manifest-style entries), pick the `panels` to offer and listen to events:
+ *
+ * - onLoad({ id, url, name, scene, animations, size, center, scale })
+ * - onError({ id, url, error, issues })
+ * - onClipChange({ clipName, duration, playing })
+ * - onSelect({ object, modelId })
+ *
+ * The ref exposes play(clipName?), pause(), seek(seconds), setCamera(pose, { animate }),
+ * getCamera() and screenshot(options) → Promise<Blob>.
+ *
+ * Keyboard shortcuts and the command palette (Ctrl/⌘ K) work while focus is
+ * in the viewer or on the page body; keyboardShortcuts={false} turns them off.
+ */
+export default function MonsterCompareViewer({
+  models,
+  manifestUrl = MANIFEST_URL,
+  initialMode = 'single',
+  initialClip,
+  camera,
+  background = DEFAULT_BACKGROUND,
+  panels = ALL_PANELS,
+  syncUrl = false,
+  keyboardShortcuts = true,
+  style,
+  className,
+  onLoad,
+  onError,
+  onClipChange,
+  onSelect,
+  ref
+}) {
+  // State restored from the page link, applied once the catalog has loaded.
+  // Embedded viewers leave the host page's URL alone unless asked.
+  const [linkState, setLinkState] = useState(() => readViewerState(syncUrl ? window.location.hash : ''));
+  const [viewMode, setViewMode] = useState(linkState.mode || initialMode);
+  const enabledPanels = useMemo(() => new Set(panels), [panels]);
+  const hasPanel = (panel) => enabledPanels.has(panel);
+  const hasToolbar = TOOLBAR_PANELS.some(hasPanel);
+
+  // Events are read through a ref so inline handlers don't retrigger effects
+  const eventsRef = useRef({});
+  useEffect(() => {
+    eventsRef.current = { onLoad, onError, onClipChange, onSelect };
+  });
+
+  // Catalog driven model selection
+  const catalog = useModelCatalog(manifestUrl, models);
+  const [selectedId, setSelectedId] = useState(linkState.model || null);
+  const [compareIds, setCompareIds] = useState(linkState.compare || null);
+  const [showOpenedFile, setShowOpenedFile] = useState(false);
+  // Models added for comparison at runtime: optimized exports and the opened
+  // files they were made from. They live as long as the viewer.
+  const [extraEntries, setExtraEntries] = useState([]);
+  const extraEntriesRef = useRef([]);
+  
+  // Fixed loading timers
+  const loadingTimers = useLoadingTimers();
+  const { startTimer, stopTimer } = loadingTimers;
+  const [compareRunId, setCompareRunId] = useState(0);
+
+  // Benchmark harness state
+  const [showBenchmark, setShowBenchmark] = useState(false);
+  const [benchmarkResults, setBenchmarkResults] = useState(null);
+  const rendererRef = useRef(null);
+
+  // Mesh optimization and re-export
+  const [showOptimize, setShowOptimize] = useState(false);
+
+  // Dimensions, bounding boxes and two-point measurements
+  const [showMeasure, setShowMeasure] = useState(false);
+  const [measureUnit, setMeasureUnit] = useState('m');
+  const [showBounds, setShowBounds] = useState(true);
+  const [measuring, setMeasuring] = useState(false);
+  const [measurement, setMeasurement] = useState(null);
+  const [authoredScale, setAuthoredScale] = useState(false);
+
+  // Review comments pinned to the models
+  const [showAnnotations, setShowAnnotations] = useState(false);
+  const [annotating, setAnnotating] = useState(false);
+  // A dropped pin waiting for its comment in the panel: { path, annotation }
+  const [draftAnnotation, setDraftAnnotation] = useState(null);
+  const [selectedAnnotationId, setSelectedAnnotationId] = useState(null);
+  const [annotationAuthor, setAnnotationAuthor] = useState(loadAuthor);
+  const annotationSeekRef = useRef(0);
+
+  // Exportable reports
+  const [showReport, setShowReport] = useState(false);
+
+  // Runtime rendering statistics
+  const [showStats, setShowStats] = useState(false);
+  const statsRef = useRef(null);
+
+  // Asset validation
+  const [showValidation, setShowValidation] = useState(false);
+  const [validationOptions, setValidationOptions] = useState(DEFAULT_VALIDATION_OPTIONS);
+  const [validationResults, setValidationResults] = useState({});
+  const [loadErrors, setLoadErrors] = useState({});
+  const [retryCounts, setRetryCounts] = useState({});
+  const validatedRef = useRef(new Map());
+
+  // Service worker caches
+  const [showOffline, setShowOffline] = useState(false);
+
+  // Screenshot and turntable capture
+  const [showCapture, setShowCapture] = useState(false);
+  const captureRef = useRef(null);
+
+  // Lighting and environment editor
+  const [showLighting, setShowLighting] = useState(false);
+  const [lightingRig, setLightingRig] = useState(DEFAULT_RIG);
+  const [environmentFile, setEnvironmentFile] = useState(null);
+  const [environmentError, setEnvironmentError] = useState(null);
+  const [selectedLightId, setSelectedLightId] = useState(null);
+
+  // Render modes and post-processing; compare sides share settings until
+  // they are unlinked
+  const [showRender, setShowRender] = useState(false);
+  const [renderSides, setRenderSides] = useState(() => Array(MAX_COMPARE).fill(DEFAULT_RENDER_SETTINGS));
+  const [renderLinked, setRenderLinked] = useState(true);
+  const [renderSide, setRenderSide] = useState(0);
+  const [renderPipeline] = useState(createRenderPipeline);
+
+  useEffect(() => () => renderPipeline.dispose(), [renderPipeline]);
+
+  // Compare layouts: one shared scene in a row, or split, wipe and onion views
+  const [compareLayout, setCompareLayout] = useState(linkState.layout || 'row');
+  const [wipePosition, setWipePosition] = useState(0.5);
+  const [compareSwapped, setCompareSwapped] = useState(linkState.swapped);
+  const [syncAnimation, setSyncAnimation] = useState(true);
+
+  // Camera bookmarks; a linked or requested camera pose overrides the
+  // framing until the user picks another model or layout
+  const [showViews, setShowViews] = useState(false);
+  const [initialCamera, setInitialCamera] = useState(() => linkState.camera
+    || (camera && camera.position ? { position: camera.position, target: camera.target || ORIGIN } : null));
+  const cameraRef = useRef(null);
+
+  // Keyboard shortcut list and command palette
+  const rootRef = useRef(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // Responsive layout: on a narrow viewer the sidebars become drawers that
+  // open one at a time over the canvas
+  const { width: viewerWidth } = useElementSize(rootRef);
+  const isCompact = viewerWidth > 0 && viewerWidth < COMPACT_WIDTH;
+  const [sidebarsOpen, setSidebarsOpen] = useState({ left: true, right: true });
+  const [openDrawer, setOpenDrawer] = useState(null);
+  const [isTouch] = useState(() => window.matchMedia('(pointer: coarse)').matches);
+  const leftSidebarId = useId();
+  const rightSidebarId = useId();
+
+  // Render resolution, fixed or scaled to keep the frame rate up
+  const [resolution, setResolution] = useState('auto');
+  const [currentDpr, setCurrentDpr] = useState(null);
+
+  // Revoke a local environment map once it is replaced or the viewer unmounts
+  useEffect(() => () => {
+    if (environmentFile) URL.revokeObjectURL(environmentFile.url);
+  }, [environmentFile]);
+
+  const handleEnvironmentFileChange = useCallback((file) => {
+    setEnvironmentError(null);
+    setEnvironmentFile(file);
+  }, []);
+
+  const handleLightMove = useCallback((id, position) => {
+    setLightingRig(rig => ({
+      ...rig,
+      lights: rig.lights.map(light => (light.id === id ? { ...light, position } : light))
+    }));
+  }, []);
+  
+  const [modelInfo, setModelInfo] = useState({});
+
+  // Scene graph inspector state
+  const [showInspector, setShowInspector] = useState(false);
+  const [inspectedId, setInspectedId] = useState(null);
+  const [selectedObject, setSelectedObject] = useState(null);
+  const [showSkeleton, setShowSkeleton] = useState(false);
+  const [showWeights, setShowWeights] = useState(false);
+
+  // Material inspector state
+  const [showMaterials, setShowMaterials] = useState(false);
+  const [debugViewMode, setDebugViewMode] = useState('none');
+
+  // Shape key weights by target name, held on every loaded model
+  const [showMorphs, setShowMorphs] = useState(false);
+  const [morphWeights, setMorphWeights] = useState({});
+
+  // Animation playback state for the animated model
+  const [clips, setClips] = useState([]);
+  const [clipName, setClipName] = useState(null);
+  const [playing, setPlaying] = useState(true);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [loopMode, setLoopMode] = useState('repeat');
+  const [crossfade, setCrossfade] = useState(DEFAULT_CROSSFADE);
+  const [blend, setBlend] = useState(DEFAULT_BLEND);
+  const playbackRef = useRef(null);
+
+  // Side-by-side "from → to" preview in single view: the model on the left
+  // plays "from" and then crossfades into "to", next to a copy playing "to"
+  // at the matching time
+  const [transitionPreview, setTransitionPreview] = useState(null);
+  const [previewScene, setPreviewScene] = useState(null);
+  const previewFollowerRef = useRef(null);
+  const previewTimeoutRef = useRef(null);
+  const previewClipRef = useRef(null);
+
+  const endTransitionPreview = useCallback(() => {
+    clearTimeout(previewTimeoutRef.current);
+    previewClipRef.current = null;
+    setTransitionPreview(null);
+    setPreviewScene(null);
+  }, []);
+
+  const handleClipChange = useCallback((name) => {
+    endTransitionPreview();
+    setClipName(name);
+    setPlaying(true);
+  }, [endTransitionPreview]);
+
+  // Cut to "from", hold it for a moment, then crossfade into "to" on the
+  // mixer with the crossfade settings
+  const handlePreviewTransition = useCallback((from, to, hold) => {
+    clearTimeout(previewTimeoutRef.current);
+    const playback = playbackRef.current;
+    if (!playback) return;
+    playback.cutTo(from);
+    setClipName(from);
+    setPlaying(true);
+    setTransitionPreview({ from, to });
+    previewClipRef.current = from;
+    previewTimeoutRef.current = setTimeout(() => {
+      previewClipRef.current = null;
+      if (playbackRef.current) playbackRef.current.crossFadeTo(to);
+      setClipName(to);
+    }, hold * 1000);
+  }, []);
+
+  useEffect(() => () => clearTimeout(previewTimeoutRef.current), []);
+
+  // Report the clip that is actually playing, which falls back to the first
+  // one when the requested clip doesn't exist
+  const activeClip = clips.find(clip => clip.name === clipName) || clips[0] || null;
+  const activeClipName = activeClip ? activeClip.name : null;
+  const activeClipDuration = activeClip ? activeClip.duration : 0;
+
+  // Any other clip change, such as another model loading, ends a pending preview
+  useEffect(() => {
+    if (previewClipRef.current && previewClipRef.current !== activeClipName) {
+      endTransitionPreview();
+    }
+  }, [activeClipName, endTransitionPreview]);
+  useEffect(() => {
+    const events = eventsRef.current;
+    if (activeClipName && events.onClipChange) {
+      events.onClipChange({ clipName: activeClipName, duration: activeClipDuration, playing });
+    }
+  }, [activeClipName, activeClipDuration, playing]);
+
+  // Apply a catalog entry's default clip, loop mode and speed
+  const applyAnimationDefaults = useCallback((entry) => {
+    endTransitionPreview();
+    setClipName(entry ? entry.animation.clip : null);
+    setLoopMode(entry ? entry.animation.loop : 'repeat');
+    setPlaybackSpeed(entry ? entry.animation.speed : 1);
+    setPlaying(true);
+  }, [endTransitionPreview]);
+
+  const selectedEntry = catalog.entries.find(entry => entry.id === selectedId)
+    || catalog.entries.find(entry => entry.id === catalog.defaultModel)
+    || null;
+  const compareEntries = useMemo(() => (compareIds || catalog.defaultCompare)
+    .map(id => catalog.entries.find(entry => entry.id === id) || extraEntries.find(entry => entry.id === id))
+    .filter(Boolean), [compareIds, catalog.defaultCompare, catalog.entries, extraEntries]);
+
+  // Honour the manifest's animation defaults for the initial model, then any
+  // playback state carried in the link
+  const restoredRef = useRef(false);
+  useEffect(() => {
+    if (restoredRef.current || !selectedEntry) return;
+    restoredRef.current = true;
+
+    applyAnimationDefaults(viewMode === 'single' ? selectedEntry : null);
+    if (linkState.clip || initialClip) setClipName(linkState.clip || initialClip);
+    if (linkState.loop) setLoopMode(linkState.loop);
+    if (linkState.speed !== undefined) setPlaybackSpeed(linkState.speed);
+    if (linkState.playing !== undefined) setPlaying(linkState.playing);
+    if (viewMode === 'compare') {
+      compareEntries.forEach(entry => startTimer(entry.id));
+    }
+  }, [selectedEntry, viewMode, compareEntries, linkState, initialClip, applyAnimationDefaults, startTimer]);
+
+  // The clip time can only be applied once the animated model has loaded
+  useEffect(() => {
+    if (linkState.time === undefined) return;
+    const deadline = performance.now() + LINK_RESTORE_TIMEOUT_MS;
+    let frame;
+    const apply = () => {
+      const playback = playbackRef.current;
+      if (playback && (!linkState.clip || playback.clipName === linkState.clip)) {
+        playback.seek(linkState.time);
+      } else if (performance.now() < deadline) {
+        frame = requestAnimationFrame(apply);
+      }
+    };
+    frame = requestAnimationFrame(apply);
+    return () => cancelAnimationFrame(frame);
+  }, [linkState]);
+
+  const handleSelectEntry = useCallback((id) => {
+    setSelectedId(id);
+    setShowOpenedFile(false);
+    setInitialCamera(null);
+    applyAnimationDefaults(catalog.entries.find(entry => entry.id === id));
+  }, [catalog.entries, applyAnimationDefaults]);
+
+  const handleToggleCompare = useCallback((id) => {
+    const current = compareEntries.map(entry => entry.id);
+    setInitialCamera(null);
+    if (current.includes(id)) {
+      setCompareIds(current.filter(item => item !== id));
+    } else if (current.length < MAX_COMPARE) {
+      startTimer(id);
+      setCompareIds([...current, id]);
+    }
+  }, [compareEntries, startTimer]);
+
+  const handleApplyComparePreset = useCallback((preset) => {
+    const current = compareEntries.map(entry => entry.id);
+    const ids = preset.models.slice(0, MAX_COMPARE);
+    setInitialCamera(null);
+    ids.filter(id => !current.includes(id)).forEach(id => startTimer(id));
+    setCompareIds(ids);
+  }, [compareEntries, startTimer]);
+
+  const handleCompareLayoutChange = useCallback((layout) => {
+    setInitialCamera(null);
+    setCompareLayout(layout);
+  }, []);
+
+  // User-opened files (file picker or drag and drop)
+  const modelFiles = useModelFiles();
+  const { openFiles, selectFile } = modelFiles;
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleOpenFiles = useCallback((entries) => {
+    const source = openFiles(entries);
+    if (source) {
+      setViewMode('single');
+      setShowOpenedFile(true);
+      setInitialCamera(null);
+      applyAnimationDefaults(null);
+    }
+  }, [openFiles, applyAnimationDefaults]);
+
+  const handleSelectFile = useCallback((id) => {
+    selectFile(id);
+    setViewMode('single');
+    setShowOpenedFile(true);
+    setInitialCamera(null);
+    applyAnimationDefaults(null);
+  }, [selectFile, applyAnimationDefaults]);
+
+  const handleDragOver = useCallback((e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragging(true);
+  }, []);
+
+  const handleDragLeave = useCallback((e) => {
+    // Ignore leave events fired when moving between child elements
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  }, []);
+
+  const handleDrop = useCallback(async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const entries = await collectDroppedFiles(e.dataTransfer);
+    if (entries.length > 0) {
+      handleOpenFiles(entries);
+    }
+  }, [handleOpenFiles]);
+
+  const handleModelLoaded = useCallback((info, model) => {
+    markModelLoaded(model.path);
+    setModelInfo(prev => ({ ...prev, [model.id]: info }));
+    const events = eventsRef.current;
+    if (events.onLoad) {
+      const { size, center, scale, scene, animations } = info;
+      events.onLoad({ id: model.id, url: model.path, name: model.name, scene, animations, size, center, scale });
+    }
+  }, []);
+
+  const handleModelError = useCallback((error, id, path) => {
+    const issues = sortIssues(describeLoadError(error, path));
+    setLoadErrors(prev => ({ ...prev, [id]: issues }));
+    const events = eventsRef.current;
+    if (events.onError) events.onError({ id, url: path, error, issues });
+  }, []);
+
+  // Remounts the compared models with an empty loader cache so "Test Again"
+  // measures a cold load instead of a cache hit
+  const handleCompareReset = useCallback(() => {
+    loadingTimers.reset();
+    setModelInfo({});
+    setLoadErrors({});
+    compareEntries.forEach(entry => {
+      clearModel(entry.path);
+      forgetModel(entry.path);
+      startTimer(entry.id);
+    });
+    setCompareRunId(id => id + 1);
+  }, [loadingTimers, compareEntries, startTimer]);
+
+  const handleViewModeChange = useCallback((mode) => {
+    setViewMode(mode);
+    setInitialCamera(null);
+    applyAnimationDefaults(mode === 'single' && !showOpenedFile ? selectedEntry : null);
+    // Reset timers when switching modes
+    loadingTimers.reset();
+    setModelInfo({});
+    if (mode === 'compare') {
+      compareEntries.forEach(entry => startTimer(entry.id));
+    }
+  }, [loadingTimers, applyAnimationDefaults, showOpenedFile, selectedEntry, compareEntries, startTimer]);
+
+  const customFile = showOpenedFile ? modelFiles.activeFile : null;
+
+  const singleModel = useMemo(() => (customFile
+    ? { id: customFile.id, path: customFile.url, label: `📂 ${customFile.name}`, name: customFile.name, enableAnimation: true }
+    : selectedEntry
+      ? { id: selectedEntry.id, path: selectedEntry.path, label: entryLabel(selectedEntry), name: selectedEntry.name, enableAnimation: selectedEntry.animation.enabled }
+      : null), [customFile, selectedEntry]);
+
+  const previewing = viewMode === 'single' && singleModel !== null && transitionPreview !== null;
+
+  // The playback panel follows the first animated model in the comparison
+  const focusedCompareId = (compareEntries.find(entry => entry.animation.enabled) || {}).id;
+
+  // The other animated models follow the focused one's clip time when synced
+  const followerRefs = useMemo(() => Object.fromEntries(compareEntries
+    .filter(entry => entry.animation.enabled && entry.id !== focusedCompareId)
+    .map(entry => [entry.id, React.createRef()])), [compareEntries, focusedCompareId]);
+  const canSyncAnimation = Object.keys(followerRefs).length > 0;
+
+  // Overlaid layouts stack every model at the origin; A/B swap the first two
+  const compareOrder = useMemo(() => (compareSwapped && compareEntries.length > 1
+    ? [compareEntries[1], compareEntries[0], ...compareEntries.slice(2)]
+    : compareEntries), [compareEntries, compareSwapped]);
+
+  // The sides of the comparison, left to right in the row and A, B… in the
+  // overlaid layouts, each drawn with its render settings
+  const renderLayout = viewMode === 'compare' ? compareLayout : previewing ? 'split' : 'single';
+  const sideEntries = useMemo(() => (viewMode === 'compare' ? (compareLayout === 'row' ? compareEntries : compareOrder) : []),
+    [viewMode, compareLayout, compareEntries, compareOrder]);
+  const activeRenderSide = renderLinked ? 0 : Math.min(renderSide, Math.max(sideEntries.length - 1, 0));
+  const renderViews = useMemo(() => {
+    if (viewMode === 'single') {
+      const info = singleModel && modelInfo[singleModel.id];
+      const view = { scene: info ? info.scene : null, settings: renderSides[0] };
+      return previewing ? [view, { scene: previewScene, settings: renderSides[0] }] : [view];
+    }
+    const sides = resolveSideSettings(compareLayout, sideEntries.map((entry, index) => renderSides[renderLinked ? 0 : index]));
+    return sideEntries.map((entry, index) => ({
+      scene: modelInfo[entry.id] ? modelInfo[entry.id].scene : null,
+      settings: sides[index]
+    }));
+  }, [viewMode, singleModel, previewing, previewScene, sideEntries, modelInfo, renderSides, renderLinked, compareLayout]);
+
+  const drawViews = useCallback((frame) => renderPipeline.draw(frame.gl, {
+    ...frame,
+    layout: renderLayout,
+    views: renderViews,
+    wipePosition
+  }), [renderPipeline, renderLayout, renderViews, wipePosition]);
+
+  const cameraPosition = useMemo(() => {
+    if (initialCamera) {
+      return initialCamera.position;
+    }
+    if (viewMode === 'compare' && compareLayout === 'row') {
+      return [0, 3, 10 + Math.max(0, compareEntries.length - 2) * 4];
+    }
+    if (viewMode === 'compare') {
+      return DEFAULT_CAMERA.position;
+    }
+    return selectedEntry && !customFile ? selectedEntry.camera.position : DEFAULT_CAMERA.position;
+  }, [initialCamera, viewMode, compareLayout, compareEntries.length, selectedEntry, customFile]);
+  const cameraTarget = initialCamera ? initialCamera.target : ORIGIN;
+
+  // Everything a shared link needs to reopen this view. Opened local files
+  // can't travel in a link, so they're left out.
+  const getViewerState = useCallback(() => {
+    const playback = playbackRef.current;
+    return {
+      mode: viewMode,
+      model: selectedEntry && !showOpenedFile ? selectedEntry.id : undefined,
+      // Optimized exports and opened files only exist in this session
+      compare: compareEntries.filter(entry => !extraEntries.includes(entry)).map(entry => entry.id),
+      layout: compareLayout,
+      swapped: compareSwapped,
+      clip: playback ? playback.clipName : clipName || undefined,
+      time: !playing && playback ? playback.getTime() : undefined,
+      playing,
+      speed: playbackSpeed,
+      loop: loopMode,
+      camera: cameraRef.current ? cameraRef.current.getPose() : initialCamera || undefined
+    };
+  }, [viewMode, selectedEntry, showOpenedFile, compareEntries, extraEntries, compareLayout, compareSwapped, clipName, playing, playbackSpeed, loopMode, initialCamera]);
+
+  // Keep the address bar current; polled because orbiting and scrubbing
+  // don't go through React state. Waits for the catalog so the incoming
+  // link isn't overwritten before it has been applied.
+  useEffect(() => {
+    if (!syncUrl || catalog.isLoading) return;
+    const sync = () => writeViewerState(getViewerState());
+    sync();
+    const interval = setInterval(sync, URL_SYNC_MS);
+    return () => clearInterval(interval);
+  }, [syncUrl, catalog.isLoading, getViewerState]);
+
+  // Models the link names that this catalog doesn't list. The defaults are
+  // shown in their place, with a notice until it is dismissed.
+  const [dismissedLinkState, setDismissedLinkState] = useState(null);
+  const missingLinkedModels = useMemo(() => {
+    if (catalog.isLoading || catalog.error) return [];
+    return [linkState.model, ...(linkState.compare || [])]
+      .filter(id => id && !catalog.entries.some(entry => entry.id === id));
+  }, [catalog.isLoading, catalog.error, catalog.entries, linkState]);
+  const linkNotice = missingLinkedModels.length > 0 && dismissedLinkState !== linkState
+    ? `This link names models that aren't in the catalog (${missingLinkedModels.join(', ')}), so the defaults are shown instead.`
+    : null;
+
+  // Pasting a different link into the address bar only changes the hash.
+  // The new view is applied in place, so loaded models, panels and results
+  // are kept. Models the catalog doesn't list fall back to the defaults.
+  const applyLinkState = useCallback((state) => {
+    const isListed = (id) => catalog.entries.some(entry => entry.id === id);
+    const model = state.model && isListed(state.model) ? state.model : null;
+    const listedCompare = state.compare ? state.compare.filter(isListed) : [];
+    const compare = listedCompare.length > 0 ? listedCompare : null;
+
+    const mode = state.mode || 'single';
+    const current = compareEntries.map(entry => entry.id);
+    const nextCompare = compare || catalog.defaultCompare;
+    if (mode !== viewMode) {
+      loadingTimers.reset();
+      setModelInfo({});
+      if (mode === 'compare') nextCompare.forEach(id => startTimer(id));
+    } else if (mode === 'compare') {
+      nextCompare.filter(id => !current.includes(id)).forEach(id => startTimer(id));
+    }
+
+    setViewMode(mode);
+    setSelectedId(model);
+    setCompareIds(compare);
+    setShowOpenedFile(false);
+    setCompareLayout(state.layout || 'row');
+    setCompareSwapped(state.swapped);
+    setInitialCamera(state.camera || null);
+
+    const entry = catalog.entries.find(item => item.id === (model || catalog.defaultModel));
+    applyAnimationDefaults(mode === 'single' ? entry : null);
+    if (state.clip) setClipName(state.clip);
+    if (state.loop) setLoopMode(state.loop);
+    if (state.speed !== undefined) setPlaybackSpeed(state.speed);
+    if (state.playing !== undefined) setPlaying(state.playing);
+    // Seeks once the clip is playing, as on first load
+    setLinkState(state);
+  }, [catalog.entries, catalog.defaultModel, catalog.defaultCompare, compareEntries, viewMode, loadingTimers, startTimer, applyAnimationDefaults]);
+
+  useEffect(() => {
+    if (!syncUrl) return;
+    const handleHashChange = () => applyLinkState(readViewerState(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [syncUrl, applyLinkState]);
+
+  const cameraFov = camera && camera.fov
+    ? camera.fov
+    : viewMode === 'single' && selectedEntry && !customFile
+      ? selectedEntry.camera.fov
+      : DEFAULT_CAMERA.fov;
+
+  // Imperative API for embedders
+  useImperativeHandle(ref, () => ({
+    play: (name) => {
+      if (name) {
+        handleClipChange(name);
+      } else {
+        setPlaying(true);
+      }
+    },
+    pause: () => setPlaying(false),
+    seek: (time) => {
+      if (playbackRef.current) playbackRef.current.seek(time);
+    },
+    setCamera: (pose, { animate = true } = {}) => {
+      if (cameraRef.current) {
+        cameraRef.current.flyTo({ position: pose.position, target: pose.target || ORIGIN }, animate ? undefined : 0);
+      }
+    },
+    getCamera: () => (cameraRef.current ? cameraRef.current.getPose() : null),
+    getState: getViewerState,
+    screenshot: async (options = {}) => {
+      const get = captureRef.current;
+      if (!get) throw new Error('The viewer has not finished mounting');
+      const { gl, scene, camera: activeCamera, size } = get();
+      const pixelRatio = gl.getPixelRatio();
+      const canvas = renderFrame({
+        gl,
+        scene,
+        camera: activeCamera,
+        width: Math.round(size.width * pixelRatio),
+        height: Math.round(size.height * pixelRatio),
+        background,
+        draw: drawViews,
+        ...options
+      });
+      return canvasToBlob(canvas);
+    }
+  }), [handleClipChange, getViewerState, background, drawViews]);
+
+  // Models currently on screen whose scene has finished loading
+  const loadedModels = useMemo(() => (viewMode === 'single' ? (singleModel ? [singleModel] : []) : compareEntries)
+    .filter(model => modelInfo[model.id] && modelInfo[model.id].scene)
+    .map(model => ({ ...modelInfo[model.id], id: model.id, name: model.name, path: model.path })), [viewMode, singleModel, compareEntries, modelInfo]);
+
+  const loadedScenes = useMemo(() => loadedModels.map(model => model.scene), [loadedModels]);
+
+  const { annotations, updateAnnotations } = useAnnotations(loadedModels);
+
+  // Shape keys of every loaded model; a name shared between models drives all of them
+  const morphTargets = useMemo(() => {
+    const targets = new Map();
+    loadedModels.forEach(model => model.morphTargets.forEach(target => {
+      targets.set(target.name, (targets.get(target.name) || 0) + target.meshCount);
+    }));
+    return [...targets].map(([name, meshCount]) => ({ name, meshCount }));
+  }, [loadedModels]);
+
+  const handleRenderSettingsChange = (settings) => {
+    setRenderSides(prev => prev.map((item, index) => (index === activeRenderSide ? settings : item)));
+  };
+
+  // Unlinked sides start from the shared settings, so nothing changes until
+  // one of them is edited
+  const handleRenderLinkedChange = (linked) => {
+    if (!linked) setRenderSides(prev => prev.map(() => prev[0]));
+    setRenderLinked(linked);
+  };
+
+  const inspectedModel = loadedModels.find(model => model.id === inspectedId) || loadedModels[0] || null;
+
+  // Drop the selection once its model is no longer on screen
+  const activeSelection = selectedObject && inspectedModel && isDescendantOf(selectedObject, inspectedModel.scene)
+    ? selectedObject
+    : null;
+
+  const handleSelectObject = useCallback((object) => {
+    setSelectedObject(object);
+    setShowWeights(false);
+    const owner = loadedModels.find(model => isDescendantOf(object, model.scene));
+    if (owner) setInspectedId(owner.id);
+    const events = eventsRef.current;
+    if (events.onSelect) events.onSelect({ object, modelId: owner ? owner.id : null });
+  }, [loadedModels]);
+
+  // Points are stored in the model's own space so distances come out in
+  // model units at either scale. A click on another model starts over.
+  const handleMeasureClick = useCallback((object, point) => {
+    const owner = loadedModels.find(model => isDescendantOf(object, model.scene));
+    if (!owner) return;
+    const local = owner.scene.worldToLocal(point.clone());
+    setMeasurement(prev => (prev && prev.points.length === 1 && prev.scene === owner.scene
+      ? { ...prev, points: [prev.points[0], local] }
+      : { scene: owner.scene, modelName: owner.name, points: [local] }));
+  }, [loadedModels]);
+
+  // A click while adding pins drops a draft pin on the bone or node under the
+  // cursor, with the current camera pose and clip time. It is only kept once
+  // its comment is written in the panel; another click replaces it.
+  const handleAnnotationClick = useCallback((object, point, face) => {
+    const owner = loadedModels.find(model => isDescendantOf(object, model.scene));
+    if (!owner) return;
+
+    const playback = playbackRef.current;
+    const annotation = createAnnotation({ root: owner.scene, object, point, face }, {
+      comment: '',
+      author: annotationAuthor,
+      camera: cameraRef.current ? cameraRef.current.getPose() : null,
+      clip: playback ? playback.clipName : null,
+      time: playback ? playback.getTime() : null
+    });
+    setDraftAnnotation({ path: owner.path, annotation });
+    setSelectedAnnotationId(annotation.id);
+  }, [loadedModels, annotationAuthor]);
+
+  // The draft is dropped with its model or the panel
+  const activeDraft = draftAnnotation && showAnnotations && loadedModels.some(model => model.path === draftAnnotation.path)
+    ? draftAnnotation
+    : null;
+
+  // An empty comment discards the pin
+  const handleDraftSubmit = useCallback((comment) => {
+    setDraftAnnotation(null);
+    if (!activeDraft || !comment.trim()) return;
+    const { path, annotation } = activeDraft;
+    updateAnnotations(path, [...(annotations[path] || []), { ...annotation, comment: comment.trim() }]);
+  }, [activeDraft, annotations, updateAnnotations]);
+
+  // Takes the camera back to where the pin was dropped and pauses on the
+  // pin's clip time once that clip is playing
+  const handleSelectAnnotation = useCallback((annotation) => {
+    setSelectedAnnotationId(annotation.id);
+    if (annotation.camera && cameraRef.current) cameraRef.current.flyTo(annotation.camera);
+    cancelAnimationFrame(annotationSeekRef.current);
+    if (!clips.some(clip => clip.name === annotation.clip)) return;
+
+    handleClipChange(annotation.clip);
+    setPlaying(false);
+    const deadline = performance.now() + CLIP_SEEK_TIMEOUT_MS;
+    const apply = () => {
+      const playback = playbackRef.current;
+      if (playback && playback.clipName === annotation.clip) {
+        playback.seek(annotation.time);
+      } else if (performance.now() < deadline) {
+        annotationSeekRef.current = requestAnimationFrame(apply);
+      }
+    };
+    annotationSeekRef.current = requestAnimationFrame(apply);
+  }, [clips, handleClipChange]);
+
+  useEffect(() => () => cancelAnimationFrame(annotationSeekRef.current), []);
+
+  const handleAuthorChange = (author) => {
+    setAnnotationAuthor(author);
+    storeAuthor(author);
+  };
+
+  const handleObjectClick = showMeasure && measuring
+    ? handleMeasureClick
+    : showAnnotations && annotating
+      ? handleAnnotationClick
+      : showInspector || onSelect ? handleSelectObject : undefined;
+
+  // Drop the measurement once its model is no longer on screen
+  const activeMeasurement = measurement && loadedScenes.includes(measurement.scene) ? measurement : null;
+
+  // The optimizer works on the inspected model. Opened files pass their
+  // manager along, since their sidecars only resolve through it.
+  const optimizeSource = useMemo(() => {
+    if (!inspectedModel) return null;
+    const isOpenedFile = customFile && customFile.id === inspectedModel.id;
+    const extra = extraEntries.find(entry => entry.id === inspectedModel.id);
+    return {
+      id: inspectedModel.id,
+      name: isOpenedFile ? customFile.name : extra ? extra.fileName : inspectedModel.path.slice(inspectedModel.path.lastIndexOf('/') + 1),
+      path: inspectedModel.path,
+      manager: isOpenedFile ? customFile.manager : extra ? extra.manager : undefined,
+      triangles: geometryStats(inspectedModel.scene, inspectedModel.parser).triangles
+    };
+  }, [inspectedModel, customFile, extraEntries]);
+
+  // Puts an optimized export next to its original in compare mode. Both are
+  // loaded cold so their load times can be compared fairly.
+  const handleOptimized = useCallback((result, source) => {
+    const url = URL.createObjectURL(new Blob([result.glb], { type: 'model/gltf-binary' }));
+    const existing = catalog.entries.find(entry => entry.id === source.id)
+      || extraEntries.find(entry => entry.id === source.id);
+    const sourceEntry = existing || {
+      ...normalizeEntry({ id: source.id, name: source.name, path: source.path }, 0),
+      manager: source.manager,
+      fileName: source.name,
+      fileBytes: result.before.bytes
+    };
+    const optimizedEntry = {
+      ...sourceEntry,
+      id: url,
+      name: `${sourceEntry.name} (optimized)`,
+      path: url,
+      manager: undefined,
+      tags: [...sourceEntry.tags, 'optimized'],
+      fileName: result.name,
+      fileBytes: result.after.bytes,
+      optimized: { sourceId: sourceEntry.id, before: result.before, after: result.after }
+    };
+
+    const next = [...extraEntries, ...(existing ? [] : [sourceEntry]), optimizedEntry];
+    extraEntriesRef.current = next;
+    setExtraEntries(next);
+    setCompareIds([sourceEntry.id, optimizedEntry.id]);
+    setViewMode('compare');
+    setInitialCamera(null);
+    setInspectedId(sourceEntry.id);
+    applyAnimationDefaults(null);
+    loadingTimers.reset();
+    setModelInfo({});
+    setLoadErrors({});
+    [sourceEntry, optimizedEntry].forEach(entry => {
+      clearModel(entry.path);
+      forgetModel(entry.path);
+      startTimer(entry.id);
+    });
+    setCompareRunId(id => id + 1);
+  }, [catalog.entries, extraEntries, applyAnimationDefaults, loadingTimers, startTimer]);
+
+  // Optimized exports own their object URLs
+  useEffect(() => () => {
+    extraEntriesRef.current.forEach(entry => {
+      if (entry.optimized) URL.revokeObjectURL(entry.path);
+    });
+  }, []);
+
+  const benchmarkModels = viewMode === 'single'
+    ? (singleModel ? [{ id: singleModel.id, name: singleModel.name, url: singleModel.path, manager: customFile ? customFile.manager : null }] : [])
+    : compareEntries.map(entry => ({ id: entry.id, name: entry.name, url: entry.path, manager: entry.manager || null }));
+
+  const compareResults = useMemo(() => compareEntries.map(entry => {
+    const info = modelInfo[entry.id];
+    return {
+      id: entry.id,
+      name: entry.name,
+      loadTime: (loadingTimers.timers[entry.id] || {}).loadTime,
+      fileBytes: entry.fileBytes !== undefined ? entry.fileBytes : info ? measureFileSize(entry.path, info.parser) : null,
+      triangles: info && info.scene ? geometryStats(info.scene, info.parser).triangles : null
+    };
+  }), [compareEntries, loadingTimers.timers, modelInfo]);
+
+  const reportModels = useMemo(() => {
+    if (viewMode === 'compare') {
+      return compareEntries.map(entry => (entry.fileBytes !== undefined
+        ? { id: entry.id, name: entry.name, path: entry.fileName, fileBytes: entry.fileBytes }
+        : { id: entry.id, name: entry.name, path: entry.path }));
+    }
+    if (!singleModel) return [];
+    // Opened files only have object URLs, so report the file name and the exact size on disk
+    return customFile
+      ? [{ id: customFile.id, name: customFile.name, path: customFile.name, fileBytes: customFile.files.reduce((sum, file) => sum + file.size, 0) }]
+      : [{ id: singleModel.id, name: singleModel.name, path: singleModel.path }];
+  }, [viewMode, compareEntries, singleModel, customFile]);
+
+  // Models on screen, including ones that failed to load
+  const screenModels = useMemo(() => (viewMode === 'compare' ? compareEntries : singleModel ? [singleModel] : []),
+    [viewMode, compareEntries, singleModel]);
+
+  // Validate every model once it has loaded, and again whenever the limits change
+  useEffect(() => {
+    loadedModels.forEach(model => {
+      const started = validatedRef.current.get(model.id);
+      if (started && started.scene === model.scene && started.options === validationOptions) return;
+      validatedRef.current.set(model.id, { scene: model.scene, options: validationOptions });
+
+      validateAsset({ scene: model.scene, parser: model.parser, modelPath: model.path }, validationOptions)
+        .then(issues => {
+          setValidationResults(prev => ({ ...prev, [model.id]: { scene: model.scene, options: validationOptions, issues } }));
+        })
+        .catch(error => console.error('Validation failed:', error));
+    });
+  }, [loadedModels, validationOptions]);
+
+  const validationReports = screenModels.map(model => {
+    if (loadErrors[model.id]) {
+      return { id: model.id, name: model.name, status: 'failed', issues: loadErrors[model.id] };
+    }
+    const info = modelInfo[model.id];
+    const result = validationResults[model.id];
+    const isCurrent = info && result && result.scene === info.scene && result.options === validationOptions;
+    return { id: model.id, name: model.name, status: isCurrent ? 'done' : 'pending', issues: isCurrent ? result.issues : [] };
+  });
+
+  const validationCounts = countIssues(validationReports.flatMap(report => report.issues));
+
+  // Reloads one model from scratch: drops its cached load (including a cached
+  // failure) and remounts its error boundary
+  const handleRetry = useCallback((id) => {
+    const model = screenModels.find(item => item.id === id);
+    if (!model) return;
+
+    const info = modelInfo[id];
+    clearLoadFailures(model.path, info ? info.parser : null);
+    clearModel(model.path);
+    forgetModel(model.path);
+    validatedRef.current.delete(id);
+    setLoadErrors(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setModelInfo(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setRetryCounts(prev => ({ ...prev, [id]: (prev[id] || 0) + 1 }));
+    if (viewMode === 'compare') {
+      startTimer(id);
+    }
+  }, [screenModels, modelInfo, viewMode, startTimer]);
+
+  const buildCurrentReport = useCallback(() => buildReport({
+    models: reportModels,
+    modelInfo,
+    loadTimes: Object.fromEntries(Object.entries(loadingTimers.timers).map(([id, timer]) => [id, timer.loadTime])),
+    benchmark: benchmarkResults,
+    renderer: rendererRef.current,
+    viewMode
+  }), [reportModels, modelInfo, loadingTimers.timers, benchmarkResults, viewMode]);
+
+  // Clips the playback controls act on; compare mode follows its focused model
+  const playableClips = viewMode === 'compare' && !focusedCompareId ? [] : clips;
+
+  // A finished "once" clip restarts from the beginning
+  const handlePlayToggle = () => {
+    const playback = playbackRef.current;
+    if (!playing && playback && loopMode === 'once' && playback.getTime() >= playback.duration) {
+      playback.seek(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const handleStepFrame = (frames) => {
+    setPlaying(false);
+    if (playbackRef.current) playbackRef.current.step(frames);
+  };
+
+  const isSidebarOpen = (side) => (isCompact ? openDrawer === side : sidebarsOpen[side]);
+
+  const toggleSidebar = (side) => {
+    if (isCompact) {
+      setOpenDrawer(open => (open === side ? null : side));
+    } else {
+      setSidebarsOpen(open => ({ ...open, [side]: !open[side] }));
+    }
+  };
+
+  const showSidebar = (side) => {
+    if (isCompact) {
+      setOpenDrawer(side);
+    } else {
+      setSidebarsOpen(open => ({ ...open, [side]: true }));
+    }
+  };
+
+  // Beside the canvas on wide viewers; full-width drawers under the toolbar
+  // (and the compare layout bar) on compact ones
+  const sidebarStyle = (side) => ({
+    position: 'absolute',
+    top: isCompact && viewMode === 'compare' ? '126px' : '80px',
+    bottom: isCompact ? '10px' : '20px',
+    ...(isCompact ? { left: '10px', right: '10px', zIndex: 15 } : { [side]: '20px', width: '300px' }),
+    display: isSidebarOpen(side) ? 'flex' : 'none',
+    flexDirection: 'column',
+    gap: '10px',
+    pointerEvents: 'none'
+  });
+
+  const sidebarToggleStyle = (side) => ({
+    position: 'absolute',
+    top: '20px',
+    [side]: isCompact ? '10px' : '20px',
+    zIndex: 10,
+    width: '44px',
+    height: '44px',
+    padding: 0,
+    background: isSidebarOpen(side) ? '#4ecdc4' : 'rgba(0,0,0,0.9)',
+    color: 'white',
+    border: '1px solid #4ecdc4',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '18px'
+  });
+
+  const doubleTap = useDoubleTap(() => {
+    if (cameraRef.current) cameraRef.current.frame(loadedScenes);
+  });
+
+  // Toolbar panels and the sidebar that holds them; the benchmark floats.
+  // text is the button's face, label its name for screen readers, tooltips
+  // and the command palette.
+  const validationIssueCount = validationCounts.error + validationCounts.warning;
+  const panelToggles = [
+    { panel: 'inspector', label: 'Scene inspector', text: '🌳 Inspector', shown: showInspector, setShown: setShowInspector, side: 'right' },
+    { panel: 'materials', label: 'Material inspector', text: '🎨 Materials', shown: showMaterials, setShown: setShowMaterials, side: 'right' },
+    { panel: 'morphs', label: 'Shape keys', text: '🙂 Shape Keys', shown: showMorphs, setShown: setShowMorphs, side: 'right' },
+    { panel: 'benchmark', label: 'Benchmark', text: '🧪 Benchmark', shown: showBenchmark, setShown: setShowBenchmark, side: null },
+    { panel: 'optimize', label: 'Optimize', text: '🛠️ Optimize', shown: showOptimize, setShown: setShowOptimize, side: 'right' },
+    { panel: 'measure', label: 'Measure', text: '📏 Measure', shown: showMeasure, setShown: setShowMeasure, side: 'right' },
+    { panel: 'annotations', label: 'Annotations', text: '💬 Annotations', shown: showAnnotations, setShown: setShowAnnotations, side: 'right' },
+    { panel: 'report', label: 'Report', text: '📄 Report', shown: showReport, setShown: setShowReport, side: 'right' },
+    { panel: 'stats', label: 'Render stats', text: '📈 Stats', shown: showStats, setShown: setShowStats, side: 'left' },
+    { panel: 'lighting', label: 'Lighting', text: '💡 Lighting', shown: showLighting, setShown: setShowLighting, side: 'right' },
+    { panel: 'render', label: 'Render modes', text: '🎨 Render', shown: showRender, setShown: setShowRender, side: 'right' },
+    { panel: 'views', label: 'Camera views', text: '🔖 Views', shown: showViews, setShown: setShowViews, side: 'right' },
+    { panel: 'capture', label: 'Capture', text: '📸 Capture', shown: showCapture, setShown: setShowCapture, side: 'right' },
+    {
+      panel: 'validation',
+      label: 'Validation',
+      text: `🩺 Validation${validationIssueCount > 0 ? ` (${validationIssueCount})` : ''}`,
+      ariaLabel: `Validation, ${validationIssueCount} issues`,
+      alert: validationCounts.error > 0,
+      shown: showValidation,
+      setShown: setShowValidation,
+      side: 'right'
+    },
+    { panel: 'offline', label: 'Offline cache', text: '📦 Offline', shown: showOffline, setShown: setShowOffline, side: 'right' }
+  ].filter(item => hasPanel(item.panel));
+
+  const hasLeftSidebar = ['info', 'gallery', 'files'].some(hasPanel) || panelToggles.some(item => item.side === 'left');
+  const hasRightSidebar = hasPanel('animation') || panelToggles.some(item => item.side === 'right');
+
+  // Opening a panel also opens the sidebar that holds it
+  const togglePanel = (panel) => {
+    const item = panelToggles.find(toggle => toggle.panel === panel);
+    item.setShown(!item.shown);
+    if (!item.shown && item.side) showSidebar(item.side);
+  };
+
+  const moveCamera = (method, ...args) => {
+    if (cameraRef.current) cameraRef.current[method](...args);
+  };
+
+  // Everything the keyboard and the command palette can do. Only actions that
+  // apply right now are listed, so hidden panels and missing clips have no keys.
+  const commands = [
+    { id: 'palette', group: 'General', label: 'Command palette', keys: ['mod+k'], run: () => setShowPalette(show => !show) },
+    { id: 'shortcuts', group: 'General', label: 'Keyboard shortcuts', keys: ['?'], run: () => setShowShortcuts(show => !show) },
+    ...(hasPanel('modes') ? [
+      { id: 'mode-single', group: 'View', label: 'Single view', keys: ['1'], run: () => handleViewModeChange('single') },
+      { id: 'mode-compare', group: 'View', label: 'Compare mode', keys: ['2'], run: () => handleViewModeChange('compare') }
+    ] : []),
+    ...(viewMode === 'compare' ? [
+      ...COMPARE_LAYOUTS.map(layout => ({
+        id: `layout-${layout}`,
+        group: 'View',
+        label: `${layout[0].toUpperCase()}${layout.slice(1)} compare layout`,
+        run: () => handleCompareLayoutChange(layout)
+      })),
+      { id: 'compare-reset', group: 'View', label: 'Reload the comparison', run: handleCompareReset }
+    ] : []),
+    { id: 'camera-reset', group: 'Camera', label: 'Reset camera', keys: ['r'], run: () => moveCamera('flyTo', { position: cameraPosition, target: cameraTarget }) },
+    { id: 'camera-frame', group: 'Camera', label: 'Frame models', keys: ['f'], run: () => moveCamera('frame', loadedScenes) },
+    { id: 'orbit-left', group: 'Camera', label: 'Orbit left', keys: ['arrowleft'], run: () => moveCamera('orbit', -ORBIT_STEP, 0) },
+    { id: 'orbit-right', group: 'Camera', label: 'Orbit right', keys: ['arrowright'], run: () => moveCamera('orbit', ORBIT_STEP, 0) },
+    { id: 'orbit-up', group: 'Camera', label: 'Orbit up', keys: ['arrowup'], run: () => moveCamera('orbit', 0, -ORBIT_STEP) },
+    { id: 'orbit-down', group: 'Camera', label: 'Orbit down', keys: ['arrowdown'], run: () => moveCamera('orbit', 0, ORBIT_STEP) },
+    { id: 'zoom-in', group: 'Camera', label: 'Zoom in', keys: ['shift+arrowup', 'plus', '='], run: () => moveCamera('dolly', 1 / ZOOM_STEP) },
+    { id: 'zoom-out', group: 'Camera', label: 'Zoom out', keys: ['shift+arrowdown', '-'], run: () => moveCamera('dolly', ZOOM_STEP) },
+    ...(hasPanel('animation') && playableClips.length > 0 ? [
+      { id: 'play', group: 'Animation', label: playing ? 'Pause' : 'Play', keys: ['space'], run: handlePlayToggle },
+      { id: 'frame-previous', group: 'Animation', label: 'Previous frame', keys: [','], run: () => handleStepFrame(-1) },
+      { id: 'frame-next', group: 'Animation', label: 'Next frame', keys: ['.'], run: () => handleStepFrame(1) },
+      ...playableClips.map(clip => ({
+        id: `clip-${clip.name}`,
+        group: 'Animation',
+        label: `Play clip ${clip.name || '(unnamed)'}`,
+        run: () => handleClipChange(clip.name)
+      }))
+    ] : []),
+    ...(hasPanel('morphs') && Object.keys(morphWeights).length > 0 ? [
+      { id: 'morphs-reset', group: 'Animation', label: 'Reset shape keys', run: () => setMorphWeights({}) }
+    ] : []),
+    { id: 'sidebar-left', group: 'Panels', label: 'Toggle models and info sidebar', run: () => toggleSidebar('left') },
+    { id: 'sidebar-right', group: 'Panels', label: 'Toggle panels sidebar', run: () => toggleSidebar('right') },
+    ...panelToggles.map(({ panel, label }) => ({
+      id: `panel-${panel}`,
+      group: 'Panels',
+      label: `Toggle ${label.toLowerCase()}`,
+      keys: [PANEL_KEYS[panel]],
+      run: () => togglePanel(panel)
+    })),
+    ...(hasPanel('render') ? RENDER_MODES.map(mode => ({
+      id: `render-${mode.id}`,
+      group: 'Display',
+      label: `${mode.label} render mode`,
+      run: () => handleRenderSettingsChange({ ...renderSides[activeRenderSide], mode: mode.id })
+    })) : []),
+    ...RESOLUTION_OPTIONS.map(option => ({
+      id: `resolution-${option}`,
+      group: 'Display',
+      label: option === 'auto' ? 'Automatic resolution' : `Render at ${option}x resolution`,
+      run: () => setResolution(option)
+    })),
+    ...(hasPanel('gallery') ? catalog.entries.map(entry => {
+      const isCompared = compareEntries.some(item => item.id === entry.id);
+      return viewMode === 'compare'
+        ? { id: `model-${entry.id}`, group: 'Models', label: `${isCompared ? 'Remove' : 'Add'} ${entry.name} ${isCompared ? 'from' : 'to'} the comparison`, run: () => handleToggleCompare(entry.id) }
+        : { id: `model-${entry.id}`, group: 'Models', label: `Show ${entry.name}`, run: () => handleSelectEntry(entry.id) };
+    }) : []),
+    ...(hasPanel('files') ? modelFiles.recent.map(file => ({
+      id: `file-${file.id}`,
+      group: 'Models',
+      label: `Open ${file.name}`,
+      run: () => handleSelectFile(file.id)
+    })) : [])
+  ];
+
+  useKeyboardShortcuts(commands, { rootRef, enabled: keyboardShortcuts });
+
+  return (
+    <div
+      ref={rootRef}
+      className={className ? `monster-viewer ${className}` : 'monster-viewer'}
+      style={{ position: 'relative', width: '100%', height: '100%', overflow: 'hidden', background: '#1a1a1a', ...style }}
+      onDragOver={hasPanel('files') ? handleDragOver : undefined}
+      onDragLeave={hasPanel('files') ? handleDragLeave : undefined}
+      onDrop={hasPanel('files') ? handleDrop : undefined}
+    >
+      <style>{FOCUS_STYLE}</style>
+
+      {/* Mode selector and tool toggles */}
+      {hasToolbar && (
+        <div role="toolbar" aria-label="Viewer tools" style={{
+          position: 'absolute',
+          top: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 10,
+          display: 'flex',
+          gap: '10px',
+          // Leaves room for the sidebar toggles and scrolls when it can't fit
+          maxWidth: isCompact ? 'calc(100% - 130px)' : 'calc(100% - 150px)',
+          boxSizing: 'border-box',
+          overflowX: 'auto',
+          whiteSpace: 'nowrap',
+          background: 'rgba(0,0,0,0.9)',
+          padding: '10px',
+          borderRadius: '8px',
+          backdropFilter: 'blur(10px)',
+          border: '1px solid #4ecdc4'
+        }}>
+          {hasPanel('modes') && (
+            <>
+              <button
+                onClick={() => handleViewModeChange('single')}
+                aria-pressed={viewMode === 'single'}
+                aria-label="Single view"
+                title="Single view (1)"
+                style={toolbarButtonStyle(viewMode === 'single', '#666')}
+              >
+                👁️ Single View
+              </button>
+              <button
+                onClick={() => handleViewModeChange('compare')}
+                aria-pressed={viewMode === 'compare'}
+                aria-label="Compare mode"
+                title="Compare mode (2)"
+                style={toolbarButtonStyle(viewMode === 'compare', '#666')}
+              >
+                ⚖️ Compare Mode
+              </button>
+              <div role="separator" style={{ width: '1px', background: '#666', margin: '0 5px' }} />
+            </>
+          )}
+          {panelToggles.map(item => (
+            <button
+              key={item.panel}
+              onClick={() => togglePanel(item.panel)}
+              aria-pressed={item.shown}
+              aria-label={item.ariaLabel || item.label}
+              title={`${item.label} (${formatShortcut(PANEL_KEYS[item.panel])})`}
+              style={toolbarButtonStyle(item.shown, item.alert ? '#ff6b6b' : '#555')}
+            >
+              {item.text}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <Canvas 
+        camera={{ 
+          position: cameraPosition, 
+          fov: cameraFov,
+          near: 0.1,
+          far: 1000
+        }}
+        shadows
+        style={{ background: backgroundCss(background) }}
+        onPointerMissed={() => setSelectedObject(null)}
+        {...doubleTap}
+      >
+        <AdaptiveResolution resolution={resolution} onDprChange={setCurrentDpr} />
+        <CameraDefaults position={cameraPosition} target={cameraTarget} fov={cameraFov} />
+        <CameraRig cameraRef={cameraRef} />
+        <RendererBridge rendererRef={rendererRef} />
+        <CaptureBridge captureRef={captureRef} />
+        {showStats && <RenderStatsProbe statsRef={statsRef} models={loadedModels} />}
+
+        {/* Lighting setup */}
+        <LightingRig
+          rig={lightingRig}
+          environmentFile={environmentFile}
+          showGizmos={showLighting}
+          selectedLightId={selectedLightId}
+          onSelectLight={setSelectedLightId}
+          onLightMove={handleLightMove}
+          onEnvironmentError={(error) => setEnvironmentError(`Environment map failed to load: ${error.message}`)}
+        />
+
+        {/* Ground plane */}
+        <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -2, 0]} receiveShadow>
+          <planeGeometry args={[20, 20]} />
+          <meshStandardMaterial 
+            color="#2a2a2a" 
+            opacity={0.8} 
+            transparent 
+            roughness={0.8}
+            metalness={0.2}
+          />
+        </mesh>
+
+        <gridHelper args={[20, 20, '#444', '#222']} position={[0, -2, 0]} userData={{ hideInCapture: true }} />
+
+        {/* Render based on view mode */}
+        {viewMode === 'single' ? (
+          singleModel && (
+            <GLTFErrorBoundary
+              key={`single-${singleModel.path}-${retryCounts[singleModel.id] || 0}`}
+              modelPath={singleModel.path}
+              name={singleModel.name}
+              onError={(error) => handleModelError(error, singleModel.id, singleModel.path)}
+              onRetry={() => handleRetry(singleModel.id)}
+            >
+              <ProgressiveModel path={singleModel.path} label={singleModel.name} prefetch={!customFile}>
+                <Monster 
+                  modelPath={singleModel.path}
+                  manager={customFile ? customFile.manager : undefined}
+                  onModelLoaded={(info) => handleModelLoaded(info, singleModel)}
+                  enableAnimation={singleModel.enableAnimation}
+                  clipName={clipName}
+                  playing={playing}
+                  playbackSpeed={playbackSpeed}
+                  loopMode={loopMode}
+                  crossfade={crossfade}
+                  blend={blend}
+                  playbackRef={playbackRef}
+                  onClipsChange={setClips}
+                  onObjectClick={handleObjectClick}
+                  morphWeights={morphWeights}
+                  normalize={!authoredScale}
+                  label={previewing ? null : singleModel.label}
+                />
+                {previewing && (
+                  <Monster
+                    modelPath={singleModel.path}
+                    manager={customFile ? customFile.manager : undefined}
+                    clone
+                    onModelLoaded={(info) => setPreviewScene(info.scene)}
+                    clipName={transitionPreview.to}
+                    playing={playing}
+                    playbackSpeed={playbackSpeed}
+                    loopMode={loopMode}
+                    crossfade={crossfade}
+                    playbackRef={previewFollowerRef}
+                    morphWeights={morphWeights}
+                    normalize={!authoredScale}
+                    label={null}
+                  />
+                )}
+              </ProgressiveModel>
+            </GLTFErrorBoundary>
+          )
+        ) : (
+          compareEntries.map((entry, index) => {
+            const isFocused = entry.id === focusedCompareId;
+            const position = compareLayout === 'row'
+              ? [(index - (compareEntries.length - 1) / 2) * COMPARE_SPACING, 0, 0]
+              : [0, 0, 0];
+            return (
+              <GLTFErrorBoundary
+                key={`compare-${entry.id}-${compareRunId}-${retryCounts[entry.id] || 0}`}
+                modelPath={entry.path}
+                name={entry.name}
+                position={position}
+                onError={(error) => handleModelError(error, entry.id, entry.path)}
+                onRetry={() => handleRetry(entry.id)}
+              >
+                <ProgressiveModel path={entry.path} label={entry.name} prefetch={!entry.manager} onRestart={() => startTimer(entry.id)}>
+                  <Monster 
+                    modelPath={entry.path}
+                    manager={entry.manager}
+                    position={position}
+                    onModelLoaded={(info) => handleModelLoaded(info, entry)}
+                    onLoadingComplete={() => stopTimer(entry.id)}
+                    enableAnimation={entry.animation.enabled}
+                    clipName={clipName}
+                    playing={playing}
+                    playbackSpeed={playbackSpeed}
+                    loopMode={loopMode}
+                    crossfade={crossfade}
+                    blend={blend}
+                    playbackRef={isFocused ? playbackRef : followerRefs[entry.id]}
+                    onClipsChange={isFocused ? setClips : undefined}
+                    onObjectClick={handleObjectClick}
+                    morphWeights={morphWeights}
+                    normalize={!authoredScale}
+                    label={compareLayout === 'row' ? entryLabel(entry) : null}
+                  />
+                </ProgressiveModel>
+              </GLTFErrorBoundary>
+            );
+          })
+        )}
+
+        {/* Inspector overlays */}
+        {showInspector && inspectedModel && showSkeleton && (
+          <SkeletonOverlay
+            scene={inspectedModel.scene}
+            selectedUuid={activeSelection ? activeSelection.uuid : null}
+            onSelect={handleSelectObject}
+          />
+        )}
+        {showInspector && activeSelection && <SelectionHighlight object={activeSelection} />}
+        {showInspector && showWeights && activeSelection && activeSelection.isBone && (
+          <BoneWeightView scene={inspectedModel.scene} bone={activeSelection} />
+        )}
+
+        {/* Measurement overlays */}
+        {showMeasure && showBounds && loadedModels.map(model => (
+          <BoundingBoxOverlay key={model.id} scene={model.scene} size={model.size} unit={measureUnit} />
+        ))}
+        {showMeasure && activeMeasurement && <MeasureOverlay measurement={activeMeasurement} unit={measureUnit} />}
+
+        {/* Annotation pins */}
+        {showAnnotations && loadedModels.map(model => (
+          <AnnotationPins
+            key={model.id}
+            scene={model.scene}
+            annotations={activeDraft && activeDraft.path === model.path
+              ? [...(annotations[model.path] || []), activeDraft.annotation]
+              : annotations[model.path] || []}
+            selectedId={selectedAnnotationId}
+            onSelect={handleSelectAnnotation}
+          />
+        ))}
+
+        {showMaterials && <MaterialDebugView scenes={loadedScenes} mode={debugViewMode} />}
+
+        <ViewRenderer draw={drawViews} />
+        {viewMode === 'compare' && syncAnimation && canSyncAnimation && (
+          <AnimationSync leaderRef={playbackRef} followerRefs={Object.values(followerRefs)} />
+        )}
+        {previewing && (
+          <AnimationSync leaderRef={playbackRef} followerRefs={[previewFollowerRef]} anyClip warp={crossfade.warp} />
+        )}
+
+        <OrbitControls 
+          makeDefault
+          enablePan={true}
+          enableZoom={true}
+          enableRotate={true}
+          minDistance={1}
+          maxDistance={50}
+          maxPolarAngle={Math.PI - 0.1}
+          minPolarAngle={0.1}
+          touches={{ ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN }}
+          enableDamping={true}
+          dampingFactor={0.05}
+        />
+      </Canvas>
+
+      {previewing && (
+        <CompareOverlay layout="split" labels={[`${transitionPreview.from} → ${transitionPreview.to}`, transitionPreview.to]} />
+      )}
+
+      {viewMode === 'compare' && (
+        <>
+          <CompareOverlay
+            layout={compareLayout}
+            labels={compareOrder.map(entryLabel)}
+            wipePosition={wipePosition}
+            onWipePositionChange={setWipePosition}
+          />
+          <CompareLayoutBar
+            layout={compareLayout}
+            onLayoutChange={handleCompareLayoutChange}
+            syncAnimation={syncAnimation}
+            onSyncAnimationChange={setSyncAnimation}
+            canSync={canSyncAnimation}
+            onSwap={() => setCompareSwapped(swapped => !swapped)}
+          />
+        </>
+      )}
+
+      {/* Sidebar toggles */}
+      {hasLeftSidebar && (
+        <button
+          onClick={() => toggleSidebar('left')}
+          aria-expanded={isSidebarOpen('left')}
+          aria-controls={leftSidebarId}
+          aria-label="Models and info"
+          title="Models and info"
+          style={sidebarToggleStyle('left')}
+        >
+          📋
+        </button>
+      )}
+      {hasRightSidebar && (
+        <button
+          onClick={() => toggleSidebar('right')}
+          aria-expanded={isSidebarOpen('right')}
+          aria-controls={rightSidebarId}
+          aria-label="Panels"
+          title="Panels"
+          style={sidebarToggleStyle('right')}
+        >
+          🧰
+        </button>
+      )}
+
+      {/* Right sidebar: animation clips, inspectors and reports */}
+      <div id={rightSidebarId} role="complementary" aria-label="Viewer panels" style={sidebarStyle('right')}>
+        {hasPanel('animation') && (
+          <div role="region" aria-label="Animation" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <AnimationPanel
+              clips={playableClips}
+              clipName={clipName}
+              onClipChange={handleClipChange}
+              playing={playing}
+              onPlayingChange={setPlaying}
+              speed={playbackSpeed}
+              onSpeedChange={setPlaybackSpeed}
+              loopMode={loopMode}
+              onLoopModeChange={setLoopMode}
+              crossfade={crossfade}
+              onCrossfadeChange={setCrossfade}
+              blend={blend}
+              onBlendChange={setBlend}
+              onPreviewTransition={viewMode === 'single' ? handlePreviewTransition : null}
+              previewing={previewing}
+              onEndPreview={endTransitionPreview}
+              playbackRef={playbackRef}
+            />
+          </div>
+        )}
+
+        {showInspector && (
+          <div role="region" aria-label="Scene inspector" style={{ minHeight: 0, flexShrink: 1, display: 'flex', flexDirection: 'column', pointerEvents: 'auto' }}>
+            <SceneInspector
+              models={loadedModels}
+              inspectedId={inspectedModel ? inspectedModel.id : null}
+              onInspectedChange={setInspectedId}
+              selectedObject={activeSelection}
+              onSelect={handleSelectObject}
+              showSkeleton={showSkeleton}
+              onShowSkeletonChange={setShowSkeleton}
+              showWeights={showWeights}
+              onShowWeightsChange={setShowWeights}
+            />
+          </div>
+        )}
+
+        {showMaterials && (
+          <div role="region" aria-label="Material inspector" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <MaterialInspector
+              models={loadedModels}
+              inspectedId={inspectedModel ? inspectedModel.id : null}
+              onInspectedChange={setInspectedId}
+              debugMode={debugViewMode}
+              onDebugModeChange={setDebugViewMode}
+            />
+          </div>
+        )}
+
+        {showMorphs && (
+          <div role="region" aria-label="Shape keys" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <MorphPanel
+              targets={morphTargets}
+              weights={morphWeights}
+              onWeightsChange={setMorphWeights}
+              onClose={() => setShowMorphs(false)}
+            />
+          </div>
+        )}
+
+        {showLighting && (
+          <div role="region" aria-label="Lighting" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <LightingPanel
+              rig={lightingRig}
+              onRigChange={setLightingRig}
+              environmentFile={environmentFile}
+              onEnvironmentFileChange={handleEnvironmentFileChange}
+              environmentError={environmentError}
+              selectedLightId={selectedLightId}
+              onSelectLight={setSelectedLightId}
+              onClose={() => setShowLighting(false)}
+            />
+          </div>
+        )}
+
+        {showRender && (
+          <div role="region" aria-label="Render modes" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <RenderPanel
+              settings={renderSides[activeRenderSide]}
+              onSettingsChange={handleRenderSettingsChange}
+              sides={sideEntries.map(entryLabel)}
+              activeSide={activeRenderSide}
+              onActiveSideChange={setRenderSide}
+              linked={renderLinked}
+              onLinkedChange={handleRenderLinkedChange}
+              layout={viewMode === 'compare' ? compareLayout : null}
+              onClose={() => setShowRender(false)}
+            />
+          </div>
+        )}
+
+        {showViews && (
+          <div role="region" aria-label="Camera views" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <CameraPanel
+              cameraRef={cameraRef}
+              getShareUrl={syncUrl ? () => viewerStateUrl(getViewerState()) : null}
+              onClose={() => setShowViews(false)}
+            />
+          </div>
+        )}
+
+        {showCapture && (
+          <div role="region" aria-label="Capture" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <CapturePanel
+              captureRef={captureRef}
+              background={background}
+              clips={playableClips}
+              clipName={clipName}
+              onClipChange={handleClipChange}
+              playing={playing}
+              onPlayingChange={setPlaying}
+              playbackRef={playbackRef}
+              draw={drawViews}
+              onClose={() => setShowCapture(false)}
+            />
+          </div>
+        )}
+
+        {showOptimize && (
+          <div role="region" aria-label="Optimize" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <OptimizePanel
+              model={optimizeSource}
+              onOptimized={handleOptimized}
+              onClose={() => setShowOptimize(false)}
+            />
+          </div>
+        )}
+
+        {showMeasure && (
+          <div role="region" aria-label="Measure" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <MeasurePanel
+              models={loadedModels}
+              unit={measureUnit}
+              onUnitChange={setMeasureUnit}
+              authoredScale={authoredScale}
+              onAuthoredScaleChange={setAuthoredScale}
+              showBounds={showBounds}
+              onShowBoundsChange={setShowBounds}
+              measuring={measuring}
+              onMeasuringChange={setMeasuring}
+              measurement={activeMeasurement}
+              onClearMeasurement={() => setMeasurement(null)}
+              onClose={() => setShowMeasure(false)}
+            />
+          </div>
+        )}
+
+        {showAnnotations && (
+          <div role="region" aria-label="Annotations" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <AnnotationPanel
+              models={loadedModels}
+              annotations={annotations}
+              onAnnotationsChange={updateAnnotations}
+              annotating={annotating}
+              onAnnotatingChange={setAnnotating}
+              draft={activeDraft}
+              onDraftSubmit={handleDraftSubmit}
+              onDraftCancel={() => setDraftAnnotation(null)}
+              selectedId={selectedAnnotationId}
+              onSelect={handleSelectAnnotation}
+              author={annotationAuthor}
+              onAuthorChange={handleAuthorChange}
+              onClose={() => setShowAnnotations(false)}
+            />
+          </div>
+        )}
+
+        {showValidation && (
+          <div role="region" aria-label="Validation" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <ValidationPanel
+              reports={validationReports}
+              options={validationOptions}
+              onOptionsChange={setValidationOptions}
+              onRetry={handleRetry}
+              onClose={() => setShowValidation(false)}
+            />
+          </div>
+        )}
+
+        {showReport && (
+          <div role="region" aria-label="Report" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <ReportPanel buildCurrentReport={buildCurrentReport} onClose={() => setShowReport(false)} />
+          </div>
+        )}
+
+        {showOffline && (
+          <div role="region" aria-label="Offline cache" style={{ minHeight: 0, flexShrink: 1, overflowY: 'auto', pointerEvents: 'auto' }}>
+            <OfflinePanel onClose={() => setShowOffline(false)} />
+          </div>
+        )}
+      </div>
+
+      {/* Benchmark harness */}
+      {showBenchmark && (
+        <BenchmarkPanel
+          models={benchmarkModels}
+          rendererRef={rendererRef}
+          results={benchmarkResults}
+          onResultsChange={setBenchmarkResults}
+          onClose={() => setShowBenchmark(false)}
+        />
+      )}
+
+      {/* Performance comparison overlay */}
+      {viewMode === 'compare' && !showBenchmark && (
+        <PerformanceComparison
+          results={compareResults}
+          onReset={handleCompareReset}
+          onExport={() => setShowReport(true)}
+        />
+      )}
+
+      {/* Left sidebar: debug info, render stats, catalog and opened files */}
+      <div id={leftSidebarId} role="complementary" aria-label="Models and info" style={sidebarStyle('left')}>
+        {/* Debug info overlay */}
+        {hasPanel('info') && (
+          <div style={{
+            background: 'rgba(0,0,0,0.95)',
+            color: 'white',
+            padding: '15px',
+            borderRadius: '10px',
+            fontSize: '11px',
+            fontFamily: 'monospace',
+            backdropFilter: 'blur(10px)',
+            border: '1px solid #4ecdc4',
+            pointerEvents: 'auto'
+          }}>
+            <div style={{ fontSize: '14px', marginBottom: '10px', color: '#4ecdc4' }}>
+              🎮 Monster 3D Viewer
+            </div>
+            
+            <div style={{ marginBottom: '10px' }}>
+              <div style={{ fontSize: '12px', marginBottom: '5px', color: '#4ecdc4' }}>
+                📊 Current Mode: {viewMode === 'single' ? 'Single View' : 'Compare Mode'}
+              </div>
+              {viewMode === 'single' && singleModel && (
+                <div style={{ fontSize: '10px', color: '#ccc' }}>
+                  Showing: {singleModel.name}
+                </div>
+              )}
+            </div>
+            
+            {viewMode === 'compare' && (
+              <div style={{ marginBottom: '10px', fontSize: '10px' }}>
+                <div style={{ color: '#4ecdc4', marginBottom: '5px' }}>⏱️ Loading Status:</div>
+                <div style={{ marginLeft: '10px' }}>
+                  {compareEntries.map(entry => {
+                    const timer = loadingTimers.timers[entry.id] || {};
+                    return (
+                      <div key={entry.id} style={{ marginBottom: '2px' }}>
+                        {entry.name}: {timer.isLoading ? '🔄 Loading...' : timer.loadTime ? `✅ ${timer.loadTime}ms` : '⏳ Pending'}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            
+            <div style={{ fontSize: '10px', lineHeight: '1.4', color: '#ccc' }}>
+              {isTouch ? (
+                <>
+                  <div>👆 Controls:</div>
+                  <div>• One Finger Drag: Rotate</div>
+                  <div>• Two Finger Drag: Pan</div>
+                  <div>• Pinch: Zoom</div>
+                  <div>• Double Tap: Frame Models</div>
+                </>
+              ) : (
+                <>
+                  <div>🖱️ Controls:</div>
+                  <div>• Left Click + Drag: Rotate</div>
+                  <div>• Right Click + Drag: Pan</div>
+                  <div>• Mouse Wheel: Zoom</div>
+                </>
+              )}
+              {keyboardShortcuts && (
+                <div>⌨️ {formatShortcut('?')}: Shortcuts · {formatShortcut('mod+k')}: Commands</div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {showStats && (
+          <div role="region" aria-label="Render stats" style={{ flexShrink: 0, pointerEvents: 'auto' }}>
+            <RenderStatsHUD
+              statsRef={statsRef}
+              models={loadedModels}
+              resolution={resolution}
+              dpr={currentDpr}
+              onResolutionChange={setResolution}
+            />
+          </div>
+        )}
+
+        {hasPanel('gallery') && (
+          <div role="region" aria-label="Model gallery" style={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', pointerEvents: 'auto' }}>
+            <ModelGallery
+              entries={catalog.entries}
+              isLoading={catalog.isLoading}
+              error={catalog.error}
+              notice={linkNotice}
+              onDismissNotice={() => setDismissedLinkState(linkState)}
+              viewMode={viewMode}
+              selectedId={customFile ? null : selectedEntry && selectedEntry.id}
+              compareIds={compareEntries.map(entry => entry.id)}
+              maxCompare={MAX_COMPARE}
+              comparePresets={catalog.comparePresets}
+              onSelect={handleSelectEntry}
+              onToggleCompare={handleToggleCompare}
+              onApplyPreset={handleApplyComparePreset}
+            />
+          </div>
+        )}
+
+        {hasPanel('files') && (
+          <div role="region" aria-label="Opened files" style={{ pointerEvents: 'auto' }}>
+            <ModelFilesPanel
+              recent={modelFiles.recent}
+              activeId={customFile ? customFile.id : null}
+              error={modelFiles.error}
+              onOpenFiles={handleOpenFiles}
+              onSelect={handleSelectFile}
+              onRemove={modelFiles.removeFile}
+            />
+          </div>
+        )}
+      </div>
+
+      {showPalette && <CommandPalette commands={commands} onClose={() => setShowPalette(false)} />}
+      {showShortcuts && <ShortcutHelp commands={commands} onClose={() => setShowShortcuts(false)} />}
+
+      {/* Drop target overlay */}
+      {isDragging && (
+        <div style={{
+          position: 'absolute',
+          inset: '10px',
+          zIndex: 20,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          border: '3px dashed #4ecdc4',
+          borderRadius: '12px',
+          background: 'rgba(0,0,0,0.6)',
+          color: '#4ecdc4',
+          fontSize: '18px',
+          fontFamily: 'Arial, sans-serif',
+          pointerEvents: 'none'
+        }}>
+          📥 Drop a .glb, or a .gltf with its .bin and textures
+        </div>
+      )}
+    </div>
+  );
+}
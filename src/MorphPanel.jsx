@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { loadSavedExpressions, storeSavedExpressions } from './morphTargets';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+// Facial rigs can have dozens of targets, so long lists get a filter
+const FILTER_THRESHOLD = 8;
+
+// A slider per shape key of the loaded models, and named expressions saved
+// from the current slider values
+export default function MorphPanel({ targets, weights, onWeightsChange, onClose }) {
+  const [savedExpressions, setSavedExpressions] = useState(loadSavedExpressions);
+  const [filter, setFilter] = useState('');
+
+  const updateSavedExpressions = (expressions) => {
+    setSavedExpressions(expressions);
+    storeSavedExpressions(expressions);
+  };
+
+  const setWeight = (name, value) => onWeightsChange({ ...weights, [name]: value });
+
+  const releaseWeight = (name) => {
+    const next = { ...weights };
+    delete next[name];
+    onWeightsChange(next);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt('Save expression as:', `Expression ${savedExpressions.length + 1}`);
+    if (!name) return;
+    const expression = { name, weights: { ...weights } };
+    const existing = savedExpressions.findIndex(item => item.name === name);
+    updateSavedExpressions(existing >= 0
+      ? savedExpressions.map((item, index) => (index === existing ? expression : item))
+      : [...savedExpressions, expression]);
+  };
+
+  const query = filter.trim().toLowerCase();
+  const shownTargets = query ? targets.filter(target => target.name.toLowerCase().includes(query)) : targets;
+  const setCount = Object.keys(weights).length;
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>🙂 Shape Keys</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {targets.length === 0 ? (
+        <div style={{ color: '#999' }}>No morph targets in the loaded models</div>
+      ) : (
+        <>
+          {targets.length > FILTER_THRESHOLD && (
+            <input
+              type="search"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter shape keys…"
+              aria-label="Filter shape keys"
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: '4px 6px',
+                marginBottom: '8px',
+                background: '#333',
+                color: 'white',
+                border: '1px solid #555',
+                borderRadius: '4px',
+                fontFamily: 'monospace',
+                fontSize: '11px'
+              }}
+            />
+          )}
+          <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+            {shownTargets.map(target => {
+              const isSet = weights[target.name] !== undefined;
+              const value = isSet ? weights[target.name] : 0;
+              return (
+                <div key={target.name} style={rowStyle}>
+                  <span
+                    title={`${target.name}${target.meshCount > 1 ? ` (on ${target.meshCount} meshes)` : ''}`}
+                    style={{ width: '90px', color: isSet ? 'white' : '#999', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  >
+                    {target.name}
+                  </span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    value={value}
+                    onChange={(e) => setWeight(target.name, parseFloat(e.target.value))}
+                    aria-label={`${target.name} weight`}
+                    style={{ flex: 1, minWidth: 0 }}
+                  />
+                  <span style={{ width: '32px', textAlign: 'right' }}>{isSet ? value.toFixed(2) : '—'}</span>
+                  <button
+                    onClick={() => releaseWeight(target.name)}
+                    disabled={!isSet}
+                    aria-label={`Reset ${target.name}`}
+                    title="Back to the model's own weight"
+                    style={{ ...smallButtonStyle, background: 'none', color: isSet ? '#ccc' : '#555', cursor: isSet ? 'pointer' : 'default', padding: '2px 4px' }}
+                  >
+                    ↺
+                  </button>
+                </div>
+              );
+            })}
+            {shownTargets.length === 0 && <div style={{ color: '#999' }}>No shape keys match</div>}
+          </div>
+          <div style={{ ...rowStyle, marginTop: '6px' }}>
+            <span style={{ flex: 1, color: '#999' }}>{setCount} of {targets.length} set; the rest follow the clip</span>
+            <button onClick={() => onWeightsChange({})} disabled={setCount === 0} style={smallButtonStyle}>↺ Reset All</button>
+          </div>
+        </>
+      )}
+
+      <div style={sectionTitleStyle}>💾 Expressions ({savedExpressions.length})</div>
+      {savedExpressions.length === 0 && (
+        <div style={{ color: '#999', marginBottom: '6px' }}>Set the sliders, then save them as an expression</div>
+      )}
+      {savedExpressions.map(expression => (
+        <div key={expression.name} style={rowStyle}>
+          <button
+            onClick={() => onWeightsChange({ ...expression.weights })}
+            title={Object.entries(expression.weights).map(([name, weight]) => `${name}: ${weight.toFixed(2)}`).join('\n')}
+            style={{ ...smallButtonStyle, flex: 1, textAlign: 'left', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+          >
+            🎭 {expression.name}
+          </button>
+          <button
+            onClick={() => updateSavedExpressions(savedExpressions.filter(item => item.name !== expression.name))}
+            aria-label={`Delete ${expression.name}`}
+            style={{ ...smallButtonStyle, background: 'none', color: '#ccc' }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={handleSave}
+        disabled={setCount === 0}
+        style={{ ...smallButtonStyle, marginTop: '6px', background: setCount > 0 ? '#4ecdc4' : '#555' }}
+      >
+        ➕ Save Current
+      </button>
+    </div>
+  );
+}
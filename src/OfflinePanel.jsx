@@ -0,0 +1,194 @@
+import { useCallback, useEffect, useState } from 'react';
+import { clearCache, entryPath, evictEntry, isCacheSupported, readCaches, readStorageEstimate } from './offlineCache';
+import { applyUpdate, checkForUpdate } from './serviceWorker';
+import { useServiceWorker } from './useServiceWorker';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+const STATUS_LABELS = {
+  off: 'Not running (production builds only)',
+  unsupported: 'Not supported by this browser',
+  installing: 'Installing…',
+  ready: 'Active, available offline',
+  update: 'A new version is ready',
+  error: 'Registration failed'
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function groupTitle(group, currentVersion) {
+  if (group.kind === 'shell') {
+    const isOld = currentVersion && group.version !== currentVersion;
+    return `🧩 App (build ${group.version})${isOld ? ', previous' : ''}`;
+  }
+  if (group.kind === 'models') return `🧌 Models (manifest ${group.version})`;
+  return group.label;
+}
+
+// What the service worker keeps for offline use: the app's own files and
+// every model viewed so far, with their sizes
+export default function OfflinePanel({ onClose }) {
+  const worker = useServiceWorker();
+  const [groups, setGroups] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [error, setError] = useState(null);
+  const supported = isCacheSupported();
+
+  const refresh = useCallback(() => {
+    if (!isCacheSupported()) return;
+    Promise.all([readCaches(), readStorageEstimate()])
+      .then(([nextGroups, nextEstimate]) => {
+        setGroups(nextGroups);
+        setEstimate(nextEstimate);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  // Versions change the caches underneath the panel
+  useEffect(refresh, [refresh, worker.status, worker.version]);
+
+  const runAndRefresh = (action) => {
+    action().then(refresh).catch(err => setError(err.message));
+  };
+
+  const handleClear = (group) => {
+    const warning = group.kind === 'shell'
+      ? 'The app won\'t open offline until it is reloaded online. Clear it anyway?'
+      : `Remove ${group.entries.length} cached files?`;
+    if (window.confirm(warning)) runAndRefresh(() => clearCache(group.name));
+  };
+
+  const total = groups.reduce((sum, group) => sum + group.size, 0);
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>📦 Offline Cache</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        <span style={{ color: '#999' }}>Service worker:</span>
+        <span style={{ color: worker.status === 'error' ? '#ff6b6b' : 'white' }}>{STATUS_LABELS[worker.status]}</span>
+      </div>
+      {worker.version && (
+        <div style={rowStyle}>
+          <span style={{ color: '#999' }}>Build:</span>
+          <span>{worker.version}</span>
+        </div>
+      )}
+      {worker.error && <div style={{ color: '#ff6b6b', marginBottom: '4px' }}>{worker.error}</div>}
+      {worker.status === 'update' ? (
+        <button onClick={applyUpdate} style={{ ...smallButtonStyle, background: '#4ecdc4', marginTop: '4px' }}>
+          ⬆️ Update &amp; Reload
+        </button>
+      ) : worker.status === 'ready' && (
+        <button onClick={checkForUpdate} style={{ ...smallButtonStyle, marginTop: '4px' }}>🔍 Check for Update</button>
+      )}
+
+      {!supported ? (
+        <div style={{ color: '#999', marginTop: '10px' }}>Cache storage isn't available here</div>
+      ) : (
+        <>
+          <div style={{ ...rowStyle, marginTop: '10px' }}>
+            <span style={{ flex: 1 }}>
+              {formatBytes(total)} cached
+              {estimate && estimate.quota ? `, ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used by the site` : ''}
+            </span>
+            <button onClick={refresh} aria-label="Refresh cache list" style={smallButtonStyle}>↻</button>
+          </div>
+
+          {groups.length === 0 && (
+            <div style={{ color: '#999' }}>Nothing cached yet. Models are kept once viewed with the service worker running.</div>
+          )}
+          {groups.map(group => (
+            <div key={group.name}>
+              <div style={{ ...rowStyle, ...sectionTitleStyle }}>
+                <button
+                  onClick={() => setExpanded(prev => ({ ...prev, [group.name]: !prev[group.name] }))}
+                  aria-expanded={Boolean(expanded[group.name])}
+                  style={{ flex: 1, background: 'none', border: 'none', color: '#4ecdc4', cursor: 'pointer', padding: 0, textAlign: 'left', fontFamily: 'monospace', fontSize: '12px' }}
+                >
+                  {expanded[group.name] ? '▾' : '▸'} {groupTitle(group, worker.version)}
+                </button>
+                <span style={{ color: '#ccc', fontSize: '11px' }}>{group.entries.length} files, {formatBytes(group.size)}</span>
+                <button onClick={() => handleClear(group)} aria-label={`Clear ${groupTitle(group, worker.version)}`} style={smallButtonStyle}>🗑️</button>
+              </div>
+              {expanded[group.name] && (
+                <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+                  {group.entries.map(entry => {
+                    const path = entryPath(entry.url);
+                    return (
+                      <div key={entry.url} style={rowStyle}>
+                        <span title={entry.url} style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {path}
+                        </span>
+                        <span style={{ color: '#ccc' }}>{formatBytes(entry.size)}</span>
+                        <button
+                          onClick={() => runAndRefresh(() => evictEntry(group.name, entry.url))}
+                          aria-label={`Evict ${path}`}
+                          title="Remove from the cache; it is downloaded again when next needed"
+                          style={{ ...smallButtonStyle, background: 'none', color: '#ccc', padding: '2px 4px' }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import { DEFAULT_OPTIMIZE_OPTIONS, TEXTURE_SIZES, optimizeModel } from './optimize';
+import { downloadFile } from './report';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '6px',
+  color: '#ccc'
+};
+
+const inputStyle = {
+  width: '72px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '2px 4px'
+};
+
+const buttonStyle = {
+  width: '100%',
+  padding: '8px 16px',
+  background: '#4ecdc4',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: 'bold'
+};
+
+const cellStyle = {
+  padding: '2px 4px',
+  textAlign: 'right',
+  borderBottom: '1px solid #333'
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatChange(before, after) {
+  if (!before) return '';
+  const percent = ((after - before) / before) * 100;
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+function exportFilename(name) {
+  return `${name.replace(/\.(gltf|glb)$/i, '')}-optimized.glb`;
+}
+
+// Re-exports the inspected model as an optimized GLB and loads it next to the
+// original in compare mode, so the savings can be checked visually
+export default function OptimizePanel({ model, onOptimized, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_OPTIMIZE_OPTIONS);
+  const [isRunning, setIsRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const targetTriangles = options.targetTriangles !== null
+    ? options.targetTriangles
+    : model ? Math.round(model.triangles / 2) : 0;
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const handleOptimize = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const optimized = await optimizeModel({
+        url: model.path,
+        manager: model.manager,
+        options: { ...options, targetTriangles }
+      });
+      const next = { ...optimized, name: exportFilename(model.name) };
+      setResult(next);
+      onOptimized(next, model);
+    } catch (err) {
+      console.error('Optimization failed:', err);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const checkbox = (key, label) => (
+    <label style={rowStyle}>
+      <input type="checkbox" checked={options[key]} onChange={(e) => setOption(key, e.target.checked)} />
+      {label}
+    </label>
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>🛠️ Optimize</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {!model ? (
+        <div style={{ color: '#999' }}>Load a model to optimize it</div>
+      ) : (
+        <>
+          <div style={{ marginBottom: '10px' }}>
+            Source: <span style={{ color: '#4ecdc4' }}>{model.name}</span>
+            <span style={{ color: '#999' }}> · {model.triangles.toLocaleString()} triangles</span>
+          </div>
+
+          {checkbox('weld', 'Weld identical vertices')}
+          {checkbox('prune', 'Strip unused nodes and animation channels')}
+          <label style={rowStyle}>
+            <input type="checkbox" checked={options.simplify} onChange={(e) => setOption('simplify', e.target.checked)} />
+            Simplify to
+            <input
+              type="number"
+              min={1}
+              value={targetTriangles}
+              disabled={!options.simplify}
+              onChange={(e) => setOption('targetTriangles', Math.max(1, parseInt(e.target.value, 10) || 1))}
+              style={inputStyle}
+            />
+            triangles
+          </label>
+          {checkbox('quantize', 'Quantize vertex attributes')}
+          <label style={rowStyle}>
+            <input type="checkbox" checked={options.resizeTextures} onChange={(e) => setOption('resizeTextures', e.target.checked)} />
+            Resize textures to at most
+            <select
+              value={options.maxTextureSize}
+              disabled={!options.resizeTextures}
+              onChange={(e) => setOption('maxTextureSize', Number(e.target.value))}
+              style={inputStyle}
+            >
+              {TEXTURE_SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+            </select>
+          </label>
+
+          <button
+            onClick={handleOptimize}
+            disabled={isRunning}
+            style={{ ...buttonStyle, marginTop: '6px', opacity: isRunning ? 0.6 : 1, cursor: isRunning ? 'wait' : 'pointer' }}
+          >
+            {isRunning ? '⏳ Optimizing…' : '⚙️ Optimize and Compare'}
+          </button>
+        </>
+      )}
+
+      {result && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '12px' }}>
+            <thead>
+              <tr style={{ color: '#4ecdc4' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}></th>
+                <th style={cellStyle}>Before</th>
+                <th style={cellStyle}>After</th>
+                <th style={cellStyle}>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>File size</td>
+                <td style={cellStyle}>{formatBytes(result.before.bytes)}</td>
+                <td style={cellStyle}>{formatBytes(result.after.bytes)}</td>
+                <td style={cellStyle}>{formatChange(result.before.bytes, result.after.bytes)}</td>
+              </tr>
+              <tr>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>Triangles</td>
+                <td style={cellStyle}>{result.before.triangles.toLocaleString()}</td>
+                <td style={cellStyle}>{result.after.triangles.toLocaleString()}</td>
+                <td style={cellStyle}>{formatChange(result.before.triangles, result.after.triangles)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <button
+            onClick={() => downloadFile(result.name, result.glb, 'model/gltf-binary')}
+            style={{ ...buttonStyle, marginTop: '8px', background: '#555' }}
+          >
+            ⬇️ Download {result.name}
+          </button>
+        </>
+      )}
+
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
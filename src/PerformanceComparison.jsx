@@ -0,0 +1,120 @@
+import { compareLoadTimes } from './report';
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Load times of the compared models, with the fastest marked as the winner
+export default function PerformanceComparison({ results, onReset, onExport }) {
+  const summary = compareLoadTimes(results);
+  if (!summary) return null;
+
+  const { fastest, slowest, difference } = summary;
+  const percentDiff = summary.percentDiff.toFixed(1);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      maxWidth: 'calc(100% - 20px)',
+      maxHeight: '50%',
+      boxSizing: 'border-box',
+      overflowY: 'auto',
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '20px',
+      borderRadius: '12px',
+      fontSize: '14px',
+      fontFamily: 'Arial, sans-serif',
+      textAlign: 'center',
+      backdropFilter: 'blur(10px)',
+      border: '2px solid #4ecdc4',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.5)'
+    }}>
+      <div style={{ fontSize: '16px', marginBottom: '15px', color: '#4ecdc4' }}>
+        📊 Loading Performance Comparison
+      </div>
+      
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px 30px', marginBottom: '15px', justifyContent: 'center' }}>
+        {results.map(result => {
+          const isWinner = result.id === fastest.id;
+          return (
+            <div key={result.id} style={{ textAlign: 'center' }}>
+              <div style={{ fontSize: '12px', color: '#ccc', marginBottom: '5px' }}>{result.name}</div>
+              <div style={{ 
+                fontSize: '18px', 
+                fontWeight: 'bold', 
+                color: isWinner ? '#4ecdc4' : '#ff6b6b',
+                padding: '5px 10px',
+                border: `2px solid ${isWinner ? '#4ecdc4' : '#ff6b6b'}`,
+                borderRadius: '8px',
+                background: isWinner ? 'rgba(78, 205, 196, 0.1)' : 'rgba(255, 107, 107, 0.1)'
+              }}>
+                {result.loadTime}ms
+              </div>
+              {(result.fileBytes || result.triangles !== null) && (
+                <div style={{ fontSize: '11px', color: '#ccc', marginTop: '5px' }}>
+                  {result.fileBytes ? `💾 ${formatBytes(result.fileBytes)}` : ''}
+                  {result.fileBytes && result.triangles !== null ? ' · ' : ''}
+                  {result.triangles !== null ? `🔺 ${result.triangles.toLocaleString()}` : ''}
+                </div>
+              )}
+              {isWinner && <div style={{ fontSize: '12px', color: '#4ecdc4', marginTop: '5px' }}>🏆 Winner</div>}
+            </div>
+          );
+        })}
+      </div>
+      
+      <div style={{ marginBottom: '15px', padding: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '6px' }}>
+        <div style={{ fontSize: '12px', color: '#4ecdc4', marginBottom: '5px' }}>
+          ⚡ Performance Difference
+        </div>
+        <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
+          {fastest.name} was {difference}ms faster than {slowest.name}
+        </div>
+        <div style={{ fontSize: '11px', color: '#ccc' }}>
+          ({percentDiff}% performance difference)
+        </div>
+      </div>
+      
+      <button
+        onClick={onReset}
+        style={{
+          padding: '10px 20px',
+          background: '#4ecdc4',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          fontSize: '12px',
+          fontWeight: 'bold',
+          transition: 'all 0.3s ease'
+        }}
+        onMouseOver={(e) => e.target.style.background = '#3ba99c'}
+        onMouseOut={(e) => e.target.style.background = '#4ecdc4'}
+      >
+        🔄 Test Again
+      </button>
+      <button
+        onClick={onExport}
+        style={{
+          marginLeft: '10px',
+          padding: '10px 20px',
+          background: '#555',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          fontSize: '12px',
+          fontWeight: 'bold'
+        }}
+      >
+        📄 Export Report
+      </button>
+    </div>
+  );
+}
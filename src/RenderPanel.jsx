@@ -0,0 +1,205 @@
+import { DEFAULT_RENDER_SETTINGS, RENDER_MODES, TONE_MAPPINGS, isDefaultRenderSettings, settingsSharedWithA } from './renderModes';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '4px'
+};
+
+const labelStyle = {
+  color: '#ccc',
+  width: '70px',
+  flexShrink: 0
+};
+
+const selectStyle = {
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#555',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  color: '#4ecdc4',
+  margin: '12px 0 6px'
+};
+
+const SIDE_NAMES = ['A', 'B', 'C', 'D'];
+
+// Why a layout ignores some of a side's settings
+const SHARED_NOTES = {
+  row: 'Row draws every side in one pass, so tone mapping, exposure, SSAO and bloom follow A.',
+  onion: 'Onion draws B as a flat ghost over A, so its settings don\'t show.'
+};
+
+function SliderRow({ label, value, min, max, step, format = v => v.toFixed(2), disabled = false, onChange }) {
+  return (
+    <div style={rowStyle}>
+      <span style={labelStyle}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        aria-label={label}
+        style={{ flex: 1, minWidth: 0 }}
+      />
+      <span style={{ width: '36px', textAlign: 'right' }}>{format(value)}</span>
+    </div>
+  );
+}
+
+// Shading mode, tone mapping and post-processing for the viewport. In compare
+// mode each side can have its own settings once they are unlinked.
+export default function RenderPanel({ settings, onSettingsChange, sides, activeSide, onActiveSideChange, linked, onLinkedChange, layout, onClose }) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const mode = RENDER_MODES.find(item => item.id === settings.mode) || RENDER_MODES[0];
+  const isCompare = sides.length > 1;
+  // Settings this side takes from A in the current layout are shown but locked
+  const shared = settingsSharedWithA(layout, activeSide);
+  const isShared = (key) => shared.includes(key);
+  const isLocked = Object.keys(DEFAULT_RENDER_SETTINGS).every(isShared);
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>🎨 Render</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {isCompare && (
+        <>
+          <div style={rowStyle}>
+            <label style={{ color: '#ccc' }}>
+              <input type="checkbox" checked={linked} onChange={(e) => onLinkedChange(e.target.checked)} /> 🔗 Same settings for every side
+            </label>
+          </div>
+          {!linked && (
+            <div role="group" aria-label="Side" style={{ ...rowStyle, flexWrap: 'wrap' }}>
+              {sides.map((label, index) => (
+                <button
+                  key={index}
+                  onClick={() => onActiveSideChange(index)}
+                  aria-pressed={activeSide === index}
+                  title={label}
+                  style={{ ...smallButtonStyle, background: activeSide === index ? '#4ecdc4' : '#555' }}
+                >
+                  {SIDE_NAMES[index]}
+                </button>
+              ))}
+              <span style={{ flex: 1, color: '#999', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {sides[activeSide]}
+              </span>
+            </div>
+          )}
+          {shared.length > 0 && (
+            <div style={{ color: '#999', fontSize: '10px', marginBottom: '4px' }}>
+              {SHARED_NOTES[layout]} Use Split or Wipe to compare them.
+            </div>
+          )}
+        </>
+      )}
+
+      <div style={rowStyle}>
+        <span style={labelStyle}>Mode</span>
+        <select
+          value={settings.mode}
+          onChange={(e) => update({ mode: e.target.value })}
+          disabled={isShared('mode')}
+          aria-label="Render mode"
+          style={{ ...selectStyle, flex: 1 }}
+        >
+          {RENDER_MODES.map(item => <option key={item.id} value={item.id}>{item.label}</option>)}
+        </select>
+      </div>
+      <div style={{ color: '#999', fontSize: '10px', marginBottom: '4px' }}>{mode.title}</div>
+
+      <div style={sectionTitleStyle}>🎞️ Tone Mapping</div>
+      <div style={rowStyle}>
+        <span style={labelStyle}>Curve</span>
+        <select
+          value={settings.toneMapping}
+          onChange={(e) => update({ toneMapping: e.target.value })}
+          disabled={isShared('toneMapping')}
+          aria-label="Tone mapping"
+          style={{ ...selectStyle, flex: 1 }}
+        >
+          {TONE_MAPPINGS.map(item => <option key={item.id} value={item.id}>{item.label}</option>)}
+        </select>
+      </div>
+      <SliderRow label="Exposure" value={settings.exposure} min={0.1} max={4} step={0.05} disabled={isShared('exposure')} onChange={(value) => update({ exposure: value })} />
+
+      <div style={sectionTitleStyle}>✨ Effects</div>
+      <div style={rowStyle}>
+        <label style={{ color: '#ccc' }} title="Ambient occlusion darkens creases and contact areas">
+          <input type="checkbox" checked={settings.ssao} disabled={isShared('ssao')} onChange={(e) => update({ ssao: e.target.checked })} /> Ambient occlusion (SSAO)
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label style={{ color: '#ccc' }} title="Glow around highlights brighter than the threshold">
+          <input type="checkbox" checked={settings.bloom} disabled={isShared('bloom')} onChange={(e) => update({ bloom: e.target.checked })} /> Bloom
+        </label>
+      </div>
+      {settings.bloom && (
+        <>
+          <SliderRow label="Strength" value={settings.bloomStrength} min={0} max={3} step={0.05} disabled={isShared('bloomStrength')} onChange={(value) => update({ bloomStrength: value })} />
+          <SliderRow label="Threshold" value={settings.bloomThreshold} min={0} max={1} step={0.01} disabled={isShared('bloomThreshold')} onChange={(value) => update({ bloomThreshold: value })} />
+        </>
+      )}
+      <div style={rowStyle}>
+        <label style={{ color: '#ccc', flex: 1 }} title="Traces the silhouette of the models">
+          <input type="checkbox" checked={settings.outline} disabled={isShared('outline')} onChange={(e) => update({ outline: e.target.checked })} /> Outline
+        </label>
+        {settings.outline && (
+          <input
+            type="color"
+            value={settings.outlineColor}
+            onChange={(e) => update({ outlineColor: e.target.value })}
+            disabled={isShared('outlineColor')}
+            aria-label="Outline colour"
+            style={{ width: '28px', height: '20px', padding: 0, border: 'none', background: 'none' }}
+          />
+        )}
+      </div>
+
+      <button
+        onClick={() => onSettingsChange(DEFAULT_RENDER_SETTINGS)}
+        disabled={isDefaultRenderSettings(settings) || isLocked}
+        style={{ ...smallButtonStyle, marginTop: '8px' }}
+      >
+        ↺ Reset
+      </button>
+      <div style={{ color: '#999', fontSize: '10px', marginTop: '6px' }}>Screenshots and turntables are rendered with these settings</div>
+    </div>
+  );
+}
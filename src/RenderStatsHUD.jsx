@@ -0,0 +1,248 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { PerformanceMonitor } from '@react-three/drei';
+import {
+  FRAME_BUDGET_MS,
+  MIN_DPR,
+  RESOLUTION_OPTIONS,
+  SLOW_FRAME_MS,
+  createRenderStats,
+  estimateMemory,
+  frameHistory,
+  nativeDpr,
+  recordDraw,
+  recordFrame,
+  stepDpr
+} from './renderStats';
+import { geometryStats } from './report';
+
+const POLL_INTERVAL_MS = 250;
+const GRAPH_WIDTH = 270;
+const GRAPH_HEIGHT = 50;
+const GRAPH_MAX_MS = 50;
+
+const cellStyle = {
+  padding: '2px 4px',
+  textAlign: 'right',
+  borderBottom: '1px solid #333'
+};
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(2)}`;
+}
+
+function frameColor(ms) {
+  if (ms <= FRAME_BUDGET_MS) return '#4ecdc4';
+  if (ms <= SLOW_FRAME_MS) return '#ffd93d';
+  return '#ff6b6b';
+}
+
+// Applies the chosen render resolution inside the Canvas. On 'auto' the
+// resolution drops while the frame rate is too low for the display and climbs
+// back once it recovers; a device that keeps flip-flopping settles at the
+// lowest step.
+export function AdaptiveResolution({ resolution, onDprChange }) {
+  const setDpr = useThree(state => state.setDpr);
+  const [autoDpr, setAutoDpr] = useState(nativeDpr);
+  const dpr = resolution === 'auto' ? autoDpr : resolution;
+
+  useEffect(() => {
+    setDpr(dpr);
+    if (onDprChange) onDprChange(dpr);
+  }, [dpr, setDpr, onDprChange]);
+
+  if (resolution !== 'auto') return null;
+
+  return (
+    <PerformanceMonitor
+      flipflops={3}
+      onIncline={() => setAutoDpr(value => stepDpr(value, 1))}
+      onDecline={() => setAutoDpr(value => stepDpr(value, -1))}
+      onFallback={() => setAutoDpr(MIN_DPR)}
+    />
+  );
+}
+
+// Collects frame times and renderer.info inside the Canvas, and counts the
+// draw calls and triangles each model contributes to the frame
+export function RenderStatsProbe({ statsRef, models }) {
+  const gl = useThree(state => state.gl);
+
+  useEffect(() => {
+    statsRef.current = createRenderStats();
+    return () => {
+      statsRef.current = null;
+    };
+  }, [statsRef]);
+
+  useEffect(() => {
+    const restore = [];
+
+    models.forEach(model => model.scene.traverse(object => {
+      if (!object.isMesh) return;
+      const previous = object.onBeforeRender;
+      restore.push({ object, previous });
+      object.onBeforeRender = function (renderer, scene, camera, geometry, material, group) {
+        previous.call(this, renderer, scene, camera, geometry, material, group);
+        if (statsRef.current) recordDraw(statsRef.current, model.id, object, geometry, group);
+      };
+    }));
+
+    return () => {
+      restore.forEach(({ object, previous }) => {
+        object.onBeforeRender = previous;
+      });
+    };
+  }, [models, statsRef]);
+
+  // Runs before this frame renders, so renderer.info still holds the last frame
+  useFrame((state, delta) => {
+    if (statsRef.current) recordFrame(statsRef.current, delta * 1000, gl.info);
+  });
+
+  return null;
+}
+
+function FrameGraph({ history }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const context = canvasRef.current.getContext('2d');
+    context.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+    const barWidth = GRAPH_WIDTH / Math.max(history.length, 1);
+    history.forEach((ms, i) => {
+      const height = Math.min(ms / GRAPH_MAX_MS, 1) * GRAPH_HEIGHT;
+      context.fillStyle = frameColor(ms);
+      context.fillRect(i * barWidth, GRAPH_HEIGHT - height, Math.max(barWidth - 1, 1), height);
+    });
+
+    // 60 and 30 fps guides
+    context.fillStyle = 'rgba(255,255,255,0.3)';
+    [FRAME_BUDGET_MS, SLOW_FRAME_MS].forEach(ms => {
+      context.fillRect(0, GRAPH_HEIGHT - (ms / GRAPH_MAX_MS) * GRAPH_HEIGHT, GRAPH_WIDTH, 1);
+    });
+  }, [history]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={GRAPH_WIDTH}
+      height={GRAPH_HEIGHT}
+      style={{ width: '100%', height: `${GRAPH_HEIGHT}px`, background: 'rgba(255,255,255,0.05)', borderRadius: '4px' }}
+    />
+  );
+}
+
+// Live FPS, frame time graph and renderer counters, with a per-model breakdown
+export default function RenderStatsHUD({ statsRef, models, resolution, dpr, onResolutionChange }) {
+  const [snapshot, setSnapshot] = useState(null);
+
+  useEffect(() => {
+    const poll = () => {
+      const stats = statsRef.current;
+      setSnapshot(stats && stats.renderer ? {
+        history: frameHistory(stats),
+        renderer: stats.renderer,
+        models: { ...stats.models }
+      } : null);
+    };
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [statsRef]);
+
+  // Memory and bones only change when a model is (re)loaded
+  const modelCosts = useMemo(() => models.map(model => ({
+    id: model.id,
+    name: model.name,
+    bones: geometryStats(model.scene).bones,
+    ...estimateMemory(model.scene)
+  })), [models]);
+
+  const history = snapshot ? snapshot.history : [];
+  const averageMs = history.length > 0 ? history.reduce((sum, ms) => sum + ms, 0) / history.length : 0;
+  const worstMs = history.length > 0 ? Math.max(...history) : 0;
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', marginBottom: '8px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>📈 Render Stats</div>
+        <div style={{ fontSize: '14px', fontWeight: 'bold', color: frameColor(averageMs) }}>
+          {averageMs > 0 ? `${(1000 / averageMs).toFixed(0)} FPS` : '—'}
+        </div>
+      </div>
+
+      <FrameGraph history={history} />
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#999', fontSize: '10px', margin: '2px 0 8px' }}>
+        <span>avg {averageMs.toFixed(1)}ms</span>
+        <span>worst {worstMs.toFixed(1)}ms</span>
+      </div>
+
+      {snapshot && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 10px', marginBottom: '8px' }}>
+          <div>Draw calls: {snapshot.renderer.calls}</div>
+          <div>Triangles: {snapshot.renderer.triangles.toLocaleString()}</div>
+          <div>Geometries: {snapshot.renderer.geometries}</div>
+          <div>Textures: {snapshot.renderer.textures}</div>
+          <div>Programs: {snapshot.renderer.programs}</div>
+        </div>
+      )}
+
+      {onResolutionChange && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px', color: '#ccc' }}>
+          🖥️ Resolution
+          <select
+            value={resolution}
+            onChange={(e) => onResolutionChange(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
+            style={{ background: '#333', color: 'white', border: '1px solid #555', borderRadius: '4px', padding: '2px 4px' }}
+          >
+            {RESOLUTION_OPTIONS.map(option => (
+              <option key={option} value={option}>{option === 'auto' ? 'Auto' : `${option}x`}</option>
+            ))}
+          </select>
+          <span style={{ color: '#999' }}>{dpr ? `rendering at ${dpr}x` : ''}</span>
+        </label>
+      )}
+
+      {modelCosts.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px' }}>
+          <thead>
+            <tr style={{ color: '#4ecdc4' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Model</th>
+              <th style={cellStyle} title="Draw calls last frame">Calls</th>
+              <th style={cellStyle} title="Triangles drawn last frame">Tris</th>
+              <th style={cellStyle} title="Skinned bones">Bones</th>
+              <th style={cellStyle} title="Estimated geometry / texture memory (MB)">Geo/Tex MB</th>
+            </tr>
+          </thead>
+          <tbody>
+            {modelCosts.map(cost => {
+              const drawn = (snapshot && snapshot.models[cost.id]) || { calls: 0, triangles: 0 };
+              return (
+                <tr key={cost.id}>
+                  <td style={{ ...cellStyle, textAlign: 'left', color: '#ccc', maxWidth: '80px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {cost.name}
+                  </td>
+                  <td style={cellStyle}>{drawn.calls}</td>
+                  <td style={cellStyle}>{drawn.triangles.toLocaleString()}</td>
+                  <td style={cellStyle}>{cost.bones}</td>
+                  <td style={cellStyle}>{formatMegabytes(cost.geometryBytes)}/{formatMegabytes(cost.textureBytes)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useMemo, useRef, useState } from 'react';
+import { LOWER_IS_BETTER, diffReports, diffToCsv, downloadFile, parseReport, reportToCsv } from './report';
+
+const buttonStyle = {
+  flex: 1,
+  padding: '6px 10px',
+  background: '#4ecdc4',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '11px',
+  fontWeight: 'bold'
+};
+
+const cellStyle = {
+  padding: '2px 4px',
+  textAlign: 'right',
+  borderBottom: '1px solid #333'
+};
+
+// Changes smaller than this are shown as unchanged
+const NOISE_PERCENT = 1;
+
+function formatValue(key, value) {
+  if (value === null || value === undefined) return '—';
+  if (key === 'fileBytes') return `${(value / 1024).toFixed(1)} KB`;
+  return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+}
+
+function deltaColor(metric) {
+  if (metric.percent === null || Math.abs(metric.percent) < NOISE_PERCENT) return '#999';
+  if (!LOWER_IS_BETTER.has(metric.key)) return '#ffd93d';
+  return metric.delta > 0 ? '#ff6b6b' : '#4ecdc4';
+}
+
+function reportFilename(extension, suffix = '') {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `monster-report-${stamp}${suffix}.${extension}`;
+}
+
+// Exports the current run as JSON/CSV and diffs it against an imported baseline report
+export default function ReportPanel({ buildCurrentReport, onClose }) {
+  const [baseline, setBaseline] = useState(null);
+  const [error, setError] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const inputRef = useRef(null);
+
+  // buildCurrentReport changes identity whenever timings or loaded models change
+  const comparison = useMemo(() => {
+    if (!baseline) return null;
+    const current = buildCurrentReport();
+    return {
+      diff: diffReports(baseline, current),
+      sameEnvironment: baseline.environment.userAgent === current.environment.userAgent
+        && JSON.stringify(baseline.environment.gpu) === JSON.stringify(current.environment.gpu)
+    };
+  }, [baseline, buildCurrentReport]);
+  const diff = comparison ? comparison.diff : null;
+
+  const handleExport = (format) => {
+    const report = buildCurrentReport();
+    if (format === 'json') {
+      downloadFile(reportFilename('json'), JSON.stringify(report, null, 2), 'application/json');
+    } else {
+      downloadFile(reportFilename('csv'), reportToCsv(report), 'text/csv');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setBaseline(parseReport(await file.text()));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to import report:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>📄 Report</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+        <button onClick={() => handleExport('json')} style={buttonStyle}>⬇️ JSON</button>
+        <button onClick={() => handleExport('csv')} style={buttonStyle}>⬇️ CSV</button>
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleImport}
+        style={{ display: 'none' }}
+      />
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={() => inputRef.current.click()} style={{ ...buttonStyle, background: '#555' }}>
+          📥 Import Baseline
+        </button>
+        {baseline && (
+          <button onClick={() => setBaseline(null)} style={{ ...buttonStyle, flex: 'none', background: '#555' }}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.3)', borderRadius: '4px' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {diff && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{ color: '#999', fontSize: '10px', marginBottom: '6px' }}>
+            Baseline from {new Date(baseline.createdAt).toLocaleString()}
+          </div>
+          {!comparison.sameEnvironment && (
+            <div style={{ color: '#ffd93d', fontSize: '10px', marginBottom: '6px' }}>
+              ⚠️ Baseline was recorded on a different browser or GPU; timings may not be comparable
+            </div>
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+            <label style={{ flex: 1, color: '#ccc' }}>
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+              {' '}Show unchanged
+            </label>
+            <button
+              onClick={() => downloadFile(reportFilename('csv', '-diff'), diffToCsv(diff), 'text/csv')}
+              style={{ ...buttonStyle, flex: 'none', background: '#555' }}
+            >
+              ⬇️ Diff CSV
+            </button>
+          </div>
+
+          {diff.map(model => {
+            const metrics = model.metrics.filter(metric => showUnchanged
+              || metric.percent === null
+              || Math.abs(metric.percent) >= NOISE_PERCENT);
+
+            return (
+              <div key={`${model.removed ? 'removed:' : ''}${model.id}`} style={{ marginBottom: '10px' }}>
+                <div style={{ color: 'white', marginBottom: '4px' }}>{model.name}</div>
+                {model.removed ? (
+                  <div style={{ color: '#999' }}>Not in current run</div>
+                ) : !model.matched ? (
+                  <div style={{ color: '#999' }}>Not in baseline</div>
+                ) : metrics.length === 0 ? (
+                  <div style={{ color: '#999' }}>No changes</div>
+                ) : (
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px' }}>
+                    <thead>
+                      <tr style={{ color: '#4ecdc4' }}>
+                        <th style={{ ...cellStyle, textAlign: 'left' }}>Metric</th>
+                        <th style={cellStyle}>Before</th>
+                        <th style={cellStyle}>After</th>
+                        <th style={cellStyle}>Δ</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metrics.map(metric => (
+                        <tr key={metric.key}>
+                          <td style={{ ...cellStyle, textAlign: 'left', color: '#ccc' }}>{metric.key}</td>
+                          <td style={cellStyle}>{formatValue(metric.key, metric.before)}</td>
+                          <td style={cellStyle}>{formatValue(metric.key, metric.after)}</td>
+                          <td style={{ ...cellStyle, color: deltaColor(metric) }}>
+                            {metric.percent === null ? '—' : `${metric.percent > 0 ? '+' : ''}${metric.percent.toFixed(1)}%`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+
+const TRANSFORM_REFRESH_MS = 250;
+
+const _worldPosition = new THREE.Vector3();
+
+function objectIcon(object) {
+  if (object.isBone) return '🦴';
+  if (object.isSkinnedMesh) return '🧬';
+  if (object.isMesh) return '🧊';
+  if (object.isLight) return '💡';
+  if (object.isCamera) return '🎥';
+  return '📦';
+}
+
+function objectName(object) {
+  return object.name || `(${object.type})`;
+}
+
+function formatVector(values, digits = 3) {
+  return values.map(value => value.toFixed(digits)).join(', ');
+}
+
+function countDescendants(object) {
+  let count = 0;
+  object.traverse(() => count++);
+  return count - 1;
+}
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  color: '#ccc',
+  marginBottom: '4px'
+};
+
+function TreeNode({ object, depth, expanded, onToggleExpand, selectedUuid, onSelect, onToggleVisible }) {
+  const isExpanded = expanded.has(object.uuid);
+  const isSelected = object.uuid === selectedUuid;
+  const hasChildren = object.children.length > 0;
+
+  return (
+    <>
+      <div
+        data-uuid={object.uuid}
+        onClick={() => onSelect(object)}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '4px',
+          padding: `2px 4px 2px ${depth * 12 + 4}px`,
+          borderRadius: '4px',
+          cursor: 'pointer',
+          whiteSpace: 'nowrap',
+          background: isSelected ? 'rgba(255, 217, 61, 0.25)' : 'transparent',
+          color: isSelected ? '#ffd93d' : object.visible ? '#ccc' : '#666'
+        }}
+      >
+        <span
+          onClick={(e) => {
+            e.stopPropagation();
+            if (hasChildren) onToggleExpand(object.uuid);
+          }}
+          style={{ width: '12px', textAlign: 'center', color: '#888' }}
+        >
+          {hasChildren ? (isExpanded ? '▾' : '▸') : ''}
+        </span>
+        <span>{objectIcon(object)}</span>
+        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' }}>{objectName(object)}</span>
+        <span
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggleVisible(object);
+          }}
+          title={object.visible ? 'Hide' : 'Show'}
+          style={{ opacity: object.visible ? 1 : 0.4 }}
+        >
+          👁️
+        </span>
+      </div>
+
+      {isExpanded && object.children.map(child => (
+        <TreeNode
+          key={child.uuid}
+          object={child}
+          depth={depth + 1}
+          expanded={expanded}
+          onToggleExpand={onToggleExpand}
+          selectedUuid={selectedUuid}
+          onSelect={onSelect}
+          onToggleVisible={onToggleVisible}
+        />
+      ))}
+    </>
+  );
+}
+
+// Live transform readout for the selected node; bones move with the animation
+function TransformDetails({ object }) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const interval = setInterval(() => setTick(tick => tick + 1), TRANSFORM_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [object]);
+
+  const rotation = [object.rotation.x, object.rotation.y, object.rotation.z].map(THREE.MathUtils.radToDeg);
+  object.getWorldPosition(_worldPosition);
+
+  return (
+    <div style={{ marginTop: '10px', padding: '8px', background: 'rgba(255,255,255,0.08)', borderRadius: '6px', fontSize: '10px' }}>
+      <div style={{ color: '#ffd93d', marginBottom: '4px' }}>
+        {objectIcon(object)} {objectName(object)} <span style={{ color: '#888' }}>({object.type})</span>
+      </div>
+      <div>Position: {formatVector(object.position.toArray())}</div>
+      <div>Rotation: {formatVector(rotation, 1)}°</div>
+      <div>Scale: {formatVector(object.scale.toArray())}</div>
+      <div style={{ color: '#999' }}>World: {formatVector(_worldPosition.toArray())}</div>
+      <div style={{ color: '#999' }}>Children: {object.children.length} · Descendants: {countDescendants(object)}</div>
+      {object.isSkinnedMesh && object.skeleton && (
+        <div style={{ color: '#999' }}>Skeleton: {object.skeleton.bones.length} bones</div>
+      )}
+    </div>
+  );
+}
+
+// Collapsible scene graph of the inspected model with skeleton tools
+export default function SceneInspector({
+  models,
+  inspectedId,
+  onInspectedChange,
+  selectedObject,
+  onSelect,
+  showSkeleton,
+  onShowSkeletonChange,
+  showWeights,
+  onShowWeightsChange
+}) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [filter, setFilter] = useState('');
+  const [, setVersion] = useState(0);
+  const treeRef = useRef(null);
+
+  const model = models.find(item => item.id === inspectedId) || models[0];
+  const scene = model ? model.scene : null;
+
+  // Start with the root of a newly inspected model expanded
+  useEffect(() => {
+    if (scene) setExpanded(new Set([scene.uuid]));
+  }, [scene]);
+
+  // Reveal a node picked in the viewport by expanding its ancestors
+  useEffect(() => {
+    if (!selectedObject) return;
+
+    setExpanded(prev => {
+      const next = new Set(prev);
+      selectedObject.traverseAncestors(ancestor => next.add(ancestor.uuid));
+      return next;
+    });
+
+    requestAnimationFrame(() => {
+      const row = treeRef.current && treeRef.current.querySelector(`[data-uuid="${selectedObject.uuid}"]`);
+      if (row) row.scrollIntoView({ block: 'nearest' });
+    });
+  }, [selectedObject]);
+
+  const matches = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    if (!scene || !needle) return null;
+    const found = [];
+    scene.traverse(object => {
+      if (objectName(object).toLowerCase().includes(needle)) found.push(object);
+    });
+    return found;
+  }, [scene, filter]);
+
+  const stats = useMemo(() => {
+    if (!scene) return null;
+    let nodes = 0;
+    let meshes = 0;
+    let bones = 0;
+    scene.traverse(object => {
+      nodes++;
+      if (object.isMesh) meshes++;
+      if (object.isBone) bones++;
+    });
+    return { nodes, meshes, bones };
+  }, [scene]);
+
+  if (!scene) return null;
+
+  const handleToggleExpand = (uuid) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(uuid)) next.delete(uuid);
+      else next.add(uuid);
+      return next;
+    });
+  };
+
+  const handleToggleVisible = (object) => {
+    object.visible = !object.visible;
+    setVersion(version => version + 1);
+  };
+
+  const selectedUuid = selectedObject ? selectedObject.uuid : null;
+  const selectedIsBone = selectedObject && selectedObject.isBone;
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4',
+      display: 'flex',
+      flexDirection: 'column',
+      minHeight: 0
+    }}>
+      <div style={{ fontSize: '14px', marginBottom: '6px', color: '#4ecdc4' }}>
+        🌳 Scene Inspector
+      </div>
+      <div style={{ fontSize: '10px', color: '#999', marginBottom: '8px' }}>
+        {stats.nodes} nodes · {stats.meshes} meshes · {stats.bones} bones
+      </div>
+
+      {models.length > 1 && (
+        <select
+          value={model.id}
+          onChange={(e) => onInspectedChange(e.target.value)}
+          style={{ marginBottom: '8px', background: '#333', color: 'white', border: '1px solid #555', borderRadius: '4px' }}
+        >
+          {models.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+        </select>
+      )}
+
+      <label style={checkboxLabelStyle}>
+        <input type="checkbox" checked={showSkeleton} onChange={(e) => onShowSkeletonChange(e.target.checked)} />
+        Show skeleton overlay
+      </label>
+      <label style={{ ...checkboxLabelStyle, opacity: selectedIsBone ? 1 : 0.5 }}>
+        <input
+          type="checkbox"
+          checked={showWeights}
+          disabled={!selectedIsBone}
+          onChange={(e) => onShowWeightsChange(e.target.checked)}
+        />
+        Paint skin weights of selected bone
+      </label>
+
+      <input
+        type="search"
+        placeholder="Filter nodes…"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        style={{
+          padding: '4px 6px',
+          margin: '6px 0',
+          background: '#333',
+          color: 'white',
+          border: '1px solid #555',
+          borderRadius: '4px',
+          fontFamily: 'inherit',
+          fontSize: '11px'
+        }}
+      />
+
+      <div ref={treeRef} style={{ overflow: 'auto', minHeight: '80px', maxHeight: '300px' }}>
+        {matches ? (
+          matches.length === 0 ? (
+            <div style={{ color: '#999' }}>No nodes match "{filter}"</div>
+          ) : matches.map(object => (
+            <div
+              key={object.uuid}
+              data-uuid={object.uuid}
+              onClick={() => onSelect(object)}
+              style={{
+                padding: '2px 4px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                whiteSpace: 'nowrap',
+                background: object.uuid === selectedUuid ? 'rgba(255, 217, 61, 0.25)' : 'transparent',
+                color: object.uuid === selectedUuid ? '#ffd93d' : '#ccc'
+              }}
+            >
+              {objectIcon(object)} {objectName(object)}
+            </div>
+          ))
+        ) : (
+          <TreeNode
+            object={scene}
+            depth={0}
+            expanded={expanded}
+            onToggleExpand={handleToggleExpand}
+            selectedUuid={selectedUuid}
+            onSelect={onSelect}
+            onToggleVisible={handleToggleVisible}
+          />
+        )}
+      </div>
+
+      {selectedObject && <TransformDetails object={selectedObject} />}
+    </div>
+  );
+}
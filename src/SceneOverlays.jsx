@@ -0,0 +1,203 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+
+const BONE_MARKER_SIZE = 0.03;
+
+const BONE_COLOR = new THREE.Color('#4ecdc4');
+const SELECTED_COLOR = new THREE.Color('#ffd93d');
+
+const _position = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+
+// Collects the unique bones of every skinned mesh in the scene
+function collectBones(scene) {
+  const bones = new Set();
+  scene.traverse(object => {
+    if (object.isSkinnedMesh && object.skeleton) {
+      object.skeleton.bones.forEach(bone => bones.add(bone));
+    }
+  });
+  return Array.from(bones);
+}
+
+// Bone lines plus a clickable marker per joint, with the bone name on hover.
+// Rendered at the scene root because SkeletonHelper works in world space.
+export function SkeletonOverlay({ scene, selectedUuid, onSelect }) {
+  const markersRef = useRef();
+  const [hovered, setHovered] = useState(null);
+
+  const bones = useMemo(() => collectBones(scene), [scene]);
+
+  const helper = useMemo(() => {
+    if (bones.length === 0) return null;
+    const skeletonHelper = new THREE.SkeletonHelper(scene);
+    skeletonHelper.material.depthTest = false;
+    skeletonHelper.renderOrder = 999;
+    return skeletonHelper;
+  }, [scene, bones]);
+
+  useEffect(() => () => {
+    if (helper) {
+      helper.geometry.dispose();
+      helper.material.dispose();
+    }
+  }, [helper]);
+
+  // Follow the animated bones every frame
+  useFrame(() => {
+    const markers = markersRef.current;
+    if (!markers) return;
+
+    bones.forEach((bone, index) => {
+      bone.getWorldPosition(_position);
+      _matrix.makeTranslation(_position.x, _position.y, _position.z);
+      markers.setMatrixAt(index, _matrix);
+      markers.setColorAt(index, bone.uuid === selectedUuid ? SELECTED_COLOR : BONE_COLOR);
+    });
+    markers.instanceMatrix.needsUpdate = true;
+    if (markers.instanceColor) markers.instanceColor.needsUpdate = true;
+    // Bones move with the animation, so recompute the raycast bounds lazily
+    markers.boundingSphere = null;
+  });
+
+  if (!helper) return null;
+
+  const hoveredBone = hovered !== null ? bones[hovered] : null;
+
+  return (
+    <>
+      <primitive object={helper} />
+      <instancedMesh
+        ref={markersRef}
+        args={[undefined, undefined, bones.length]}
+        renderOrder={1000}
+        frustumCulled={false}
+        onPointerOver={(e) => {
+          e.stopPropagation();
+          setHovered(e.instanceId);
+        }}
+        onPointerOut={() => setHovered(null)}
+        onClick={(e) => {
+          e.stopPropagation();
+          onSelect(bones[e.instanceId]);
+        }}
+      >
+        <sphereGeometry args={[BONE_MARKER_SIZE, 8, 8]} />
+        <meshBasicMaterial depthTest={false} transparent opacity={0.9} />
+      </instancedMesh>
+
+      {hoveredBone && (
+        <Html position={hoveredBone.getWorldPosition(new THREE.Vector3()).toArray()} style={{ pointerEvents: 'none' }}>
+          <div style={{
+            background: 'rgba(0,0,0,0.8)',
+            color: '#4ecdc4',
+            padding: '2px 6px',
+            borderRadius: '4px',
+            fontSize: '10px',
+            fontFamily: 'monospace',
+            whiteSpace: 'nowrap',
+            transform: 'translate(8px, -50%)'
+          }}>
+            🦴 {hoveredBone.name || hoveredBone.uuid.slice(0, 8)}
+          </div>
+        </Html>
+      )}
+    </>
+  );
+}
+
+// Bounding box around the selected object, or a marker for objects without geometry
+export function SelectionHighlight({ object }) {
+  const markerRef = useRef();
+
+  const helper = useMemo(() => {
+    const boxHelper = new THREE.BoxHelper(object, '#ffd93d');
+    boxHelper.material.depthTest = false;
+    boxHelper.renderOrder = 998;
+    return boxHelper;
+  }, [object]);
+
+  useEffect(() => () => {
+    helper.geometry.dispose();
+    helper.material.dispose();
+  }, [helper]);
+
+  useFrame(() => {
+    helper.update();
+    helper.geometry.computeBoundingSphere();
+    const isEmpty = !helper.geometry.boundingSphere || helper.geometry.boundingSphere.radius === 0;
+    helper.visible = !isEmpty;
+
+    if (markerRef.current) {
+      markerRef.current.visible = isEmpty;
+      object.getWorldPosition(markerRef.current.position);
+    }
+  });
+
+  return (
+    <>
+      <primitive object={helper} />
+      <mesh ref={markerRef} renderOrder={998}>
+        <sphereGeometry args={[BONE_MARKER_SIZE * 2, 12, 12]} />
+        <meshBasicMaterial color="#ffd93d" depthTest={false} wireframe />
+      </mesh>
+    </>
+  );
+}
+
+const WEIGHT_COLD = new THREE.Color('#1d3cff');
+const WEIGHT_HOT = new THREE.Color('#ff2d2d');
+
+// Temporarily paints every skinned mesh driven by the bone with that bone's
+// skin weights (blue = 0, red = 1), restoring the original materials on unmount
+export function BoneWeightView({ scene, bone }) {
+  useEffect(() => {
+    const restore = [];
+    const color = new THREE.Color();
+    const weightMaterial = new THREE.MeshBasicMaterial({ vertexColors: true });
+
+    scene.traverse(object => {
+      if (!object.isSkinnedMesh || !object.skeleton) return;
+
+      const boneIndex = object.skeleton.bones.indexOf(bone);
+      const { geometry } = object;
+      const skinIndex = geometry.getAttribute('skinIndex');
+      const skinWeight = geometry.getAttribute('skinWeight');
+      if (boneIndex === -1 || !skinIndex || !skinWeight) return;
+
+      const colors = new Float32Array(skinIndex.count * 3);
+      for (let i = 0; i < skinIndex.count; i++) {
+        let weight = 0;
+        for (let j = 0; j < skinIndex.itemSize; j++) {
+          if (skinIndex.getComponent(i, j) === boneIndex) {
+            weight += skinWeight.getComponent(i, j);
+          }
+        }
+        color.lerpColors(WEIGHT_COLD, WEIGHT_HOT, weight);
+        color.toArray(colors, i * 3);
+      }
+
+      restore.push({ object, material: object.material, color: geometry.getAttribute('color') });
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      object.material = Array.isArray(object.material)
+        ? object.material.map(() => weightMaterial)
+        : weightMaterial;
+    });
+
+    return () => {
+      weightMaterial.dispose();
+      restore.forEach(({ object, material, color: originalColor }) => {
+        object.material = material;
+        if (originalColor) {
+          object.geometry.setAttribute('color', originalColor);
+        } else {
+          object.geometry.deleteAttribute('color');
+        }
+      });
+    };
+  }, [scene, bone]);
+
+  return null;
+}
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { SEVERITIES, SEVERITY_ICONS, countIssues } from './validation';
+
+const SEVERITY_COLORS = {
+  error: '#ff6b6b',
+  warning: '#ffd93d',
+  info: '#999'
+};
+
+const inputStyle = {
+  width: '60px',
+  background: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '2px 4px'
+};
+
+// Severity-sorted validation issues for every model on screen
+export default function ValidationPanel({ reports, options, onOptionsChange, onRetry, onClose }) {
+  const [showInfo, setShowInfo] = useState(false);
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.95)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '10px',
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid #4ecdc4'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ flex: 1, fontSize: '14px', color: '#4ecdc4' }}>🩺 Validation</div>
+        <button
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', color: '#ccc', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px 12px', marginBottom: '10px', color: '#ccc' }}>
+        <label>
+          Max bones{' '}
+          <input
+            type="number"
+            min={1}
+            value={options.maxBones}
+            onChange={(e) => onOptionsChange({ ...options, maxBones: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          Max texture{' '}
+          <select
+            value={options.maxTextureSize}
+            onChange={(e) => onOptionsChange({ ...options, maxTextureSize: parseInt(e.target.value, 10) })}
+            style={{ ...inputStyle, width: 'auto' }}
+          >
+            {[1024, 2048, 4096, 8192].map(size => <option key={size} value={size}>{size}px</option>)}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={showInfo} onChange={(e) => setShowInfo(e.target.checked)} /> Show info
+        </label>
+      </div>
+
+      {reports.length === 0 && <div style={{ color: '#999' }}>No models loaded</div>}
+
+      {reports.map(report => {
+        const counts = countIssues(report.issues);
+        const visible = report.issues.filter(item => showInfo || item.severity !== 'info');
+        const canRetry = report.issues.some(item => item.fixable);
+
+        return (
+          <div key={report.id} style={{ marginBottom: '12px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+              <span style={{ flex: 1, color: report.status === 'failed' ? '#ff6b6b' : 'white' }}>
+                {report.name}{report.status === 'failed' && ' · failed to load'}
+              </span>
+              {report.status === 'pending' ? (
+                <span style={{ color: '#999' }}>checking…</span>
+              ) : SEVERITIES.map(severity => (
+                <span key={severity} style={{ color: counts[severity] > 0 ? SEVERITY_COLORS[severity] : '#555' }}>
+                  {SEVERITY_ICONS[severity]} {counts[severity]}
+                </span>
+              ))}
+            </div>
+
+            {report.status === 'done' && visible.length === 0 && (
+              <div style={{ color: '#4ecdc4' }}>✅ No issues found</div>
+            )}
+
+            {visible.map((item, index) => (
+              <div
+                key={`${item.code}-${index}`}
+                title={item.target || undefined}
+                style={{
+                  padding: '4px 6px',
+                  marginBottom: '2px',
+                  borderLeft: `3px solid ${SEVERITY_COLORS[item.severity]}`,
+                  background: 'rgba(255,255,255,0.05)',
+                  wordBreak: 'break-all'
+                }}
+              >
+                <span style={{ color: SEVERITY_COLORS[item.severity] }}>{item.code}</span> {item.message}
+              </div>
+            ))}
+
+            {canRetry && (
+              <button
+                onClick={() => onRetry(report.id)}
+                style={{
+                  marginTop: '4px',
+                  padding: '4px 12px',
+                  background: '#4ecdc4',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: 'pointer'
+                }}
+              >
+                🔄 Retry Loading
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+import { useFrame } from '@react-three/fiber';
+
+// Takes over rendering from the Canvas so every frame goes through draw: the
+// render modes, post-processing and the overlaid compare layouts
+export default function ViewRenderer({ draw }) {
+  useFrame(({ gl, scene, camera, size }) => {
+    draw({ gl, scene, camera, width: size.width, height: size.height });
+  }, 1);
+
+  return null;
+}
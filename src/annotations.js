@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+// Annotations are review comments pinned to a point on a model. The point is
+// kept in the space of the bone or node under the click, so pins ride along
+// with skeletal animation, and the camera pose and clip time are kept so a
+// reviewer can be taken back to what the author was looking at.
+
+const SAVED_ANNOTATIONS_KEY = 'monster-viewer:annotations';
+const AUTHOR_KEY = 'monster-viewer:annotation-author';
+
+// The bone that moves a skinned triangle the most, from its three vertices'
+// skin weights
+function dominantBone(mesh, face) {
+  const skinIndex = mesh.geometry.getAttribute('skinIndex');
+  const skinWeight = mesh.geometry.getAttribute('skinWeight');
+  if (!skinIndex || !skinWeight || !mesh.skeleton) return null;
+
+  const totals = new Map();
+  [face.a, face.b, face.c].forEach(vertex => {
+    for (let i = 0; i < skinIndex.itemSize; i++) {
+      const bone = skinIndex.getComponent(vertex, i);
+      totals.set(bone, (totals.get(bone) || 0) + skinWeight.getComponent(vertex, i));
+    }
+  });
+
+  let best = null;
+  totals.forEach((weight, bone) => {
+    if (weight > 0 && (best === null || weight > totals.get(best))) best = bone;
+  });
+  return best === null ? null : mesh.skeleton.bones[best] || null;
+}
+
+// The node a pin follows for a click on object at the world space point, and
+// the point in that node's space
+export function findAttachment(object, point, face) {
+  const bone = object.isSkinnedMesh && face ? dominantBone(object, face) : null;
+  const node = bone || object;
+  node.updateWorldMatrix(true, false);
+  return { node, position: node.worldToLocal(point.clone()) };
+}
+
+// Child indices from the model root, which survive export even when nodes
+// have no names
+export function nodePath(node, root) {
+  const path = [];
+  for (let current = node; current && current !== root; current = current.parent) {
+    if (!current.parent) return null;
+    path.unshift(current.parent.children.indexOf(current));
+  }
+  return path;
+}
+
+// Follows the path, and falls back to the name when the path no longer leads
+// to a node of that name
+export function resolveNode(root, { path, name }) {
+  let node = root;
+  for (const index of path) {
+    node = node.children[index];
+    if (!node) break;
+  }
+  if (node && (!name || node.name === name)) return node;
+  return name ? root.getObjectByName(name) || null : null;
+}
+
+function round(value) {
+  return Math.round(value * 100000) / 100000;
+}
+
+// A new pin on the model under root for a click on object. The details are
+// the comment, author, camera pose, clip and clip time.
+export function createAnnotation({ root, object, point, face }, { comment, author, camera, clip, time }) {
+  let { node, position } = findAttachment(object, point, face);
+  let path = nodePath(node, root);
+  if (!path) {
+    // Bones kept outside the model's hierarchy can't be found again
+    ({ node, position } = findAttachment(object, point, null));
+    path = nodePath(node, root);
+  }
+
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    node: { name: node.name, path },
+    position: position.toArray().map(round),
+    comment,
+    author,
+    camera,
+    clip,
+    time,
+    createdAt: new Date().toISOString()
+  };
+}
+
+export function localPosition(annotation) {
+  return new THREE.Vector3(...annotation.position);
+}
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isAnnotation(value) {
+  return value && typeof value.id === 'string' && typeof value.comment === 'string'
+    && value.node && Array.isArray(value.node.path) && isVector(value.position)
+    && (!value.camera || (isVector(value.camera.position) && isVector(value.camera.target)));
+}
+
+export function loadSavedAnnotations(modelPath) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_ANNOTATIONS_KEY)) || {};
+    return Array.isArray(stored[modelPath]) ? stored[modelPath].filter(isAnnotation) : null;
+  } catch (error) {
+    console.warn('Could not read saved annotations:', error);
+    return null;
+  }
+}
+
+export function storeSavedAnnotations(modelPath, annotations) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_ANNOTATIONS_KEY)) || {};
+    if (annotations.length > 0) {
+      stored[modelPath] = annotations;
+    } else {
+      delete stored[modelPath];
+    }
+    localStorage.setItem(SAVED_ANNOTATIONS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('Could not save annotations:', error);
+  }
+}
+
+export function loadAuthor() {
+  try {
+    return localStorage.getItem(AUTHOR_KEY) || '';
+  } catch (error) {
+    console.warn('Could not read the annotation author:', error);
+    return '';
+  }
+}
+
+export function storeAuthor(author) {
+  try {
+    localStorage.setItem(AUTHOR_KEY, author);
+  } catch (error) {
+    console.warn('Could not save the annotation author:', error);
+  }
+}
+
+// Monster.gltf → Monster.annotations.json, the file kept next to the model
+export function annotationFileName(modelPath) {
+  const name = modelPath.slice(modelPath.lastIndexOf('/') + 1).split(/[?#]/)[0];
+  return `${name.replace(/\.(gltf|glb)$/i, '')}.annotations.json`;
+}
+
+export function annotationFileUrl(modelPath) {
+  return `${modelPath.slice(0, modelPath.lastIndexOf('/') + 1)}${annotationFileName(modelPath)}`;
+}
+
+export function annotationsToJson(modelPath, annotations) {
+  const model = modelPath.slice(modelPath.lastIndexOf('/') + 1);
+  return JSON.stringify({ model, annotations }, null, 2);
+}
+
+// Accepts the file written by annotationsToJson or a bare list
+export function parseAnnotations(text) {
+  const parsed = JSON.parse(text);
+  const annotations = Array.isArray(parsed) ? parsed : parsed && parsed.annotations;
+  if (!Array.isArray(annotations) || !annotations.every(isAnnotation)) {
+    throw new Error('File does not contain annotations');
+  }
+  return annotations;
+}
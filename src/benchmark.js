@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three-stdlib';
+import { configureDecoders } from './decoders';
+
+export const PHASES = ['fetch', 'parse', 'upload', 'firstFrame', 'total'];
+
+export const PHASE_LABELS = {
+  fetch: 'Network fetch',
+  parse: 'Parse',
+  upload: 'GPU upload',
+  firstFrame: 'First frame',
+  total: 'Total'
+};
+
+const RENDER_TARGET_SIZE = 256;
+
+const GLB_MAGIC = 0x46546c67;
+
+function isDataUri(uri) {
+  return /^data:/i.test(uri);
+}
+
+function isGlb(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === GLB_MAGIC;
+}
+
+async function fetchBuffer(url, cache, signal) {
+  const response = await fetch(url, { cache, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.arrayBuffer();
+}
+
+// Downloads the main file plus every external buffer and image it references,
+// so that parsing afterwards never touches the network
+async function fetchAsset(url, manager, cache, signal) {
+  const resolvedUrl = manager ? manager.resolveURL(url) : url;
+  const main = await fetchBuffer(resolvedUrl, cache, signal);
+  const sidecars = new Map();
+  let bytes = main.byteLength;
+
+  if (!isGlb(main)) {
+    const json = JSON.parse(new TextDecoder().decode(main));
+    const basePath = THREE.LoaderUtils.extractUrlBase(url);
+    const uris = [...(json.buffers || []), ...(json.images || [])]
+      .map(item => item.uri)
+      .filter(uri => uri && !isDataUri(uri));
+
+    await Promise.all(uris.map(async (uri) => {
+      const absoluteUrl = THREE.LoaderUtils.resolveURL(uri, basePath);
+      const requestUrl = manager ? manager.resolveURL(absoluteUrl) : absoluteUrl;
+      const buffer = await fetchBuffer(requestUrl, cache, signal);
+      bytes += buffer.byteLength;
+      sidecars.set(absoluteUrl, URL.createObjectURL(new Blob([buffer])));
+    }));
+  }
+
+  return { main, sidecars, bytes };
+}
+
+async function parseAsset(url, { main, sidecars }, renderer) {
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier(requested => sidecars.get(requested) || requested);
+
+  const loader = new GLTFLoader(manager);
+  configureDecoders(loader, renderer);
+  try {
+    return await loader.parseAsync(main, THREE.LoaderUtils.extractUrlBase(url));
+  } finally {
+    sidecars.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+  }
+}
+
+function collectTextures(scene) {
+  const textures = new Set();
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) textures.add(value);
+      });
+    });
+  });
+  return textures;
+}
+
+function disposeScene(scene) {
+  collectTextures(scene).forEach(texture => texture.dispose());
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => material.dispose());
+  });
+}
+
+// Reading a pixel back blocks until the GPU has finished the queued work
+function finishGpu(renderer, target) {
+  renderer.readRenderTargetPixels(target, 0, 0, 1, 1, new Uint8Array(4));
+}
+
+// One timed load of a model, split into phases measured with performance.now()
+export async function measureLoad(model, { renderer, cold, signal }) {
+  const label = `benchmark:${model.id}:${cold ? 'cold' : 'warm'}`;
+  const mark = (name) => performance.mark(`${label}:${name}`);
+  const cache = cold ? 'no-store' : 'force-cache';
+
+  const target = new THREE.WebGLRenderTarget(RENDER_TARGET_SIZE, RENDER_TARGET_SIZE);
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+  const stage = new THREE.Scene();
+  stage.add(new THREE.AmbientLight(0xffffff, 0.6));
+  stage.add(new THREE.DirectionalLight(0xffffff, 1.2));
+
+  let gltf = null;
+  try {
+    const start = performance.now();
+    mark('start');
+
+    const asset = await fetchAsset(model.url, model.manager, cache, signal);
+    const fetched = performance.now();
+    mark('fetched');
+
+    gltf = await parseAsset(model.url, asset, renderer);
+    const parsed = performance.now();
+    mark('parsed');
+
+    // Frame the model so the first frame actually rasterizes it
+    const box = new THREE.Box3().setFromObject(gltf.scene);
+    const size = box.getSize(new THREE.Vector3()).length() || 1;
+    const center = box.getCenter(new THREE.Vector3());
+    camera.position.copy(center).add(new THREE.Vector3(0, 0, size * 1.5));
+    camera.lookAt(center);
+    camera.far = size * 10;
+    camera.updateProjectionMatrix();
+    stage.add(gltf.scene);
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+
+    collectTextures(gltf.scene).forEach(texture => renderer.initTexture(texture));
+    renderer.compile(stage, camera);
+    finishGpu(renderer, target);
+    const uploaded = performance.now();
+    mark('uploaded');
+
+    renderer.render(stage, camera);
+    finishGpu(renderer, target);
+    renderer.setRenderTarget(previousTarget);
+    const rendered = performance.now();
+    mark('rendered');
+
+    performance.measure(`${label}:total`, `${label}:start`, `${label}:rendered`);
+
+    return {
+      fetch: fetched - start,
+      parse: parsed - fetched,
+      upload: uploaded - parsed,
+      firstFrame: rendered - uploaded,
+      total: rendered - start,
+      bytes: asset.bytes
+    };
+  } finally {
+    if (gltf) {
+      stage.remove(gltf.scene);
+      disposeScene(gltf.scene);
+    }
+    target.dispose();
+  }
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) return null;
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+  const middle = Math.floor(count / 2);
+
+  return {
+    count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    mean,
+    median: count % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle],
+    p95: percentile(sorted, 0.95),
+    stdDev: Math.sqrt(variance)
+  };
+}
+
+function summarizeSamples(samples) {
+  return Object.fromEntries(PHASES.map(phase => [phase, summarize(samples.map(sample => sample[phase]))]));
+}
+
+// Runs N cold then N warm loads per model. Every run parses with a fresh
+// loader; cold runs also bypass the HTTP cache, while warm runs may hit it.
+// Cold runs don't store what they fetch, so an unmeasured load before the
+// warm runs fills the cache and the first warm sample isn't a network load.
+export async function runBenchmark({ models, renderer, coldIterations, warmIterations, signal, onProgress }) {
+  const total = models.length * (coldIterations + warmIterations);
+  let completed = 0;
+  const results = {};
+
+  for (const model of models) {
+    const cold = [];
+    const warm = [];
+
+    for (let i = 0; i < coldIterations + warmIterations; i++) {
+      if (signal && signal.aborted) {
+        throw new DOMException('Benchmark cancelled', 'AbortError');
+      }
+
+      const isCold = i < coldIterations;
+      if (i === coldIterations) {
+        if (onProgress) onProgress({ completed, total, model: model.name, phase: 'warm-up' });
+        await measureLoad(model, { renderer, cold: false, signal });
+      }
+      if (onProgress) {
+        onProgress({ completed, total, model: model.name, phase: isCold ? 'cold' : 'warm' });
+      }
+
+      const sample = await measureLoad(model, { renderer, cold: isCold, signal });
+      (isCold ? cold : warm).push(sample);
+      completed++;
+    }
+
+    results[model.id] = {
+      id: model.id,
+      name: model.name,
+      url: model.url,
+      cold,
+      warm,
+      summary: { cold: summarizeSamples(cold), warm: summarizeSamples(warm) }
+    };
+  }
+
+  if (onProgress) {
+    onProgress({ completed, total, model: null, phase: 'done' });
+  }
+
+  return results;
+}
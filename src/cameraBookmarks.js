@@ -0,0 +1,59 @@
+// Camera bookmarks are orbit poses: a camera position and the point it looks at.
+// Models are normalized to a 3 unit size around the origin, so the built-in
+// views frame any model the same way.
+export const BUILTIN_BOOKMARKS = [
+  { name: 'Front', position: [0, 0.5, 7], target: [0, 0, 0] },
+  { name: 'Side', position: [7, 0.5, 0], target: [0, 0, 0] },
+  { name: 'Back', position: [0, 0.5, -7], target: [0, 0, 0] },
+  { name: 'Top', position: [0, 8, 0.01], target: [0, 0, 0] },
+  { name: 'Head close-up', position: [0, 1.4, 2.8], target: [0, 1.1, 0] }
+];
+
+export const TRANSITION_SECONDS = 0.8;
+
+const SAVED_BOOKMARKS_KEY = 'monster-viewer:camera-bookmarks';
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isBookmark(value) {
+  return value && typeof value.name === 'string' && isVector(value.position) && isVector(value.target);
+}
+
+export function loadSavedBookmarks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_BOOKMARKS_KEY));
+    return Array.isArray(stored) ? stored.filter(isBookmark) : [];
+  } catch (error) {
+    console.warn('Could not read saved camera bookmarks:', error);
+    return [];
+  }
+}
+
+export function storeSavedBookmarks(bookmarks) {
+  try {
+    localStorage.setItem(SAVED_BOOKMARKS_KEY, JSON.stringify(bookmarks));
+  } catch (error) {
+    console.warn('Could not save camera bookmarks:', error);
+  }
+}
+
+// Accepts a single bookmark or a list, as written by bookmarksToJson
+export function parseBookmarks(text) {
+  const parsed = JSON.parse(text);
+  const bookmarks = Array.isArray(parsed) ? parsed : [parsed];
+  if (bookmarks.length === 0 || !bookmarks.every(isBookmark)) {
+    throw new Error('File does not contain camera bookmarks');
+  }
+  return bookmarks.map(({ name, position, target }) => ({ name, position, target }));
+}
+
+export function bookmarksToJson(bookmarks) {
+  return JSON.stringify(bookmarks, null, 2);
+}
+
+// Smoothstep keeps the start and end of a camera move gentle
+export function easeInOut(t) {
+  return t * t * (3 - 2 * t);
+}
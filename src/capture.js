@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+import { zipSync } from 'fflate';
+
+// Viewport backgrounds are a CSS colour or a [from, to] diagonal gradient, so
+// opaque captures can repaint exactly what the Canvas shows behind the scene
+export const DEFAULT_BACKGROUND = ['#667eea', '#764ba2'];
+
+export function backgroundCss(background) {
+  return Array.isArray(background)
+    ? `linear-gradient(135deg, ${background[0]} 0%, ${background[1]} 100%)`
+    : background;
+}
+
+const LABEL_FONT_SIZE = 12;
+
+export const CAPTURE_PRESETS = [
+  { label: '1920×1080', width: 1920, height: 1080 },
+  { label: '3840×2160', width: 3840, height: 2160 },
+  { label: '2048×2048', width: 2048, height: 2048 },
+  { label: '1080×1920', width: 1080, height: 1920 }
+];
+
+function drawBackground(context, width, height, background) {
+  if (Array.isArray(background)) {
+    const gradient = context.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, background[0]);
+    gradient.addColorStop(1, background[1]);
+    context.fillStyle = gradient;
+  } else {
+    context.fillStyle = background;
+  }
+  context.fillRect(0, 0, width, height);
+}
+
+// Html labels are DOM overlays, so they are redrawn onto the capture from the
+// objects tagged with userData.captureLabel
+function drawLabels(context, scene, camera, width, height, scale) {
+  const point = new THREE.Vector3();
+  const fontSize = LABEL_FONT_SIZE * scale;
+  context.font = `bold ${fontSize}px Arial, sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+
+  scene.traverseVisible(object => {
+    const text = object.userData.captureLabel;
+    if (!text) return;
+
+    object.getWorldPosition(point).project(camera);
+    if (point.z < -1 || point.z > 1) return;
+
+    const x = ((point.x + 1) / 2) * width;
+    const y = ((1 - point.y) / 2) * height;
+    const boxWidth = context.measureText(text).width + 24 * scale;
+    const boxHeight = fontSize + 16 * scale;
+
+    context.fillStyle = 'rgba(0,0,0,0.8)';
+    context.beginPath();
+    context.roundRect(x - boxWidth / 2, y - boxHeight / 2, boxWidth, boxHeight, 6 * scale);
+    context.fill();
+    context.fillStyle = 'white';
+    context.fillText(text, x, y);
+  });
+}
+
+const drawScene = ({ gl, scene, camera }) => gl.render(scene, camera);
+
+// Renders one frame at the requested size into a new 2D canvas. The renderer is
+// resized for the duration of the call so tone mapping and colour space match
+// what is on screen, then restored before the next animation frame. draw
+// renders the scene the way the viewport does, with its render modes and
+// layout; by default it is a plain render.
+export function renderFrame({ gl, scene, camera, width, height, transparent = false, showGrid = true, showLabels = true, background = DEFAULT_BACKGROUND, draw = drawScene }) {
+  const previousSize = gl.getSize(new THREE.Vector2());
+  const previousPixelRatio = gl.getPixelRatio();
+
+  const hidden = [];
+  if (!showGrid) {
+    scene.traverse(object => {
+      if (object.userData.hideInCapture && object.visible) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+  }
+
+  const captureCamera = camera.clone();
+  captureCamera.aspect = width / height;
+  captureCamera.updateProjectionMatrix();
+
+  try {
+    gl.setPixelRatio(1);
+    gl.setSize(width, height, false);
+
+    const context = gl.getContext();
+    if (context.drawingBufferWidth !== width || context.drawingBufferHeight !== height) {
+      throw new Error(`${width}×${height} is larger than this GPU can render (max ${context.drawingBufferWidth}×${context.drawingBufferHeight})`);
+    }
+
+    draw({ gl, scene, camera: captureCamera, width, height });
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context2d = output.getContext('2d');
+    if (!transparent) drawBackground(context2d, width, height, background);
+    // Read back in the same task as the render, before the buffer is cleared
+    context2d.drawImage(gl.domElement, 0, 0);
+    if (showLabels) drawLabels(context2d, scene, captureCamera, width, height, height / previousSize.y);
+
+    return output;
+  } finally {
+    hidden.forEach(object => {
+      object.visible = true;
+    });
+    gl.setPixelRatio(previousPixelRatio);
+    gl.setSize(previousSize.x, previousSize.y, false);
+  }
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the capture'))), type);
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Capture cancelled', 'AbortError');
+  }
+}
+
+export function webmMimeType() {
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Orbits a copy of the camera 360° around `target`, calling onFrame(progress)
+// before each frame so callers can pose animations in sync with the rotation.
+// Resolves to a WebM video or a zip of numbered PNG frames.
+export async function recordTurntable({
+  gl,
+  scene,
+  camera,
+  target,
+  duration,
+  fps,
+  format,
+  onFrame,
+  onProgress,
+  signal,
+  ...frameOptions
+}) {
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const orbitCamera = camera.clone();
+  const offset = camera.position.clone().sub(target);
+  const axis = new THREE.Vector3(0, 1, 0);
+
+  const poseFrame = (index) => {
+    const progress = index / frameCount;
+    if (onFrame) onFrame(progress);
+    orbitCamera.position.copy(target).add(offset.clone().applyAxisAngle(axis, progress * Math.PI * 2));
+    orbitCamera.lookAt(target);
+    return renderFrame({ gl, scene, camera: orbitCamera, ...frameOptions });
+  };
+
+  if (format === 'png') {
+    const files = {};
+    const digits = String(frameCount).length;
+    for (let i = 0; i < frameCount; i++) {
+      throwIfAborted(signal);
+      const blob = await canvasToBlob(poseFrame(i));
+      files[`frame_${String(i + 1).padStart(digits, '0')}.png`] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+      if (onProgress) onProgress((i + 1) / frameCount);
+    }
+    return new Blob([zipSync(files)], { type: 'application/zip' });
+  }
+
+  const mimeType = webmMimeType();
+  if (!mimeType) {
+    throw new Error('This browser cannot record WebM video; export a PNG sequence instead');
+  }
+
+  // MediaRecorder timestamps frames by wall clock, so frames are pushed at the
+  // target frame rate and the recording takes as long as the video
+  const output = document.createElement('canvas');
+  output.width = frameOptions.width;
+  output.height = frameOptions.height;
+  const context = output.getContext('2d');
+  const stream = output.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const chunks = [];
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16000000 });
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      throwIfAborted(signal);
+      const started = performance.now();
+      context.clearRect(0, 0, output.width, output.height);
+      context.drawImage(poseFrame(i), 0, 0);
+      track.requestFrame();
+      if (onProgress) onProgress((i + 1) / frameCount);
+      await wait(Math.max(0, 1000 / fps - (performance.now() - started)));
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+
+  throwIfAborted(signal);
+  return new Blob(chunks, { type: 'video/webm' });
+}
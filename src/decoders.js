@@ -0,0 +1,34 @@
+import { DRACOLoader, KTX2Loader, MeshoptDecoder } from 'three-stdlib';
+
+// The Draco and Basis decoders are served by the app itself (see the decoders
+// plugin in vite.config.js) so compressed models load offline. Meshopt's
+// decoder is inlined in three-stdlib and needs no files.
+export const DECODER_PATH = `${import.meta.env.BASE_URL}decoders/`;
+
+// Each loader keeps a pool of decoder workers, so they are shared by every model
+let dracoLoader = null;
+let ktx2Loader = null;
+
+function getDracoLoader() {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`);
+  }
+  return dracoLoader;
+}
+
+// KTX2 transcodes to whichever GPU format the renderer supports, which is
+// why it needs the renderer before the first texture loads
+function getKTX2Loader(renderer) {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(`${DECODER_PATH}basis/`).detectSupport(renderer);
+  }
+  return ktx2Loader;
+}
+
+export function configureDecoders(loader, renderer) {
+  loader.setDRACOLoader(getDracoLoader());
+  loader.setMeshoptDecoder(MeshoptDecoder());
+  if (renderer) {
+    loader.setKTX2Loader(getKTX2Loader(renderer));
+  }
+}
@@ -0,0 +1,29 @@
+// drei downloads its environment presets from a CDN, which isn't reachable
+// offline. The same scenes ship with the app instead, one lazy chunk each,
+// so only the maps in use are loaded and the service worker can cache them.
+const ENVIRONMENT_MAPS = {
+  apartment: () => import('@pmndrs/assets/hdri/apartment.exr.js'),
+  city: () => import('@pmndrs/assets/hdri/city.exr.js'),
+  dawn: () => import('@pmndrs/assets/hdri/dawn.exr.js'),
+  forest: () => import('@pmndrs/assets/hdri/forest.exr.js'),
+  lobby: () => import('@pmndrs/assets/hdri/lobby.exr.js'),
+  night: () => import('@pmndrs/assets/hdri/night.exr.js'),
+  park: () => import('@pmndrs/assets/hdri/park.exr.js'),
+  studio: () => import('@pmndrs/assets/hdri/studio.exr.js'),
+  sunset: () => import('@pmndrs/assets/hdri/sunset.exr.js'),
+  warehouse: () => import('@pmndrs/assets/hdri/warehouse.exr.js')
+};
+
+const loadedMaps = new Map();
+
+// A promise of the preset's EXR as a data URL, the same promise every time
+// so React's use() can suspend on it
+export function environmentMapUrl(preset) {
+  if (!loadedMaps.has(preset)) {
+    const load = ENVIRONMENT_MAPS[preset];
+    loadedMaps.set(preset, load
+      ? load().then(module => module.default)
+      : Promise.reject(new Error(`Unknown environment preset "${preset}"`)));
+  }
+  return loadedMaps.get(preset);
+}
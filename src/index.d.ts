@@ -0,0 +1,178 @@
+import type { CSSProperties, JSX, Ref } from 'react';
+import type { AnimationClip, LoadingManager, Object3D, Vector3 } from 'three';
+
+export type Vec3 = [number, number, number];
+
+export type PanelName =
+  | 'modes'
+  | 'info'
+  | 'gallery'
+  | 'files'
+  | 'animation'
+  | 'morphs'
+  | 'inspector'
+  | 'materials'
+  | 'benchmark'
+  | 'optimize'
+  | 'measure'
+  | 'annotations'
+  | 'report'
+  | 'stats'
+  | 'lighting'
+  | 'render'
+  | 'views'
+  | 'capture'
+  | 'validation'
+  | 'offline';
+
+export const ALL_PANELS: PanelName[];
+export const MANIFEST_URL: string;
+
+/** A CSS colour, or the two stops of a diagonal gradient */
+export type Background = string | [string, string];
+export const DEFAULT_BACKGROUND: [string, string];
+
+/** Same shape as a manifest entry; only `path` is required */
+export interface ModelEntry {
+  path: string;
+  id?: string;
+  name?: string;
+  thumbnail?: string;
+  tags?: string[];
+  camera?: { position?: Vec3; fov?: number };
+  animation?: { enabled?: boolean; clip?: string | null; loop?: 'repeat' | 'once' | 'pingpong'; speed?: number };
+}
+
+export interface CameraPose {
+  position: Vec3;
+  /** Orbit target, the origin when left out */
+  target?: Vec3;
+}
+
+export interface ValidationIssue {
+  severity: 'error' | 'warning' | 'info';
+  code: string;
+  message: string;
+  target: string | null;
+  fixable: boolean;
+}
+
+export interface LoadEvent {
+  id: string;
+  url: string;
+  name: string;
+  scene: Object3D;
+  animations: AnimationClip[];
+  size: Vector3;
+  center: Vector3;
+  scale: number;
+}
+
+export interface ErrorEvent {
+  id: string;
+  url: string;
+  error: Error;
+  issues: ValidationIssue[];
+}
+
+export interface ClipChangeEvent {
+  clipName: string;
+  duration: number;
+  playing: boolean;
+}
+
+export interface SelectEvent {
+  object: Object3D;
+  modelId: string | null;
+}
+
+export interface ScreenshotOptions {
+  /** Defaults to the viewport size in device pixels */
+  width?: number;
+  height?: number;
+  transparent?: boolean;
+  showGrid?: boolean;
+  showLabels?: boolean;
+}
+
+export interface MonsterViewerHandle {
+  /** Plays the given clip, or resumes the current one */
+  play(clipName?: string): void;
+  pause(): void;
+  seek(seconds: number): void;
+  setCamera(pose: CameraPose, options?: { animate?: boolean }): void;
+  getCamera(): { position: Vec3; target: Vec3 } | null;
+  /** The state a shared link would carry */
+  getState(): Record<string, unknown>;
+  screenshot(options?: ScreenshotOptions): Promise<Blob>;
+}
+
+export interface MonsterViewerProps {
+  /** Model URLs or entries; the manifest is used when left out */
+  models?: Array<string | ModelEntry>;
+  manifestUrl?: string;
+  /** Compare mode shows every passed model side by side */
+  initialMode?: 'single' | 'compare';
+  initialClip?: string;
+  camera?: CameraPose & { fov?: number };
+  background?: Background;
+  /** Parts of the UI to show, all of them by default */
+  panels?: PanelName[];
+  /** Mirror the view in the page URL hash and restore it on load */
+  syncUrl?: boolean;
+  /** Keyboard shortcuts and the Ctrl/⌘ K command palette; on by default */
+  keyboardShortcuts?: boolean;
+  style?: CSSProperties;
+  className?: string;
+  onLoad?: (event: LoadEvent) => void;
+  onError?: (event: ErrorEvent) => void;
+  onClipChange?: (event: ClipChangeEvent) => void;
+  onSelect?: (event: SelectEvent) => void;
+  ref?: Ref<MonsterViewerHandle>;
+}
+
+export function MonsterViewer(props: MonsterViewerProps): JSX.Element;
+
+export interface ModelLoadedInfo {
+  size: Vector3;
+  center: Vector3;
+  scale: number;
+  maxDimension: number;
+  scene: Object3D;
+  parser: unknown;
+  animations: AnimationClip[];
+  /** Shape key names and how many meshes share each */
+  morphTargets: Array<{ name: string; meshCount: number }>;
+}
+
+/** The model component on its own, for use inside your own <Canvas> and <Suspense> */
+export interface MonsterProps {
+  modelPath: string;
+  manager?: LoadingManager;
+  position?: Vec3;
+  /** The model has resolved and is mounting */
+  onLoadingStart?: () => void;
+  onModelLoaded?: (info: ModelLoadedInfo) => void;
+  /** Fired right after onModelLoaded */
+  onLoadingComplete?: () => void;
+  enableAnimation?: boolean;
+  clipName?: string | null;
+  playing?: boolean;
+  playbackSpeed?: number;
+  loopMode?: 'repeat' | 'once' | 'pingpong';
+  crossfade?: { duration: number; warp: boolean };
+  blend?: { clipName: string | null; weight: number; primaryWeight: number };
+  playbackRef?: Ref<unknown>;
+  onClipsChange?: (clips: Array<{ name: string; duration: number }>) => void;
+  onObjectClick?: (object: Object3D, point: Vector3, face: { a: number; b: number; c: number } | null) => void;
+  /** Shape key weights by target name, held on top of the playing clip */
+  morphWeights?: Record<string, number>;
+  /** Scale the model to 3 units, the default; false keeps its authored size */
+  normalize?: boolean;
+  /** Mount a copy of the loaded scene, to show the same file more than once */
+  clone?: boolean;
+  /** Floating label; null hides it */
+  label?: string | null;
+}
+
+export function Monster(props: MonsterProps): JSX.Element;
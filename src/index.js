@@ -0,0 +1,6 @@
+// Library entry for embedding the viewer in other apps (`npm run build:lib`)
+export { default as MonsterViewer } from './MonsterViewer';
+export { default as Monster } from './Monster';
+export { ALL_PANELS } from './panels';
+export { MANIFEST_URL } from './useModelCatalog';
+export { DEFAULT_BACKGROUND } from './capture';
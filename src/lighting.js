@@ -0,0 +1,135 @@
+export const ENVIRONMENT_PRESETS = [
+  'apartment',
+  'city',
+  'dawn',
+  'forest',
+  'lobby',
+  'night',
+  'park',
+  'studio',
+  'sunset',
+  'warehouse'
+];
+
+export const ENVIRONMENT_FILE_TYPES = '.hdr,.exr';
+
+export const LIGHT_TYPES = {
+  ambient: { label: 'Ambient', icon: '🔆', positional: false, shadows: false },
+  hemisphere: { label: 'Hemisphere', icon: '🌗', positional: true, shadows: false },
+  directional: { label: 'Directional', icon: '☀️', positional: true, shadows: true },
+  point: { label: 'Point', icon: '💡', positional: true, shadows: true },
+  spot: { label: 'Spot', icon: '🔦', positional: true, shadows: true }
+};
+
+const SAVED_RIGS_KEY = 'monster-viewer:lighting-rigs';
+
+let nextLightId = 1;
+
+export function createLight(type, overrides = {}) {
+  const defaults = {
+    ambient: { intensity: 0.5 },
+    hemisphere: { intensity: 0.6, position: [0, 10, 0], groundColor: '#444444' },
+    directional: { intensity: 1.2, position: [5, 5, 5], castShadow: true },
+    point: { intensity: 5, position: [-3, 3, 3], castShadow: false },
+    spot: { intensity: 20, position: [0, 8, 4], castShadow: true, angle: 0.5, penumbra: 0.4 }
+  }[type];
+
+  return {
+    id: `light-${nextLightId++}`,
+    type,
+    color: '#ffffff',
+    position: [0, 0, 0],
+    castShadow: false,
+    ...defaults,
+    ...overrides
+  };
+}
+
+function createRig(name, environment, lights) {
+  return {
+    name,
+    environment: { preset: 'sunset', rotation: 0, intensity: 1, background: false, blur: 0, ...environment },
+    lights: lights.map(([type, overrides]) => createLight(type, overrides))
+  };
+}
+
+// The original fixed lighting, kept as the default rig
+export const DEFAULT_RIG = createRig('Default', { preset: 'sunset' }, [
+  ['ambient', { intensity: 0.6 }],
+  ['directional', { position: [5, 5, 5], intensity: 1.2, castShadow: true }],
+  ['point', { position: [-5, 5, 5], intensity: 0.4 }],
+  ['spot', { position: [0, 10, 0], intensity: 0.3, castShadow: false }]
+]);
+
+export const BUILTIN_RIGS = [
+  DEFAULT_RIG,
+  createRig('Studio', { preset: 'studio', intensity: 0.8 }, [
+    ['ambient', { intensity: 0.2 }],
+    ['directional', { position: [4, 6, 4], intensity: 1.6, castShadow: true }],
+    ['directional', { position: [-5, 3, 2], intensity: 0.5, color: '#dfe8ff' }],
+    ['spot', { position: [0, 5, -6], intensity: 40, castShadow: false, angle: 0.6 }]
+  ]),
+  createRig('Outdoor', { preset: 'park', intensity: 1 }, [
+    ['hemisphere', { color: '#bde0ff', groundColor: '#5a4a3a', intensity: 0.6 }],
+    ['directional', { position: [8, 12, 6], intensity: 2.5, color: '#fff4e0', castShadow: true }]
+  ]),
+  createRig('Night', { preset: 'night', intensity: 0.4 }, [
+    ['ambient', { color: '#223355', intensity: 0.15 }],
+    ['directional', { position: [-6, 10, -4], intensity: 0.3, color: '#8899ff', castShadow: true }],
+    ['point', { position: [2, 2, 3], intensity: 12, color: '#ffaa55', castShadow: true }]
+  ])
+];
+
+function withoutId(light) {
+  const copy = { ...light };
+  delete copy.id;
+  return copy;
+}
+
+// Rigs are stored without light ids, which are regenerated when applied
+function serializeRig(rig) {
+  return {
+    name: rig.name,
+    environment: rig.environment,
+    lights: rig.lights.map(withoutId)
+  };
+}
+
+export function instantiateRig(rig) {
+  return {
+    name: rig.name,
+    environment: { ...DEFAULT_RIG.environment, ...rig.environment },
+    lights: rig.lights.map(light => createLight(light.type, withoutId(light)))
+  };
+}
+
+export function loadSavedRigs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_RIGS_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read saved lighting rigs:', error);
+    return [];
+  }
+}
+
+export function storeSavedRigs(rigs) {
+  try {
+    localStorage.setItem(SAVED_RIGS_KEY, JSON.stringify(rigs.map(serializeRig)));
+  } catch (error) {
+    console.warn('Could not save lighting rigs:', error);
+  }
+}
+
+export function parseRig(text) {
+  const rig = JSON.parse(text);
+  if (!rig || typeof rig.name !== 'string' || !Array.isArray(rig.lights)
+    || rig.lights.some(light => !LIGHT_TYPES[light.type])) {
+    throw new Error('File is not a lighting rig');
+  }
+  return rig;
+}
+
+export function rigToJson(rig) {
+  return JSON.stringify(serializeRig(rig), null, 2);
+}
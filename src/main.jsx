@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './serviceWorker'
+
+// The service worker caches a build; in dev it would serve stale modules
+if (import.meta.env.PROD) registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,89 @@
+export const DEBUG_VIEW_MODES = {
+  none: 'Shaded',
+  albedo: 'Albedo only',
+  normals: 'Normals',
+  roughness: 'Roughness',
+  uv: 'UV checker',
+  wireframe: 'Wireframe'
+};
+
+// Material properties that may hold a texture, in display order
+export const TEXTURE_SLOTS = [
+  'map',
+  'normalMap',
+  'roughnessMap',
+  'metalnessMap',
+  'aoMap',
+  'emissiveMap',
+  'alphaMap',
+  'specularIntensityMap',
+  'specularColorMap',
+  'clearcoatMap',
+  'sheenColorMap',
+  'transmissionMap'
+];
+
+const THUMBNAIL_SIZE = 64;
+
+const thumbnailCache = new WeakMap();
+
+// Every unique material in the scene with the meshes that use it and the raw
+// glTF extension values from the source file, when the parser is available
+export function collectMaterials(scene, parser) {
+  const byMaterial = new Map();
+
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      if (!byMaterial.has(material)) {
+        byMaterial.set(material, { material, meshes: [], extensions: {} });
+      }
+      byMaterial.get(material).meshes.push(object.name || object.type);
+    });
+  });
+
+  if (parser) {
+    byMaterial.forEach(item => {
+      const association = parser.associations.get(item.material);
+      const definition = association && association.materials !== undefined
+        ? parser.json.materials[association.materials]
+        : null;
+      if (definition && definition.extensions) {
+        item.extensions = definition.extensions;
+      }
+    });
+  }
+
+  return Array.from(byMaterial.values());
+}
+
+export function textureSlots(material) {
+  return TEXTURE_SLOTS
+    .filter(slot => material[slot] && material[slot].isTexture)
+    .map(slot => ({ slot, texture: material[slot] }));
+}
+
+// Small data URL preview of a texture's image, or null when it cannot be drawn
+export function textureThumbnail(texture) {
+  if (thumbnailCache.has(texture)) return thumbnailCache.get(texture);
+
+  const image = texture.image;
+  let url = null;
+
+  if (image && image.width && image.height) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMBNAIL_SIZE;
+      canvas.height = THUMBNAIL_SIZE;
+      canvas.getContext('2d').drawImage(image, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+      url = canvas.toDataURL();
+    } catch (error) {
+      // Compressed or data textures cannot be drawn onto a 2D canvas
+      console.warn('Could not create texture thumbnail:', error);
+    }
+  }
+
+  thumbnailCache.set(texture, url);
+  return url;
+}
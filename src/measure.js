@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+
+// glTF lengths are in meters, so model units convert straight to real sizes
+export const UNITS = {
+  m: { label: 'm', perMeter: 1, digits: 3 },
+  cm: { label: 'cm', perMeter: 100, digits: 1 },
+  in: { label: 'in', perMeter: 1 / 0.0254, digits: 2 }
+};
+
+export function formatLength(meters, unit) {
+  const { label, perMeter, digits } = UNITS[unit];
+  return `${(meters * perMeter).toFixed(digits)} ${label}`;
+}
+
+export function formatDimensions(size, unit) {
+  return [size.x, size.y, size.z].map(value => formatLength(value, unit)).join(' × ');
+}
+
+// Models are shown scaled so their largest side spans TARGET_SIZE units
+export const TARGET_SIZE = 3;
+
+// The model's bounds in its own units, and the scale that normalizes it
+export function measureModel(scene) {
+  const box = new THREE.Box3().setFromObject(scene);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const maxDimension = Math.max(size.x, size.y, size.z);
+  const scale = maxDimension > 0 ? TARGET_SIZE / maxDimension : 1;
+  return { size, center, maxDimension, scale };
+}
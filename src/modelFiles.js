@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+const MODEL_EXTENSIONS = ['.gltf', '.glb'];
+
+export const ACCEPTED_FILE_TYPES = '.gltf,.glb,.bin,.png,.jpg,.jpeg,.webp,.ktx2';
+
+function hasModelExtension(path) {
+  const lower = path.toLowerCase();
+  return MODEL_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+function normalizePath(path) {
+  return decodeURI(path).replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Walk a dropped directory entry and collect every file with its relative path
+function readEntry(entry, prefix = '') {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file(file => resolve([{ file, path: prefix + file.name }]), reject);
+    });
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+    // readEntries() returns at most 100 entries per call, so keep reading until empty
+    const readAll = async (collected = []) => {
+      const batch = await readBatch();
+      if (batch.length === 0) return collected;
+      return readAll(collected.concat(batch));
+    };
+
+    return readAll().then(children => Promise.all(
+      children.map(child => readEntry(child, `${prefix}${entry.name}/`))
+    )).then(nested => nested.flat());
+  }
+
+  return Promise.resolve([]);
+}
+
+// Turn a drop event's dataTransfer into a flat list of { file, path }
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return collectPickedFiles(dataTransfer.files);
+  }
+
+  const nested = await Promise.all(entries.map(entry => readEntry(entry)));
+  return nested.flat();
+}
+
+// Same shape as collectDroppedFiles for an <input type="file"> FileList
+export function collectPickedFiles(fileList) {
+  return Array.from(fileList || []).map(file => ({
+    file,
+    path: file.webkitRelativePath || file.name
+  }));
+}
+
+// Build a loadable model source from a set of files. The main .gltf/.glb gets an
+// object URL, and sidecar files (.bin, textures) are resolved through a loading
+// manager URL modifier that maps relative URIs onto object URLs.
+export function createModelSource(entries) {
+  const main = entries.find(entry => hasModelExtension(entry.path));
+  if (!main) {
+    throw new Error('No .gltf or .glb file found in the dropped files');
+  }
+
+  const url = URL.createObjectURL(main.file);
+  const baseUrl = THREE.LoaderUtils.extractUrlBase(url);
+  const rootPath = main.path.slice(0, main.path.length - main.file.name.length);
+
+  const filesByPath = new Map();
+  const filesByName = new Map();
+  entries.forEach(({ file, path }) => {
+    filesByPath.set(normalizePath(path), file);
+    filesByName.set(file.name, file);
+  });
+
+  const objectUrls = new Map();
+  const resolveFile = (file) => {
+    if (!objectUrls.has(file)) {
+      objectUrls.set(file, URL.createObjectURL(file));
+    }
+    return objectUrls.get(file);
+  };
+
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((requestedUrl) => {
+    if (requestedUrl === url || !requestedUrl.startsWith(baseUrl)) return requestedUrl;
+
+    const relativePath = normalizePath(requestedUrl.slice(baseUrl.length));
+    const file = filesByPath.get(normalizePath(rootPath + relativePath))
+      || filesByName.get(basename(relativePath));
+
+    return file ? resolveFile(file) : requestedUrl;
+  });
+
+  return {
+    id: url,
+    name: main.file.name,
+    url,
+    manager,
+    files: entries.map(({ file, path }) => ({ path, size: file.size })),
+    openedAt: Date.now(),
+    dispose: () => {
+      URL.revokeObjectURL(url);
+      objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+      objectUrls.clear();
+    }
+  };
+}
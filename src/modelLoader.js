@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three-stdlib';
+import { useLoader, useThree } from '@react-three/fiber';
+import { configureDecoders } from './decoders';
+import { createPrefetchManager } from './modelPrefetch';
+import { createTrackingManager } from './validation';
+
+// One glTF loader per loading manager, never handed another one. The parser
+// reads the loader's manager once the file has downloaded, so swapping it on
+// a shared loader would let a model that loads alongside take the sidecars
+// of another.
+const loaders = new WeakMap();
+// The loaders each path was loaded with, for clearModel
+const loadersByPath = new Map();
+
+// Opened files resolve their sidecar .bin and textures through their own
+// manager, files the viewer downloaded ahead are read from memory, and
+// failed requests are tracked for the validation report. Compressed
+// geometry and textures use the decoders bundled with the app.
+function loaderFor(manager, renderer) {
+  if (!loaders.has(manager)) {
+    const loader = new GLTFLoader(createTrackingManager(createPrefetchManager(manager)));
+    configureDecoders(loader, renderer);
+    loaders.set(manager, loader);
+  }
+  return loaders.get(manager);
+}
+
+// Loads and caches a glTF like drei's useGLTF, suspending until it is ready
+export function useModelGLTF(path, manager = THREE.DefaultLoadingManager) {
+  const gl = useThree(state => state.gl);
+  const loader = loaderFor(manager, gl);
+
+  if (!loadersByPath.has(path)) loadersByPath.set(path, new Set());
+  loadersByPath.get(path).add(loader);
+
+  return useLoader(loader, path);
+}
+
+// Drops a model from the cache so the next mount loads it again
+export function clearModel(path) {
+  const used = loadersByPath.get(path);
+  if (!used) return;
+  used.forEach(loader => useLoader.clear(loader, path));
+  loadersByPath.delete(path);
+}
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+
+const GLB_MAGIC = 0x46546c67;
+
+// Downloaded files as blob URLs, keyed by the URL the glTF loader asks for.
+// The loader reads them through createPrefetchManager instead of the network.
+const prefetchedUrls = new Map();
+// The blob URLs each model owns, released once it has loaded
+const ownedUrls = new Map();
+// Models the loader has cached, which don't need downloading again
+const loadedPaths = new Set();
+
+function isDataUri(uri) {
+  return /^data:/i.test(uri);
+}
+
+// Reads the response in chunks to report progress. Content-Length is the
+// compressed size when the server gzips, so the total never drops below what
+// has been read.
+async function fetchWithProgress(url, signal, onProgress) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status} ${response.statusText}`);
+  }
+
+  const length = Number(response.headers.get('Content-Length')) || null;
+  if (!response.body) {
+    const blob = await response.blob();
+    onProgress(blob.size, blob.size);
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, length === null ? null : Math.max(length, loaded));
+  }
+  onProgress(loaded, loaded);
+  return new Blob(chunks);
+}
+
+async function isGlb(blob) {
+  const header = await blob.slice(0, 4).arrayBuffer();
+  return header.byteLength === 4 && new DataView(header).getUint32(0, true) === GLB_MAGIC;
+}
+
+function summarize(resources) {
+  const loaded = resources.reduce((sum, resource) => sum + resource.loaded, 0);
+  const known = resources.every(resource => resource.total !== null);
+  return {
+    loaded,
+    total: known ? resources.reduce((sum, resource) => sum + resource.total, 0) : null,
+    resources: resources.map(resource => ({ ...resource }))
+  };
+}
+
+// Downloads a model and every external buffer and image it references with
+// byte-level progress, then hands the files to the glTF loader. Rejects only
+// when aborted; any other failure is left for the loader to hit and report
+// the way it always has.
+export async function prefetchModel(path, { signal, onProgress }) {
+  const basePath = THREE.LoaderUtils.extractUrlBase(path);
+  const resources = [{ url: path, name: path.slice(path.lastIndexOf('/') + 1), loaded: 0, total: null }];
+  const files = new Map();
+  const report = () => onProgress(summarize(resources));
+
+  const download = async (resource) => {
+    const blob = await fetchWithProgress(resource.url, signal, (loaded, total) => {
+      resource.loaded = loaded;
+      resource.total = total;
+      report();
+    });
+    files.set(resource.url, blob);
+    return blob;
+  };
+
+  try {
+    const main = await download(resources[0]);
+
+    if (!await isGlb(main)) {
+      const json = JSON.parse(await main.text());
+      // Buffers declare their size up front, images don't
+      const sidecars = [
+        ...(json.buffers || []).map(buffer => ({ uri: buffer.uri, total: buffer.byteLength || null })),
+        ...(json.images || []).map(image => ({ uri: image.uri, total: null }))
+      ]
+        .filter(item => item.uri && !isDataUri(item.uri))
+        .map(item => ({ url: THREE.LoaderUtils.resolveURL(item.uri, basePath), name: item.uri, loaded: 0, total: item.total }));
+      resources.push(...sidecars);
+      report();
+
+      await Promise.all(sidecars.map(resource => download(resource).catch(error => {
+        if (signal.aborted) throw error;
+        console.warn('Could not prefetch', resource.url, error);
+      })));
+    }
+  } catch (error) {
+    if (signal.aborted) throw error;
+    console.warn('Could not prefetch', path, error);
+    return;
+  }
+
+  releaseModel(path);
+  const urls = new Map();
+  files.forEach((blob, url) => {
+    const objectUrl = URL.createObjectURL(blob);
+    urls.set(url, objectUrl);
+    prefetchedUrls.set(url, objectUrl);
+  });
+  ownedUrls.set(path, urls);
+}
+
+// Drops a model's downloaded files. Another model may have downloaded the
+// same sidecar since, so only entries that are still this model's go.
+export function releaseModel(path) {
+  const urls = ownedUrls.get(path);
+  if (!urls) return;
+  urls.forEach((objectUrl, url) => {
+    if (prefetchedUrls.get(url) === objectUrl) prefetchedUrls.delete(url);
+    URL.revokeObjectURL(objectUrl);
+  });
+  ownedUrls.delete(path);
+}
+
+export function isModelLoaded(path) {
+  return loadedPaths.has(path);
+}
+
+export function markModelLoaded(path) {
+  loadedPaths.add(path);
+  releaseModel(path);
+}
+
+// For when the loader cache is cleared, so the next load is downloaded again
+export function forgetModel(path) {
+  loadedPaths.delete(path);
+  releaseModel(path);
+}
+
+// A loading manager that behaves exactly like `base` but serves prefetched files
+export function createPrefetchManager(base) {
+  const manager = Object.create(base);
+  manager.resolveURL = (url) => prefetchedUrls.get(url) || base.resolveURL(url);
+  return manager;
+}
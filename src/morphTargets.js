@@ -0,0 +1,74 @@
+// Morph targets (blend shapes, shape keys) are driven by name, so one slider
+// moves a target on every mesh that has it: facial rigs often split the same
+// "smile" or "blink" across head, teeth and eyelid meshes.
+
+const SAVED_EXPRESSIONS_KEY = 'monster-viewer:morph-expressions';
+
+function morphMeshes(scene) {
+  const meshes = [];
+  scene.traverse(object => {
+    if (object.isMesh && object.morphTargetDictionary && object.morphTargetInfluences) {
+      meshes.push(object);
+    }
+  });
+  return meshes;
+}
+
+// Every target name in the scene, in the order the meshes list them, with
+// how many meshes share it
+export function collectMorphTargets(scene) {
+  const targets = new Map();
+  morphMeshes(scene).forEach(mesh => {
+    Object.keys(mesh.morphTargetDictionary).forEach(name => {
+      targets.set(name, (targets.get(name) || 0) + 1);
+    });
+  });
+  return [...targets].map(([name, meshCount]) => ({ name, meshCount }));
+}
+
+// The weights the asset was authored with, to restore when a slider is reset
+export function readMorphDefaults(scene) {
+  return morphMeshes(scene).map(mesh => ({ mesh, influences: [...mesh.morphTargetInfluences] }));
+}
+
+export function restoreMorphDefaults(defaults) {
+  defaults.forEach(({ mesh, influences }) => {
+    influences.forEach((value, index) => {
+      mesh.morphTargetInfluences[index] = value;
+    });
+  });
+}
+
+// Sets the named weights; targets left out keep whatever the asset or the
+// playing clip gives them
+export function applyMorphWeights(defaults, weights) {
+  defaults.forEach(({ mesh }) => {
+    Object.entries(weights).forEach(([name, weight]) => {
+      const index = mesh.morphTargetDictionary[name];
+      if (index !== undefined) mesh.morphTargetInfluences[index] = weight;
+    });
+  });
+}
+
+function isExpression(value) {
+  return value && typeof value.name === 'string' && value.weights && typeof value.weights === 'object'
+    && Object.values(value.weights).every(Number.isFinite);
+}
+
+export function loadSavedExpressions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_EXPRESSIONS_KEY));
+    return Array.isArray(stored) ? stored.filter(isExpression) : [];
+  } catch (error) {
+    console.warn('Could not read saved expressions:', error);
+    return [];
+  }
+}
+
+export function storeSavedExpressions(expressions) {
+  try {
+    localStorage.setItem(SAVED_EXPRESSIONS_KEY, JSON.stringify(expressions));
+  } catch (error) {
+    console.warn('Could not save expressions:', error);
+  }
+}
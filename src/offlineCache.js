@@ -0,0 +1,73 @@
+// Reads and trims the caches the service worker (src/sw.js) fills. The names
+// here have to match the ones it uses.
+const SHELL_PREFIX = 'monster-viewer-shell-';
+const MODEL_PREFIX = 'monster-viewer-models-';
+
+export const isCacheSupported = () => typeof caches !== 'undefined';
+
+// What a cache holds, from its name: the app shell of one build, or the
+// models of one manifest version
+export function describeCache(name) {
+  if (name.startsWith(SHELL_PREFIX)) {
+    return { kind: 'shell', label: 'App', version: name.slice(SHELL_PREFIX.length) };
+  }
+  if (name.startsWith(MODEL_PREFIX)) {
+    const version = name.slice(MODEL_PREFIX.length);
+    return { kind: 'models', label: 'Models', version: version.startsWith('v') ? version.slice(1) : version };
+  }
+  return { kind: 'other', label: name, version: null };
+}
+
+// The path of a cached request relative to the app, for display
+export function entryPath(url, base = location.origin) {
+  return url.startsWith(base) ? url.slice(base.length) || '/' : url;
+}
+
+async function entrySize(cache, request) {
+  const response = await cache.match(request);
+  if (!response) return 0;
+  const length = parseInt(response.headers.get('content-length'), 10);
+  return Number.isFinite(length) ? length : (await response.blob()).size;
+}
+
+// Every cache of this app with its entries and their sizes, app shell first
+export async function readCaches() {
+  const names = (await caches.keys()).filter(name => describeCache(name).kind !== 'other');
+  const groups = await Promise.all(names.map(async name => {
+    const cache = await caches.open(name);
+    const requests = await cache.keys();
+    const entries = await Promise.all(requests.map(async request => ({
+      url: request.url,
+      size: await entrySize(cache, request)
+    })));
+    entries.sort((a, b) => a.url.localeCompare(b.url));
+    return {
+      name,
+      ...describeCache(name),
+      entries,
+      size: entries.reduce((total, entry) => total + entry.size, 0)
+    };
+  }));
+  return groups.sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'shell' ? -1 : 1));
+}
+
+export async function evictEntry(cacheName, url) {
+  const cache = await caches.open(cacheName);
+  return cache.delete(url);
+}
+
+export function clearCache(cacheName) {
+  return caches.delete(cacheName);
+}
+
+// How much the browser lets the app keep, where it says
+export async function readStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.warn('Could not read the storage estimate:', error);
+    return null;
+  }
+}
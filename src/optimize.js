@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { Logger, Primitive, WebIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { prune, quantize, resample, simplify, textureCompress, weld } from '@gltf-transform/functions';
+import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
+
+export const TEXTURE_SIZES = [2048, 1024, 512, 256];
+
+export const DEFAULT_OPTIMIZE_OPTIONS = {
+  weld: true,
+  prune: true,
+  simplify: false,
+  // Filled in from the model's triangle count when left null
+  targetTriangles: null,
+  quantize: true,
+  resizeTextures: false,
+  maxTextureSize: 1024
+};
+
+const GLB_MAGIC = 0x46546c67;
+
+// Simplification stops short of the target rather than exceed this error,
+// relative to the mesh size, so silhouettes survive aggressive targets
+const SIMPLIFY_ERROR = 0.01;
+
+const REST_EPSILON = 1e-5;
+
+const REST_VALUES = {
+  translation: node => node.getTranslation(),
+  rotation: node => node.getRotation(),
+  scale: node => node.getScale()
+};
+
+function isGlb(bytes) {
+  return bytes.byteLength >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === GLB_MAGIC;
+}
+
+async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status} ${response.statusText}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function createIO() {
+  await Promise.all([MeshoptDecoder.ready, MeshoptEncoder.ready]);
+  return new WebIO()
+    .setLogger(new Logger(Logger.Verbosity.WARN))
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({ 'meshopt.decoder': MeshoptDecoder, 'meshopt.encoder': MeshoptEncoder });
+}
+
+// The JSON chunk of a GLB starts after the 12 byte header and 8 byte chunk header
+function glbJson(bytes) {
+  const length = new DataView(bytes.buffer, bytes.byteOffset + 12, 4).getUint32(0, true);
+  return JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + length)));
+}
+
+// Reads a model and its external buffers and images into a glTF-Transform
+// document. Opened files resolve their sidecars through their own manager.
+async function readModel(io, url, manager) {
+  const resolve = requested => (manager ? manager.resolveURL(requested) : requested);
+  const main = await fetchBytes(resolve(url));
+  const binary = isGlb(main);
+  const json = binary ? glbJson(main) : JSON.parse(new TextDecoder().decode(main));
+
+  // Decoding Draco needs its Node.js module, which isn't bundled
+  if ((json.extensionsUsed || []).includes('KHR_draco_mesh_compression')) {
+    throw new Error('Draco-compressed models can\'t be re-exported; optimize the uncompressed original instead');
+  }
+
+  if (binary) {
+    return { document: await io.readBinary(main), bytes: main.byteLength };
+  }
+
+  const basePath = THREE.LoaderUtils.extractUrlBase(url);
+  const uris = [...(json.buffers || []), ...(json.images || [])]
+    .map(item => item.uri)
+    .filter(uri => uri && !/^data:/i.test(uri));
+  const resources = {};
+  await Promise.all(uris.map(async (uri) => {
+    resources[uri] = await fetchBytes(resolve(THREE.LoaderUtils.resolveURL(uri, basePath)));
+  }));
+
+  const bytes = Object.values(resources).reduce((sum, resource) => sum + resource.byteLength, main.byteLength);
+  return { document: await io.readJSON({ json, resources }), bytes };
+}
+
+export function countTriangles(document) {
+  let triangles = 0;
+  document.getRoot().listMeshes().forEach(mesh => mesh.listPrimitives().forEach(primitive => {
+    if (primitive.getMode() !== Primitive.Mode.TRIANGLES) return;
+    const indices = primitive.getIndices();
+    const position = primitive.getAttribute('POSITION');
+    triangles += Math.floor((indices ? indices.getCount() : position ? position.getCount() : 0) / 3);
+  }));
+  return triangles;
+}
+
+// A channel is unused when its node is gone, or when every keyframe holds the
+// node's rest pose so playing it changes nothing
+function isUnusedChannel(channel) {
+  const node = channel.getTargetNode();
+  if (!node) return true;
+
+  const restValue = REST_VALUES[channel.getTargetPath()];
+  const sampler = channel.getSampler();
+  const output = sampler ? sampler.getOutput() : null;
+  if (!restValue || !output || sampler.getInterpolation() === 'CUBICSPLINE') return false;
+
+  const rest = restValue(node);
+  const element = [];
+  for (let i = 0; i < output.getCount(); i++) {
+    output.getElement(i, element);
+    if (element.some((value, index) => Math.abs(value - rest[index]) > REST_EPSILON)) return false;
+  }
+  return true;
+}
+
+function stripUnusedChannels(document) {
+  document.getRoot().listAnimations().forEach(animation => {
+    animation.listChannels().filter(isUnusedChannel).forEach(channel => channel.dispose());
+  });
+}
+
+/**
+ * Re-exports a model as GLB with the chosen optimizations applied, returning
+ * the GLB bytes with the file size and triangle count before and after.
+ */
+export async function optimizeModel({ url, manager, options }) {
+  const io = await createIO();
+  const { document, bytes } = await readModel(io, url, manager);
+  const triangles = countTriangles(document);
+
+  const transforms = [];
+  if (options.prune) {
+    transforms.push(stripUnusedChannels, resample(), prune());
+  }
+  if (options.weld || options.simplify) {
+    // Simplification only collapses edges between shared vertices
+    transforms.push(weld());
+  }
+  if (options.simplify && triangles > 0) {
+    await MeshoptSimplifier.ready;
+    const ratio = Math.min(1, Math.max(0, options.targetTriangles / triangles));
+    transforms.push(simplify({ simplifier: MeshoptSimplifier, ratio, error: SIMPLIFY_ERROR }));
+  }
+  if (options.resizeTextures) {
+    transforms.push(textureCompress({ resize: [options.maxTextureSize, options.maxTextureSize] }));
+  }
+  if (options.quantize) {
+    transforms.push(quantize());
+  }
+
+  await document.transform(...transforms);
+  const glb = await io.writeBinary(document);
+
+  return {
+    glb,
+    before: { bytes, triangles },
+    after: { bytes: glb.byteLength, triangles: countTriangles(document) }
+  };
+}
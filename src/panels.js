@@ -0,0 +1,23 @@
+// Optional parts of the viewer UI, selectable through the `panels` prop
+export const ALL_PANELS = [
+  'modes', // single / compare switcher
+  'info', // mode, load status and controls help
+  'gallery', // manifest model list
+  'files', // open local files and drag and drop
+  'animation',
+  'morphs', // shape key sliders and saved expressions
+  'inspector',
+  'materials',
+  'benchmark',
+  'optimize', // mesh optimization and GLB re-export
+  'measure', // dimensions, bounding boxes and distances
+  'annotations', // review comments pinned to the model
+  'report',
+  'stats',
+  'lighting',
+  'render', // render modes, tone mapping and post-processing
+  'views', // camera bookmarks and share links
+  'capture',
+  'validation',
+  'offline' // service worker caches and their sizes
+];
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+// Render settings for one viewport. The shading mode swaps the models'
+// materials only while they are drawn; tone mapping, exposure and the
+// post-processing effects apply to the whole viewport.
+export const RENDER_MODES = [
+  { id: 'standard', label: 'Standard', title: 'The model\'s own materials' },
+  { id: 'clay', label: 'Clay', title: 'Uniform matte material, to judge form and lighting' },
+  { id: 'matcap', label: 'Matcap', title: 'Baked studio sphere shading that ignores the lights' },
+  { id: 'toon', label: 'Toon', title: 'Cel shading in three bands over the base colour' },
+  { id: 'silhouette', label: 'Silhouette', title: 'Flat unlit fill, to check the outline reads' }
+];
+
+export const TONE_MAPPINGS = [
+  { id: 'aces', label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+  { id: 'agx', label: 'AgX', value: THREE.AgXToneMapping },
+  { id: 'neutral', label: 'Neutral', value: THREE.NeutralToneMapping },
+  { id: 'reinhard', label: 'Reinhard', value: THREE.ReinhardToneMapping },
+  { id: 'cineon', label: 'Cineon', value: THREE.CineonToneMapping },
+  { id: 'linear', label: 'Linear', value: THREE.LinearToneMapping },
+  { id: 'none', label: 'None', value: THREE.NoToneMapping }
+];
+
+// Matches what the Canvas renders with by default
+export const DEFAULT_RENDER_SETTINGS = {
+  mode: 'standard',
+  toneMapping: 'aces',
+  exposure: 1,
+  ssao: false,
+  bloom: false,
+  bloomStrength: 0.8,
+  bloomThreshold: 0.85,
+  outline: false,
+  outlineColor: '#ffffff'
+};
+
+const CLAY_COLOR = '#b8aa9a';
+const SILHOUETTE_COLOR = '#111111';
+const MATCAP_SIZE = 256;
+const TOON_BANDS = [70, 160, 255];
+
+export function toneMappingValue(id) {
+  const option = TONE_MAPPINGS.find(item => item.id === id);
+  return option ? option.value : THREE.ACESFilmicToneMapping;
+}
+
+export function usesEffects(settings) {
+  return settings.ssao || settings.bloom || settings.outline;
+}
+
+export function isDefaultRenderSettings(settings) {
+  return Object.keys(DEFAULT_RENDER_SETTINGS).every(key => settings[key] === DEFAULT_RENDER_SETTINGS[key]);
+}
+
+// Settings that apply to a whole pass rather than to each model
+const PASS_SETTINGS = ['toneMapping', 'exposure', 'ssao', 'bloom', 'bloomStrength', 'bloomThreshold'];
+
+// The settings of a compare side that follow side A in a layout. Split and
+// wipe draw each side on its own. Row draws every model in one pass, so only
+// the shading mode and outline stay per side; onion draws B as a flat ghost.
+export function settingsSharedWithA(layout, side) {
+  if (side === 0) return [];
+  if (layout === 'row') return PASS_SETTINGS;
+  if (layout === 'onion') return Object.keys(DEFAULT_RENDER_SETTINGS);
+  return [];
+}
+
+// What each side is actually drawn with
+export function resolveSideSettings(layout, sides) {
+  return sides.map((settings, index) => {
+    const shared = settingsSharedWithA(layout, index);
+    return shared.length > 0
+      ? { ...settings, ...Object.fromEntries(shared.map(key => [key, sides[0][key]])) }
+      : settings;
+  });
+}
+
+// A lit sphere drawn on a canvas, so matcap shading needs no image download
+function createMatcapTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = MATCAP_SIZE;
+  canvas.height = MATCAP_SIZE;
+  const context = canvas.getContext('2d');
+  const center = MATCAP_SIZE / 2;
+
+  context.fillStyle = '#1c2028';
+  context.fillRect(0, 0, MATCAP_SIZE, MATCAP_SIZE);
+  const gradient = context.createRadialGradient(center * 0.7, center * 0.6, 0, center, center, center);
+  gradient.addColorStop(0, '#ffffff');
+  gradient.addColorStop(0.35, '#c9d2dc');
+  gradient.addColorStop(0.8, '#5a6472');
+  gradient.addColorStop(1, '#2a303a');
+  context.fillStyle = gradient;
+  context.beginPath();
+  context.arc(center, center, center, 0, Math.PI * 2);
+  context.fill();
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// Nearest filtering keeps the bands of the toon ramp hard
+function createToonGradient() {
+  const texture = new THREE.DataTexture(new Uint8Array(TOON_BANDS), TOON_BANDS.length, 1, THREE.RedFormat);
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.generateMipmaps = false;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+// Textures the shading modes share, made the first time a mode needs them
+export function createShadingTextures() {
+  let matcap = null;
+  let toonGradient = null;
+  return {
+    get matcap() {
+      if (!matcap) matcap = createMatcapTexture();
+      return matcap;
+    },
+    get toonGradient() {
+      if (!toonGradient) toonGradient = createToonGradient();
+      return toonGradient;
+    },
+    dispose() {
+      if (matcap) matcap.dispose();
+      if (toonGradient) toonGradient.dispose();
+      matcap = null;
+      toonGradient = null;
+    }
+  };
+}
+
+// The stand-in for original in the given mode. Cut-outs, transparency and
+// normal detail are kept so the shape still matches.
+export function createShadingMaterial(mode, original, textures) {
+  const shared = {
+    side: original.side,
+    transparent: original.transparent,
+    opacity: original.opacity,
+    alphaTest: original.alphaTest,
+    alphaMap: original.alphaMap || null
+  };
+  const normalDetail = original.normalMap ? {
+    normalMap: original.normalMap,
+    normalMapType: original.normalMapType,
+    normalScale: original.normalScale.clone()
+  } : {};
+
+  switch (mode) {
+    case 'clay':
+      return new THREE.MeshStandardMaterial({ ...shared, ...normalDetail, color: CLAY_COLOR, roughness: 0.85, metalness: 0 });
+    case 'matcap':
+      return new THREE.MeshMatcapMaterial({ ...shared, ...normalDetail, matcap: textures.matcap });
+    case 'toon':
+      return new THREE.MeshToonMaterial({
+        ...shared,
+        ...normalDetail,
+        color: original.color ? original.color.clone() : new THREE.Color('#ffffff'),
+        map: original.map || null,
+        gradientMap: textures.toonGradient
+      });
+    case 'silhouette':
+      return new THREE.MeshBasicMaterial({ ...shared, color: SILHOUETTE_COLOR });
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { GTAOPass } from 'three/examples/jsm/postprocessing/GTAOPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { DEFAULT_RENDER_SETTINGS, createShadingMaterial, createShadingTextures, toneMappingValue, usesEffects } from './renderModes';
+
+export const GHOST_COLOR = '#ff6b6b';
+const GHOST_OPACITY = 0.35;
+
+// Multisampled so edges stay smooth once rendering goes through the effects
+const EFFECT_SAMPLES = 4;
+const AO_PARAMETERS = { radius: 0.5, distanceExponent: 2, thickness: 1, scale: 1.5 };
+const BLOOM_RADIUS = 0.4;
+
+function showOnly(scenes, visibleIndex) {
+  scenes.forEach((scene, index) => {
+    if (scene) scene.visible = index === visibleIndex;
+  });
+}
+
+function showAll(scenes) {
+  scenes.forEach(scene => {
+    if (scene) scene.visible = true;
+  });
+}
+
+// One effect composer per viewport, since split and wipe draw each side with
+// its own effects. Passes are switched on and off to follow the settings.
+function createEffectChain(gl, scene, camera) {
+  const target = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, samples: EFFECT_SAMPLES });
+  const composer = new EffectComposer(gl, target);
+  composer.setPixelRatio(1);
+
+  const renderPass = new RenderPass(scene, camera);
+  const aoPass = new GTAOPass(scene, camera, 1, 1);
+  aoPass.updateGtaoMaterial(AO_PARAMETERS);
+  const bloomPass = new UnrealBloomPass(new THREE.Vector2(1, 1), DEFAULT_RENDER_SETTINGS.bloomStrength, BLOOM_RADIUS, DEFAULT_RENDER_SETTINGS.bloomThreshold);
+  const outlinePass = new OutlinePass(new THREE.Vector2(1, 1), scene, camera);
+  outlinePass.edgeStrength = 4;
+  outlinePass.edgeThickness = 1;
+  outlinePass.edgeGlow = 0;
+
+  [renderPass, aoPass, bloomPass, outlinePass, new OutputPass()].forEach(pass => composer.addPass(pass));
+
+  let width = 0;
+  let height = 0;
+
+  return {
+    render({ scene: nextScene, camera: nextCamera, settings, outlined, bufferWidth, bufferHeight }) {
+      if (bufferWidth !== width || bufferHeight !== height) {
+        width = bufferWidth;
+        height = bufferHeight;
+        composer.setSize(width, height);
+      }
+
+      renderPass.scene = nextScene;
+      renderPass.camera = nextCamera;
+      aoPass.scene = nextScene;
+      aoPass.camera = nextCamera;
+      outlinePass.renderScene = nextScene;
+      outlinePass.renderCamera = nextCamera;
+
+      aoPass.enabled = settings.ssao;
+      bloomPass.enabled = settings.bloom;
+      bloomPass.strength = settings.bloomStrength;
+      bloomPass.threshold = settings.bloomThreshold;
+      outlinePass.enabled = outlined.length > 0;
+      outlinePass.selectedObjects = outlined;
+      outlinePass.visibleEdgeColor.set(settings.outlineColor);
+      outlinePass.hiddenEdgeColor.set(settings.outlineColor).multiplyScalar(0.3);
+
+      composer.render(0);
+    },
+    dispose() {
+      composer.passes.forEach(pass => pass.dispose());
+      composer.dispose();
+    }
+  };
+}
+
+// Draws the viewer's frame with each viewport's render settings. Views are
+// the models in compare order, each with its settings; single view and the
+// row layout draw every model in one pass, with the first view's tone
+// mapping and effects (see resolveSideSettings).
+export function createRenderPipeline() {
+  let chains = [];
+  let replacements = new Map();
+  let textures = createShadingTextures();
+  let ghostMaterial = null;
+
+  const replacementFor = (mode, material) => {
+    const key = `${mode}:${material.uuid}`;
+    if (!replacements.has(key)) replacements.set(key, createShadingMaterial(mode, material, textures));
+    return replacements.get(key);
+  };
+
+  // Swaps the materials of each model for its shading mode, returning the
+  // function that puts the originals back
+  const swapMaterials = (models) => {
+    const restore = [];
+    models.forEach(({ scene, mode }) => {
+      if (!scene || mode === 'standard') return;
+      scene.traverse(object => {
+        if (!object.isMesh) return;
+        restore.push([object, object.material]);
+        object.material = Array.isArray(object.material)
+          ? object.material.map(material => replacementFor(mode, material))
+          : replacementFor(mode, object.material);
+      });
+    });
+    return () => restore.forEach(([object, material]) => {
+      object.material = material;
+    });
+  };
+
+  const drawView = (gl, { scene, camera, settings, models, slot, width, height }) => {
+    const restoreMaterials = swapMaterials(models.map(model => ({ scene: model.scene, mode: model.settings.mode })));
+    const toneMapping = gl.toneMapping;
+    const exposure = gl.toneMappingExposure;
+    gl.toneMapping = toneMappingValue(settings.toneMapping);
+    gl.toneMappingExposure = settings.exposure;
+
+    try {
+      const outlined = models.filter(model => model.scene && model.settings.outline).map(model => model.scene);
+      if (usesEffects(settings) || outlined.length > 0) {
+        if (!chains[slot]) chains[slot] = createEffectChain(gl, scene, camera);
+        const pixelRatio = gl.getPixelRatio();
+        chains[slot].render({
+          scene,
+          camera,
+          settings,
+          outlined,
+          bufferWidth: Math.max(1, Math.round(width * pixelRatio)),
+          bufferHeight: Math.max(1, Math.round(height * pixelRatio))
+        });
+      } else {
+        gl.render(scene, camera);
+      }
+    } finally {
+      restoreMaterials();
+      gl.toneMapping = toneMapping;
+      gl.toneMappingExposure = exposure;
+    }
+  };
+
+  const drawGhost = (gl, ghost, camera) => {
+    if (!ghostMaterial) {
+      ghostMaterial = new THREE.MeshBasicMaterial({
+        color: GHOST_COLOR,
+        transparent: true,
+        opacity: GHOST_OPACITY,
+        depthWrite: false,
+        depthTest: false
+      });
+    }
+
+    // Draw B on top with a flat ghost material, swapped only for this pass
+    const swapped = [];
+    ghost.visible = true;
+    ghost.traverse(object => {
+      if (object.isMesh) {
+        swapped.push([object, object.material]);
+        object.material = ghostMaterial;
+      }
+    });
+    const autoClear = gl.autoClear;
+    gl.autoClear = false;
+    gl.render(ghost, camera);
+    gl.autoClear = autoClear;
+    swapped.forEach(([object, material]) => {
+      object.material = material;
+    });
+  };
+
+  // width and height are the canvas size in CSS pixels, as for setViewport
+  const draw = (gl, { scene, camera, width, height, layout = 'single', views = [], wipePosition = 0.5 }) => {
+    const scenes = views.map(view => view.scene);
+    const settingsOf = (index) => (views[index] ? views[index].settings : DEFAULT_RENDER_SETTINGS);
+    const aspect = camera.aspect;
+
+    try {
+      if (layout === 'split') {
+        const columns = Math.max(views.length, 1);
+        gl.setScissorTest(true);
+        views.forEach((view, index) => {
+          const x = Math.floor((index * width) / columns);
+          const columnWidth = Math.floor(((index + 1) * width) / columns) - x;
+          gl.setViewport(x, 0, columnWidth, height);
+          gl.setScissor(x, 0, columnWidth, height);
+          camera.aspect = columnWidth / height;
+          camera.updateProjectionMatrix();
+          showOnly(scenes, index);
+          drawView(gl, { scene, camera, settings: view.settings, models: [view], slot: index, width: columnWidth, height });
+        });
+      } else if (layout === 'wipe') {
+        const split = Math.round(wipePosition * width);
+        gl.setScissorTest(true);
+        [[0, split], [split, width - split]].forEach(([x, regionWidth], index) => {
+          gl.setScissor(x, 0, regionWidth, height);
+          showOnly(scenes, index);
+          drawView(gl, { scene, camera, settings: settingsOf(index), models: views.slice(index, index + 1), slot: index, width, height });
+        });
+      } else if (layout === 'onion') {
+        showOnly(scenes, 0);
+        drawView(gl, { scene, camera, settings: settingsOf(0), models: views.slice(0, 1), slot: 0, width, height });
+        if (scenes[1]) drawGhost(gl, scenes[1], camera);
+      } else {
+        drawView(gl, { scene, camera, settings: settingsOf(0), models: views, slot: 0, width, height });
+      }
+    } finally {
+      gl.setScissorTest(false);
+      gl.setViewport(0, 0, width, height);
+      if (camera.aspect !== aspect) {
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+      }
+      // Leave every model visible for anything that renders outside this call
+      showAll(scenes);
+    }
+  };
+
+  // Frees the GPU resources; the pipeline can still draw afterwards and
+  // makes them again as needed
+  const dispose = () => {
+    chains.forEach(chain => {
+      if (chain) chain.dispose();
+    });
+    replacements.forEach(material => {
+      if (material) material.dispose();
+    });
+    textures.dispose();
+    if (ghostMaterial) ghostMaterial.dispose();
+    chains = [];
+    replacements = new Map();
+    textures = createShadingTextures();
+    ghostMaterial = null;
+  };
+
+  return { draw, dispose };
+}
@@ -0,0 +1,105 @@
+export const FRAME_HISTORY = 120;
+
+// Frame budget thresholds for colouring the frame time graph
+export const FRAME_BUDGET_MS = 1000 / 60;
+export const SLOW_FRAME_MS = 1000 / 30;
+
+export function createRenderStats() {
+  return {
+    frameTimes: new Float32Array(FRAME_HISTORY),
+    frameIndex: 0,
+    frameCount: 0,
+    renderer: null,
+    // Draws counted during the frame being rendered, and the last completed frame
+    pending: {},
+    models: {}
+  };
+}
+
+export function recordFrame(stats, deltaMs, info) {
+  stats.frameTimes[stats.frameIndex] = deltaMs;
+  stats.frameIndex = (stats.frameIndex + 1) % FRAME_HISTORY;
+  stats.frameCount = Math.min(FRAME_HISTORY, stats.frameCount + 1);
+
+  stats.renderer = {
+    calls: info.render.calls,
+    triangles: info.render.triangles,
+    geometries: info.memory.geometries,
+    textures: info.memory.textures,
+    programs: info.programs ? info.programs.length : 0
+  };
+
+  stats.models = stats.pending;
+  stats.pending = {};
+}
+
+export function recordDraw(stats, modelId, object, geometry, group) {
+  const index = geometry.index;
+  const position = geometry.getAttribute('position');
+  let count = group ? group.count : index ? index.count : position ? position.count : 0;
+  count = Math.min(count, geometry.drawRange.count);
+  const instances = object.isInstancedMesh ? object.count : 1;
+
+  const entry = stats.pending[modelId] || (stats.pending[modelId] = { calls: 0, triangles: 0 });
+  entry.calls++;
+  entry.triangles += Math.floor(count / 3) * instances;
+}
+
+// Ordered oldest to newest
+export function frameHistory(stats) {
+  const history = [];
+  for (let i = 0; i < stats.frameCount; i++) {
+    history.push(stats.frameTimes[(stats.frameIndex - stats.frameCount + i + FRAME_HISTORY) % FRAME_HISTORY]);
+  }
+  return history;
+}
+
+// Approximate GPU memory of a scene: vertex and index buffers plus textures
+// with a full mip chain at 4 bytes per texel
+export function estimateMemory(scene) {
+  const geometries = new Set();
+  const textures = new Set();
+
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    geometries.add(object.geometry);
+    (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) textures.add(value);
+      });
+    });
+  });
+
+  let geometryBytes = 0;
+  geometries.forEach(geometry => {
+    Object.values(geometry.attributes).forEach(attribute => {
+      geometryBytes += attribute.array.byteLength;
+    });
+    if (geometry.index) geometryBytes += geometry.index.array.byteLength;
+  });
+
+  let textureBytes = 0;
+  textures.forEach(texture => {
+    const image = texture.image;
+    if (image && image.width && image.height) {
+      textureBytes += image.width * image.height * 4 * (texture.generateMipmaps ? 4 / 3 : 1);
+    }
+  });
+
+  return { geometryBytes, textureBytes };
+}
+
+// Render resolution is a multiple of CSS pixels. 'auto' trades sharpness for
+// frame rate, stepping between MIN_DPR and the screen's own pixel density.
+export const RESOLUTION_OPTIONS = ['auto', 0.5, 0.75, 1, 1.5, 2];
+export const MIN_DPR = 0.5;
+const MAX_DPR = 2;
+const DPR_STEP = 0.25;
+
+export function nativeDpr() {
+  return Math.min(window.devicePixelRatio || 1, MAX_DPR);
+}
+
+export function stepDpr(dpr, direction) {
+  return Math.min(nativeDpr(), Math.max(MIN_DPR, dpr + direction * DPR_STEP));
+}
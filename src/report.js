@@ -0,0 +1,292 @@
+import * as THREE from 'three';
+import { PHASES } from './benchmark';
+
+export const REPORT_SCHEMA = 'monster-viewer-report';
+export const REPORT_VERSION = 1;
+
+// Metrics where a larger value is worse, used to colour diffs
+export const LOWER_IS_BETTER = new Set([
+  'fileBytes',
+  'loadTime',
+  'triangles',
+  'vertices',
+  'drawables',
+  'materials',
+  'textures',
+  'bones',
+  ...PHASES.flatMap(phase => [`cold.${phase}.median`, `cold.${phase}.p95`, `warm.${phase}.median`, `warm.${phase}.p95`])
+]);
+
+// Triangle, vertex and resource counts for a loaded scene. Counts that exist in
+// the source glTF are read from the parser JSON so viewer-side material swaps
+// (debug views, weight painting) never leak into the report.
+export function geometryStats(scene, parser) {
+  let triangles = 0;
+  let vertices = 0;
+  let drawables = 0;
+  let skinnedMeshes = 0;
+  const materials = new Set();
+  const bones = new Set();
+
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    const { geometry } = object;
+    const position = geometry.getAttribute('position');
+    const count = geometry.index ? geometry.index.count : position ? position.count : 0;
+    triangles += Math.floor(count / 3);
+    vertices += position ? position.count : 0;
+    drawables++;
+    (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+    if (object.isSkinnedMesh && object.skeleton) {
+      skinnedMeshes++;
+      object.skeleton.bones.forEach(bone => bones.add(bone));
+    }
+  });
+
+  const json = parser ? parser.json : null;
+
+  return {
+    triangles,
+    vertices,
+    drawables,
+    skinnedMeshes,
+    nodes: json && json.nodes ? json.nodes.length : null,
+    materials: json ? (json.materials || []).length : materials.size,
+    textures: json ? (json.textures || []).length : null,
+    animations: json ? (json.animations || []).length : null,
+    bones: bones.size,
+    extensionsUsed: json ? json.extensionsUsed || [] : []
+  };
+}
+
+// Sums the downloaded size of the main file and its external buffers/images
+// using the browser's resource timing entries
+export function measureFileSize(path, parser) {
+  const base = new URL(path, window.location.href).href;
+  const urls = [base];
+
+  if (parser && parser.json) {
+    const resourceBase = THREE.LoaderUtils.extractUrlBase(base);
+    [...(parser.json.buffers || []), ...(parser.json.images || [])]
+      .map(item => item.uri)
+      .filter(uri => uri && !/^data:/i.test(uri))
+      .forEach(uri => urls.push(THREE.LoaderUtils.resolveURL(uri, resourceBase)));
+  }
+
+  let bytes = 0;
+  let found = false;
+  urls.forEach(url => {
+    const entries = performance.getEntriesByName(url);
+    const entry = entries[entries.length - 1];
+    if (entry && entry.decodedBodySize) {
+      bytes += entry.decodedBodySize;
+      found = true;
+    }
+  });
+
+  return found ? bytes : null;
+}
+
+export function collectEnvironment(renderer) {
+  const environment = {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    hardwareConcurrency: navigator.hardwareConcurrency || null,
+    deviceMemory: navigator.deviceMemory || null,
+    devicePixelRatio: window.devicePixelRatio,
+    screen: `${window.screen.width}x${window.screen.height}`,
+    threeRevision: THREE.REVISION,
+    gpu: null
+  };
+
+  if (renderer) {
+    const gl = renderer.getContext();
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    environment.gpu = debugInfo
+      ? { vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL), renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) }
+      : { vendor: gl.getParameter(gl.VENDOR), renderer: gl.getParameter(gl.RENDERER) };
+    environment.webgl = renderer.capabilities.isWebGL2 ? 2 : 1;
+  }
+
+  return environment;
+}
+
+function roundVector(vector) {
+  return vector ? vector.toArray().map(value => Number(value.toFixed(4))) : null;
+}
+
+// The fastest and slowest of a finished load time comparison, and how much
+// of the slowest load time the fastest saved. Null until at least two models
+// have a load time.
+export function compareLoadTimes(results) {
+  // A load served from the cache can finish in 0 ms
+  if (results.length < 2 || results.some(result => result.loadTime === null || result.loadTime === undefined)) return null;
+
+  const sorted = [...results].sort((a, b) => a.loadTime - b.loadTime);
+  const fastest = sorted[0];
+  const slowest = sorted[sorted.length - 1];
+  const difference = slowest.loadTime - fastest.loadTime;
+  const percentDiff = slowest.loadTime > 0 ? (difference / slowest.loadTime) * 100 : 0;
+  return { fastest, slowest, difference, percentDiff };
+}
+
+export function buildReport({ models, modelInfo, loadTimes, benchmark, renderer, viewMode }) {
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    viewMode,
+    environment: collectEnvironment(renderer),
+    models: models.map(model => {
+      const info = modelInfo[model.id] || {};
+      const benchmarkResult = benchmark && benchmark.models[model.id];
+      const sample = benchmarkResult && (benchmarkResult.cold[0] || benchmarkResult.warm[0]);
+
+      return {
+        id: model.id,
+        name: model.name,
+        path: model.path,
+        fileBytes: model.fileBytes !== undefined
+          ? model.fileBytes
+          : sample ? sample.bytes : measureFileSize(model.path, info.parser),
+        loadTime: loadTimes[model.id] !== undefined ? loadTimes[model.id] : null,
+        bounds: info.size ? {
+          size: roundVector(info.size),
+          center: roundVector(info.center),
+          scale: info.scale,
+          maxDimension: info.maxDimension
+        } : null,
+        geometry: info.scene ? geometryStats(info.scene, info.parser) : null,
+        benchmark: benchmarkResult ? benchmarkResult.summary : null
+      };
+    }),
+    benchmark: benchmark ? {
+      runAt: benchmark.runAt,
+      coldIterations: benchmark.coldIterations,
+      warmIterations: benchmark.warmIterations
+    } : null
+  };
+}
+
+// Flat numeric metrics of one report model, keyed the same way in every report
+export function flattenModelMetrics(model) {
+  const metrics = {
+    fileBytes: model.fileBytes,
+    loadTime: model.loadTime,
+    maxDimension: model.bounds ? model.bounds.maxDimension : null
+  };
+
+  if (model.geometry) {
+    ['triangles', 'vertices', 'drawables', 'materials', 'textures', 'bones', 'animations'].forEach(key => {
+      metrics[key] = model.geometry[key];
+    });
+  }
+
+  if (model.benchmark) {
+    ['cold', 'warm'].forEach(run => PHASES.forEach(phase => {
+      const stats = model.benchmark[run] && model.benchmark[run][phase];
+      metrics[`${run}.${phase}.median`] = stats ? stats.median : null;
+      metrics[`${run}.${phase}.p95`] = stats ? stats.p95 : null;
+      metrics[`${run}.${phase}.stdDev`] = stats ? stats.stdDev : null;
+    }));
+  }
+
+  return metrics;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Number(value.toFixed(3))) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function reportToCsv(report) {
+  const metricKeys = Array.from(new Set(report.models.flatMap(model => Object.keys(flattenModelMetrics(model)))));
+  const header = ['id', 'name', 'path', ...metricKeys, 'createdAt', 'userAgent', 'gpu'];
+
+  const rows = report.models.map(model => {
+    const metrics = flattenModelMetrics(model);
+    const gpu = report.environment.gpu ? report.environment.gpu.renderer : null;
+    return [model.id, model.name, model.path, ...metricKeys.map(key => metrics[key]), report.createdAt, report.environment.userAgent, gpu];
+  });
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export function parseReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Report is not valid JSON: ${error.message}`);
+  }
+
+  if (!report || report.schema !== REPORT_SCHEMA || !Array.isArray(report.models)) {
+    throw new Error('File is not a Monster Viewer report');
+  }
+  if (report.version > REPORT_VERSION) {
+    throw new Error(`Report version ${report.version} is newer than this viewer supports (${REPORT_VERSION})`);
+  }
+
+  return report;
+}
+
+function diffMetrics(before, after) {
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(key => typeof after[key] === 'number' || typeof before[key] === 'number')
+    .map(key => {
+      const beforeValue = typeof before[key] === 'number' ? before[key] : null;
+      const afterValue = typeof after[key] === 'number' ? after[key] : null;
+      const delta = beforeValue !== null && afterValue !== null ? afterValue - beforeValue : null;
+      const percent = delta !== null && beforeValue !== 0 ? (delta / beforeValue) * 100 : null;
+      return { key, before: beforeValue, after: afterValue, delta, percent };
+    });
+}
+
+// Per-model, per-metric comparison of a baseline report against the current one.
+// Models are matched by id first and by path second. Baseline models missing
+// from the current report are listed after the others as removed.
+export function diffReports(baseline, current) {
+  const used = new Set();
+
+  const models = current.models.map(model => {
+    const previous = baseline.models.find(item => item.id === model.id)
+      || baseline.models.find(item => item.path === model.path);
+    if (previous) used.add(previous);
+
+    const after = flattenModelMetrics(model);
+    const before = previous ? flattenModelMetrics(previous) : {};
+
+    return { id: model.id, name: model.name, matched: Boolean(previous), removed: false, metrics: diffMetrics(before, after) };
+  });
+
+  const removed = baseline.models
+    .filter(model => !used.has(model))
+    .map(model => ({
+      id: model.id,
+      name: model.name,
+      matched: false,
+      removed: true,
+      metrics: diffMetrics(flattenModelMetrics(model), {})
+    }));
+
+  return [...models, ...removed];
+}
+
+export function diffToCsv(diff) {
+  const header = ['id', 'name', 'metric', 'before', 'after', 'delta', 'percent'];
+  const rows = diff.flatMap(model => model.metrics.map(metric => [
+    model.id, model.name, metric.key, metric.before, metric.after, metric.delta, metric.percent
+  ]));
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
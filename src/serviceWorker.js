@@ -0,0 +1,85 @@
+// Registration of the app's service worker (src/sw.js), and its state for the
+// offline panel. Only the standalone production build registers it; in dev
+// and in apps embedding the viewer the state stays 'off'.
+//
+// status: 'off' | 'unsupported' | 'installing' | 'ready' | 'update' | 'error'
+let state = { status: 'off', version: null, error: null };
+const listeners = new Set();
+let registration = null;
+let updating = false;
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+}
+
+export function subscribeServiceWorker(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getServiceWorkerState() {
+  return state;
+}
+
+function requestVersion(worker) {
+  const channel = new MessageChannel();
+  channel.port1.onmessage = (event) => setState({ version: event.data });
+  worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+}
+
+function trackInstalling(worker) {
+  setState({ status: 'installing' });
+  worker.addEventListener('statechange', () => {
+    if (worker.state !== 'installed') return;
+    // A worker installed beside a running one waits for the user to update
+    setState({ status: navigator.serviceWorker.controller ? 'update' : 'ready' });
+  });
+}
+
+function trackRegistration(reg) {
+  registration = reg;
+  if (reg.waiting && navigator.serviceWorker.controller) {
+    setState({ status: 'update' });
+  } else if (reg.installing) {
+    trackInstalling(reg.installing);
+  } else {
+    setState({ status: 'ready' });
+  }
+  reg.addEventListener('updatefound', () => trackInstalling(reg.installing));
+}
+
+export function registerServiceWorker(url = `${import.meta.env.BASE_URL}sw.js`) {
+  if (!('serviceWorker' in navigator)) {
+    setState({ status: 'unsupported' });
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updating) {
+      window.location.reload();
+      return;
+    }
+    requestVersion(navigator.serviceWorker.controller);
+  });
+  if (navigator.serviceWorker.controller) requestVersion(navigator.serviceWorker.controller);
+
+  navigator.serviceWorker.register(url)
+    .then(trackRegistration)
+    .catch(error => {
+      console.warn('Could not register the service worker:', error);
+      setState({ status: 'error', error: error.message });
+    });
+}
+
+// Checks the server for a new build
+export function checkForUpdate() {
+  if (registration) registration.update().catch(error => console.warn('Could not check for updates:', error));
+}
+
+// Lets the waiting build take over; the page reloads once it has
+export function applyUpdate() {
+  if (!registration || !registration.waiting) return;
+  updating = true;
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,88 @@
+// Shortcuts are written as "mod+k", "shift+arrowup" or a single key such as
+// "?" or "space". "mod" is Ctrl, or ⌘ on a Mac.
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const KEY_NAMES = {
+  ' ': 'space',
+  '+': 'plus',
+  esc: 'escape'
+};
+
+const KEY_LABELS = {
+  space: 'Space',
+  plus: '+',
+  escape: 'Esc',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→'
+};
+
+const PRESSABLE_INPUTS = ['checkbox', 'radio', 'button', 'color'];
+
+function keyName(key) {
+  const name = key.toLowerCase();
+  return KEY_NAMES[name] || name;
+}
+
+function parseShortcut(shortcut) {
+  const parts = shortcut.split('+');
+  const key = keyName(parts.pop());
+  return {
+    key,
+    mod: parts.includes('mod'),
+    shift: parts.includes('shift'),
+    alt: parts.includes('alt')
+  };
+}
+
+export function matchesShortcut(event, shortcut) {
+  const { key, mod, shift, alt } = parseShortcut(shortcut);
+  if (keyName(event.key) !== key) return false;
+  if (mod !== (event.ctrlKey || event.metaKey) || alt !== event.altKey) return false;
+  // Symbols like ? and + already carry their Shift in the key itself
+  if (event.key.length === 1 && !/[a-z0-9 ]/i.test(event.key)) return true;
+  return shift === event.shiftKey;
+}
+
+export function formatShortcut(shortcut) {
+  const { key, mod, shift, alt } = parseShortcut(shortcut);
+  return [
+    mod && (IS_MAC ? '⌘' : 'Ctrl'),
+    alt && (IS_MAC ? '⌥' : 'Alt'),
+    shift && 'Shift',
+    KEY_LABELS[key] || key.toUpperCase()
+  ].filter(Boolean).join(' ');
+}
+
+// Whether the focused element handles the key itself: fields take every key,
+// and buttons take the keys that press them
+export function ownsKey(target, event) {
+  if (!target || !target.tagName) return false;
+  const isToggle = target.tagName === 'INPUT' && PRESSABLE_INPUTS.includes(target.type);
+  if (target.isContentEditable || (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) && !isToggle)) return true;
+  const isPressable = isToggle || ['BUTTON', 'A'].includes(target.tagName) || target.getAttribute('role') !== null;
+  return isPressable && (event.key === ' ' || event.key === 'Enter');
+}
+
+// onKeyDown for elements that act as buttons without being one. Keys
+// bubbling up from buttons inside the element are theirs.
+export function activateOnKey(handler) {
+  return (event) => {
+    if (event.target !== event.currentTarget) return;
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      handler(event);
+    }
+  };
+}
+
+// Case-insensitive match on every word of the query, so "pan ins" finds
+// "Toggle inspector panel"
+export function filterCommands(commands, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return commands.filter(command => {
+    const text = `${command.group} ${command.label}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
@@ -0,0 +1,142 @@
+// Service worker for the standalone app. The build fills in BUILD with its
+// version and the files of the app shell (see the serviceWorker plugin in
+// vite.config.js); it isn't bundled, so the cache names are repeated in
+// src/offlineCache.js.
+//
+// - The app shell is precached per build. A new build installs beside the
+//   old one and the old shell is dropped once the new worker takes over.
+// - Models and their sidecars are cached the first time they are viewed, in
+//   a cache named after the manifest's "version". Bumping that version in
+//   models/manifest.json invalidates every cached model.
+// - Requests made with cache: 'no-store' or 'reload', like cold benchmark
+//   runs, always go to the network.
+const BUILD = self.__BUILD__ || { version: 'dev', files: [] };
+
+const SHELL_CACHE = `monster-viewer-shell-${BUILD.version}`;
+const SHELL_PREFIX = 'monster-viewer-shell-';
+const MODEL_PREFIX = 'monster-viewer-models-';
+const UNVERSIONED_MODELS = `${MODEL_PREFIX}unversioned`;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const MANIFEST_URL = scopeUrl('models/manifest.json');
+const MODELS_URL = scopeUrl('models/');
+const MODEL_FILE = /\.(gltf|glb|bin|ktx2)$/i;
+
+let modelCache = null;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(BUILD.files.map(scopeUrl))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name.startsWith(SHELL_PREFIX) && name !== SHELL_CACHE)
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+// The page asks a waiting worker to take over once the user accepts the
+// update, and asks which build is serving it for the offline panel
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+  if (type === 'SKIP_WAITING') self.skipWaiting();
+  if (type === 'GET_VERSION' && event.ports[0]) event.ports[0].postMessage(BUILD.version);
+});
+
+// The cache of the current manifest version. A restarted worker picks up the
+// one left from before; on the first visit the page read the manifest before
+// the worker took over, so it is read again here.
+async function currentModelCache() {
+  if (!modelCache) {
+    const names = await caches.keys();
+    modelCache = names.find(name => name.startsWith(MODEL_PREFIX)) || null;
+  }
+  if (!modelCache) {
+    await handleManifest(new Request(MANIFEST_URL)).catch(() => {});
+    // Apps without a manifest keep their models in one unversioned cache
+    if (!modelCache) modelCache = UNVERSIONED_MODELS;
+  }
+  return modelCache;
+}
+
+async function switchModelVersion(version) {
+  modelCache = `${MODEL_PREFIX}v${version}`;
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(MODEL_PREFIX) && name !== modelCache)
+    .map(name => caches.delete(name)));
+}
+
+// The manifest is always fetched fresh when online, so a version bump is
+// seen on the next visit; offline the last copy is used
+async function handleManifest(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const manifest = await response.clone().json();
+      await switchModelVersion(manifest.version || 1);
+      const cache = await caches.open(modelCache);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function handleModel(request) {
+  const cache = await caches.open(await currentModelCache());
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Servers that answer missing files with the app's page aren't cached
+  const type = response.headers.get('content-type') || '';
+  if (response.status === 200 && !type.includes('text/html')) await cache.put(request, response.clone());
+  return response;
+}
+
+// Navigations go to the network first so a deploy shows up straight away,
+// falling back to the cached shell offline
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(scopeUrl('index.html'), { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Shell files evicted from the cache are put back the next time they load
+async function handleShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.status === 200) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.cache === 'no-store' || request.cache === 'reload') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  const href = url.href.split('#')[0];
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (href === MANIFEST_URL) {
+    event.respondWith(handleManifest(request));
+  } else if (href.startsWith(MODELS_URL) || MODEL_FILE.test(url.pathname)) {
+    event.respondWith(handleModel(request));
+  } else if (BUILD.files.some(file => scopeUrl(file) === href)) {
+    event.respondWith(handleShell(request));
+  }
+});
@@ -0,0 +1,198 @@
+import { useEffect, useRef } from 'react';
+import * as THREE from 'three';
+
+// glTF clips carry no frame rate, so frame stepping assumes the Blender default
+export const DEFAULT_FPS = 30;
+
+export const DEFAULT_CROSSFADE = { duration: 0.5, warp: false };
+
+export const DEFAULT_BLEND = { clipName: null, weight: 0.5, primaryWeight: 1 };
+
+export const LOOP_MODES = {
+  once: { label: 'Once', loop: THREE.LoopOnce },
+  repeat: { label: 'Repeat', loop: THREE.LoopRepeat },
+  pingpong: { label: 'Ping-Pong', loop: THREE.LoopPingPong }
+};
+
+function startAction(action, loopMode) {
+  const mode = LOOP_MODES[loopMode] || LOOP_MODES.repeat;
+  action.reset();
+  action.setLoop(mode.loop, Infinity);
+  action.clampWhenFinished = loopMode === 'once';
+  action.play();
+}
+
+// Drives the mixer from declarative playback settings and fills playbackRef
+// with an imperative handle for seeking and frame stepping
+export function useAnimationPlayback({
+  actions,
+  mixer,
+  clips,
+  enabled = true,
+  clipName,
+  playing = true,
+  speed = 1,
+  loopMode = 'repeat',
+  crossfade = DEFAULT_CROSSFADE,
+  blend = DEFAULT_BLEND,
+  playbackRef,
+  onClipsChange
+}) {
+  const currentActionRef = useRef(null);
+  // An action the playback handle already switched to, which the clip effect
+  // takes over as is instead of restarting it
+  const handedOffRef = useRef(null);
+  const crossfadeRef = useRef(crossfade);
+  crossfadeRef.current = crossfade;
+  const loopModeRef = useRef(loopMode);
+  loopModeRef.current = loopMode;
+
+  // Report the available clips so the panel can list them
+  useEffect(() => {
+    if (onClipsChange) {
+      onClipsChange(enabled ? clips.map(clip => ({ name: clip.name, duration: clip.duration })) : []);
+    }
+  }, [clips, enabled, onClipsChange]);
+
+  const activeName = enabled && clips.length > 0
+    ? (clips.some(clip => clip.name === clipName) ? clipName : clips[0].name)
+    : null;
+
+  const blendName = activeName && blend.clipName !== activeName && clips.some(clip => clip.name === blend.clipName)
+    ? blend.clipName
+    : null;
+
+  // Start the selected clip whenever it or its loop mode changes, crossfading
+  // out of whatever was playing before
+  useEffect(() => {
+    if (!activeName || !actions[activeName]) return;
+
+    const action = actions[activeName];
+    const previous = currentActionRef.current;
+    const { duration, warp } = crossfadeRef.current;
+
+    if (handedOffRef.current === action) {
+      handedOffRef.current = null;
+      return;
+    }
+
+    startAction(action, loopMode);
+
+    if (previous && previous !== action) {
+      previous.crossFadeTo(action, duration, warp);
+    } else {
+      action.fadeIn(duration);
+    }
+
+    currentActionRef.current = action;
+  }, [actions, activeName, loopMode]);
+
+  // Stop everything when the clips go away or the model unmounts
+  useEffect(() => {
+    return () => {
+      currentActionRef.current = null;
+      mixer.stopAllAction();
+    };
+  }, [actions, mixer]);
+
+  // Layer a second clip on top of the primary one
+  useEffect(() => {
+    if (!blendName || !actions[blendName]) return;
+
+    const action = actions[blendName];
+    const { duration } = crossfadeRef.current;
+
+    action.reset();
+    action.setLoop(THREE.LoopRepeat, Infinity);
+    action.play();
+    action.fadeIn(duration);
+
+    return () => {
+      action.fadeOut(duration);
+    };
+  }, [actions, blendName]);
+
+  // Weights are applied to action.weight directly because
+  // setEffectiveWeight() would cancel any fade in progress
+  useEffect(() => {
+    if (!activeName || !actions[activeName]) return;
+    actions[activeName].weight = blendName ? blend.primaryWeight : 1;
+    if (blendName && actions[blendName]) {
+      actions[blendName].weight = blend.weight;
+    }
+  }, [actions, activeName, blendName, blend.primaryWeight, blend.weight]);
+
+  // Pause without losing the current time
+  useEffect(() => {
+    if (!activeName || !actions[activeName]) return;
+    actions[activeName].paused = !playing;
+  }, [actions, activeName, playing, loopMode]);
+
+  useEffect(() => {
+    mixer.timeScale = speed;
+  }, [mixer, speed]);
+
+  // Imperative handle used by the timeline
+  useEffect(() => {
+    if (!playbackRef) return;
+
+    const action = activeName ? actions[activeName] : null;
+    if (!action) {
+      playbackRef.current = null;
+      return;
+    }
+
+    const duration = action.getClip().duration;
+
+    const seek = (time) => {
+      action.time = THREE.MathUtils.clamp(time, 0, duration);
+      // A finished "once" action is disabled; re-enable it so the pose applies
+      action.enabled = true;
+      mixer.update(0);
+    };
+
+    // Switches to another clip right away; the caller then selects it so the
+    // declarative state catches up without restarting it
+    const handOff = (name, start) => {
+      const next = actions[name];
+      if (!next) return;
+      start(next);
+      currentActionRef.current = next;
+      if (name !== activeName) handedOffRef.current = next;
+    };
+
+    playbackRef.current = {
+      clipName: activeName,
+      duration,
+      getTime: () => action.time,
+      seek,
+      step: (frames, fps = DEFAULT_FPS) => {
+        action.paused = true;
+        seek(action.time + frames / fps);
+      },
+      // Plays a clip from its start, cutting off the one playing
+      cutTo: (name) => handOff(name, (next) => {
+        const previous = currentActionRef.current;
+        if (previous && previous !== next) previous.stop();
+        startAction(next, loopModeRef.current);
+      }),
+      // Crossfades from the playing clip into another with the crossfade settings
+      crossFadeTo: (name) => handOff(name, (next) => {
+        const previous = currentActionRef.current;
+        const { duration: fadeDuration, warp } = crossfadeRef.current;
+        startAction(next, loopModeRef.current);
+        if (previous && previous !== next) {
+          previous.crossFadeTo(next, fadeDuration, warp);
+        } else {
+          next.fadeIn(fadeDuration);
+        }
+      })
+    };
+
+    return () => {
+      playbackRef.current = null;
+    };
+  }, [actions, mixer, activeName, playbackRef]);
+
+  return activeName;
+}
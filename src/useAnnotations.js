@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { annotationFileUrl, loadSavedAnnotations, parseAnnotations, storeSavedAnnotations } from './annotations';
+
+// Opened local files get a new blob URL every time, so their annotations
+// only last as long as the file is open
+const isStorable = (path) => !path.startsWith('blob:');
+
+// Annotations by model path. A model's list comes from the browser's storage,
+// or else from a <model>.annotations.json served next to the model file.
+export function useAnnotations(models) {
+  const [annotations, setAnnotations] = useState({});
+  const requestedRef = useRef(new Set());
+
+  useEffect(() => {
+    models.forEach(({ path }) => {
+      if (requestedRef.current.has(path)) return;
+      requestedRef.current.add(path);
+
+      const saved = isStorable(path) ? loadSavedAnnotations(path) : null;
+      if (saved) {
+        setAnnotations(prev => ({ ...prev, [path]: saved }));
+        return;
+      }
+      if (!isStorable(path)) return;
+
+      fetch(annotationFileUrl(path))
+        .then(response => {
+          // Dev servers answer missing files with the app's HTML page
+          const type = response.headers.get('content-type') || '';
+          return response.ok && type.includes('json') ? response.text() : null;
+        })
+        .then(text => {
+          if (!text) return;
+          const list = parseAnnotations(text);
+          setAnnotations(prev => (prev[path] ? prev : { ...prev, [path]: list }));
+        })
+        .catch(error => console.warn(`Could not load annotations for ${path}:`, error));
+    });
+  }, [models]);
+
+  const updateAnnotations = useCallback((path, list) => {
+    setAnnotations(prev => ({ ...prev, [path]: list }));
+    if (isStorable(path)) storeSavedAnnotations(path, list);
+  }, []);
+
+  return { annotations, updateAnnotations };
+}
@@ -0,0 +1,57 @@
+import { useRef } from 'react';
+
+const DOUBLE_TAP_MS = 300;
+// How far a finger may drift and still count as a tap, in CSS pixels
+const TAP_SLOP = 20;
+
+/**
+ * Pointer handlers that call onDoubleTap for two quick taps in the same spot.
+ * Only touch counts: drags, pinches and mouse clicks are left to the controls.
+ */
+export function useDoubleTap(onDoubleTap) {
+  const downRef = useRef(new Map());
+  const lastTapRef = useRef(null);
+  const callbackRef = useRef(onDoubleTap);
+  callbackRef.current = onDoubleTap;
+
+  const isNear = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= TAP_SLOP;
+
+  const onPointerDown = (e) => {
+    if (e.pointerType !== 'touch') return;
+    downRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY, multi: downRef.current.size > 0 });
+    // A second finger turns this into a gesture, not a tap
+    if (downRef.current.size > 1) {
+      downRef.current.forEach(down => {
+        down.multi = true;
+      });
+      lastTapRef.current = null;
+    }
+  };
+
+  const onPointerUp = (e) => {
+    const down = downRef.current.get(e.pointerId);
+    if (!down) return;
+    downRef.current.delete(e.pointerId);
+
+    const tap = { x: e.clientX, y: e.clientY, time: performance.now() };
+    if (down.multi || !isNear(down, tap)) {
+      lastTapRef.current = null;
+      return;
+    }
+
+    const last = lastTapRef.current;
+    if (last && tap.time - last.time <= DOUBLE_TAP_MS && isNear(last, tap)) {
+      lastTapRef.current = null;
+      callbackRef.current();
+    } else {
+      lastTapRef.current = tap;
+    }
+  };
+
+  const onPointerCancel = (e) => {
+    downRef.current.delete(e.pointerId);
+    lastTapRef.current = null;
+  };
+
+  return { onPointerDown, onPointerUp, onPointerCancel };
+}
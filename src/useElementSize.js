@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+
+// Tracks an element's content size, so layouts follow the viewer's own box
+// rather than the window it is embedded in
+export function useElementSize(ref) {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize(prev => (prev.width === width && prev.height === height ? prev : { width, height }));
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return size;
+}
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+import { matchesShortcut, ownsKey } from './shortcuts';
+
+/**
+ * Runs the first command whose keys match a key press. Keys are only taken
+ * while focus is inside the viewer, or on the page body when nothing else has
+ * it, so an embedded viewer leaves the host page's keys alone.
+ */
+export function useKeyboardShortcuts(commands, { rootRef, enabled = true }) {
+  const commandsRef = useRef(commands);
+  useEffect(() => {
+    commandsRef.current = commands;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.isComposing) return;
+      const root = rootRef.current;
+      const target = event.target;
+      if (target !== document.body && !(root && root.contains(target))) return;
+      if (ownsKey(target, event)) return;
+
+      const command = commandsRef.current.find(item => item.keys && item.keys.some(keys => matchesShortcut(event, keys)));
+      if (!command) return;
+      event.preventDefault();
+      command.run();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, rootRef]);
+}
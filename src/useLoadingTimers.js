@@ -0,0 +1,30 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Fixed loading timer hook, keeping one timer per model id. Timers are started
+// by the caller right before a model mounts, because Monster's own effects only
+// run once the model has already loaded.
+export function useLoadingTimers() {
+  const [timers, setTimers] = useState({});
+  const startTimesRef = useRef({});
+
+  const startTimer = useCallback((id) => {
+    startTimesRef.current[id] = performance.now();
+    setTimers(prev => ({ ...prev, [id]: { isLoading: true, loadTime: null } }));
+  }, []);
+
+  const stopTimer = useCallback((id) => {
+    const startTime = startTimesRef.current[id];
+    if (startTime) {
+      const duration = Math.round(performance.now() - startTime);
+      delete startTimesRef.current[id];
+      setTimers(prev => ({ ...prev, [id]: { isLoading: false, loadTime: duration } }));
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    startTimesRef.current = {};
+    setTimers({});
+  }, []);
+
+  return { startTimer, stopTimer, reset, timers };
+}
@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+
+export const MANIFEST_URL = '/models/manifest.json';
+
+export const DEFAULT_CAMERA = { position: [5, 3, 8], fov: 50 };
+
+const DEFAULT_ANIMATION = { enabled: true, clip: null, loop: 'repeat', speed: 1 };
+
+// Fill in defaults so the rest of the viewer can rely on every field being present
+export function normalizeEntry(entry, index) {
+  if (!entry || typeof entry.path !== 'string') {
+    throw new Error(`Manifest entry ${index} is missing a "path"`);
+  }
+
+  return {
+    id: entry.id || entry.path,
+    name: entry.name || entry.path.slice(entry.path.lastIndexOf('/') + 1),
+    path: entry.path,
+    thumbnail: entry.thumbnail || null,
+    tags: Array.isArray(entry.tags) ? entry.tags : [],
+    camera: { ...DEFAULT_CAMERA, ...entry.camera },
+    animation: { ...DEFAULT_ANIMATION, ...entry.animation }
+  };
+}
+
+// Named sets of models to compare, keeping only the models the catalog has
+function normalizePresets(presets, ids) {
+  return (Array.isArray(presets) ? presets : [])
+    .map((preset, index) => ({
+      id: preset.id || `preset-${index}`,
+      name: preset.name || preset.id || `Preset ${index + 1}`,
+      models: (Array.isArray(preset.models) ? preset.models : []).filter(id => ids.includes(id))
+    }))
+    .filter(preset => preset.models.length > 0);
+}
+
+// Builds a catalog straight from model URLs or manifest-style entries, for
+// embedders that pass their models in instead of serving a manifest
+function catalogFromModels(models) {
+  const entries = models.map((model, index) => normalizeEntry(typeof model === 'string' ? { path: model } : model, index));
+  const ids = entries.map(entry => entry.id);
+  return { entries, defaultModel: ids[0] || null, defaultCompare: ids, comparePresets: [], isLoading: false, error: null };
+}
+
+// Loads the model manifest that drives the gallery and compare mode, or uses
+// the given models when there are any
+export function useModelCatalog(url = MANIFEST_URL, models = null) {
+  // Compared by value so callers can pass an inline array
+  const modelsKey = models ? JSON.stringify(models) : null;
+  const [catalog, setCatalog] = useState({
+    entries: [],
+    defaultModel: null,
+    defaultCompare: [],
+    comparePresets: [],
+    isLoading: true,
+    error: null
+  });
+
+  useEffect(() => {
+    if (modelsKey) {
+      try {
+        setCatalog(catalogFromModels(JSON.parse(modelsKey)));
+      } catch (error) {
+        console.error('Invalid models:', error);
+        setCatalog({ entries: [], defaultModel: null, defaultCompare: [], comparePresets: [], isLoading: false, error: error.message });
+      }
+      return;
+    }
+
+    let cancelled = false;
+
+    fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${url} returned ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(manifest => {
+        const entries = (manifest.models || []).map(normalizeEntry);
+        const ids = entries.map(entry => entry.id);
+        const defaultModel = ids.includes(manifest.defaultModel) ? manifest.defaultModel : ids[0] || null;
+        const defaultCompare = (manifest.defaultCompare || ids.slice(0, 2)).filter(id => ids.includes(id));
+        const comparePresets = normalizePresets(manifest.comparePresets, ids);
+
+        if (!cancelled) {
+          setCatalog({ entries, defaultModel, defaultCompare, comparePresets, isLoading: false, error: null });
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load model catalog:', error);
+        if (!cancelled) {
+          setCatalog({ entries: [], defaultModel: null, defaultCompare: [], comparePresets: [], isLoading: false, error: error.message });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, modelsKey]);
+
+  return catalog;
+}
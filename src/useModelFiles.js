@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { clearModel } from './modelLoader';
+import { createModelSource } from './modelFiles';
+
+const RECENT_LIMIT = 8;
+
+function evictSource(source) {
+  clearModel(source.url);
+  source.dispose();
+}
+
+// Keeps the user-opened model files for this session, most recent first
+export function useModelFiles() {
+  const [recent, setRecent] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [error, setError] = useState(null);
+  const recentRef = useRef([]);
+
+  const updateRecent = useCallback((next) => {
+    recentRef.current = next;
+    setRecent(next);
+  }, []);
+
+  const openFiles = useCallback((entries) => {
+    let source;
+    try {
+      source = createModelSource(entries);
+    } catch (err) {
+      console.error('Could not open model files:', err);
+      setError(err.message);
+      return null;
+    }
+
+    const next = [source, ...recentRef.current];
+    next.slice(RECENT_LIMIT).forEach(evictSource);
+    updateRecent(next.slice(0, RECENT_LIMIT));
+    setActiveId(source.id);
+    setError(null);
+    return source;
+  }, [updateRecent]);
+
+  const removeFile = useCallback((id) => {
+    const source = recentRef.current.find(item => item.id === id);
+    if (!source) return;
+    evictSource(source);
+    updateRecent(recentRef.current.filter(item => item.id !== id));
+    setActiveId(prev => (prev === id ? null : prev));
+  }, [updateRecent]);
+
+  // Release every object URL when the viewer goes away
+  useEffect(() => () => {
+    recentRef.current.forEach(evictSource);
+    recentRef.current = [];
+  }, []);
+
+  const activeFile = recent.find(item => item.id === activeId) || null;
+
+  return {
+    recent,
+    activeFile,
+    error,
+    openFiles,
+    selectFile: setActiveId,
+    removeFile,
+    clearError: useCallback(() => setError(null), [])
+  };
+}
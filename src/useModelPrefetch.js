@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isModelLoaded, prefetchModel, releaseModel } from './modelPrefetch';
+
+const LOADING = { status: 'loading', progress: null };
+const READY = { status: 'ready', progress: null };
+
+// Downloads a model ahead of the glTF loader so its progress can be shown and
+// cancelled. Status is 'loading', 'cancelled' or 'ready'; models that are
+// already cached, or that are disabled, are ready straight away.
+export function useModelPrefetch(path, enabled = true) {
+  const [runId, setRunId] = useState(0);
+  const [result, setResult] = useState(null);
+  const controllerRef = useRef(null);
+  const key = `${path}#${runId}`;
+  const skip = !enabled || isModelLoaded(path);
+
+  useEffect(() => {
+    if (skip) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    // Chunks arrive far more often than frames, so progress renders once per frame
+    let latest = null;
+    let frame = null;
+    const flush = () => {
+      frame = null;
+      setResult({ key, status: 'loading', progress: latest });
+    };
+
+    prefetchModel(path, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        latest = progress;
+        if (frame === null) frame = requestAnimationFrame(flush);
+      }
+    }).then(() => {
+      cancelAnimationFrame(frame);
+      setResult({ key, status: 'ready', progress: latest });
+    }, () => {
+      // Aborted, either cancelled or unmounted
+    });
+
+    return () => {
+      controller.abort();
+      cancelAnimationFrame(frame);
+      controllerRef.current = null;
+      releaseModel(path);
+    };
+  }, [path, key, skip]);
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    setResult({ key, status: 'cancelled', progress: null });
+  }, [key]);
+
+  const restart = useCallback(() => setRunId(id => id + 1), []);
+
+  let state = LOADING;
+  if (skip) state = READY;
+  else if (result && result.key === key) state = result;
+
+  return { ...state, cancel, restart };
+}
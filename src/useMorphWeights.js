@@ -0,0 +1,18 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { applyMorphWeights, readMorphDefaults, restoreMorphDefaults } from './morphTargets';
+
+// Holds shape key weights on a loaded scene. They are set every frame after
+// the mixer has run, so skeletal clips keep playing underneath and a clip
+// that animates a target only takes over once its slider is reset.
+export function useMorphWeights(scene, weights) {
+  const defaults = useMemo(() => readMorphDefaults(scene), [scene]);
+
+  // The loader cache shares the scene between mounts, so the authored weights
+  // are put back before new ones apply and when the model goes away
+  useEffect(() => () => restoreMorphDefaults(defaults), [defaults, weights]);
+
+  useFrame(() => {
+    if (weights && defaults.length > 0) applyMorphWeights(defaults, weights);
+  });
+}
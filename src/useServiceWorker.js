@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getServiceWorkerState, subscribeServiceWorker } from './serviceWorker';
+
+// The registration status and build version of the app's service worker
+export function useServiceWorker() {
+  return useSyncExternalStore(subscribeServiceWorker, getServiceWorkerState);
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+export const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️',
+  info: 'ℹ️'
+};
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  maxBones: 64,
+  maxTextureSize: 4096,
+  weightTolerance: 0.01
+};
+
+// Extensions the glTF loader understands with the decoders in decoders.js
+const SUPPORTED_EXTENSIONS = new Set([
+  'KHR_binary_glTF',
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+  'EXT_materials_bump',
+  'EXT_mesh_gpu_instancing',
+  'EXT_meshopt_compression',
+  'EXT_texture_avif',
+  'EXT_texture_webp'
+]);
+
+const DEGENERATE_AREA = 1e-12;
+
+// Every URL a loader reported as failed, across all models. Texture failures
+// don't reject the glTF load, so they are picked up here after the fact.
+const failedUrls = new Set();
+
+// A loading manager that behaves exactly like `base` (URL modifier, progress
+// callbacks) but also records failed requests for the validation report
+export function createTrackingManager(base) {
+  const manager = Object.create(base);
+  manager.itemError = (url) => {
+    failedUrls.add(url);
+    base.itemError(url);
+  };
+  return manager;
+}
+
+// External buffer and image URLs of a glTF, resolved the same way the parser does
+function resourceUrls(modelPath, json) {
+  const basePath = THREE.LoaderUtils.extractUrlBase(modelPath);
+  const resolve = uri => THREE.LoaderUtils.resolveURL(uri, basePath);
+
+  return {
+    buffers: (json.buffers || []).map(buffer => (buffer.uri && !/^data:/i.test(buffer.uri) ? resolve(buffer.uri) : null)),
+    images: (json.images || []).map(image => (image.uri && !/^data:/i.test(image.uri) ? resolve(image.uri) : null))
+  };
+}
+
+export function clearLoadFailures(modelPath, parser) {
+  if (!parser) return;
+  const { buffers, images } = resourceUrls(modelPath, parser.json);
+  [...buffers, ...images].forEach(url => failedUrls.delete(url));
+}
+
+function issue(severity, code, message, extra = {}) {
+  return { severity, code, message, target: null, fixable: false, ...extra };
+}
+
+export function sortIssues(issues) {
+  return [...issues].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    || a.code.localeCompare(b.code));
+}
+
+export function countIssues(issues) {
+  return Object.fromEntries(SEVERITIES.map(severity => [severity, issues.filter(item => item.severity === severity).length]));
+}
+
+// Turns an error thrown while loading a model into specific, actionable issues
+export function describeLoadError(error, modelPath) {
+  const message = error && error.message ? error.message : String(error);
+  const httpMatch = message.match(/fetch for "([^"]+)" responded with (\d+): ?(.*)$/);
+
+  if (httpMatch) {
+    const [, url, status, statusText] = httpMatch;
+    const isMain = url.endsWith(modelPath) || url === new URL(modelPath, window.location.href).href;
+    return [issue('error', isMain ? 'missing-file' : 'missing-buffer',
+      `${isMain ? 'Model file' : 'Referenced buffer'} not found: ${url} (${status}${statusText ? ` ${statusText}` : ''})`,
+      { target: url, fixable: true })];
+  }
+
+  if (/Unexpected token|JSON/i.test(message)) {
+    return [issue('error', 'invalid-json',
+      `${modelPath} is not valid glTF JSON; the server may have returned an HTML page for a missing file`,
+      { target: modelPath, fixable: true })];
+  }
+
+  if (/Unsupported asset/i.test(message)) {
+    return [issue('error', 'unsupported-version', 'Only glTF 2.0 assets are supported', { target: modelPath })];
+  }
+
+  if (/setDRACOLoader|setMeshoptDecoder|setKTX2Loader/.test(message)) {
+    return [issue('error', 'missing-decoder', `The asset needs a decoder that is not configured: ${message}`, { target: modelPath })];
+  }
+
+  if (error instanceof RangeError || /out of bounds|offset is outside|Invalid typed array length/i.test(message)) {
+    return [issue('error', 'corrupt-buffer',
+      'Buffer data is shorter than its accessors expect; the .bin file may be missing, truncated or from another export',
+      { target: modelPath, fixable: true })];
+  }
+
+  if (/Failed to fetch|NetworkError|Load failed/i.test(message)) {
+    return [issue('error', 'network-error', `Network request failed while loading ${modelPath}`, { target: modelPath, fixable: true })];
+  }
+
+  return [issue('error', 'load-failed', message, { target: modelPath, fixable: true })];
+}
+
+function meshTextures(material) {
+  return Object.values(material).filter(value => value && value.isTexture);
+}
+
+function countDegenerateTriangles(geometry) {
+  const position = geometry.getAttribute('position');
+  if (!position) return 0;
+
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  let degenerate = 0;
+
+  for (let i = 0; i + 2 < count; i += 3) {
+    const i0 = index ? index.getX(i) : i;
+    const i1 = index ? index.getX(i + 1) : i + 1;
+    const i2 = index ? index.getX(i + 2) : i + 2;
+    if (i0 === i1 || i1 === i2 || i0 === i2) {
+      degenerate++;
+      continue;
+    }
+    a.fromBufferAttribute(position, i0);
+    b.fromBufferAttribute(position, i1);
+    c.fromBufferAttribute(position, i2);
+    if (ab.subVectors(b, a).cross(ac.subVectors(c, a)).lengthSq() < DEGENERATE_AREA) {
+      degenerate++;
+    }
+  }
+
+  return degenerate;
+}
+
+function countUnnormalizedWeights(geometry, tolerance) {
+  const weights = geometry.getAttribute('skinWeight');
+  if (!weights) return 0;
+
+  let unnormalized = 0;
+  for (let i = 0; i < weights.count; i++) {
+    const sum = weights.getX(i) + weights.getY(i) + weights.getZ(i) + weights.getW(i);
+    if (Math.abs(sum - 1) > tolerance) unnormalized++;
+  }
+  return unnormalized;
+}
+
+function isPowerOfTwo(value) {
+  return (value & (value - 1)) === 0;
+}
+
+// Checks a loaded glTF for problems that don't stop it from loading but will
+// show up as rendering, skinning or performance issues
+export async function validateAsset({ scene, parser, modelPath }, options = DEFAULT_VALIDATION_OPTIONS) {
+  const issues = [];
+  const json = parser ? parser.json : null;
+
+  if (json) {
+    const { buffers, images } = resourceUrls(modelPath, json);
+
+    images.forEach((url, i) => {
+      if (url && failedUrls.has(url)) {
+        issues.push(issue('error', 'missing-texture', `Texture image not found: ${url}`, { target: json.images[i].name || url, fixable: true }));
+      }
+    });
+
+    await Promise.all((json.buffers || []).map(async (definition, i) => {
+      try {
+        const buffer = await parser.getDependency('buffer', i);
+        if (buffer && buffer.byteLength < definition.byteLength) {
+          issues.push(issue('error', 'truncated-buffer',
+            `Buffer ${buffers[i] || i} is ${buffer.byteLength} bytes but declares ${definition.byteLength}`,
+            { target: buffers[i], fixable: true }));
+        }
+      } catch (error) {
+        issues.push(issue('error', 'missing-buffer', `Buffer could not be loaded: ${buffers[i] || i} (${error.message})`,
+          { target: buffers[i], fixable: true }));
+      }
+    }));
+
+    const required = new Set(json.extensionsRequired || []);
+    (json.extensionsUsed || []).forEach(name => {
+      if (SUPPORTED_EXTENSIONS.has(name)) return;
+      issues.push(required.has(name)
+        ? issue('error', 'unsupported-extension', `Required extension ${name} is not supported`, { target: name })
+        : issue('warning', 'unsupported-extension', `Optional extension ${name} is not supported and will be ignored`, { target: name }));
+    });
+  }
+
+  const textures = new Map();
+
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    const { geometry } = object;
+    const target = object.name || geometry.name || object.uuid;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    const maps = materials.flatMap(meshTextures);
+    maps.forEach(texture => textures.set(texture.uuid, texture));
+
+    if (!geometry.getAttribute('normal') && !materials.every(material => material.isMeshBasicMaterial)) {
+      issues.push(issue('warning', 'missing-normals', `${target} has no normals; lighting will be flat or black`, { target }));
+    }
+
+    if (!geometry.getAttribute('uv')) {
+      issues.push(maps.length > 0
+        ? issue('error', 'missing-uvs', `${target} uses texture maps but has no UV coordinates`, { target })
+        : issue('info', 'missing-uvs', `${target} has no UV coordinates`, { target }));
+    }
+
+    const degenerate = countDegenerateTriangles(geometry);
+    if (degenerate > 0) {
+      issues.push(issue('warning', 'degenerate-triangles', `${target} has ${degenerate} degenerate triangle${degenerate === 1 ? '' : 's'}`, { target }));
+    }
+
+    if (object.isSkinnedMesh) {
+      const unnormalized = countUnnormalizedWeights(geometry, options.weightTolerance);
+      if (unnormalized > 0) {
+        issues.push(issue('warning', 'unnormalized-weights',
+          `${target} has ${unnormalized} vertices whose skin weights don't sum to 1`, { target }));
+      }
+
+      const boneCount = object.skeleton ? object.skeleton.bones.length : 0;
+      if (boneCount > options.maxBones) {
+        issues.push(issue('warning', 'bone-limit', `${target} uses ${boneCount} bones, over the limit of ${options.maxBones}`, { target }));
+      }
+    }
+  });
+
+  textures.forEach(texture => {
+    const image = texture.image;
+    if (!image || !image.width) return;
+    const target = texture.name || texture.uuid;
+    const size = `${image.width}×${image.height}`;
+
+    if (Math.max(image.width, image.height) > options.maxTextureSize) {
+      issues.push(issue('warning', 'oversized-texture', `Texture ${target} is ${size}, larger than ${options.maxTextureSize}px`, { target }));
+    } else if (!isPowerOfTwo(image.width) || !isPowerOfTwo(image.height)) {
+      issues.push(issue('info', 'npot-texture', `Texture ${target} is ${size}, not a power of two`, { target }));
+    }
+  });
+
+  return sortIssues(issues);
+}
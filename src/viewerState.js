@@ -0,0 +1,88 @@
+import { LOOP_MODES } from './useAnimationPlayback';
+
+// Viewer state carried in the URL hash so a link reopens the same view, e.g.
+// #mode=compare&compare=a&compare=b&layout=wipe&clip=Walk&t=1.25&paused=1&cam=...
+
+const VIEW_MODES = ['single', 'compare'];
+export const COMPARE_LAYOUTS = ['row', 'split', 'wipe', 'onion'];
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function parseNumber(value) {
+  if (value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function parseEnum(value, allowed) {
+  return allowed.includes(value) ? value : undefined;
+}
+
+// Camera poses are flattened as position then orbit target
+function encodePose(pose) {
+  return [...pose.position, ...pose.target].map(round).join(',');
+}
+
+function decodePose(value) {
+  if (!value) return undefined;
+  const numbers = value.split(',').map(Number);
+  if (numbers.length !== 6 || numbers.some(number => !Number.isFinite(number))) return undefined;
+  return { position: numbers.slice(0, 3), target: numbers.slice(3) };
+}
+
+export function readViewerState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const compare = params.getAll('compare');
+  const paused = params.get('paused');
+
+  return {
+    mode: parseEnum(params.get('mode'), VIEW_MODES),
+    model: params.get('model') || undefined,
+    compare: compare.length > 0 ? compare : undefined,
+    layout: parseEnum(params.get('layout'), COMPARE_LAYOUTS),
+    swapped: params.get('ab') === '1',
+    clip: params.get('clip') || undefined,
+    time: parseNumber(params.get('t')),
+    playing: paused === null ? undefined : paused !== '1',
+    speed: parseNumber(params.get('speed')),
+    loop: parseEnum(params.get('loop'), Object.keys(LOOP_MODES)),
+    camera: decodePose(params.get('cam'))
+  };
+}
+
+// Only non-default values are written, which keeps shared links short
+export function viewerStateToHash(state) {
+  const params = new URLSearchParams();
+
+  if (state.mode && state.mode !== 'single') params.set('mode', state.mode);
+  if (state.mode === 'compare') {
+    (state.compare || []).forEach(id => params.append('compare', id));
+    if (state.layout && state.layout !== 'row') params.set('layout', state.layout);
+    if (state.swapped) params.set('ab', '1');
+  } else if (state.model) {
+    params.set('model', state.model);
+  }
+
+  if (state.clip) params.set('clip', state.clip);
+  if (state.time !== undefined) params.set('t', round(state.time));
+  if (state.playing === false) params.set('paused', '1');
+  if (state.speed !== undefined && state.speed !== 1) params.set('speed', round(state.speed));
+  if (state.loop && state.loop !== 'repeat') params.set('loop', state.loop);
+  if (state.camera) params.set('cam', encodePose(state.camera));
+
+  const query = params.toString();
+  return query ? `#${query}` : '';
+}
+
+// Replaces rather than pushes, so tweaking the view doesn't flood history
+export function writeViewerState(state) {
+  const hash = viewerStateToHash(state);
+  if (hash === window.location.hash) return;
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+export function viewerStateUrl(state) {
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${viewerStateToHash(state)}`;
+}
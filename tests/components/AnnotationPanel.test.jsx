@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import AnnotationPanel from '../../src/AnnotationTools';
+
+const MODEL = { id: 'monster', name: 'Monster', path: '/models/Monster.gltf' };
+const DRAFT = { path: MODEL.path, annotation: { id: 'draft', comment: '' } };
+
+function renderPanel(props) {
+  const handlers = { onDraftSubmit: vi.fn(), onDraftCancel: vi.fn(), onAnnotationsChange: vi.fn() };
+  render(
+    <AnnotationPanel
+      models={[MODEL]}
+      annotations={{}}
+      annotating
+      onAnnotatingChange={() => {}}
+      draft={DRAFT}
+      selectedId={null}
+      onSelect={() => {}}
+      author=""
+      onAuthorChange={() => {}}
+      onClose={() => {}}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+}
+
+describe('AnnotationPanel', () => {
+  it('asks for the comment of a new pin in place', () => {
+    const { onDraftSubmit } = renderPanel();
+
+    const input = screen.getByRole('textbox', { name: 'Comment for the new pin' });
+    fireEvent.change(input, { target: { value: 'Seam on the jaw' } });
+    fireEvent.submit(input);
+
+    expect(onDraftSubmit).toHaveBeenCalledWith('Seam on the jaw');
+  });
+
+  it('drops the new pin on Escape', () => {
+    const { onDraftCancel } = renderPanel();
+
+    fireEvent.keyDown(screen.getByRole('textbox', { name: 'Comment for the new pin' }), { key: 'Escape' });
+
+    expect(onDraftCancel).toHaveBeenCalled();
+  });
+
+  it('edits a comment in place', () => {
+    const annotation = { id: 'a', comment: 'Old', node: { name: '', path: [] }, position: [0, 0, 0] };
+    const { onAnnotationsChange } = renderPanel({ draft: null, annotations: { [MODEL.path]: [annotation] } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit annotation 1' }));
+    const input = screen.getByRole('textbox', { name: 'Comment for annotation 1' });
+    fireEvent.change(input, { target: { value: 'New' } });
+    fireEvent.submit(input);
+
+    expect(onAnnotationsChange).toHaveBeenCalledWith(MODEL.path, [{ ...annotation, comment: 'New' }]);
+  });
+});
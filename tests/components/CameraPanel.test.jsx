@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import CameraPanel from '../../src/CameraPanel';
+
+const POSE = { position: [1, 2, 3], target: [0, 1, 0] };
+
+function renderPanel(props) {
+  const cameraRef = { current: { getPose: () => POSE, flyTo: vi.fn() } };
+  render(<CameraPanel cameraRef={cameraRef} getShareUrl={null} onClose={() => {}} {...props} />);
+  return cameraRef;
+}
+
+describe('CameraPanel', () => {
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('names a saved view in place', () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: '➕ Save Current' }));
+    const input = screen.getByRole('textbox', { name: 'Name of the new view' });
+    expect(input.value).toBe('View 1');
+    fireEvent.change(input, { target: { value: 'Jaw close-up' } });
+    fireEvent.submit(input);
+
+    expect(screen.getByRole('button', { name: '🎯 Jaw close-up' })).toBeTruthy();
+    expect(screen.queryByRole('textbox', { name: 'Name of the new view' })).toBeNull();
+  });
+
+  it('saves nothing for an empty name or Escape', () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: '➕ Save Current' }));
+    const input = screen.getByRole('textbox', { name: 'Name of the new view' });
+    fireEvent.change(input, { target: { value: '  ' } });
+    fireEvent.submit(input);
+    fireEvent.click(screen.getByRole('button', { name: '➕ Save Current' }));
+    fireEvent.keyDown(screen.getByRole('textbox', { name: 'Name of the new view' }), { key: 'Escape' });
+
+    expect(screen.getByText('💾 Saved (0)')).toBeTruthy();
+  });
+
+  it('shows the link for copying by hand when the clipboard is unavailable', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    Object.defineProperty(navigator, 'clipboard', {
+      configurable: true,
+      value: { writeText: () => Promise.reject(new Error('Not allowed')) }
+    });
+    renderPanel({ getShareUrl: () => 'https://example.com/#mode=single' });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: '🔗 Copy Link to This View' }));
+    });
+
+    expect(screen.getByRole('textbox', { name: 'Link to this view, copy it by hand' }).value).toBe('https://example.com/#mode=single');
+  });
+});
@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import GLTFErrorBoundary from '../../src/GLTFErrorBoundary';
+
+// Html portals into the r3f canvas; outside one it only has to show its content
+vi.mock('@react-three/drei', () => ({
+  Html: ({ children }) => <div data-testid="html">{children}</div>
+}));
+
+function Throws({ error }) {
+  throw error;
+}
+
+describe('GLTFErrorBoundary', () => {
+  beforeEach(() => {
+    // React and the boundary both log caught errors
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('renders its children while they load fine', () => {
+    render(
+      <GLTFErrorBoundary modelPath="/models/Monster.gltf">
+        <div>model</div>
+      </GLTFErrorBoundary>
+    );
+
+    expect(screen.getByText('model')).toBeTruthy();
+  });
+
+  it('shows what went wrong and reports the error', () => {
+    const error = new Error('fetch for "http://localhost:3000/models/Missing.gltf" responded with 404: Not Found');
+    const onError = vi.fn();
+    render(
+      <GLTFErrorBoundary modelPath="/models/Missing.gltf" name="Missing" onError={onError}>
+        <Throws error={error} />
+      </GLTFErrorBoundary>
+    );
+
+    expect(screen.getByText(/Missing failed to load/)).toBeTruthy();
+    expect(screen.getByText(/Model file not found: .*Missing\.gltf \(404 Not Found\)/)).toBeTruthy();
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+
+  it('offers a retry for errors a reload can fix', () => {
+    const onRetry = vi.fn();
+    render(
+      <GLTFErrorBoundary modelPath="/models/Monster.gltf" onRetry={onRetry}>
+        <Throws error={new TypeError('Failed to fetch')} />
+      </GLTFErrorBoundary>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry Loading' }));
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  it('has no retry for assets that will never load', () => {
+    render(
+      <GLTFErrorBoundary modelPath="/models/Old.gltf" onRetry={() => {}}>
+        <Throws error={new Error('THREE.GLTFLoader: Unsupported asset. glTF versions >=2.0 are supported.')} />
+      </GLTFErrorBoundary>
+    );
+
+    expect(screen.getByText(/Only glTF 2.0 assets are supported/)).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Retry Loading' })).toBeNull();
+  });
+});
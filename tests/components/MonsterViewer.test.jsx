@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import MonsterViewer from '../../src/MonsterViewer';
+
+// jsdom has no WebGL, so the scene is left out and only the DOM UI renders
+vi.mock('@react-three/fiber', async (importOriginal) => ({
+  ...(await importOriginal()),
+  Canvas: () => null
+}));
+
+const MODELS = [
+  { id: 'monster', path: '/models/Monster.gltf', name: 'Monster' },
+  { id: 'robot', path: '/models/Robot.glb', name: 'Robot' }
+];
+
+beforeEach(() => {
+  // The viewer logs its loading timers and mode changes
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function renderViewer(props) {
+  return render(<MonsterViewer models={MODELS} {...props} />);
+}
+
+const toolbar = () => screen.getByRole('toolbar', { name: 'Viewer tools' });
+const toolButton = (name) => within(toolbar()).getByRole('button', { name });
+
+describe('MonsterViewer toolbar', () => {
+  it('offers every tool by default', () => {
+    renderViewer();
+
+    ['Single view', 'Compare mode', 'Scene inspector', 'Material inspector', 'Shape keys', 'Benchmark', 'Optimize',
+      'Measure', 'Annotations', 'Report', 'Render stats', 'Lighting', 'Render modes', 'Camera views', 'Capture', 'Offline cache'].forEach(name => {
+      expect(toolButton(name)).toBeTruthy();
+    });
+  });
+
+  it('only offers the requested panels', () => {
+    renderViewer({ panels: ['modes', 'lighting'] });
+
+    expect(toolButton('Lighting')).toBeTruthy();
+    expect(within(toolbar()).queryByRole('button', { name: 'Scene inspector' })).toBeNull();
+    expect(within(toolbar()).queryByRole('button', { name: 'Benchmark' })).toBeNull();
+  });
+
+  it('leaves the toolbar out when no tool is enabled', () => {
+    renderViewer({ panels: ['gallery'] });
+
+    expect(screen.queryByRole('toolbar')).toBeNull();
+  });
+
+  it('opens and closes a panel from its button', () => {
+    renderViewer();
+
+    const lighting = toolButton('Lighting');
+    expect(lighting.getAttribute('aria-pressed')).toBe('false');
+    expect(screen.queryByRole('region', { name: 'Lighting' })).toBeNull();
+
+    fireEvent.click(lighting);
+    expect(lighting.getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByRole('region', { name: 'Lighting' })).toBeTruthy();
+
+    fireEvent.click(lighting);
+    expect(lighting.getAttribute('aria-pressed')).toBe('false');
+  });
+});
+
+describe('MonsterViewer modes', () => {
+  it('starts in the initial mode', () => {
+    renderViewer({ initialMode: 'compare' });
+
+    expect(toolButton('Compare mode').getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByText(/Current Mode: Compare Mode/)).toBeTruthy();
+  });
+
+  it('switches modes from the toolbar', () => {
+    renderViewer();
+
+    expect(toolButton('Single view').getAttribute('aria-pressed')).toBe('true');
+    fireEvent.click(toolButton('Compare mode'));
+
+    expect(toolButton('Compare mode').getAttribute('aria-pressed')).toBe('true');
+    expect(toolButton('Single view').getAttribute('aria-pressed')).toBe('false');
+    expect(screen.getByText(/Current Mode: Compare Mode/)).toBeTruthy();
+
+    fireEvent.click(toolButton('Single view'));
+    expect(screen.getByText(/Current Mode: Single View/)).toBeTruthy();
+  });
+
+  it('switches modes from the keyboard', () => {
+    renderViewer();
+
+    fireEvent.keyDown(document.body, { key: '2' });
+    expect(toolButton('Compare mode').getAttribute('aria-pressed')).toBe('true');
+
+    fireEvent.keyDown(document.body, { key: '1' });
+    expect(toolButton('Single view').getAttribute('aria-pressed')).toBe('true');
+  });
+});
+
+describe('MonsterViewer links', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('applies a pasted link in place', () => {
+    renderViewer({ syncUrl: true });
+    fireEvent.click(toolButton('Lighting'));
+
+    window.history.replaceState(null, '', '#mode=compare&compare=robot&compare=monster');
+    act(() => {
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    });
+
+    expect(toolButton('Compare mode').getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByText(/Current Mode: Compare Mode/)).toBeTruthy();
+    // A reload would have closed the open panel
+    expect(screen.getByRole('region', { name: 'Lighting' })).toBeTruthy();
+  });
+
+  it('falls back to the defaults for models the catalog does not list', () => {
+    renderViewer({ syncUrl: true });
+    fireEvent.click(toolButton('Lighting'));
+
+    window.history.replaceState(null, '', '#mode=compare&compare=robot&compare=dragon');
+    act(() => {
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    });
+
+    expect(screen.getByText(/Current Mode: Compare Mode/)).toBeTruthy();
+    expect(screen.getByRole('region', { name: 'Lighting' })).toBeTruthy();
+    expect(screen.getByRole('status').textContent).toContain('(dragon)');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss notice' }));
+    expect(screen.queryByRole('status')).toBeNull();
+  });
+});
+
+describe('MonsterViewer keyboard', () => {
+  it('lists the shortcuts on ?', () => {
+    renderViewer();
+
+    fireEvent.keyDown(document.body, { key: '?', shiftKey: true });
+    const help = screen.getByRole('dialog', { name: /Keyboard Shortcuts/ });
+    expect(within(help).getByText('Compare mode')).toBeTruthy();
+
+    fireEvent.keyDown(help, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).toBeNull();
+  });
+
+  it('runs commands from the palette', () => {
+    renderViewer();
+
+    fireEvent.keyDown(document.body, { key: 'k', ctrlKey: true });
+    const search = screen.getByRole('combobox', { name: 'Search commands' });
+    fireEvent.change(search, { target: { value: 'compare mode' } });
+    fireEvent.keyDown(search, { key: 'Enter' });
+
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(toolButton('Compare mode').getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('leaves the keys alone when shortcuts are off', () => {
+    renderViewer({ keyboardShortcuts: false });
+
+    fireEvent.keyDown(document.body, { key: '2' });
+    expect(toolButton('Single view').getAttribute('aria-pressed')).toBe('true');
+  });
+});
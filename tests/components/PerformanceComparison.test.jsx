@@ -0,0 +1,30 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import PerformanceComparison from '../../src/PerformanceComparison';
+
+const RESULTS = [
+  { id: 'gltf', name: 'glTF', loadTime: 400, fileBytes: 2048, triangles: 1200 },
+  { id: 'glb', name: 'GLB', loadTime: 0, fileBytes: null, triangles: null }
+];
+
+describe('PerformanceComparison', () => {
+  it('waits until every model has loaded', () => {
+    const { container } = render(
+      <PerformanceComparison results={[RESULTS[0], { ...RESULTS[1], loadTime: undefined }]} onReset={() => {}} onExport={() => {}} />
+    );
+
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('marks the fastest load as the winner', () => {
+    const onReset = vi.fn();
+    render(<PerformanceComparison results={RESULTS} onReset={onReset} onExport={() => {}} />);
+
+    expect(screen.getByText('GLB was 400ms faster than glTF')).toBeTruthy();
+    expect(screen.getByText('💾 2.0 KB · 🔺 1,200')).toBeTruthy();
+    expect(screen.getAllByText('🏆 Winner')).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Test Again' }));
+    expect(onReset).toHaveBeenCalled();
+  });
+});
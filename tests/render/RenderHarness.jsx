@@ -0,0 +1,48 @@
+import { Suspense, useState } from 'react';
+import { Canvas, useFrame } from '@react-three/fiber';
+import Monster from '../../src/Monster';
+
+// Frames to wait after load so the normalized scale and center have been
+// applied and a complete frame is on screen
+const SETTLE_FRAMES = 5;
+
+function ReadySignal({ loaded }) {
+  const [frames, setFrames] = useState(0);
+
+  useFrame(() => {
+    if (!loaded || frames > SETTLE_FRAMES) return;
+    if (frames === SETTLE_FRAMES) window.__RENDER_READY__ = true;
+    setFrames(frames + 1);
+  });
+
+  return null;
+}
+
+// Monster with no animation, environment or network lookups beyond the model
+// itself, so the same GPU-less browser always draws the same pixels
+export default function RenderHarness({ view }) {
+  const [loaded, setLoaded] = useState(false);
+
+  return (
+    <Canvas
+      dpr={1}
+      flat
+      gl={{ preserveDrawingBuffer: true, antialias: false }}
+      camera={{ position: view.position, fov: 50 }}
+      onCreated={({ camera }) => camera.lookAt(0, 0, 0)}
+    >
+      <color attach="background" args={['#202030']} />
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[5, 8, 5]} intensity={1.5} />
+      <Suspense fallback={null}>
+        <Monster
+          modelPath="/models/Monster.gltf"
+          enableAnimation={false}
+          label={null}
+          onLoadingComplete={() => setLoaded(true)}
+        />
+      </Suspense>
+      <ReadySignal loaded={loaded} />
+    </Canvas>
+  );
+}
@@ -0,0 +1,14 @@
+import { createRoot } from 'react-dom/client';
+import RenderHarness from './RenderHarness';
+
+// Fixed framings for the golden images, picked with ?view=
+const VIEWS = {
+  front: { position: [0, 1, 6] },
+  side: { position: [6, 1, 0] }
+};
+
+const viewName = new URLSearchParams(window.location.search).get('view') || 'front';
+window.onerror = (message) => {
+  window.__RENDER_ERROR__ = String(message);
+};
+createRoot(document.getElementById('root')).render(<RenderHarness view={VIEWS[viewName]} />);
@@ -0,0 +1,88 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+import { chromium } from 'playwright';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+const DIFF_DIR = fileURLToPath(new URL('./__diff__/', import.meta.url));
+const VIEWS = ['front', 'side'];
+
+// Software rendering differs slightly between Chromium builds, so a few
+// pixels may drift before an image counts as changed
+const PIXEL_THRESHOLD = 0.1;
+const MAX_DIFF_RATIO = 0.005;
+
+// SwiftShader gives Chromium WebGL2 without a GPU
+const BROWSER_ARGS = ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'];
+
+const updateGolden = Boolean(process.env.UPDATE_GOLDEN);
+const executablePath = process.env.CHROMIUM_PATH || chromium.executablePath();
+const hasBrowser = existsSync(executablePath);
+
+// CI has to check the pixels; only a local run may go without a browser
+if (!hasBrowser) {
+  const message = `No Chromium at ${executablePath}. Run "npx playwright install chromium" or set CHROMIUM_PATH.`;
+  if (process.env.CI) throw new Error(`Render tests can't run: ${message}`);
+  console.warn(`Skipping render tests: ${message}`);
+}
+
+async function renderView(page, baseUrl, view) {
+  await page.goto(`${baseUrl}tests/render/harness.html?view=${view}`);
+  await page.waitForFunction(() => window.__RENDER_READY__ || window.__RENDER_ERROR__, null, { timeout: 60000 });
+  const error = await page.evaluate(() => window.__RENDER_ERROR__);
+  if (error) throw new Error(`Harness failed: ${error}`);
+
+  const dataUrl = await page.evaluate(() => document.querySelector('canvas').toDataURL('image/png'));
+  return PNG.sync.read(Buffer.from(dataUrl.split(',')[1], 'base64'));
+}
+
+describe.skipIf(!hasBrowser)('Monster.gltf rendering', () => {
+  let server;
+  let browser;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await createServer({ logLevel: 'error', server: { port: 0 } });
+    await server.listen();
+    baseUrl = server.resolvedUrls.local[0];
+    browser = await chromium.launch({ executablePath, args: BROWSER_ARGS });
+    rmSync(DIFF_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
+
+  it.each(VIEWS)('matches the %s golden image', async (view) => {
+    const page = await browser.newPage({ viewport: { width: 512, height: 512 } });
+    const actual = await renderView(page, baseUrl, view);
+    await page.close();
+
+    const goldenPath = `${GOLDEN_DIR}${view}.png`;
+    if (updateGolden) {
+      writeFileSync(goldenPath, PNG.sync.write(actual));
+      console.warn(`Wrote golden image ${goldenPath}`);
+      return;
+    }
+    // Goldens are only recorded on request, never in passing
+    if (!existsSync(goldenPath)) throw new Error(`Missing golden image ${goldenPath}, record it with "npm run test:golden"`);
+
+    const expected = PNG.sync.read(readFileSync(goldenPath));
+    expect([actual.width, actual.height]).toEqual([expected.width, expected.height]);
+
+    const diff = new PNG({ width: expected.width, height: expected.height });
+    const mismatched = pixelmatch(expected.data, actual.data, diff.data, expected.width, expected.height, { threshold: PIXEL_THRESHOLD });
+    const ratio = mismatched / (expected.width * expected.height);
+    if (ratio > MAX_DIFF_RATIO) {
+      mkdirSync(DIFF_DIR, { recursive: true });
+      writeFileSync(`${DIFF_DIR}${view}.actual.png`, PNG.sync.write(actual));
+      writeFileSync(`${DIFF_DIR}${view}.diff.png`, PNG.sync.write(diff));
+    }
+
+    expect(ratio, `${mismatched} pixels differ from ${view}.png, see tests/render/__diff__/`).toBeLessThanOrEqual(MAX_DIFF_RATIO);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import {
+  annotationFileName,
+  annotationFileUrl,
+  annotationsToJson,
+  createAnnotation,
+  localPosition,
+  nodePath,
+  parseAnnotations,
+  resolveNode
+} from '../../src/annotations';
+
+// A two-bone arm: vertices below y = 0 follow the shoulder, the rest the elbow
+function skinnedArm() {
+  const root = new THREE.Group();
+  const shoulder = new THREE.Bone();
+  shoulder.name = 'Shoulder';
+  const elbow = new THREE.Bone();
+  elbow.name = 'Elbow';
+  elbow.position.y = 1;
+  shoulder.add(elbow);
+
+  const geometry = new THREE.BoxGeometry(0.5, 2, 0.5, 1, 2, 1);
+  const position = geometry.getAttribute('position');
+  const skinIndex = [];
+  const skinWeight = [];
+  for (let i = 0; i < position.count; i++) {
+    skinIndex.push(position.getY(i) > 0 ? 1 : 0, 0, 0, 0);
+    skinWeight.push(1, 0, 0, 0);
+  }
+  geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(skinIndex, 4));
+  geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeight, 4));
+
+  const mesh = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial());
+  mesh.name = 'Arm';
+  root.add(shoulder, mesh);
+  mesh.bind(new THREE.Skeleton([shoulder, elbow]));
+  root.updateMatrixWorld(true);
+  return { root, shoulder, elbow, mesh };
+}
+
+function topFace(mesh) {
+  const index = mesh.geometry.getIndex();
+  const position = mesh.geometry.getAttribute('position');
+  for (let i = 0; i < index.count; i += 3) {
+    const face = { a: index.getX(i), b: index.getX(i + 1), c: index.getX(i + 2) };
+    if ([face.a, face.b, face.c].every(vertex => position.getY(vertex) === 1)) return face;
+  }
+  return null;
+}
+
+const DETAILS = { comment: 'Claw clips through the elbow', author: 'Sam', camera: { position: [0, 1, 5], target: [0, 0, 0] }, clip: 'Walk', time: 1.25 };
+
+describe('createAnnotation', () => {
+  it('pins a skinned click to the bone that moves the triangle', () => {
+    const { root, elbow, mesh } = skinnedArm();
+    const annotation = createAnnotation({ root, object: mesh, point: new THREE.Vector3(0, 1, 0.25), face: topFace(mesh) }, DETAILS);
+
+    expect(annotation.node).toEqual({ name: 'Elbow', path: [0, 0] });
+    expect(annotation.position).toEqual([0, 0, 0.25]);
+    expect(resolveNode(root, annotation.node)).toBe(elbow);
+  });
+
+  it('keeps the pin on the bone as it moves', () => {
+    const { root, elbow, mesh } = skinnedArm();
+    const annotation = createAnnotation({ root, object: mesh, point: new THREE.Vector3(0, 1, 0.25), face: topFace(mesh) }, DETAILS);
+
+    elbow.position.x = 2;
+    root.updateMatrixWorld(true);
+    const world = resolveNode(root, annotation.node).localToWorld(localPosition(annotation));
+    expect(world.toArray()).toEqual([2, 1, 0.25]);
+  });
+
+  it('pins other clicks to the mesh itself', () => {
+    const root = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry());
+    mesh.position.set(3, 0, 0);
+    root.add(new THREE.Group(), mesh);
+    root.updateMatrixWorld(true);
+
+    const annotation = createAnnotation({ root, object: mesh, point: new THREE.Vector3(3.5, 0, 0), face: null }, DETAILS);
+    expect(annotation.node).toEqual({ name: '', path: [1] });
+    expect(annotation.position).toEqual([0.5, 0, 0]);
+  });
+
+  it('keeps the review details', () => {
+    const { root, mesh } = skinnedArm();
+    const annotation = createAnnotation({ root, object: mesh, point: new THREE.Vector3(), face: null }, DETAILS);
+
+    expect(annotation).toMatchObject(DETAILS);
+    expect(typeof annotation.id).toBe('string');
+    expect(Number.isNaN(Date.parse(annotation.createdAt))).toBe(false);
+  });
+});
+
+describe('resolveNode', () => {
+  it('falls back to the name when the hierarchy changed', () => {
+    const { root, elbow } = skinnedArm();
+    expect(nodePath(elbow, root)).toEqual([0, 0]);
+
+    root.add(new THREE.Group());
+    root.children.unshift(root.children.pop());
+    expect(resolveNode(root, { name: 'Elbow', path: [0, 0] })).toBe(elbow);
+    expect(resolveNode(root, { name: 'Missing', path: [5] })).toBeNull();
+  });
+});
+
+describe('annotation files', () => {
+  it('sit next to the model', () => {
+    expect(annotationFileName('/models/Monster.gltf')).toBe('Monster.annotations.json');
+    expect(annotationFileName('https://cdn.example.com/a/Robot.GLB?v=2')).toBe('Robot.annotations.json');
+    expect(annotationFileUrl('/models/Monster.glb')).toBe('/models/Monster.annotations.json');
+  });
+
+  it('read back what was exported', () => {
+    const { root, mesh } = skinnedArm();
+    const annotations = [createAnnotation({ root, object: mesh, point: new THREE.Vector3(), face: null }, DETAILS)];
+    const json = annotationsToJson('/models/Monster.gltf', annotations);
+
+    expect(JSON.parse(json).model).toBe('Monster.gltf');
+    expect(parseAnnotations(json)).toEqual(annotations);
+    expect(parseAnnotations(JSON.stringify(annotations))).toEqual(annotations);
+  });
+
+  it('reject files without annotations', () => {
+    expect(() => parseAnnotations('{"model":"Monster.gltf"}')).toThrow('File does not contain annotations');
+    expect(() => parseAnnotations('[{"comment":"no pin"}]')).toThrow('File does not contain annotations');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { compareLoadTimes } from '../../src/report';
+
+describe('compareLoadTimes', () => {
+  it('waits for at least two finished loads', () => {
+    expect(compareLoadTimes([])).toBeNull();
+    expect(compareLoadTimes([{ id: 'a', loadTime: 100 }])).toBeNull();
+    expect(compareLoadTimes([{ id: 'a', loadTime: 100 }, { id: 'b', loadTime: null }])).toBeNull();
+    expect(compareLoadTimes([{ id: 'a', loadTime: 100 }, { id: 'b' }])).toBeNull();
+  });
+
+  it('counts a 0 ms load as finished', () => {
+    const summary = compareLoadTimes([{ id: 'cached', loadTime: 0 }, { id: 'fetched', loadTime: 80 }]);
+
+    expect(summary.fastest.id).toBe('cached');
+    expect(summary.difference).toBe(80);
+    expect(summary.percentDiff).toBe(100);
+    expect(compareLoadTimes([{ id: 'a', loadTime: 0 }, { id: 'b', loadTime: 0 }]).percentDiff).toBe(0);
+  });
+
+  it('picks the fastest load as the winner', () => {
+    const summary = compareLoadTimes([
+      { id: 'gltf', loadTime: 400 },
+      { id: 'glb', loadTime: 100 },
+      { id: 'draco', loadTime: 250 }
+    ]);
+
+    expect(summary.fastest.id).toBe('glb');
+    expect(summary.slowest.id).toBe('gltf');
+    expect(summary.difference).toBe(300);
+    expect(summary.percentDiff).toBeCloseTo(75);
+  });
+
+  it('reports no difference for equal loads', () => {
+    const summary = compareLoadTimes([{ id: 'a', loadTime: 200 }, { id: 'b', loadTime: 200 }]);
+
+    expect(summary.difference).toBe(0);
+    expect(summary.percentDiff).toBe(0);
+  });
+
+  it('leaves the results in their order', () => {
+    const results = [{ id: 'a', loadTime: 300 }, { id: 'b', loadTime: 100 }];
+    compareLoadTimes(results);
+
+    expect(results.map(result => result.id)).toEqual(['a', 'b']);
+  });
+});
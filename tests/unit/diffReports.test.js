@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { diffReports } from '../../src/report';
+
+const stats = { median: 120, p95: 150, stdDev: 10 };
+
+function model(id, extra = {}) {
+  return { id, name: id, path: `/models/${id}.glb`, fileBytes: 2048, loadTime: 100, ...extra };
+}
+
+describe('diffReports', () => {
+  it('compares metrics present on either side', () => {
+    const baseline = { models: [model('orc', { benchmark: { cold: { total: stats } } })] };
+    const current = { models: [model('orc', { loadTime: 150 })] };
+
+    const [orc] = diffReports(baseline, current);
+    const byKey = Object.fromEntries(orc.metrics.map(metric => [metric.key, metric]));
+
+    expect(orc.matched).toBe(true);
+    expect(byKey.loadTime).toEqual({ key: 'loadTime', before: 100, after: 150, delta: 50, percent: 50 });
+    expect(byKey['cold.total.median']).toEqual({ key: 'cold.total.median', before: 120, after: null, delta: null, percent: null });
+    expect(byKey['cold.total.p95'].before).toBe(150);
+  });
+
+  it('lists baseline models missing from the current report as removed', () => {
+    const baseline = { models: [model('orc'), model('troll'), model('goblin')] };
+    const current = { models: [model('orc'), model('ogre', { path: '/models/troll.glb' }), model('imp')] };
+
+    const diff = diffReports(baseline, current);
+
+    expect(diff.map(item => [item.id, item.matched, item.removed])).toEqual([
+      ['orc', true, false],
+      ['ogre', true, false],
+      ['imp', false, false],
+      ['goblin', false, true]
+    ]);
+    const goblin = diff[3];
+    expect(goblin.metrics.find(metric => metric.key === 'fileBytes')).toEqual({
+      key: 'fileBytes', before: 2048, after: null, delta: null, percent: null
+    });
+  });
+});
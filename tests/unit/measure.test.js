@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { TARGET_SIZE, formatDimensions, formatLength, measureModel } from '../../src/measure';
+
+function boxModel(width, height, depth, position = [0, 0, 0]) {
+  const scene = new THREE.Group();
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth));
+  mesh.position.set(...position);
+  scene.add(mesh);
+  scene.updateMatrixWorld(true);
+  return scene;
+}
+
+describe('measureModel', () => {
+  it('reports the bounds in model units', () => {
+    const { size, center, maxDimension } = measureModel(boxModel(2, 4, 1, [1, 2, 3]));
+
+    expect(size.toArray()).toEqual([2, 4, 1]);
+    expect(center.toArray()).toEqual([1, 2, 3]);
+    expect(maxDimension).toBe(4);
+  });
+
+  it('scales the largest side to the target size', () => {
+    expect(measureModel(boxModel(2, 4, 1)).scale).toBeCloseTo(TARGET_SIZE / 4);
+    expect(measureModel(boxModel(0.03, 0.01, 0.02)).scale).toBeCloseTo(100);
+  });
+
+  it('leaves an empty model unscaled', () => {
+    expect(measureModel(new THREE.Group()).scale).toBe(1);
+  });
+
+  it('centers the model on the origin once scaled like Monster does', () => {
+    const scene = boxModel(2, 4, 1, [10, -5, 3]);
+    const { center, scale } = measureModel(scene);
+
+    // Monster scales the scene and offsets it by the scaled center
+    scene.scale.setScalar(scale);
+    scene.position.copy(center).multiplyScalar(-scale);
+    scene.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(scene);
+    const placedCenter = box.getCenter(new THREE.Vector3());
+    const placedSize = box.getSize(new THREE.Vector3());
+    expect(placedCenter.length()).toBeCloseTo(0);
+    expect(Math.max(placedSize.x, placedSize.y, placedSize.z)).toBeCloseTo(TARGET_SIZE);
+  });
+});
+
+describe('formatLength', () => {
+  it('converts meters to the chosen unit', () => {
+    expect(formatLength(1.2345, 'm')).toBe('1.234 m');
+    expect(formatLength(1.5, 'cm')).toBe('150.0 cm');
+    expect(formatLength(0.0254, 'in')).toBe('1.00 in');
+  });
+
+  it('lists width, height and depth', () => {
+    expect(formatDimensions(new THREE.Vector3(1, 2, 0.5), 'cm')).toBe('100.0 cm × 200.0 cm × 50.0 cm');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { applyMorphWeights, collectMorphTargets, readMorphDefaults, restoreMorphDefaults } from '../../src/morphTargets';
+
+// A mesh with the named targets, as GLTFLoader sets them up
+function morphMesh(names, influences = names.map(() => 0)) {
+  const geometry = new THREE.BoxGeometry();
+  geometry.morphAttributes.position = names.map(() => geometry.attributes.position.clone());
+  const mesh = new THREE.Mesh(geometry);
+  mesh.updateMorphTargets();
+  mesh.morphTargetDictionary = Object.fromEntries(names.map((name, index) => [name, index]));
+  mesh.morphTargetInfluences = [...influences];
+  return mesh;
+}
+
+function faceRig() {
+  const scene = new THREE.Group();
+  const head = morphMesh(['smile', 'blink', 'jawOpen'], [0, 0, 0.2]);
+  const teeth = morphMesh(['jawOpen', 'smile']);
+  scene.add(head, teeth, new THREE.Mesh(new THREE.BoxGeometry()));
+  return { scene, head, teeth };
+}
+
+describe('collectMorphTargets', () => {
+  it('lists each target name once with the meshes that share it', () => {
+    const { scene } = faceRig();
+
+    expect(collectMorphTargets(scene)).toEqual([
+      { name: 'smile', meshCount: 2 },
+      { name: 'blink', meshCount: 1 },
+      { name: 'jawOpen', meshCount: 2 }
+    ]);
+  });
+
+  it('finds nothing in a scene without morph targets', () => {
+    const scene = new THREE.Group();
+    scene.add(new THREE.Mesh(new THREE.BoxGeometry()));
+
+    expect(collectMorphTargets(scene)).toEqual([]);
+  });
+});
+
+describe('applyMorphWeights', () => {
+  it('sets a target by name on every mesh that has it', () => {
+    const { scene, head, teeth } = faceRig();
+    applyMorphWeights(readMorphDefaults(scene), { jawOpen: 0.8, blink: 1 });
+
+    expect(head.morphTargetInfluences).toEqual([0, 1, 0.8]);
+    expect(teeth.morphTargetInfluences).toEqual([0.8, 0]);
+  });
+
+  it('puts the authored weights back', () => {
+    const { scene, head, teeth } = faceRig();
+    const defaults = readMorphDefaults(scene);
+    applyMorphWeights(defaults, { smile: 1, jawOpen: 1 });
+    restoreMorphDefaults(defaults);
+
+    expect(head.morphTargetInfluences).toEqual([0, 0, 0.2]);
+    expect(teeth.morphTargetInfluences).toEqual([0, 0]);
+  });
+});
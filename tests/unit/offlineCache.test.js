@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { describeCache, entryPath } from '../../src/offlineCache';
+
+describe('describeCache', () => {
+  it('reads the build of an app shell cache', () => {
+    expect(describeCache('monster-viewer-shell-a2250f923d2c')).toEqual({ kind: 'shell', label: 'App', version: 'a2250f923d2c' });
+  });
+
+  it('reads the manifest version of a model cache', () => {
+    expect(describeCache('monster-viewer-models-v3')).toEqual({ kind: 'models', label: 'Models', version: '3' });
+    expect(describeCache('monster-viewer-models-unversioned').version).toBe('unversioned');
+  });
+
+  it('leaves other caches on the origin alone', () => {
+    expect(describeCache('workbox-precache')).toEqual({ kind: 'other', label: 'workbox-precache', version: null });
+  });
+});
+
+describe('entryPath', () => {
+  it('shortens same-origin URLs to their path', () => {
+    expect(entryPath('https://example.com/models/Monster.glb', 'https://example.com')).toBe('/models/Monster.glb');
+    expect(entryPath('https://example.com', 'https://example.com')).toBe('/');
+  });
+
+  it('keeps other URLs whole', () => {
+    expect(entryPath('https://cdn.example.com/a.bin', 'https://example.com')).toBe('https://cdn.example.com/a.bin');
+  });
+});
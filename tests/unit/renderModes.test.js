@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_RENDER_SETTINGS,
+  createShadingMaterial,
+  createShadingTextures,
+  isDefaultRenderSettings,
+  resolveSideSettings,
+  settingsSharedWithA,
+  toneMappingValue,
+  usesEffects
+} from '../../src/renderModes';
+
+describe('toneMappingValue', () => {
+  it('maps ids to three.js tone mappings', () => {
+    expect(toneMappingValue('agx')).toBe(THREE.AgXToneMapping);
+    expect(toneMappingValue('none')).toBe(THREE.NoToneMapping);
+  });
+
+  it('falls back to ACES, as the Canvas uses', () => {
+    expect(toneMappingValue('unknown')).toBe(THREE.ACESFilmicToneMapping);
+  });
+});
+
+describe('render settings', () => {
+  it('tells default settings apart from changed ones', () => {
+    expect(isDefaultRenderSettings({ ...DEFAULT_RENDER_SETTINGS })).toBe(true);
+    expect(isDefaultRenderSettings({ ...DEFAULT_RENDER_SETTINGS, exposure: 1.5 })).toBe(false);
+  });
+
+  it('needs the effect passes only for SSAO, bloom or outline', () => {
+    expect(usesEffects(DEFAULT_RENDER_SETTINGS)).toBe(false);
+    expect(usesEffects({ ...DEFAULT_RENDER_SETTINGS, mode: 'toon', toneMapping: 'agx' })).toBe(false);
+    expect(usesEffects({ ...DEFAULT_RENDER_SETTINGS, bloom: true })).toBe(true);
+    expect(usesEffects({ ...DEFAULT_RENDER_SETTINGS, outline: true })).toBe(true);
+  });
+});
+
+describe('createShadingMaterial', () => {
+  const textures = {
+    matcap: new THREE.Texture(),
+    toonGradient: new THREE.Texture()
+  };
+  const original = new THREE.MeshStandardMaterial({
+    color: '#ff0000',
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0.5,
+    alphaTest: 0.3,
+    normalMap: new THREE.Texture()
+  });
+
+  it('makes the material for each mode', () => {
+    expect(createShadingMaterial('clay', original, textures)).toBeInstanceOf(THREE.MeshStandardMaterial);
+    expect(createShadingMaterial('matcap', original, textures).matcap).toBe(textures.matcap);
+    expect(createShadingMaterial('toon', original, textures).gradientMap).toBe(textures.toonGradient);
+    expect(createShadingMaterial('silhouette', original, textures)).toBeInstanceOf(THREE.MeshBasicMaterial);
+    expect(createShadingMaterial('standard', original, textures)).toBeNull();
+  });
+
+  it('keeps sidedness, transparency and cut-outs', () => {
+    const clay = createShadingMaterial('clay', original, textures);
+    expect(clay.side).toBe(THREE.DoubleSide);
+    expect(clay.transparent).toBe(true);
+    expect(clay.opacity).toBe(0.5);
+    expect(clay.alphaTest).toBe(0.3);
+    expect(clay.normalMap).toBe(original.normalMap);
+  });
+
+  it('keeps the base colour for toon shading', () => {
+    const toon = createShadingMaterial('toon', original, textures);
+    expect(toon.color.getHexString()).toBe('ff0000');
+    expect(toon.color).not.toBe(original.color);
+  });
+});
+
+describe('createShadingTextures', () => {
+  it('makes each texture once, on first use', () => {
+    const textures = createShadingTextures();
+    const gradient = textures.toonGradient;
+    expect(gradient.magFilter).toBe(THREE.NearestFilter);
+    expect(textures.toonGradient).toBe(gradient);
+    textures.dispose();
+    expect(textures.toonGradient).not.toBe(gradient);
+  });
+});
+
+describe('resolveSideSettings', () => {
+  const sideA = { ...DEFAULT_RENDER_SETTINGS, toneMapping: 'agx', exposure: 1.5, bloom: true };
+  const sideB = { ...DEFAULT_RENDER_SETTINGS, mode: 'clay', toneMapping: 'linear', ssao: true, outline: true };
+
+  it('keeps every side its own in split and wipe', () => {
+    expect(resolveSideSettings('split', [sideA, sideB])).toEqual([sideA, sideB]);
+    expect(resolveSideSettings('wipe', [sideA, sideB])).toEqual([sideA, sideB]);
+  });
+
+  it('shares the tone mapping and effects of A in the row', () => {
+    const [, rowB] = resolveSideSettings('row', [sideA, sideB]);
+    expect(rowB).toMatchObject({ toneMapping: 'agx', exposure: 1.5, bloom: true, ssao: false });
+    expect(rowB).toMatchObject({ mode: 'clay', outline: true });
+  });
+
+  it('draws the onion ghost with A\'s settings', () => {
+    expect(resolveSideSettings('onion', [sideA, sideB])).toEqual([sideA, sideA]);
+    expect(settingsSharedWithA('onion', 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RENDER_SETTINGS, resolveSideSettings } from '../../src/renderModes';
+import { createRenderPipeline } from '../../src/renderPipeline';
+
+// Just enough of a WebGLRenderer to see what each draw call was made with;
+// without effects the pipeline only calls render
+function createRenderer() {
+  const draws = [];
+  const gl = {
+    toneMapping: THREE.ACESFilmicToneMapping,
+    toneMappingExposure: 1,
+    autoClear: true,
+    setScissorTest() {},
+    setScissor() {},
+    setViewport() {},
+    getPixelRatio: () => 1,
+    render(scene) {
+      const visible = scene.children.filter(child => child.visible);
+      draws.push({ toneMapping: this.toneMapping, exposure: this.toneMappingExposure, models: visible.length });
+    }
+  };
+  return { gl, draws };
+}
+
+function createView(settings) {
+  const scene = new THREE.Group();
+  scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()));
+  return { scene, settings };
+}
+
+function drawLayout(layout, sides) {
+  const { gl, draws } = createRenderer();
+  const settings = resolveSideSettings(layout, sides);
+  const views = settings.map(createView);
+  const scene = new THREE.Scene();
+  views.forEach(view => scene.add(view.scene));
+  const pipeline = createRenderPipeline();
+  pipeline.draw(gl, { scene, camera: new THREE.PerspectiveCamera(), width: 200, height: 100, layout, views });
+  pipeline.dispose();
+  return { gl, draws };
+}
+
+const sideA = { ...DEFAULT_RENDER_SETTINGS, toneMapping: 'agx', exposure: 2 };
+const sideB = { ...DEFAULT_RENDER_SETTINGS, toneMapping: 'linear', exposure: 0.5 };
+
+describe('render pipeline', () => {
+  it('draws each side of a split with its own tone mapping', () => {
+    const { gl, draws } = drawLayout('split', [sideA, sideB]);
+
+    expect(draws).toEqual([
+      { toneMapping: THREE.AgXToneMapping, exposure: 2, models: 1 },
+      { toneMapping: THREE.LinearToneMapping, exposure: 0.5, models: 1 }
+    ]);
+    // The renderer is handed back as it was
+    expect(gl.toneMapping).toBe(THREE.ACESFilmicToneMapping);
+    expect(gl.toneMappingExposure).toBe(1);
+  });
+
+  it('draws the row in one pass with side A\'s tone mapping', () => {
+    const { draws } = drawLayout('row', [sideA, sideB]);
+
+    expect(draws).toEqual([{ toneMapping: THREE.AgXToneMapping, exposure: 2, models: 2 }]);
+  });
+
+  it('swaps in each side\'s shading only while it is drawn', () => {
+    const { gl } = createRenderer();
+    const views = [createView(DEFAULT_RENDER_SETTINGS), createView({ ...DEFAULT_RENDER_SETTINGS, mode: 'silhouette' })];
+    const original = views[1].scene.children[0].material;
+    const seen = [];
+    gl.render = (scene) => scene.children.filter(child => child.visible)
+      .forEach(child => seen.push(child.children[0].material.type));
+    const scene = new THREE.Scene();
+    views.forEach(view => scene.add(view.scene));
+
+    const pipeline = createRenderPipeline();
+    pipeline.draw(gl, { scene, camera: new THREE.PerspectiveCamera(), width: 200, height: 100, layout: 'split', views });
+    pipeline.dispose();
+
+    expect(seen).toEqual(['MeshStandardMaterial', 'MeshBasicMaterial']);
+    expect(views[1].scene.children[0].material).toBe(original);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { filterCommands, matchesShortcut, ownsKey } from '../../src/shortcuts';
+
+const key = (value, modifiers = {}) => ({ key: value, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...modifiers });
+
+describe('matchesShortcut', () => {
+  it('matches plain and modified keys', () => {
+    expect(matchesShortcut(key('i'), 'i')).toBe(true);
+    expect(matchesShortcut(key('I', { shiftKey: true }), 'i')).toBe(false);
+    expect(matchesShortcut(key('k', { ctrlKey: true }), 'mod+k')).toBe(true);
+    expect(matchesShortcut(key('k', { metaKey: true }), 'mod+k')).toBe(true);
+    expect(matchesShortcut(key('k'), 'mod+k')).toBe(false);
+    expect(matchesShortcut(key('ArrowUp', { shiftKey: true }), 'shift+arrowup')).toBe(true);
+  });
+
+  it('lets symbols carry their own Shift', () => {
+    expect(matchesShortcut(key('?', { shiftKey: true }), '?')).toBe(true);
+    expect(matchesShortcut(key('+', { shiftKey: true }), 'plus')).toBe(true);
+    expect(matchesShortcut(key(' '), 'space')).toBe(true);
+  });
+});
+
+describe('ownsKey', () => {
+  it('leaves every key to text fields', () => {
+    const input = document.createElement('input');
+    expect(ownsKey(input, key('i'))).toBe(true);
+  });
+
+  it('leaves only the pressing keys to buttons', () => {
+    const button = document.createElement('button');
+    expect(ownsKey(button, key(' '))).toBe(true);
+    expect(ownsKey(button, key('i'))).toBe(false);
+  });
+});
+
+describe('filterCommands', () => {
+  const commands = [
+    { id: 'inspector', group: 'Panels', label: 'Toggle inspector panel' },
+    { id: 'lighting', group: 'Panels', label: 'Toggle lighting panel' },
+    { id: 'reset', group: 'Camera', label: 'Reset view' }
+  ];
+
+  it('matches every word of the query', () => {
+    expect(filterCommands(commands, 'pan ins').map(command => command.id)).toEqual(['inspector']);
+    expect(filterCommands(commands, 'CAMERA').map(command => command.id)).toEqual(['reset']);
+    expect(filterCommands(commands, '  ')).toHaveLength(3);
+  });
+});
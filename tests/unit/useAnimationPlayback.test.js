@@ -0,0 +1,51 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useAnimationPlayback } from '../../src/useAnimationPlayback';
+
+function createRig() {
+  const root = new THREE.Object3D();
+  const track = (value) => new THREE.NumberKeyframeTrack('.position[x]', [0, 1], [value, value]);
+  const clips = [new THREE.AnimationClip('Idle', 1, [track(0)]), new THREE.AnimationClip('Walk', 1, [track(1)])];
+  const mixer = new THREE.AnimationMixer(root);
+  const actions = Object.fromEntries(clips.map(clip => [clip.name, mixer.clipAction(clip)]));
+  return { mixer, clips, actions };
+}
+
+function renderPlayback(rig, props) {
+  const playbackRef = { current: null };
+  const view = renderHook((current) => useAnimationPlayback({ ...rig, playbackRef, ...current }), { initialProps: props });
+  return { ...view, playbackRef };
+}
+
+describe('useAnimationPlayback transitions', () => {
+  it('crossfades on the mixer and keeps the fade once the clip is selected', () => {
+    const rig = createRig();
+    const { playbackRef, rerender } = renderPlayback(rig, { clipName: 'Idle', crossfade: { duration: 1, warp: false } });
+    rig.mixer.update(1);
+
+    playbackRef.current.crossFadeTo('Walk');
+    rig.mixer.update(0.25);
+    rerender({ clipName: 'Walk', crossfade: { duration: 1, warp: false } });
+    rig.mixer.update(0.25);
+
+    // Halfway through, both clips are still playing with part of the weight
+    expect(rig.actions.Idle.isRunning()).toBe(true);
+    expect(rig.actions.Walk.isRunning()).toBe(true);
+    expect(rig.actions.Walk.getEffectiveWeight()).toBeCloseTo(0.5);
+    expect(rig.actions.Walk.time).toBeCloseTo(0.5);
+  });
+
+  it('cuts to a clip from its start', () => {
+    const rig = createRig();
+    const { playbackRef, rerender } = renderPlayback(rig, { clipName: 'Walk' });
+    rig.mixer.update(0.8);
+
+    playbackRef.current.cutTo('Idle');
+    rerender({ clipName: 'Idle' });
+
+    expect(rig.actions.Walk.isRunning()).toBe(false);
+    expect(rig.actions.Idle.isRunning()).toBe(true);
+    expect(rig.actions.Idle.time).toBe(0);
+  });
+});
@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { useLoadingTimers } from '../../src/useLoadingTimers';
+
+describe('useLoadingTimers', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('marks a model as loading until its timer stops', () => {
+    const { result } = renderHook(() => useLoadingTimers());
+
+    act(() => result.current.startTimer('monster'));
+    expect(result.current.timers.monster).toEqual({ isLoading: true, loadTime: null });
+
+    now += 249.6;
+    act(() => result.current.stopTimer('monster'));
+    expect(result.current.timers.monster).toEqual({ isLoading: false, loadTime: 250 });
+  });
+
+  it('keeps one timer per model', () => {
+    const { result } = renderHook(() => useLoadingTimers());
+
+    act(() => {
+      result.current.startTimer('a');
+      now += 100;
+      result.current.startTimer('b');
+    });
+    now += 50;
+    act(() => result.current.stopTimer('b'));
+
+    expect(result.current.timers.a).toEqual({ isLoading: true, loadTime: null });
+    expect(result.current.timers.b).toEqual({ isLoading: false, loadTime: 50 });
+  });
+
+  it('ignores a stop without a matching start', () => {
+    const { result } = renderHook(() => useLoadingTimers());
+
+    act(() => result.current.stopTimer('never-started'));
+    expect(result.current.timers).toEqual({});
+
+    act(() => result.current.startTimer('a'));
+    act(() => result.current.stopTimer('a'));
+    const stopped = result.current.timers.a;
+    now += 500;
+    act(() => result.current.stopTimer('a'));
+    expect(result.current.timers.a).toBe(stopped);
+  });
+
+  it('forgets running and finished timers on reset', () => {
+    const { result } = renderHook(() => useLoadingTimers());
+
+    act(() => result.current.startTimer('a'));
+    act(() => result.current.reset());
+    expect(result.current.timers).toEqual({});
+
+    act(() => result.current.stopTimer('a'));
+    expect(result.current.timers).toEqual({});
+  });
+});
@@ -1,7 +1,110 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import pkg from './package.json'
+
+// Dependencies stay external in the library build so the host app's copies
+// of React and three are shared with the viewer
+const dependencies = Object.keys(pkg.dependencies)
+const isDependency = (id) => dependencies.some(name => id === name || id.startsWith(`${name}/`))
+
+// Compression decoders ship with three. They are served under /decoders/ in
+// dev and copied into every build, so compressed models load without a CDN.
+const DECODER_FILES = {
+  'draco/draco_decoder.js': 'draco/gltf/draco_decoder.js',
+  'draco/draco_decoder.wasm': 'draco/gltf/draco_decoder.wasm',
+  'draco/draco_wasm_wrapper.js': 'draco/gltf/draco_wasm_wrapper.js',
+  'basis/basis_transcoder.js': 'basis/basis_transcoder.js',
+  'basis/basis_transcoder.wasm': 'basis/basis_transcoder.wasm'
+}
+const decoderSource = (name) => readFileSync(new URL(`./node_modules/three/examples/jsm/libs/${DECODER_FILES[name]}`, import.meta.url))
+
+function decoders() {
+  return {
+    name: 'monster-viewer-decoders',
+    configureServer(server) {
+      server.middlewares.use('/decoders', (req, res, next) => {
+        const name = req.url.slice(1).split('?')[0]
+        if (!DECODER_FILES[name]) return next()
+        res.setHeader('Content-Type', name.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        res.end(decoderSource(name))
+      })
+    },
+    generateBundle() {
+      Object.keys(DECODER_FILES).forEach(name => {
+        this.emitFile({ type: 'asset', fileName: `decoders/${name}`, source: decoderSource(name) })
+      })
+    }
+  }
+}
+
+// The app's service worker (src/sw.js) is emitted as-is with the build's
+// version, a hash of everything it emits, and the shell files to precache.
+// Models are cached as they are viewed rather than precached.
+const PWA_FILES = ['manifest.webmanifest', 'icons/icon.svg', 'icons/icon-192.png', 'icons/icon-512.png']
+
+function serviceWorker() {
+  return {
+    name: 'monster-viewer-service-worker',
+    apply: (config, { command, mode }) => command === 'build' && mode !== 'lib',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      const files = Object.keys(bundle).sort()
+      const hash = createHash('sha256').update(source)
+      files.forEach(fileName => {
+        const file = bundle[fileName]
+        hash.update(fileName).update(file.type === 'chunk' ? file.code : file.source)
+      })
+      const build = {
+        version: hash.digest('hex').slice(0, 12),
+        files: [...files.filter(fileName => !fileName.endsWith('.map')), ...PWA_FILES]
+      }
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: source.replace('self.__BUILD__', JSON.stringify(build)) })
+    }
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), decoders(), serviceWorker()],
+  // `vite build --mode lib` builds the embeddable component instead of the app
+  build: mode === 'lib' ? {
+    outDir: 'dist-lib',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/index.js',
+      formats: ['es'],
+      fileName: 'monster-viewer'
+    },
+    rollupOptions: {
+      external: isDependency
+    }
+  } : {},
+  // Unit and component tests run in jsdom; render tests drive headless
+  // Chromium with software WebGL and compare against golden images
+  test: {
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: 'unit',
+          environment: 'jsdom',
+          include: ['tests/unit/**/*.test.{js,jsx}', 'tests/components/**/*.test.{js,jsx}'],
+          setupFiles: ['tests/setup.js']
+        }
+      },
+      {
+        extends: true,
+        test: {
+          name: 'render',
+          environment: 'node',
+          include: ['tests/render/**/*.test.js'],
+          testTimeout: 120000,
+          hookTimeout: 120000
+        }
+      }
+    ]
+  },
+}))